@@ -0,0 +1,60 @@
+/**
+ * Achievements
+ * Long-term goals that stay unlocked between runs (kept by utils/achievement-storage.js and
+ * checked by systems/gameplay/achievements.js). Names and descriptions live in the `ui`
+ * translation tables under achievement_<textKey> / achievement_<textKey>_desc.
+ *
+ * Achievement fields:
+ *   textKey - Translation key suffix for the name and description
+ *   icon    - Emoji shown in the list and the unlock toast
+ *   trigger - When it unlocks: { event, ...condition }
+ *               weaponMerged                 any merge or evolution
+ *               enemyKilled  { variant }     a boss of that BOSS_VARIANTS id dies
+ *               noDamage     { seconds }     that long in one run without losing health
+ *               levelUp      { level }       the player reaches that level
+ *               victory      { maxWeapons }  a boss is beaten holding at most that many weapons
+ *               chestOpened  { count }       that many chests opened in one run
+ *   params  - Values substituted into the text ({boss} for boss achievements)
+ */
+
+import { BOSS_VARIANTS } from './constants.js';
+
+// One achievement per boss variant, in the order they appear
+const BOSS_ACHIEVEMENTS = Object.fromEntries(BOSS_VARIANTS.map(variant => [
+    `defeat_${variant.id}`,
+    {
+        textKey: 'defeatBoss',
+        icon: '👑',
+        trigger: { event: 'enemyKilled', variant: variant.id },
+        params: { boss: variant.name, bossKo: variant.nameKo || variant.name }
+    }
+]));
+
+export const ACHIEVEMENTS = {
+    firstMerge: {
+        textKey: 'firstMerge',
+        icon: '🔀',
+        trigger: { event: 'weaponMerged' }
+    },
+    ...BOSS_ACHIEVEMENTS,
+    untouchable: {
+        textKey: 'untouchable',
+        icon: '🛡️',
+        trigger: { event: 'noDamage', seconds: 180 }
+    },
+    level50: {
+        textKey: 'level50',
+        icon: '⭐',
+        trigger: { event: 'levelUp', level: 50 }
+    },
+    loneWolf: {
+        textKey: 'loneWolf',
+        icon: '🐺',
+        trigger: { event: 'victory', maxWeapons: 1 }
+    },
+    treasureHunter: {
+        textKey: 'treasureHunter',
+        icon: '🎁',
+        trigger: { event: 'chestOpened', count: 10 }
+    }
+};
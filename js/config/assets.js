@@ -1,6 +1,8 @@
 // Asset paths and preloading configuration
 // Extracted from vibe-survivor-game.js during Phase 3 refactoring
 
+import { WEAPON_DEFINITIONS } from './weapons.js';
+
 /**
  * Asset paths organized by category
  */
@@ -13,22 +15,8 @@ export const ASSET_PATHS = {
         playerRight: 'images/AI BOT-RIGHT.png',
         aiBot: 'images/AI BOT.png'
     },
-    weapons: {
-        basicMissile: 'images/weapons/basicMissile.png',
-        rapidFire: 'images/weapons/rapidFire.png',
-        spreadShot: 'images/weapons/spreadShot.png',
-        laserBeam: 'images/weapons/laserBeam.png',
-        plasmaBolt: 'images/weapons/plasmaBolt.png',
-        shotgun: 'images/weapons/shotgun.png',
-        lightning: 'images/weapons/lightning.png',
-        flamethrower: 'images/weapons/flamethrower.png',
-        railgun: 'images/weapons/railgun.png',
-        homingMissiles: 'images/weapons/homingMissiles.png',
-        homingLaser: 'images/weapons/homingLaser.png',
-        shockburst: 'images/weapons/shockburst.png',
-        gatlingGun: 'images/weapons/gatlingGun.png',
-        napalmBuckshot: 'images/weapons/napalmBuckshot.png'
-    },
+    // Weapon icons keyed by weapon type (see config/weapons.js)
+    weapons: Object.fromEntries(WEAPON_DEFINITIONS.map(weapon => [weapon.type, weapon.icon])),
     passives: {
         healthBoost: 'images/passives/healthBoost.png',
         speedBoost: 'images/passives/speedBoost.png',
@@ -65,20 +53,10 @@ export const ASSET_PATHS = {
         upgradeBox: 'sound/upgradeBox.mp3?v=2',
         mergerWeapon: 'sound/mergerWeapon.mp3?v=2',
         nextStage: 'sound/nextStage.mp3?v=2',
-        // Weapon sounds
-        weaponBasicMissile: 'sound/weapon/basicMissile.mp3?v=2',
-        weaponSpreadShot: 'sound/weapon/spreadShot.mp3?v=2',
-        weaponLaserBeam: 'sound/weapon/laserBeam.mp3?v=2',
-        weaponPlasmaBolt: 'sound/weapon/plasmaBolt.mp3?v=2',
-        weaponShotgun: 'sound/weapon/shotgun.mp3?v=2',
-        weaponLightningBolt: 'sound/weapon/lightningBolt.mp3?v=2',
-        weaponFlameThrower: 'sound/weapon/flameThrower.mp3?v=2',
-        weaponRailgun: 'sound/weapon/railgun.mp3?v=2',
-        weaponHomingMissile: 'sound/weapon/homingMissile.mp3?v=2',
-        weaponHomingLaser: 'sound/weapon/homingLaser.mp3?v=2',
-        weaponShockBurst: 'sound/weapon/shockBurst.mp3?v=2',
-        weaponGatlingGun: 'sound/weapon/gatlingGun.mp3?v=2',
-        weaponNapalmBuckshot: 'sound/weapon/napalmBuckshot.mp3?v=2'
+        // Weapon sounds (see config/weapons.js)
+        ...Object.fromEntries(WEAPON_DEFINITIONS
+            .filter(weapon => weapon.sound)
+            .map(weapon => [weapon.sound.name, weapon.sound.path]))
     }
 };
 
@@ -273,12 +251,11 @@ export async function preloadAssets(progressCallback) {
 
 /**
  * Helper to get weapon icon path
- * @param {string} weaponType - Weapon type key
+ * @param {string} weaponType - Weapon type
  * @returns {string} Path to weapon icon
  */
 export function getWeaponIconPath(weaponType) {
-    const iconName = weaponType.toLowerCase().replace(/_/g, '');
-    return ASSET_PATHS.weapons[iconName] || ASSET_PATHS.weapons.basicMissile;
+    return ASSET_PATHS.weapons[weaponType] || ASSET_PATHS.weapons.basic;
 }
 
 /**
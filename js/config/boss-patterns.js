@@ -0,0 +1,264 @@
+/**
+ * Boss Attack Patterns
+ * Bullet patterns run by the BossPatternSystem (systems/gameplay/enemies/boss-patterns.js).
+ * A BOSS_VARIANTS entry picks one with `attackPattern` - a key in BOSS_PATTERNS or an inline
+ * pattern object - so new bosses and retunes need no code.
+ *
+ * Every missileInterval frames the boss makes one attack. A pattern is either a single phase
+ * or { scaling, phases: [...] }; the attack uses the first phase whose `healthAbove` is below
+ * the boss's health fraction (a phase without one always matches).
+ *
+ * Pattern fields:
+ *   scaling    - { speed, damage }: multiplied in once per boss level above 1
+ *   phases     - Health-gated phases, highest threshold first
+ *
+ * Phase fields:
+ *   healthAbove - Phase applies while health fraction > this
+ *   interval    - Frames between attacks in this phase (defaults to the variant's missileInterval)
+ *   steps       - Volley lists used in turn, one per attack (alternating attacks)
+ *   volleys     - Volleys fired on every attack, after the current step's
+ *
+ * Volley fields:
+ *   shape       - 'ring'    `count` shots evenly around the boss
+ *                 'spiral'  a ring turned `spin` further every time it fires; `mirror` adds a
+ *                           counter-turning ring colored `mirrorColor`
+ *                 'aimed'   burst of `count` shots `spacing` radians apart, centered on the player
+ *                 'wave'    wall of `count` parallel shots `spacing` apart, marching at the player
+ *                 'mines'   `count` stationary mines `distance` from the boss, evenly around it
+ *   center      - 'boss' (default) or 'player': where the volley is centered (e.g. a mine cage
+ *                 dropped around the player)
+ *   offset      - Radians added to every angle
+ *   aim         - Rings/spirals start at the player's direction instead of angle 0
+ *   spin        - Radians a ring turns each time it fires (required for spirals)
+ *   speed, damage, size, color, explosionRadius
+ *   life        - Base lifetime in frames (stretched by getBossProjectileLife)
+ *   homing      - Homing strength; omit for straight shots
+ *   delay       - Frames after the attack before the volley fires
+ *   repeat      - { count, every }: fires `count` more times, `every` frames apart (re-aimed)
+ *   telegraph   - false to fire without a warning (see BOSS_TELEGRAPHS)
+ */
+
+export const BOSS_PATTERNS = {
+    // Pulse Hunter: homing fans that widen as it gets hurt
+    pulse: {
+        scaling: { speed: 1.05, damage: 1.15 },
+        phases: [
+            {
+                healthAbove: 0.7,
+                volleys: [
+                    { shape: 'aimed', count: 3, spacing: 0.3, speed: 2.5, damage: 25, life: 300, color: '#FF0066', size: 4, homing: 0.05, explosionRadius: 40 }
+                ]
+            },
+            {
+                healthAbove: 0.3,
+                volleys: [
+                    { shape: 'aimed', count: 5, spacing: 0.3, speed: 2.75, damage: 30, life: 300, color: '#FF3366', size: 4, homing: 0.07, explosionRadius: 40 }
+                ]
+            },
+            {
+                volleys: [
+                    { shape: 'aimed', count: 7, spacing: 0.3, speed: 3, damage: 35, life: 300, color: '#FF0033', size: 4, homing: 0.1, explosionRadius: 40 }
+                ]
+            }
+        ]
+    },
+
+    // Shock Sentinel: alternates a tight beam burst with a slow rotating ring
+    shock: {
+        steps: [
+            [
+                { shape: 'aimed', count: 5, spacing: 0.08, speed: 5, damage: 32, life: 90, color: '#00E5FF', size: 5, explosionRadius: 30 }
+            ],
+            [
+                { shape: 'spiral', count: 8, spin: 0.4, speed: 1.2, damage: 26, life: 240, color: '#00B4D8', size: 6, explosionRadius: 55 }
+            ]
+        ]
+    },
+
+    // Rift Reaver / Void Architect: homing shards, a turning orb ring and fast dash-through shots
+    rift: {
+        volleys: [
+            { shape: 'aimed', count: 5, spacing: 0.2, speed: 4.5, damage: 36, life: 220, color: '#FF8A00', size: 5, homing: 0.12, explosionRadius: 45 },
+            { shape: 'spiral', count: 6, spin: 0.35, speed: 2.2, damage: 18, life: 260, color: '#FFC078', size: 4, explosionRadius: 25 },
+            // Very fast but light, so players can dash through them
+            { shape: 'aimed', count: 2, spacing: 0.16, speed: 6.5, damage: 18, life: 140, color: '#FFDF91', size: 4, explosionRadius: 20 }
+        ]
+    },
+
+    // Nightfall Carrier: aimed drone volley plus slow heavy bombs
+    carrier: {
+        volleys: [
+            { shape: 'aimed', count: 4, spacing: 0.15, speed: 3, damage: 28, life: 200, color: '#8F7CFF', size: 5, explosionRadius: 60 },
+            { shape: 'ring', count: 3, speed: 1.2, damage: 32, life: 260, color: '#B19CFF', size: 6, explosionRadius: 70 }
+        ]
+    },
+
+    // Singularity Titan: turning radial burst and slow homing gravity wells
+    titan: {
+        volleys: [
+            { shape: 'spiral', count: 12, spin: 0.2, speed: 3.2, damage: 38, life: 220, color: '#FFE34D', size: 6, explosionRadius: 50 },
+            { shape: 'aimed', count: 2, spacing: 0.4, speed: 1.5, damage: 42, life: 260, color: '#FFC107', size: 7, homing: 0.04, explosionRadius: 80 }
+        ]
+    },
+
+    // Solar Warden: fixed flare ring and twin beams
+    solar: {
+        volleys: [
+            { shape: 'ring', count: 12, speed: 3.2, damage: 30, life: 220, color: '#FFB347', size: 5, explosionRadius: 45 },
+            { shape: 'aimed', count: 2, spacing: 0.24, speed: 5.5, damage: 16, life: 160, color: '#FFD27F', size: 4, explosionRadius: 25 }
+        ]
+    },
+
+    // Prism Seraph: homing shard ring turned toward the player, then a beam fan
+    prism: {
+        volleys: [
+            { shape: 'ring', count: 6, aim: true, speed: 4, damage: 24, life: 200, color: '#7CFFE8', size: 4, homing: 0.08, explosionRadius: 30 },
+            { shape: 'aimed', count: 3, spacing: 0.3, speed: 6, damage: 20, life: 140, color: '#C5FFF5', size: 3, explosionRadius: 20 }
+        ]
+    },
+
+    // Vortex Spectre: counter-rotating spirals and cardinal mines
+    vortex: {
+        volleys: [
+            { shape: 'spiral', count: 8, spin: 0.25, mirror: true, speed: 2.8, damage: 28, life: 240, color: '#9D00FF', mirrorColor: '#C77DFF', size: 4, explosionRadius: 35 },
+            { shape: 'mines', count: 4, distance: 120, damage: 35, life: 800, color: '#7B2CBF', size: 6, explosionRadius: 55 }
+        ]
+    },
+
+    // Crimson Reaper: alternating + and X slashes, always backed by homing shots
+    reaper: {
+        steps: [
+            [
+                { shape: 'ring', count: 4, speed: 5.5, damage: 32, life: 160, color: '#FF1744', size: 5, explosionRadius: 30 }
+            ],
+            [
+                { shape: 'ring', count: 4, offset: Math.PI / 4, speed: 5.5, damage: 32, life: 160, color: '#FF4569', size: 5, explosionRadius: 30 }
+            ]
+        ],
+        volleys: [
+            { shape: 'aimed', count: 3, spacing: 0.15, speed: 3.5, damage: 26, life: 200, color: '#FF6B88', size: 4, homing: 0.09, explosionRadius: 35 }
+        ]
+    },
+
+    // Frost Colossus: massive ice nova and fast spears at the player
+    colossus: {
+        volleys: [
+            { shape: 'ring', count: 16, speed: 2.2, damage: 30, life: 260, color: '#00D4FF', size: 8, explosionRadius: 55 },
+            { shape: 'aimed', count: 3, spacing: 0.12, speed: 6, damage: 38, life: 180, color: '#5CE1FF', size: 6, explosionRadius: 45 }
+        ]
+    },
+
+    // Pattern sets bosses switch to in their phase transitions (BOSS_VARIANTS phaseTransitions)
+
+    // Shock Sentinel overload: wider beam bursts and a mirrored spiral
+    shock_overload: {
+        interval: 150,
+        steps: [
+            [
+                { shape: 'aimed', count: 7, spacing: 0.07, speed: 5.5, damage: 32, life: 90, color: '#00E5FF', size: 5, explosionRadius: 30 }
+            ],
+            [
+                { shape: 'spiral', count: 10, spin: 0.3, mirror: true, speed: 1.4, damage: 26, life: 240, color: '#00B4D8', mirrorColor: '#7DF9FF', size: 6, explosionRadius: 50 }
+            ]
+        ]
+    },
+
+    // Rift Reaver frenzy: a second shard burst chases the first
+    rift_frenzy: {
+        volleys: [
+            { shape: 'aimed', count: 5, spacing: 0.2, speed: 4.5, damage: 36, life: 220, color: '#FF8A00', size: 5, homing: 0.12, explosionRadius: 45 },
+            { shape: 'aimed', count: 4, spacing: 0.3, speed: 5, damage: 30, life: 200, color: '#FF6A00', size: 5, homing: 0.1, explosionRadius: 40, delay: 24 },
+            { shape: 'spiral', count: 8, spin: 0.35, speed: 2.4, damage: 18, life: 260, color: '#FFC078', size: 4, explosionRadius: 25 }
+        ]
+    },
+
+    // Void Architect: mirrored shard spirals around a homing core volley
+    void_mirror: {
+        volleys: [
+            { shape: 'spiral', count: 6, spin: 0.3, mirror: true, speed: 2.4, damage: 22, life: 260, color: '#AA66FF', mirrorColor: '#D9B3FF', size: 4, explosionRadius: 25 },
+            { shape: 'aimed', count: 5, spacing: 0.25, speed: 4, damage: 32, life: 220, color: '#C28BFF', size: 5, homing: 0.1, explosionRadius: 40 }
+        ]
+    },
+
+    // Nightfall Carrier barrage: the drone volley is followed by a marching wall
+    carrier_barrage: {
+        volleys: [
+            { shape: 'aimed', count: 4, spacing: 0.15, speed: 3, damage: 28, life: 200, color: '#8F7CFF', size: 5, explosionRadius: 60 },
+            { shape: 'ring', count: 4, speed: 1.2, damage: 32, life: 260, color: '#B19CFF', size: 6, explosionRadius: 70 },
+            { shape: 'wave', count: 6, spacing: 40, speed: 2.6, damage: 24, life: 220, color: '#6F5BFF', size: 5, explosionRadius: 35, delay: 30 }
+        ]
+    },
+
+    // Singularity Titan collapse: mirrored radial bursts and three gravity wells
+    titan_collapse: {
+        volleys: [
+            { shape: 'spiral', count: 12, spin: 0.2, mirror: true, speed: 3.2, damage: 38, life: 220, color: '#FFE34D', mirrorColor: '#FFF59D', size: 6, explosionRadius: 50 },
+            { shape: 'aimed', count: 3, spacing: 0.4, speed: 1.5, damage: 42, life: 260, color: '#FFC107', size: 7, homing: 0.04, explosionRadius: 80 }
+        ]
+    },
+
+    // Solar Warden flare: a second, offset flare ring and repeating beams
+    solar_flare: {
+        volleys: [
+            { shape: 'ring', count: 12, speed: 3.2, damage: 30, life: 220, color: '#FFB347', size: 5, explosionRadius: 45 },
+            { shape: 'ring', count: 12, offset: Math.PI / 12, speed: 3.2, damage: 30, life: 220, color: '#FF9F1C', size: 5, explosionRadius: 45, delay: 20 },
+            { shape: 'aimed', count: 2, spacing: 0.24, speed: 5.5, damage: 16, life: 160, color: '#FFD27F', size: 4, explosionRadius: 25, repeat: { count: 2, every: 10 } }
+        ]
+    },
+
+    // Prism Seraph cascade: the beam fan fires three times
+    prism_cascade: {
+        volleys: [
+            { shape: 'ring', count: 8, aim: true, speed: 4, damage: 24, life: 200, color: '#7CFFE8', size: 4, homing: 0.08, explosionRadius: 30 },
+            { shape: 'aimed', count: 3, spacing: 0.3, speed: 6, damage: 20, life: 140, color: '#C5FFF5', size: 3, explosionRadius: 20, repeat: { count: 2, every: 12 } }
+        ]
+    },
+
+    // Vortex Spectre maelstrom: denser spirals and a wider mine ring
+    vortex_maelstrom: {
+        volleys: [
+            { shape: 'spiral', count: 10, spin: 0.3, mirror: true, speed: 2.8, damage: 28, life: 240, color: '#9D00FF', mirrorColor: '#C77DFF', size: 4, explosionRadius: 35 },
+            { shape: 'mines', count: 6, distance: 160, damage: 35, life: 800, color: '#7B2CBF', size: 6, explosionRadius: 55 }
+        ]
+    },
+
+    // Crimson Reaper harvest: eight-way slashes and a wider homing fan
+    reaper_harvest: {
+        steps: [
+            [
+                { shape: 'ring', count: 8, speed: 5.5, damage: 32, life: 160, color: '#FF1744', size: 5, explosionRadius: 30 }
+            ],
+            [
+                { shape: 'ring', count: 8, offset: Math.PI / 8, speed: 5.5, damage: 32, life: 160, color: '#FF4569', size: 5, explosionRadius: 30 }
+            ]
+        ],
+        volleys: [
+            { shape: 'aimed', count: 5, spacing: 0.15, speed: 3.5, damage: 26, life: 200, color: '#FF6B88', size: 4, homing: 0.09, explosionRadius: 35 }
+        ]
+    },
+
+    // Frost Colossus blizzard: bigger nova, an ice wall and delayed spears
+    colossus_blizzard: {
+        volleys: [
+            { shape: 'ring', count: 20, speed: 2.2, damage: 30, life: 260, color: '#00D4FF', size: 8, explosionRadius: 55 },
+            { shape: 'wave', count: 7, spacing: 32, speed: 3.5, damage: 28, life: 200, color: '#B3F0FF', size: 6, explosionRadius: 35 },
+            { shape: 'aimed', count: 3, spacing: 0.12, speed: 6, damage: 38, life: 180, color: '#5CE1FF', size: 6, explosionRadius: 45, delay: 20 }
+        ]
+    }
+};
+
+export const DEFAULT_BOSS_PATTERN = 'pulse';
+
+/**
+ * Warnings shown before boss attacks: aimed and wave volleys draw charge-up lines, rings and
+ * spirals a circle around the boss, mines a ground circle where each one will land
+ */
+export const BOSS_TELEGRAPHS = {
+    leadFrames: 40,         // Warning shown this long before each attack
+    dashWindupFrames: 24,   // Dashing bosses hold still this long with their path drawn
+    lineLength: 420,
+    lineWidth: 8,
+    ringRadius: 70,         // Circle drawn around the boss before a ring/spiral
+    shockwaveRadius: 360,   // Roar shockwave of a phase transition
+    shockwaveFrames: 45
+};
@@ -0,0 +1,57 @@
+/**
+ * Boss Rush
+ * Encounters of the Boss Rush mode (config/game-modes.js), run by the BossRushDirector
+ * (systems/gameplay/enemies/boss-rush.js). Every variant in BOSS_VARIANTS is fought once in
+ * order, then the duo encounters. The run is cleared when the last encounter falls and ranks
+ * by that total clear time.
+ *
+ * Fields:
+ *   warmupSeconds       - Run time before the first encounter
+ *   startingOrbs        - XP orbs scattered around the player at the start (normal runs get 14)
+ *   interludeSeconds    - Break between encounters
+ *   interlude           - Rewards handed out as each encounter falls:
+ *                           levelUps     - Upgrade picks
+ *                           chests       - Upgrade chests dropped near the player
+ *                           healFraction - Share of max health restored
+ *   scalingPerEncounter - Boss scaling steps per cleared encounter (normal runs add one per boss)
+ *   healthScale         - Boss health relative to a normal boss at the same scaling
+ *   duos                - Late encounters with two bosses at once:
+ *                           bosses        - Two BOSS_VARIANTS ids; the first leads
+ *                           healthScale   - Health of each boss relative to a solo fight
+ *                           partnerDelay  - The partner fires this fraction of the lead's attack
+ *                                           interval after each lead volley (0 fires together)
+ *                           enrage        - When one falls, the other runs its next phase transition
+ */
+
+export const BOSS_RUSH = {
+    warmupSeconds: 20,
+    startingOrbs: 40,
+    interludeSeconds: 12,
+    interlude: {
+        levelUps: 1,
+        chests: 1,
+        healFraction: 0.25
+    },
+    scalingPerEncounter: 0.5,
+    healthScale: 0.5,
+    duos: [
+        {
+            bosses: ['shock_sentinel', 'solar_warden'],
+            healthScale: 0.65,
+            partnerDelay: 0.5,
+            enrage: true
+        },
+        {
+            bosses: ['rift_reaver', 'void_architect'],
+            healthScale: 0.65,
+            partnerDelay: 0,
+            enrage: true
+        },
+        {
+            bosses: ['crimson_reaper', 'frost_colossus'],
+            healthScale: 0.7,
+            partnerDelay: 0.5,
+            enrage: true
+        }
+    ]
+};
@@ -0,0 +1,93 @@
+/**
+ * Characters
+ * Picked on the character select screen before every new run. The character is saved with
+ * suspended runs, replays and scoreboard records.
+ *
+ * Character fields:
+ *   name / nameKo               - Display name (English / Korean)
+ *   description / descriptionKo - One-line playstyle summary
+ *   startingWeapon              - Weapon type (config/weapons.js) the run starts with
+ *   stats                       - Stat profile applied on top of PLAYER (config/constants.js):
+ *                                   speed       movement speed multiplier
+ *                                   maxHealth   max (and starting) health
+ *                                   magnetRange extra XP pickup range in pixels
+ *   signaturePassive            - Chest passive id (see addPassiveAbility) the character starts
+ *                                 with, or null
+ *   sprites                     - Directional sprite sheets (same keys as ASSET_PATHS.sprites)
+ *   hue                         - Hue rotation in degrees for the sprite (0 keeps the art's colours)
+ *   trailColor                  - Movement trail color
+ *   unlock                      - null (always available) or { stat, value }: unlocked by a finished
+ *                                 run whose score has score[stat] >= value
+ */
+
+import { ASSET_PATHS } from './assets.js';
+
+export const CHARACTERS = {
+    aiBot: {
+        name: 'AI BOT',
+        nameKo: 'AI 봇',
+        description: 'Balanced all-rounder with the basic missile',
+        descriptionKo: '기본 미사일을 쓰는 균형형',
+        startingWeapon: 'basic',
+        stats: { speed: 1, maxHealth: 100, magnetRange: 0 },
+        signaturePassive: null,
+        sprites: ASSET_PATHS.sprites,
+        hue: 0,
+        trailColor: '#00ffff',
+        unlock: null
+    },
+    scout: {
+        name: 'Scout',
+        nameKo: '정찰병',
+        description: 'Fast and fragile, dashes further',
+        descriptionKo: '빠르지만 약함, 대시 거리 증가',
+        startingWeapon: 'spread',
+        stats: { speed: 1.15, maxHealth: 80, magnetRange: 20 },
+        signaturePassive: 'dash_boost',
+        sprites: ASSET_PATHS.sprites,
+        hue: 90,
+        trailColor: '#7cff6b',
+        unlock: { stat: 'level', value: 10 }
+    },
+    bulwark: {
+        name: 'Bulwark',
+        nameKo: '방벽',
+        description: 'Slow and armored, up close with a shotgun',
+        descriptionKo: '느리지만 단단함, 산탄총으로 근접전',
+        startingWeapon: 'shotgun',
+        stats: { speed: 0.9, maxHealth: 140, magnetRange: 0 },
+        signaturePassive: 'armor',
+        sprites: ASSET_PATHS.sprites,
+        hue: 200,
+        trailColor: '#ffb347',
+        unlock: { stat: 'bossesKilled', value: 1 }
+    },
+    tinker: {
+        name: 'Tinker',
+        nameKo: '땜장이',
+        description: 'Chains lightning and pulls in XP from afar',
+        descriptionKo: '연쇄 번개, 멀리서 경험치 흡수',
+        startingWeapon: 'lightning',
+        stats: { speed: 1, maxHealth: 90, magnetRange: 60 },
+        signaturePassive: 'magnet',
+        sprites: ASSET_PATHS.sprites,
+        hue: 300,
+        trailColor: '#ffe14d',
+        unlock: { stat: 'time', value: 600 }
+    },
+    pyro: {
+        name: 'Pyro',
+        nameKo: '파이로',
+        description: 'Burns through crowds and slowly heals',
+        descriptionKo: '불꽃으로 적을 태우며 서서히 회복',
+        startingWeapon: 'flamethrower',
+        stats: { speed: 0.95, maxHealth: 110, magnetRange: 0 },
+        signaturePassive: 'regeneration',
+        sprites: ASSET_PATHS.sprites,
+        hue: 150,
+        trailColor: '#ff5a36',
+        unlock: { stat: 'chestsCollected', value: 8 }
+    }
+};
+
+export const DEFAULT_CHARACTER = 'aiBot';
@@ -8,7 +8,9 @@ export const GAME_INFO = {
     VERSION: '1.1.0',
     MAJOR_VERSION: '1.1',
     BUILD_DATE: '2025-11-28',
-    SCOREBOARD_SCHEMA_VERSION: 1
+    SCOREBOARD_SCHEMA_VERSION: 2,
+    // Bump whenever run state changes shape so older mid-run saves are discarded
+    RUN_SAVE_SCHEMA_VERSION: 4
 };
 
 /**
@@ -21,6 +23,7 @@ export const PLAYER = {
     STARTING_HEALTH: 100,
     STARTING_LEVEL: 1,
     DASH_DISTANCE: 40,
+    DASH_COOLDOWN: 30, // frames
     DASH_BOOST_PER_STACK: 0.5, // +50% per stack
     TRAIL_MULTIPLIER: 1.0,
     STARTING_XP_ORBS: 3
@@ -28,10 +31,13 @@ export const PLAYER = {
 
 /**
  * Enemy type configurations
+ * mass - Weight in crowd separation: overlapping enemies are pushed apart in inverse
+ *        proportion to their mass, so tanks shove basics aside (see ENEMY_SEPARATION)
  */
 export const ENEMIES = {
     BASIC: {
         radius: 10,
+        mass: 1,
         health: 20,
         speed: 0.75,
         damage: 10,
@@ -41,6 +47,7 @@ export const ENEMIES = {
     },
     FAST: {
         radius: 7,
+        mass: 0.6,
         health: 12,
         speed: 1.85,
         damage: 6,
@@ -50,6 +57,7 @@ export const ENEMIES = {
     },
     TANK: {
         radius: 15,
+        mass: 4,
         health: 80,
         speed: 0.5,
         damage: 20,
@@ -59,6 +67,7 @@ export const ENEMIES = {
     },
     FLYER: {
         radius: 12,
+        mass: 1,
         health: 25,
         speed: 1.25,
         damage: 12,
@@ -69,6 +78,7 @@ export const ENEMIES = {
     },
     PHANTOM: {
         radius: 9,
+        mass: 0.8,
         health: 15,
         speed: 0.75,
         damage: 2,
@@ -81,6 +91,7 @@ export const ENEMIES = {
     },
     BOSS: {
         radius: 40,
+        mass: 25,
         health: 1000,
         speed: 0.75,
         damage: 50,
@@ -89,7 +100,9 @@ export const ENEMIES = {
         unlockTime: 300, // 5 minutes
         spawnDistance: 250,
         respawnDelay: 30,
-        // Boss phases
+        catchUpDistance: 400,         // Farther than this from the player, the boss dashes back in
+        catchUpWarningDistance: 320,  // The boss bar warns of a catch-up dash from here
+        // Boss phases (the thresholds are the boss bar markers of variants without phaseTransitions)
         phase1Threshold: 0.7,  // >70% health
         phase1SpeedMultiplier: 1.5,
         phase2Threshold: 0.3,  // 30-70% health
@@ -100,6 +113,16 @@ export const ENEMIES = {
 
 /**
  * Boss variant definitions for staged encounters
+ * attackPattern - Key in BOSS_PATTERNS (config/boss-patterns.js) or an inline pattern
+ * statusResistances (optional) - { effectId: 0-1 } added to BOSS_STATUS_RESISTANCES (config/status-effects.js)
+ * phaseTransitions (optional) - Scripted beats as the boss loses health, highest threshold first:
+ *   healthBelow           - Fires once when the health fraction drops below this
+ *   invulnerableFrames    - The boss holds still and can't be hurt this long
+ *   roar                  - Play the boss alert (a shockwave is always drawn)
+ *   shake                 - { intensity, duration } screen shake
+ *   hazards               - Volleys (boss-patterns.js format) fired once, e.g. a mine cage around the player
+ *   attackPattern         - Pattern set used from then on
+ *   announce / announceKo - Toast message (English / Korean)
  */
 export const BOSS_VARIANTS = [
     {
@@ -109,6 +132,20 @@ export const BOSS_VARIANTS = [
         color: '#F000FF',
         behavior: 'pulse',
         attackPattern: 'pulse',
+        phaseTransitions: [
+            { healthBelow: 0.7, invulnerableFrames: 45, roar: true, shake: { intensity: 10, duration: 30 } },
+            {
+                healthBelow: 0.3,
+                invulnerableFrames: 60,
+                roar: true,
+                shake: { intensity: 16, duration: 40 },
+                hazards: [
+                    { shape: 'mines', center: 'player', count: 6, distance: 220, damage: 30, life: 600, color: '#FF0066', size: 6, explosionRadius: 50 }
+                ],
+                announce: 'PULSE HUNTER IS ENRAGED!',
+                announceKo: '펄스 헌터가 격노했다!'
+            }
+        ],
         missileInterval: 200,
         sizeMultiplier: 1.0,
         shape: 'octagon',
@@ -121,10 +158,25 @@ export const BOSS_VARIANTS = [
         color: '#00E5FF',
         behavior: 'shock',
         attackPattern: 'shock',
+        phaseTransitions: [
+            {
+                healthBelow: 0.5,
+                invulnerableFrames: 60,
+                roar: true,
+                shake: { intensity: 14, duration: 35 },
+                hazards: [
+                    { shape: 'mines', count: 8, distance: 180, damage: 30, life: 700, color: '#00E5FF', size: 6, explosionRadius: 50 }
+                ],
+                attackPattern: 'shock_overload',
+                announce: 'SHOCK SENTINEL OVERLOADS!',
+                announceKo: '쇼크 센티넬 과부하!'
+            }
+        ],
         missileInterval: 170,
         sizeMultiplier: 1.05,
         shape: 'square',
-        description: 'Orbits the player while unleashing beam sweeps and shock mines.'
+        description: 'Orbits the player while unleashing beam sweeps and shock mines.',
+        statusResistances: { shock: 1 }
     },
     {
         id: 'rift_reaver',
@@ -133,6 +185,20 @@ export const BOSS_VARIANTS = [
         color: '#FF8A00',
         behavior: 'rift',
         attackPattern: 'rift',
+        phaseTransitions: [
+            {
+                healthBelow: 0.5,
+                invulnerableFrames: 50,
+                roar: true,
+                shake: { intensity: 14, duration: 30 },
+                hazards: [
+                    { shape: 'mines', center: 'player', count: 4, distance: 180, damage: 32, life: 600, color: '#FF8A00', size: 6, explosionRadius: 50 }
+                ],
+                attackPattern: 'rift_frenzy',
+                announce: 'THE RIFT TEARS WIDER!',
+                announceKo: '균열이 넓어진다!'
+            }
+        ],
         missileInterval: 150,
         sizeMultiplier: 1.1,
         shape: 'diamond',
@@ -145,6 +211,20 @@ export const BOSS_VARIANTS = [
         color: '#7D5BFF',
         behavior: 'carrier',
         attackPattern: 'carrier',
+        phaseTransitions: [
+            {
+                healthBelow: 0.6,
+                invulnerableFrames: 60,
+                roar: true,
+                shake: { intensity: 12, duration: 35 },
+                hazards: [
+                    { shape: 'ring', count: 10, speed: 1, damage: 28, life: 300, color: '#B19CFF', size: 6, explosionRadius: 60 }
+                ],
+                attackPattern: 'carrier_barrage',
+                announce: 'FULL BARRAGE INCOMING!',
+                announceKo: '전면 포격이 시작된다!'
+            }
+        ],
         missileInterval: 140,
         sizeMultiplier: 1.2,
         shape: 'hexagon',
@@ -157,6 +237,20 @@ export const BOSS_VARIANTS = [
         color: '#FFE34D',
         behavior: 'titan',
         attackPattern: 'titan',
+        phaseTransitions: [
+            {
+                healthBelow: 0.5,
+                invulnerableFrames: 75,
+                roar: true,
+                shake: { intensity: 20, duration: 45 },
+                hazards: [
+                    { shape: 'mines', count: 6, distance: 240, damage: 40, life: 800, color: '#FFC107', size: 7, explosionRadius: 70 }
+                ],
+                attackPattern: 'titan_collapse',
+                announce: 'GRAVITY COLLAPSES!',
+                announceKo: '중력이 붕괴한다!'
+            }
+        ],
         missileInterval: 130,
         sizeMultiplier: 1.3,
         shape: 'circle',
@@ -169,10 +263,25 @@ export const BOSS_VARIANTS = [
         color: '#FFB347',
         behavior: 'solar',
         attackPattern: 'solar',
+        phaseTransitions: [
+            {
+                healthBelow: 0.5,
+                invulnerableFrames: 60,
+                roar: true,
+                shake: { intensity: 14, duration: 35 },
+                hazards: [
+                    { shape: 'mines', center: 'player', count: 5, distance: 200, damage: 30, life: 600, color: '#FFB347', size: 6, explosionRadius: 55 }
+                ],
+                attackPattern: 'solar_flare',
+                announce: 'SOLAR FLARE!',
+                announceKo: '태양 플레어!'
+            }
+        ],
         missileInterval: 140,
         sizeMultiplier: 1.25,
         shape: 'pentagon',
-        description: 'Radiant guardian that floods the arena with solar flares.'
+        description: 'Radiant guardian that floods the arena with solar flares.',
+        statusResistances: { burn: 0.5, napalm: 0.5 }
     },
     {
         id: 'prism_seraph',
@@ -181,6 +290,20 @@ export const BOSS_VARIANTS = [
         color: '#7CFFE8',
         behavior: 'prism',
         attackPattern: 'prism',
+        phaseTransitions: [
+            {
+                healthBelow: 0.5,
+                invulnerableFrames: 50,
+                roar: true,
+                shake: { intensity: 12, duration: 30 },
+                hazards: [
+                    { shape: 'spiral', count: 12, spin: 0.2, speed: 2, damage: 20, life: 220, color: '#7CFFE8', size: 4, explosionRadius: 25 }
+                ],
+                attackPattern: 'prism_cascade',
+                announce: 'THE PRISM SHATTERS!',
+                announceKo: '프리즘이 산산조각 난다!'
+            }
+        ],
         missileInterval: 135,
         sizeMultiplier: 1.2,
         shape: 'triangle',
@@ -193,6 +316,20 @@ export const BOSS_VARIANTS = [
         color: '#AA66FF',
         behavior: 'rift',
         attackPattern: 'rift',
+        phaseTransitions: [
+            {
+                healthBelow: 0.5,
+                invulnerableFrames: 60,
+                roar: true,
+                shake: { intensity: 14, duration: 35 },
+                hazards: [
+                    { shape: 'mines', center: 'player', count: 6, distance: 200, damage: 32, life: 700, color: '#AA66FF', size: 6, explosionRadius: 50 }
+                ],
+                attackPattern: 'void_mirror',
+                announce: 'SPACE FOLDS IN ON ITSELF!',
+                announceKo: '공간이 뒤틀린다!'
+            }
+        ],
         missileInterval: 145,
         sizeMultiplier: 1.15,
         shape: 'star',
@@ -205,6 +342,20 @@ export const BOSS_VARIANTS = [
         color: '#9D00FF',
         behavior: 'vortex',
         attackPattern: 'vortex',
+        phaseTransitions: [
+            {
+                healthBelow: 0.4,
+                invulnerableFrames: 60,
+                roar: true,
+                shake: { intensity: 14, duration: 35 },
+                hazards: [
+                    { shape: 'mines', center: 'player', count: 8, distance: 240, damage: 35, life: 800, color: '#7B2CBF', size: 6, explosionRadius: 55 }
+                ],
+                attackPattern: 'vortex_maelstrom',
+                announce: 'THE MAELSTROM AWAKENS!',
+                announceKo: '소용돌이가 깨어난다!'
+            }
+        ],
         missileInterval: 160,
         sizeMultiplier: 1.1,
         shape: 'spiral',
@@ -217,6 +368,20 @@ export const BOSS_VARIANTS = [
         color: '#FF1744',
         behavior: 'reaper',
         attackPattern: 'reaper',
+        phaseTransitions: [
+            {
+                healthBelow: 0.5,
+                invulnerableFrames: 50,
+                roar: true,
+                shake: { intensity: 16, duration: 35 },
+                hazards: [
+                    { shape: 'ring', count: 8, offset: Math.PI / 8, speed: 4, damage: 30, life: 160, color: '#FF1744', size: 5, explosionRadius: 30 }
+                ],
+                attackPattern: 'reaper_harvest',
+                announce: 'THE HARVEST BEGINS!',
+                announceKo: '수확이 시작된다!'
+            }
+        ],
         missileInterval: 150,
         sizeMultiplier: 1.15,
         shape: 'cross',
@@ -229,139 +394,28 @@ export const BOSS_VARIANTS = [
         color: '#00D4FF',
         behavior: 'colossus',
         attackPattern: 'colossus',
+        phaseTransitions: [
+            {
+                healthBelow: 0.5,
+                invulnerableFrames: 75,
+                roar: true,
+                shake: { intensity: 20, duration: 45 },
+                hazards: [
+                    { shape: 'mines', center: 'player', count: 8, distance: 230, damage: 35, life: 800, color: '#00D4FF', size: 7, explosionRadius: 55 }
+                ],
+                attackPattern: 'colossus_blizzard',
+                announce: 'A BLIZZARD RISES!',
+                announceKo: '눈보라가 몰아친다!'
+            }
+        ],
         missileInterval: 180,
         sizeMultiplier: 1.35,
         shape: 'octagon',
-        description: 'Glacial titan that floods the battlefield with massive ice novas.'
+        description: 'Glacial titan that floods the battlefield with massive ice novas.',
+        statusResistances: { freeze: 1, slow: 0.5 }
     }
 ];
 
-/**
- * Weapon configurations
- */
-export const WEAPONS = {
-    BASIC: {
-        name: 'Basic Missile',
-        damage: 15,
-        fireRate: 20,
-        range: 250,
-        projectileSpeed: 4,
-        piercing: 0
-    },
-    SPREAD: {
-        name: 'Spread Shot',
-        damage: 12,
-        fireRate: 40,
-        range: 200,
-        projectileSpeed: 6,
-        piercing: 0,
-        spreadCount: 3,
-        spreadAngle: 15
-    },
-    LASER: {
-        name: 'Laser Beam',
-        damage: 25,
-        fireRate: 60,
-        range: 350,
-        projectileSpeed: 12,
-        piercing: 999
-    },
-    PLASMA: {
-        name: 'Plasma Cannon',
-        damage: 30,
-        fireRate: 80,
-        range: 300,
-        projectileSpeed: 7,
-        piercing: 0
-    },
-    SHOTGUN: {
-        name: 'Shotgun',
-        damage: 8,
-        fireRate: 45,
-        range: 150,
-        projectileSpeed: 10,
-        piercing: 0,
-        pelletCount: 5
-    },
-    LIGHTNING: {
-        name: 'Lightning Strike',
-        damage: 20,
-        fireRate: 100,
-        range: 250,
-        projectileSpeed: 0,
-        piercing: 0,
-        instant: true
-    },
-    FLAMETHROWER: {
-        name: 'Flamethrower',
-        damage: 6,
-        fireRate: 15,
-        range: 120,
-        projectileSpeed: 4,
-        piercing: 0
-    },
-    RAILGUN: {
-        name: 'Railgun',
-        damage: 50,
-        fireRate: 120,
-        range: 500,
-        projectileSpeed: 12,
-        piercing: 999
-    },
-    MISSILES: {
-        name: 'Homing Missiles',
-        damage: 35,
-        fireRate: 120,
-        range: 400,
-        projectileSpeed: 5,
-        piercing: 0,
-        homing: true,
-        explosionRadius: 60
-    },
-    HOMING_LASER: {
-        name: 'Homing Laser',
-        damage: 10,
-        fireRate: 200,
-        range: 400,
-        projectileSpeed: 7,
-        piercing: 999,
-        homing: true,
-        isMergeWeapon: true
-    },
-    SHOCKBURST: {
-        name: 'Shockburst',
-        damage: 50,
-        fireRate: 80,
-        range: 300,
-        projectileSpeed: 0,
-        piercing: 0,
-        explosionRadius: 100,
-        isMergeWeapon: true
-    },
-    GATLING_GUN: {
-        name: 'Gatling Gun',
-        damage: 15,
-        fireRate: 4,
-        range: 450,
-        projectileSpeed: 10,
-        piercing: 0,
-        isMergeWeapon: true
-    },
-    NAPALM_BUCKSHOT: {
-        name: 'Napalm Buckshot',
-        damage: 18,              // Base pellet impact damage
-        fireRate: 55,            // ~0.9 seconds between shots (slower than shotgun)
-        range: 320,              // Long range for safe boss fighting while dodging
-        projectileSpeed: 10,     // Same as shotgun
-        piercing: 0,
-        pelletCount: 6,          // Base pellet count (fewer for accuracy)
-        isMergeWeapon: true,
-        burnDamage: 18,          // Damage per burn tick (every 20 frames) - increased for better visibility
-        burnDuration: 240,       // 4 seconds at 60 FPS
-        maxBurnStacks: 6         // Maximum burn stacks per enemy (72 dmg/tick at max = 216 DPS)
-    }
-};
-
 /**
  * Weapon upgrade configuration
  */
@@ -372,6 +426,18 @@ export const WEAPON_UPGRADES = {
     MAX_PROJECTILES: 6
 };
 
+/**
+ * Reroll / banish / skip actions in the level-up and chest modals
+ */
+export const UPGRADE_ACTIONS = {
+    STARTING_REROLLS: 1,
+    STARTING_BANISHES: 1,
+    BOSS_REROLLS: 1, // charges granted per boss encounter cleared
+    BOSS_BANISHES: 1,
+    SKIP_HEAL: 15, // health restored by skipping a pick
+    SKIP_XP_FRACTION: 0.25 // share of the current level's XP requirement granted by skipping
+};
+
 /**
  * Passive ability configurations
  */
@@ -600,6 +666,7 @@ export const PARTICLES = {
  */
 export const COLLISION = {
     PRESCREEN_DISTANCE: 100, // Manhattan distance
+    GRID_CELL_SIZE: 100, // Spatial grid cell edge (queries scan every cell within their radius)
     ARMOR_REDUCTION_PER_STACK: 0.15,
     MAX_ARMOR_REDUCTION: 0.9
 };
@@ -615,6 +682,16 @@ export const ENEMY_BEHAVIORS = {
     TELEPORT_COOLDOWN: 180
 };
 
+/**
+ * Crowd separation: overlapping enemies push each other apart after they move, so crowds
+ * spread into a ring around the player instead of stacking on one point. Bosses push but are
+ * never pushed, which keeps their dashes on course.
+ */
+export const ENEMY_SEPARATION = {
+    STRENGTH: 0.5, // Fraction of the overlap resolved per frame
+    MAX_PUSH: 2 // Max separation movement per enemy per frame (px)
+};
+
 /**
  * Mobile/Touch configuration
  */
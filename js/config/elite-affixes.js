@@ -0,0 +1,72 @@
+/**
+ * Elite Enemy Affixes
+ * Once elites unlock (ELITE_SPAWNS), regular enemies can spawn with one or two affixes.
+ * EliteSystem applies and runs them; every affix is drawn as a colored pip on the enemy and
+ * makes it worth extra XP orbs and a chance at a chest.
+ *
+ * Common fields:
+ *   color     - Marker color
+ *   weight    - Relative roll weight
+ *   minBosses - Bosses that must be defeated before the affix can roll
+ * The remaining fields tune the affix itself.
+ */
+
+export const ELITE_AFFIXES = {
+    // Shield ring that soaks damage and regenerates after a while without being hit
+    shielded: {
+        color: '#4FC3F7',
+        weight: 1,
+        minBosses: 0,
+        shieldFraction: 0.6,   // Shield size as a fraction of max health
+        regenDelay: 150,       // Frames without damage before the shield regenerates
+        regenPerFrame: 0.01    // Fraction of the full shield restored per frame
+    },
+    // Bursts into minions on death
+    splitting: {
+        color: '#B388FF',
+        weight: 1,
+        minBosses: 0,
+        minionCount: 3
+    },
+    // Moves faster
+    hasted: {
+        color: '#FFEB3B',
+        weight: 1,
+        minBosses: 0,
+        speedMultiplier: 1.5
+    },
+    // Explodes on death, hurting the player if close
+    exploding: {
+        color: '#FF7043',
+        weight: 0.8,
+        minBosses: 0,
+        radius: 90,
+        damageMultiplier: 1.5  // x the enemy's contact damage
+    },
+    // Periodically heals itself and nearby allies
+    vampiric: {
+        color: '#E53935',
+        weight: 0.8,
+        minBosses: 1,
+        interval: 90,          // Frames between heals
+        radius: 140,
+        healFraction: 0.1      // Fraction of each ally's max health
+    }
+};
+
+/**
+ * When elites appear and what they are worth
+ */
+export const ELITE_SPAWNS = {
+    unlockTime: 180,           // Seconds into the run (or unlockBosses, whichever comes first)
+    unlockBosses: 1,
+    baseChance: 0.03,          // Chance per regular spawn once unlocked
+    chancePerMinute: 0.005,    // Added per minute past unlockTime
+    chancePerBoss: 0.02,       // Added per boss defeated
+    maxChance: 0.2,
+    secondAffixChance: 0.3,    // Chance an elite rolls a second affix
+    healthMultiplier: 1.5,
+    radiusMultiplier: 1.2,
+    bonusXPOrbsPerAffix: 2,
+    chestChancePerAffix: 0.04
+};
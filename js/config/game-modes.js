@@ -0,0 +1,36 @@
+/**
+ * Game Modes
+ * A run is played in one of these modes, picked on the start screen. The mode is saved with
+ * suspended runs, replays and scoreboard records.
+ *
+ * Mode fields:
+ *   name / nameKo     - Display name (English / Korean)
+ *   timeline          - Key in WAVE_TIMELINES (config/wave-timeline.js) pacing the ambient spawns
+ *   bossRush          - Bosses come from BOSS_RUSH (config/boss-rush.js) instead of the timeline
+ *   ranking           - Scoreboard category order:
+ *                         'bosses'    bosses defeated, then kills, then time survived
+ *                         'clearTime' cleared runs by fastest total clear time, then the rest by
+ *                                     bosses defeated and time taken
+ *   globalLeaderboard - Runs can be submitted to the global leaderboard
+ */
+
+export const GAME_MODES = {
+    survival: {
+        name: 'Survival',
+        nameKo: '서바이벌',
+        timeline: 'standard',
+        bossRush: false,
+        ranking: 'bosses',
+        globalLeaderboard: true
+    },
+    bossRush: {
+        name: 'Boss Rush',
+        nameKo: '보스 러시',
+        timeline: 'boss_rush',
+        bossRush: true,
+        ranking: 'clearTime',
+        globalLeaderboard: false
+    }
+};
+
+export const DEFAULT_GAME_MODE = 'survival';
@@ -0,0 +1,72 @@
+/**
+ * Weapon Merge Recipes
+ * Every weapon merge in the game. WeaponSystem checks these after each upgrade and passive pickup,
+ * and the guide, help, level-up and chest screens build their recipe text and previews from the
+ * same table. A recipe whose result is an 'evolution' weapon evolves a single weapon in place: the
+ * result keeps the level and projectile count of its input instead of restarting at level 1.
+ *
+ * Recipes are checked in order and the first one the player satisfies wins, so when two recipes
+ * share an input the earlier one takes priority.
+ *
+ * Fields:
+ *   result   - Weapon type created (a 'merge' or 'evolution' definition in config/weapons.js)
+ *   inputs   - [{ type, minLevel }] - weapons consumed by the merge and the level each must reach
+ *   passive  - Optional passive key the player must own (the passive is not consumed)
+ */
+
+export const MERGE_RECIPES = [
+    {
+        result: 'homing_laser',
+        inputs: [
+            { type: 'laser', minLevel: 3 },
+            { type: 'missiles', minLevel: 3 }
+        ]
+    },
+    {
+        result: 'shockburst',
+        inputs: [
+            { type: 'lightning', minLevel: 3 },
+            { type: 'plasma', minLevel: 3 }
+        ]
+    },
+    {
+        result: 'gatling_gun',
+        inputs: [
+            { type: 'rapid', minLevel: 5 },
+            { type: 'spread', minLevel: 3 }
+        ]
+    },
+    {
+        result: 'napalm_buckshot',
+        inputs: [
+            { type: 'shotgun', minLevel: 3 },
+            { type: 'flamethrower', minLevel: 3 }
+        ]
+    },
+    {
+        result: 'prism_lance',
+        inputs: [
+            { type: 'laser', minLevel: 3 },
+            { type: 'railgun', minLevel: 3 }
+        ]
+    },
+    {
+        // Basic Missile must merge before it evolves into Rapid Fire at level 5
+        result: 'coilgun',
+        inputs: [
+            { type: 'basic', minLevel: 3 },
+            { type: 'railgun', minLevel: 3 }
+        ]
+    },
+    // Ultimate evolutions - a max level weapon (level-up offers stop at 10) plus a unique passive
+    {
+        result: 'cluster_bomb',
+        inputs: [{ type: 'missiles', minLevel: 10 }],
+        passive: 'macro_charge_amplifier'
+    },
+    {
+        result: 'plasma_torch',
+        inputs: [{ type: 'flamethrower', minLevel: 10 }],
+        passive: 'turbo_flux_cycler'
+    }
+];
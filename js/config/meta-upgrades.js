@@ -0,0 +1,83 @@
+/**
+ * Meta Progression
+ * Shards are earned at the end of every run and kept between sessions (utils/meta-progress-storage.js).
+ * They buy permanent upgrades in the start screen shop; the levels owned when a run starts are
+ * its loadout, applied on top of PLAYER (config/constants.js) and recorded on the score so
+ * boosted runs can be told apart.
+ *
+ * META_REWARDS - Shards for a finished run:
+ *   perMinute - Per full minute of run time
+ *   perBoss   - Per boss defeated
+ *   perChest  - Per upgrade chest collected
+ *
+ * META_UPGRADES - Shop entries, in display order:
+ *   name / nameKo               - Display name (English / Korean)
+ *   description / descriptionKo - Effect of one level
+ *   maxLevel                    - Levels that can be bought
+ *   baseCost / costStep         - Level n (from 0) costs baseCost + costStep * n
+ *   perLevel                    - Effect per level:
+ *                                   maxHealth     extra max (and starting) health
+ *                                   speed         movement speed multiplier bonus
+ *                                   startingOrbs  extra XP orbs scattered at the start
+ *                                   rerollCharges upgrade rerolls the run starts with
+ *                                   dashCooldown  dash cooldown reduction (fraction)
+ */
+
+export const META_REWARDS = {
+    perMinute: 4,
+    perBoss: 25,
+    perChest: 5
+};
+
+export const META_UPGRADES = {
+    maxHealth: {
+        name: 'Vitality',
+        nameKo: '활력',
+        description: '+10 max health',
+        descriptionKo: '최대 체력 +10',
+        maxLevel: 5,
+        baseCost: 30,
+        costStep: 20,
+        perLevel: 10
+    },
+    speed: {
+        name: 'Swiftness',
+        nameKo: '신속',
+        description: '+3% movement speed',
+        descriptionKo: '이동 속도 +3%',
+        maxLevel: 5,
+        baseCost: 40,
+        costStep: 25,
+        perLevel: 0.03
+    },
+    startingOrbs: {
+        name: 'Head Start',
+        nameKo: '선두 출발',
+        description: '+4 XP orbs at the start of a run',
+        descriptionKo: '시작 시 경험치 오브 +4',
+        maxLevel: 5,
+        baseCost: 25,
+        costStep: 15,
+        perLevel: 4
+    },
+    rerollCharges: {
+        name: 'Second Thoughts',
+        nameKo: '재고',
+        description: '+1 upgrade reroll per run',
+        descriptionKo: '게임당 업그레이드 새로고침 +1',
+        maxLevel: 3,
+        baseCost: 60,
+        costStep: 40,
+        perLevel: 1
+    },
+    dashCooldown: {
+        name: 'Quick Recovery',
+        nameKo: '빠른 회복',
+        description: '-6% dash cooldown',
+        descriptionKo: '대시 재사용 대기시간 -6%',
+        maxLevel: 5,
+        baseCost: 35,
+        costStep: 25,
+        perLevel: 0.06
+    }
+};
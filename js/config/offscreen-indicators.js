@@ -0,0 +1,47 @@
+/**
+ * Off-screen Indicators
+ * Arrows pinned to the canvas edge pointing at things the camera has culled, each with a
+ * distance readout from the player. Drawn in screen space by OffscreenIndicatorRenderer
+ * (systems/rendering/offscreen-indicators.js), so they follow the mobile camera zoom.
+ *
+ * Fields:
+ *   presets       - Options menu choices, in the order the button cycles through them. Each
+ *                   lists the categories it shows
+ *   defaultPreset - Preset used until the player picks one
+ *   edgeMargin    - Gap between the arrows and the canvas edge (screen pixels)
+ *   maxIndicators - Most arrows drawn at once; the highest priority, then nearest, win
+ *   categories    - Per target kind:
+ *                     color    - Arrow and readout color
+ *                     size     - Arrow length (screen pixels)
+ *                     priority - Higher is kept first when over maxIndicators
+ *                     pulse    - Arrow pulses to draw the eye
+ *   clusters      - Dense groups of off-screen enemies (bosses excluded):
+ *                     cellSize      - Enemies are bucketed into square world cells this wide
+ *                     minEnemies    - Enemies a cell needs to count as a cluster
+ *                     maxClusters   - Largest clusters kept
+ *                     refreshFrames - Frames between regrouping (clusters move slowly)
+ */
+
+export const OFFSCREEN_INDICATORS = {
+    presets: {
+        all: ['boss', 'chest', 'hpOrb', 'magnetOrb', 'cluster'],
+        essential: ['boss', 'chest'],
+        off: []
+    },
+    defaultPreset: 'all',
+    edgeMargin: 28,
+    maxIndicators: 8,
+    categories: {
+        boss: { color: '#FF3355', size: 22, priority: 4, pulse: true },
+        chest: { color: '#FFD700', size: 18, priority: 3, pulse: true },
+        hpOrb: { color: '#FF5555', size: 15, priority: 2, pulse: false },
+        magnetOrb: { color: '#6C63FF', size: 15, priority: 2, pulse: false },
+        cluster: { color: '#FF9933', size: 16, priority: 1, pulse: false }
+    },
+    clusters: {
+        cellSize: 300,
+        minEnemies: 12,
+        maxClusters: 3,
+        refreshFrames: 15
+    }
+};
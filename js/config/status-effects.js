@@ -0,0 +1,82 @@
+/**
+ * Enemy Status Effects
+ * Every status an enemy can carry. Weapons apply them by id (fire.status, or the fire.burn
+ * modifier for burn/napalm) and StatusEffectSystem ticks, stacks and expires them, so a new
+ * effect is a new entry here rather than new code in the enemy loop.
+ *
+ * Fields:
+ *   stacking              - 'replace': a new application replaces the effect
+ *                           'refresh': one instance; keeps the stronger values and the longer duration
+ *                           'stack':   independent stacks up to maxStacks; at the cap the oldest
+ *                                      stack's duration is refreshed instead
+ *   maxStacks             - Stack cap for 'stack' effects (an application may override it)
+ *   duration              - Default duration in frames
+ *   tickInterval          - Frames between damage ticks, aligned to the global frame count
+ *   fastTickInterval      - Optional tick interval while the player owns Turbo-Flux Cycler
+ *   moveMultiplier        - Movement speed multiplier while active (0 = can't move)
+ *   damageTakenMultiplier - Multiplier on all damage the enemy takes while active
+ *   tint                  - Optional overlay color drawn on affected enemies
+ *   particleColor         - Particle color on damage ticks, or (stackCount) => color
+ *
+ * Stack values (damage, duration, moveMultiplier, damageTakenMultiplier) default to the
+ * definition and can be overridden per application.
+ */
+
+export const STATUS_EFFECTS = {
+    burn: {
+        stacking: 'replace',
+        duration: 180,
+        tickInterval: 20,
+        particleColor: '#ff6348'
+    },
+    napalm: {
+        stacking: 'stack',
+        maxStacks: 6,
+        duration: 240,
+        tickInterval: 10,
+        fastTickInterval: 8,
+        particleColor: stackCount => (stackCount >= 4 ? '#ff4500' : '#ff6347')
+    },
+    poison: {
+        stacking: 'stack',
+        maxStacks: 10,
+        duration: 300,
+        tickInterval: 30,
+        tint: '#7CFC00',
+        particleColor: '#7CFC00'
+    },
+    slow: {
+        stacking: 'refresh',
+        duration: 120,
+        moveMultiplier: 0.5,
+        tint: '#7FDBFF'
+    },
+    freeze: {
+        stacking: 'refresh',
+        duration: 60,
+        moveMultiplier: 0,
+        tint: '#B3E5FC'
+    },
+    shock: {
+        stacking: 'refresh',
+        duration: 30,
+        moveMultiplier: 0,
+        tint: '#FFF176'
+    },
+    vulnerability: {
+        stacking: 'refresh',
+        duration: 240,
+        damageTakenMultiplier: 1.25,
+        tint: '#E056FD'
+    }
+};
+
+/**
+ * Resistances every boss has (0-1, 1 = immune); boss variants can add their own with
+ * statusResistances in BOSS_VARIANTS. A resistance shortens the effect by that fraction.
+ */
+export const BOSS_STATUS_RESISTANCES = {
+    slow: 0.25,
+    freeze: 0.5,
+    shock: 0.75
+};
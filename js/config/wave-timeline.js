@@ -0,0 +1,177 @@
+/**
+ * Wave Timelines
+ * Data read by the WaveDirector (systems/gameplay/enemies/wave-director.js) to pace a run.
+ * Times are seconds or 'm:ss' strings measured in run time.
+ *
+ * Timeline fields:
+ *   maxEnemies       - Hard cap on enemies alive; event spawns stop here
+ *   minEventGap      - Seconds an event waits after the previous one (bosses don't wait)
+ *   bossRespawnDelay - Seconds after a boss kill before the next boss is queued
+ *   phases           - Ambient spawning. Each phase applies from `start` until the next one:
+ *                        maxEnemies    - Ambient spawns stop at this many enemies
+ *                        spawnInterval - Frames between spawn waves
+ *                        spawnCount    - Enemies per spawn wave
+ *                        enemyTypes    - Optional { type: weight }; defaults to the time-unlocked mix
+ *                      spawnInterval/spawnCount are numbers or ramps
+ *                      { base, step, every, min, max }: base + step per `every` seconds into the phase
+ *   events           - One-off or repeating beats, see below
+ *
+ * Event fields:
+ *   type       - 'swarm'    ring of `count` enemies at `radius` around the player
+ *                'line'     row of `count` enemies, `spacing` apart, that charges straight across the
+ *                           screen at `speedMultiplier` x their speed, then falls back to its normal AI
+ *                'modifier' for `duration` seconds applies `modifiers` (surges, lulls, map-wide events):
+ *                           spawnRateMultiplier (0 pauses ambient spawns), spawnCountBonus,
+ *                           maxEnemiesBonus, enemySpeedMultiplier, eliteChanceBonus
+ *                'boss'     queues a boss (optional variantId), waiting until none is on the field
+ *   time       - When it fires, or
+ *   beforeBoss - Seconds before each boss arrival (the next 'boss' event or scheduled respawn)
+ *   repeat     - { every, until } to fire again (time-based events only)
+ *   enemyTypes - { type: weight } for swarms and lines
+ *   duringBoss - Fire while a boss is on the field (default false: wait until it is gone)
+ *   announce / announceKo - HUD message (English / Korean)
+ */
+
+export const WAVE_TIMELINES = {
+    standard: {
+        name: 'Standard',
+        maxEnemies: 120,
+        minEventGap: 6,
+        bossRespawnDelay: 30,
+        // The original spawner: 30 alive, one wave every 120 frames speeding up to 30, one more enemy per minute
+        phases: [
+            {
+                start: 0,
+                maxEnemies: 30,
+                spawnInterval: { base: 120, step: -5, every: 10, min: 30 },
+                spawnCount: { base: 1, step: 1, every: 60 }
+            }
+        ],
+        events: [
+            {
+                time: '0:45',
+                type: 'swarm',
+                count: 10,
+                radius: 420,
+                enemyTypes: { basic: 1 },
+                announce: 'SWARM INCOMING!',
+                announceKo: '적 무리 접근!'
+            },
+            {
+                time: '1:30',
+                type: 'line',
+                count: 7,
+                spacing: 36,
+                speedMultiplier: 2,
+                enemyTypes: { fast: 1 },
+                announce: 'STAMPEDE!',
+                announceKo: '돌진하는 무리!'
+            },
+            {
+                time: '2:05',
+                type: 'modifier',
+                duration: 15,
+                modifiers: { spawnRateMultiplier: 0 },
+                announce: 'A MOMENT OF CALM...',
+                announceKo: '잠시 고요해졌다...'
+            },
+            {
+                beforeBoss: 25,
+                type: 'modifier',
+                duration: 25,
+                modifiers: { spawnRateMultiplier: 2.5 },
+                announce: 'HOLD OUT!',
+                announceKo: '버텨라!'
+            },
+            {
+                time: '3:00',
+                type: 'boss'
+            },
+            {
+                time: '4:00',
+                repeat: { every: '2:00', until: '30:00' },
+                type: 'swarm',
+                count: 16,
+                radius: 400,
+                enemyTypes: { basic: 3, fast: 2, tank: 1 },
+                announce: 'ENCIRCLED!',
+                announceKo: '포위당했다!'
+            },
+            {
+                time: '5:00',
+                repeat: { every: '1:30', until: '30:00' },
+                type: 'line',
+                count: 9,
+                spacing: 32,
+                speedMultiplier: 2.2,
+                enemyTypes: { fast: 1 },
+                announce: 'STAMPEDE!',
+                announceKo: '돌진하는 무리!'
+            },
+            {
+                time: '6:30',
+                repeat: { every: '4:00', until: '30:00' },
+                type: 'modifier',
+                duration: 12,
+                modifiers: { spawnRateMultiplier: 0 },
+                announce: 'A MOMENT OF CALM...',
+                announceKo: '잠시 고요해졌다...'
+            },
+            {
+                time: '8:00',
+                repeat: { every: '5:00', until: '30:00' },
+                type: 'modifier',
+                duration: 20,
+                modifiers: { enemySpeedMultiplier: 1.3 },
+                announce: 'FRENZY! ENEMIES ARE FASTER',
+                announceKo: '광란! 적이 빨라진다'
+            },
+            {
+                time: '12:00',
+                repeat: { every: '6:00', until: '30:00' },
+                type: 'modifier',
+                duration: 30,
+                modifiers: { eliteChanceBonus: 0.25 },
+                announce: 'ELITE HUNT!',
+                announceKo: '정예 출현!'
+            },
+            {
+                time: '15:00',
+                repeat: { every: '5:00', until: '30:00' },
+                type: 'swarm',
+                count: 24,
+                radius: 460,
+                enemyTypes: { tank: 2, flyer: 1, phantom: 1 },
+                announce: 'THE HORDE CLOSES IN!',
+                announceKo: '대군이 조여온다!'
+            }
+        ]
+    },
+
+    // Boss Rush (config/game-modes.js): the BossRushDirector brings the bosses, this only keeps
+    // a light trickle of XP coming between and during the fights
+    boss_rush: {
+        name: 'Boss Rush',
+        maxEnemies: 40,
+        minEventGap: 6,
+        phases: [
+            {
+                start: 0,
+                maxEnemies: 18,
+                spawnInterval: 90,
+                spawnCount: { base: 2, step: 1, every: 120, max: 5 },
+                enemyTypes: { basic: 3, fast: 2, flyer: 1 }
+            },
+            {
+                start: '5:00',
+                maxEnemies: 24,
+                spawnInterval: 75,
+                spawnCount: { base: 4, step: 1, every: 180, max: 7 },
+                enemyTypes: { basic: 2, fast: 2, tank: 1, flyer: 1, phantom: 1 }
+            }
+        ],
+        events: []
+    }
+};
+
+export const DEFAULT_WAVE_TIMELINE = 'standard';
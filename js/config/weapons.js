@@ -0,0 +1,522 @@
+/**
+ * Weapon Definitions
+ * One entry per weapon type. Each definition is the single source for the weapon's stats,
+ * fire behavior, projectile look, icon, sound and localized text - WeaponRegistry reads these
+ * and every subsystem (firing, upgrades, audio, HUD, guide/help menus, rendering) asks the registry.
+ *
+ * Fields:
+ *   type          - Weapon type id stored on weapon objects, saves and scoreboard records
+ *   category      - 'base' (offered on level up), 'evolution' (reached by levelling another weapon, or
+ *                   by a passive-gated recipe) or 'merge' (created by a recipe in config/merge-recipes.js)
+ *   starter       - Base weapon the player already starts with (never offered as a new weapon)
+ *   aliases       - Legacy type ids that resolve to this definition
+ *   stats         - Values copied onto new weapon objects (frames / pixels per frame)
+ *   upgrade       - Per-level overrides (damagePerLevel defaults to WEAPON_UPGRADES.DAMAGE_PER_LEVEL)
+ *   evolution     - { level, into } - the weapon turns into another type at that level
+ *   burst         - { fireFrames, pauseFrames } - fires only during the on phase of a burst cycle
+ *   fire          - Projectile archetype plus its parameters (see weapon-archetypes.js)
+ *   render        - Projectile render style and color (see projectile-renderer.js)
+ *   icon          - Icon image path
+ *   sound         - { name, path, volume, onBurst } - played per shot, or per burst when onBurst
+ *   names         - Localized display names
+ *   descriptions  - Localized one-line descriptions
+ */
+
+const BASIC_MISSILE_STATS = {
+    damage: 15,
+    fireRate: 20,
+    range: 250,
+    projectileSpeed: 4,
+    piercing: 0
+};
+
+const BASIC_MISSILE_FIRE = {
+    archetype: 'straight',
+    projectile: 'basic',
+    life: 120,
+    size: 3,
+    setBaseSpeed: true
+};
+
+const BASIC_MISSILE_SOUND = {
+    name: 'weaponBasicMissile',
+    path: 'sound/weapon/basicMissile.mp3?v=2'
+};
+
+export const WEAPON_DEFINITIONS = [
+    {
+        type: 'basic',
+        category: 'base',
+        starter: true,
+        stats: BASIC_MISSILE_STATS,
+        evolution: { level: 5, into: 'rapid' },
+        fire: BASIC_MISSILE_FIRE,
+        render: { style: 'orb', color: '#9B59B6' },
+        icon: 'images/weapons/basicMissile.png',
+        sound: BASIC_MISSILE_SOUND,
+        names: { en: 'Basic Missile', ko: '기본 미사일' },
+        descriptions: {
+            en: 'Fires a basic missile at the nearest enemy',
+            ko: '가장 가까운 적에게 기본 미사일을 발사'
+        }
+    },
+    {
+        type: 'rapid',
+        category: 'evolution',
+        stats: BASIC_MISSILE_STATS,
+        fire: BASIC_MISSILE_FIRE,
+        render: { style: 'orb', color: '#9B59B6' },
+        icon: 'images/weapons/rapidFire.png',
+        sound: BASIC_MISSILE_SOUND,
+        names: { en: 'Rapid Fire', ko: '속사' },
+        descriptions: {
+            en: 'Basic Missile evolves at level 5 into Rapid Fire with blazing speed.',
+            ko: '기본 미사일이 레벨 5에서 엄청난 속도의 연사로 진화합니다.'
+        }
+    },
+    {
+        type: 'spread',
+        category: 'base',
+        aliases: ['spread_shot'],
+        stats: {
+            damage: 12,
+            fireRate: 40,
+            range: 200,
+            projectileSpeed: 6,
+            piercing: 0,
+            spreadCount: 3,
+            spreadAngle: 15
+        },
+        fire: {
+            archetype: 'spread',
+            projectile: 'spread',
+            count: { base: 3, everyLevels: 3 },
+            arc: Math.PI / 6,
+            damageMultiplier: 0.8,
+            life: 100,
+            size: 2.5,
+            setBaseSpeed: true
+        },
+        render: { style: 'orb', color: '#E67E22' },
+        icon: 'images/weapons/spreadShot.png',
+        sound: { name: 'weaponSpreadShot', path: 'sound/weapon/spreadShot.mp3?v=2' },
+        names: { en: 'Spread Shot', ko: '산탄 총' },
+        descriptions: {
+            en: 'Fires multiple projectiles in a spread pattern',
+            ko: '산탄 형태로 다중 발사체를 발사'
+        }
+    },
+    {
+        type: 'laser',
+        category: 'base',
+        stats: {
+            damage: 25,
+            fireRate: 60,
+            range: 350,
+            projectileSpeed: 12,
+            piercing: 999
+        },
+        fire: { archetype: 'straight', projectile: 'laser', speedMultiplier: 2, piercing: 999, life: 60, size: 3 },
+        render: { style: 'streak', color: '#E74C3C' },
+        icon: 'images/weapons/laserBeam.png',
+        sound: { name: 'weaponLaserBeam', path: 'sound/weapon/laserBeam.mp3?v=2' },
+        names: { en: 'Laser Beam', ko: '레이저 빔' },
+        descriptions: {
+            en: 'High-damage piercing beam',
+            ko: '고데미지 관통 빔'
+        }
+    },
+    {
+        type: 'plasma',
+        category: 'base',
+        stats: {
+            damage: 30,
+            fireRate: 80,
+            range: 300,
+            projectileSpeed: 7,
+            piercing: 0
+        },
+        fire: { archetype: 'straight', projectile: 'plasma', life: 150, size: 4, explosionRadius: 50 },
+        render: { style: 'plasma', color: '#3498DB' },
+        icon: 'images/weapons/plasmaBolt.png',
+        sound: { name: 'weaponPlasmaBolt', path: 'sound/weapon/plasmaBolt.mp3?v=2', volume: 0.7 },
+        names: { en: 'Plasma Bolt', ko: '플라즈마 볼트' },
+        descriptions: {
+            en: 'Explosive projectiles with area damage',
+            ko: '광역 피해를 주는 폭발 발사체'
+        }
+    },
+    {
+        type: 'shotgun',
+        category: 'base',
+        stats: {
+            damage: 8,
+            fireRate: 45,
+            range: 150,
+            projectileSpeed: 10,
+            piercing: 0,
+            pelletCount: 5
+        },
+        fire: {
+            archetype: 'scatter',
+            projectile: 'shotgun',
+            count: { base: 5, everyLevels: 2 },
+            cone: Math.PI / 4,
+            speedRange: [0.8, 0.4],
+            damageMultiplier: 0.6,
+            life: 80,
+            size: 2
+        },
+        render: { style: 'orb', color: '#F39C12' },
+        icon: 'images/weapons/shotgun.png',
+        sound: { name: 'weaponShotgun', path: 'sound/weapon/shotgun.mp3?v=2' },
+        names: { en: 'Shotgun', ko: '샷건' },
+        descriptions: {
+            en: 'Close-range high damage spread',
+            ko: '근거리 고데미지 산탄'
+        }
+    },
+    {
+        type: 'lightning',
+        category: 'base',
+        stats: {
+            damage: 20,
+            fireRate: 100,
+            range: 250,
+            projectileSpeed: 0,
+            piercing: 0,
+            instant: true
+        },
+        fire: {
+            archetype: 'chain',
+            projectile: 'lightning',
+            chains: { base: 2, everyLevels: 2 },
+            chainRange: 150,
+            life: 30
+        },
+        render: { style: 'chain', color: '#F1C40F' },
+        icon: 'images/weapons/lightning.png',
+        sound: { name: 'weaponLightningBolt', path: 'sound/weapon/lightningBolt.mp3?v=2' },
+        names: { en: 'Lightning', ko: '번개' },
+        descriptions: {
+            en: 'Chain lightning that jumps between enemies',
+            ko: '적들 사이를 점프하는 연쇄 번개'
+        }
+    },
+    {
+        type: 'flamethrower',
+        category: 'base',
+        stats: {
+            damage: 6,
+            fireRate: 15,
+            range: 120,
+            projectileSpeed: 4,
+            piercing: 0
+        },
+        fire: {
+            archetype: 'scatter',
+            projectile: 'flame',
+            count: { base: 3 },
+            cone: 0.3,
+            speedRange: [0.7, 0.6],
+            damageMultiplier: 0.4,
+            life: 90,
+            size: 3,
+            sizeJitter: 2,
+            burn: { mode: 'ignite', damageMultiplier: 0.1 }
+        },
+        render: { style: 'flame', color: '#E74C3C' },
+        icon: 'images/weapons/flamethrower.png',
+        sound: { name: 'weaponFlameThrower', path: 'sound/weapon/flameThrower.mp3?v=2', volume: 0.7 },
+        names: { en: 'Flamethrower', ko: '화염방사기' },
+        descriptions: {
+            en: 'Continuous flame stream with burning damage',
+            ko: '지속적인 화염 공격과 화상 데미지'
+        }
+    },
+    {
+        type: 'railgun',
+        category: 'base',
+        stats: {
+            damage: 50,
+            fireRate: 120,
+            range: 500,
+            projectileSpeed: 12,
+            piercing: 999
+        },
+        fire: { archetype: 'straight', projectile: 'railgun', speedMultiplier: 2, piercing: 999, life: 60, size: 3 },
+        render: { style: 'streak', color: '#9B59B6' },
+        icon: 'images/weapons/railgun.png',
+        sound: { name: 'weaponRailgun', path: 'sound/weapon/railgun.mp3?v=2' },
+        names: { en: 'Railgun', ko: '레일건' },
+        descriptions: {
+            en: 'Ultra high damage piercing shot',
+            ko: '초고데미지 관통 사격'
+        }
+    },
+    {
+        type: 'missiles',
+        category: 'base',
+        stats: {
+            damage: 35,
+            fireRate: 120,
+            range: 400,
+            projectileSpeed: 5,
+            piercing: 0,
+            homing: true,
+            explosionRadius: 60
+        },
+        fire: {
+            archetype: 'homing',
+            projectile: 'missile',
+            launch: 'still',
+            life: 180,
+            size: 3,
+            explosionRadius: 60,
+            setBaseSpeed: true
+        },
+        render: { style: 'missile', color: '#E67E22' },
+        icon: 'images/weapons/homingMissiles.png',
+        sound: { name: 'weaponHomingMissile', path: 'sound/weapon/homingMissile.mp3?v=2', volume: 0.7 },
+        names: { en: 'Homing Missiles', ko: '유도 미사일' },
+        descriptions: {
+            en: 'Homing missiles with explosive damage',
+            ko: '폭발 피해를 주는 유도 미사일'
+        }
+    },
+    {
+        type: 'homing_laser',
+        category: 'merge',
+        stats: {
+            damage: 10,
+            fireRate: 200,
+            range: 400,
+            projectileSpeed: 7,
+            piercing: 999,
+            homing: true
+        },
+        fire: {
+            archetype: 'homing',
+            projectile: 'homing_laser',
+            launch: 'fan',
+            fanArc: 1.2,
+            launchSpeed: 0.7,
+            life: 120,
+            size: 5,
+            piercing: true,
+            maxHits: 10
+        },
+        render: { style: 'homingBeam', color: '#FFD700' },
+        icon: 'images/weapons/homingLaser.png',
+        sound: { name: 'weaponHomingLaser', path: 'sound/weapon/homingLaser.mp3?v=2' },
+        names: { en: 'Homing Laser', ko: '유도 레이저' },
+        descriptions: {
+            en: 'Heat-seeking laser beams',
+            ko: '열추적 레이저 빔'
+        }
+    },
+    {
+        type: 'shockburst',
+        category: 'merge',
+        stats: {
+            damage: 50,
+            fireRate: 80,
+            range: 300,
+            projectileSpeed: 0,
+            piercing: 0,
+            explosionRadius: 100
+        },
+        fire: {
+            archetype: 'chain',
+            projectile: 'shockburst',
+            chains: { base: 2, everyLevels: 2 },
+            chainRange: 150,
+            burst: { radius: 100, particleColor: '#00FFFF' },
+            life: 30
+        },
+        render: { style: 'chainBurst', color: '#00FFFF' },
+        icon: 'images/weapons/shockburst.png',
+        sound: { name: 'weaponShockBurst', path: 'sound/weapon/shockBurst.mp3?v=2' },
+        names: { en: 'Shockburst', ko: '충격파' },
+        descriptions: {
+            en: 'Explosive energy bursts',
+            ko: '폭발적 에너지 파동'
+        }
+    },
+    {
+        type: 'gatling_gun',
+        category: 'merge',
+        stats: {
+            damage: 15,
+            fireRate: 4,
+            range: 450,
+            projectileSpeed: 10,
+            piercing: 0
+        },
+        // Gentler damage ramp than other weapons to avoid runaway DPS
+        upgrade: { damagePerLevel: 0.20 },
+        burst: { fireFrames: 60, pauseFrames: 30 },
+        fire: {
+            archetype: 'barrage',
+            projectile: 'gatling_gun',
+            damage: { base: 35, perLevel: 8 },
+            range: 450,
+            barrelSpacing: 8,
+            life: 60,
+            size: 2
+        },
+        render: { style: 'orb', color: '#FFD700' },
+        icon: 'images/weapons/gatlingGun.png',
+        sound: { name: 'weaponGatlingGun', path: 'sound/weapon/gatlingGun.mp3?v=2', volume: 0.7, onBurst: true },
+        names: { en: 'Gatling Gun', ko: '개틀링 건' },
+        descriptions: {
+            en: 'Multi-barrel rapid fire',
+            ko: '다총신 속사'
+        }
+    },
+    {
+        type: 'napalm_buckshot',
+        category: 'merge',
+        stats: {
+            damage: 18,              // Base pellet impact damage
+            fireRate: 55,            // ~0.9 seconds between shots (slower than shotgun)
+            range: 320,              // Long range for safe boss fighting while dodging
+            projectileSpeed: 10,     // Same as shotgun
+            piercing: 0,
+            pelletCount: 6           // Base pellet count (fewer for accuracy)
+        },
+        fire: {
+            archetype: 'scatter',
+            projectile: 'napalm',
+            count: { base: 6, everyLevels: 2 },
+            cone: Math.PI / 4,       // Tighter spread than shotgun for boss-killing accuracy
+            speedRange: [0.9, 0.2],
+            life: 160,               // Long life for extended range (320 units)
+            size: 3,
+            // Sticky stacks: 6 damage per tick (every 20 frames) for 4 seconds, up to 6 stacks
+            burn: { mode: 'stack', damage: 6, duration: 240, maxStacks: 6 }
+        },
+        render: { style: 'ember', color: '#FF4500' },
+        icon: 'images/weapons/napalmBuckshot.png',
+        sound: { name: 'weaponNapalmBuckshot', path: 'sound/weapon/napalmBuckshot.mp3?v=2' },
+        names: { en: 'Napalm Buckshot', ko: '네이팜 산탄' },
+        descriptions: {
+            en: 'Sticky fire pellets with devastating stacking burn damage',
+            ko: '치명적인 누적 화상 피해를 주는 점착성 화염 펠릿'
+        }
+    },
+    {
+        type: 'prism_lance',
+        category: 'merge',
+        stats: {
+            damage: 40,
+            fireRate: 60,
+            range: 400,
+            projectileSpeed: 12,
+            piercing: 999
+        },
+        fire: {
+            archetype: 'spread',
+            projectile: 'prism',
+            count: { base: 2, everyLevels: 4 },
+            arc: 0.25,               // Narrow split so both beams cut through the same crowd
+            damageMultiplier: 1,
+            speedMultiplier: 2,
+            piercing: 999,
+            life: 60,
+            size: 3
+        },
+        render: { style: 'streak', color: '#E056FD' },
+        icon: 'images/weapons/prismLance.png',
+        sound: { name: 'weaponRailgun', path: 'sound/weapon/railgun.mp3?v=2', volume: 0.7 },
+        names: { en: 'Prism Lance', ko: '프리즘 랜스' },
+        descriptions: {
+            en: 'Piercing railgun beam split into twin prismatic lasers',
+            ko: '두 갈래 프리즘 레이저로 갈라지는 관통 레일건 빔'
+        }
+    },
+    {
+        type: 'coilgun',
+        category: 'merge',
+        stats: {
+            damage: 30,
+            fireRate: 15,            // Basic Missile cadence with railgun punch
+            range: 400,
+            projectileSpeed: 10,
+            piercing: 999
+        },
+        fire: { archetype: 'straight', projectile: 'coil', speedMultiplier: 1.5, piercing: 999, life: 50, size: 3 },
+        render: { style: 'streak', color: '#4FC3F7' },
+        icon: 'images/weapons/coilgun.png',
+        sound: BASIC_MISSILE_SOUND,
+        names: { en: 'Coilgun', ko: '코일건' },
+        descriptions: {
+            en: 'Rapid magnetic slugs that pierce every enemy in line',
+            ko: '일직선의 모든 적을 관통하는 빠른 자기 탄환'
+        }
+    },
+    {
+        type: 'cluster_bomb',
+        category: 'evolution',
+        stats: {
+            damage: 45,
+            fireRate: 120,
+            range: 450,
+            projectileSpeed: 5,
+            piercing: 0,
+            homing: true,
+            explosionRadius: 80
+        },
+        fire: {
+            archetype: 'homing',
+            projectile: 'missile',
+            launch: 'still',
+            life: 180,
+            size: 4,
+            explosionRadius: 80,
+            // Bomblets ring the impact point: 4 extra blasts at 40% damage
+            cluster: { count: 4, spread: 55, radius: 45, damageMultiplier: 0.4 },
+            setBaseSpeed: true
+        },
+        render: { style: 'missile', color: '#C56CF0' },
+        icon: 'images/weapons/clusterBomb.png',
+        sound: { name: 'weaponHomingMissile', path: 'sound/weapon/homingMissile.mp3?v=2', volume: 0.7 },
+        names: { en: 'Cluster Bomb', ko: '클러스터 폭탄' },
+        descriptions: {
+            en: 'Homing warheads that burst into a ring of bomblets',
+            ko: '폭발 시 소형 폭탄을 원형으로 흩뿌리는 유도 탄두'
+        }
+    },
+    {
+        type: 'plasma_torch',
+        category: 'evolution',
+        stats: {
+            damage: 10,
+            fireRate: 12,
+            range: 180,
+            projectileSpeed: 5,
+            piercing: 3
+        },
+        fire: {
+            archetype: 'scatter',
+            projectile: 'plasma_flame',
+            count: { base: 4 },
+            cone: 0.25,              // Focused jet instead of a wide flame cone
+            speedRange: [0.9, 0.5],
+            damageMultiplier: 0.5,
+            piercing: 3,
+            life: 90,
+            size: 3,
+            sizeJitter: 2,
+            burn: { mode: 'ignite', damageMultiplier: 0.2 }
+        },
+        render: { style: 'flame', color: '#7D5FFF' },
+        icon: 'images/weapons/plasmaTorch.png',
+        sound: { name: 'weaponFlameThrower', path: 'sound/weapon/flameThrower.mp3?v=2', volume: 0.7 },
+        names: { en: 'Plasma Torch', ko: '플라즈마 토치' },
+        descriptions: {
+            en: 'Piercing plasma jet that sets whole lines of enemies ablaze',
+            ko: '적의 행렬 전체를 불태우는 관통 플라즈마 분사'
+        }
+    }
+];
@@ -0,0 +1,107 @@
+/**
+ * Gameplay Event Bus
+ * Gameplay systems (enemies, pickups, physics, player) report what happened here instead of
+ * taking callbacks for every reaction; audio, HUD toasts, particles, stats tracking and
+ * achievements subscribe to the events they care about.
+ *
+ * Handlers run synchronously in subscription order, inside the simulation step that emitted
+ * them - anything that changes the run must stay deterministic (seeded RNG only).
+ */
+
+/**
+ * Every event and the payload fields its emitters always send
+ *   enemyKilled      { enemy }                      any enemy dies, bosses included
+ *   bossSpawned      { boss, variant }              a boss enters the arena
+ *   bossPhaseChanged { boss, transition, variant, healthPercent }
+ *                                                   a boss roars into its next pattern phase
+ *   playerDamaged    { amount, source }             health lost: 'contact' (adds enemy),
+ *                                                   'projectile' (adds explosive) or 'explosion'
+ *   levelUp          { level }                      the player reaches a new level
+ *   weaponMerged     { type, weapon, evolution }    a merge or evolution is added
+ *   chestOpened      { orb, total }                 a chest is picked up (total this run)
+ *   orbCollected     { kind, orb }                  'xp', 'hp' or 'magnet' orb picked up
+ *                                                   (hp orbs add healed)
+ *   runEnded         { reason }                     'death' or 'bossRushCleared'
+ */
+export const GAME_EVENTS = {
+    enemyKilled: ['enemy'],
+    bossSpawned: ['boss', 'variant'],
+    bossPhaseChanged: ['boss', 'transition', 'variant', 'healthPercent'],
+    playerDamaged: ['amount', 'source'],
+    levelUp: ['level'],
+    weaponMerged: ['type', 'weapon', 'evolution'],
+    chestOpened: ['orb', 'total'],
+    orbCollected: ['kind', 'orb'],
+    runEnded: ['reason']
+};
+
+export class GameEventBus {
+    constructor() {
+        // Event name -> handlers in subscription order
+        this.handlers = new Map();
+    }
+
+    /**
+     * @param {string} event - Key in GAME_EVENTS
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Unsubscribes the handler
+     */
+    on(event, handler) {
+        if (!GAME_EVENTS[event]) {
+            console.warn(`Events: unknown event "${event}"`);
+            return () => {};
+        }
+
+        if (!this.handlers.has(event)) {
+            this.handlers.set(event, []);
+        }
+        this.handlers.get(event).push(handler);
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * @param {string} event - Key in GAME_EVENTS
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(event, handler) {
+        const handlers = this.handlers.get(event);
+        if (!handlers) return;
+
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    }
+
+    /**
+     * @param {string} event - Key in GAME_EVENTS
+     * @param {Object} payload - Event details (see GAME_EVENTS for the required fields)
+     */
+    emit(event, payload = {}) {
+        const fields = GAME_EVENTS[event];
+        if (!fields) {
+            console.warn(`Events: unknown event "${event}"`);
+            return;
+        }
+
+        const missing = fields.find(field => !(field in payload));
+        if (missing) {
+            console.warn(`Events: "${event}" emitted without "${missing}"`);
+        }
+
+        const handlers = this.handlers.get(event);
+        if (!handlers || handlers.length === 0) return;
+
+        // Copy so handlers can unsubscribe while the event is being delivered
+        for (const handler of handlers.slice()) {
+            handler(payload);
+        }
+    }
+
+    /**
+     * Removes every handler
+     */
+    clear() {
+        this.handlers.clear();
+    }
+}
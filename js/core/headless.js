@@ -0,0 +1,357 @@
+/**
+ * Headless Simulation Harness
+ * Steps the real update() pipeline (player, weapons, enemies, pickups, physics, boss scheduling)
+ * without a DOM or canvas, driven by an input provider (AutopilotBot or a scripted one), so
+ * balance changes to DIFFICULTY_SCALING / weapon definitions can be measured over many seeded runs.
+ * Used by tools/simulate.mjs; also importable from the browser console.
+ */
+
+import { VibeSurvivor } from '../vibe-survivor-game.js';
+import { GAME_INFO } from '../config/constants.js';
+import { DEFAULT_GAME_MODE } from '../config/game-modes.js';
+import { DEFAULT_CHARACTER } from '../config/characters.js';
+import { SeededRandom, createSeed, formatSeed } from '../utils/rng.js';
+import { AutopilotBot, resolveUpgradePolicy } from '../systems/gameplay/autopilot.js';
+
+const FRAMES_PER_SECOND = 60;
+
+/**
+ * Creates a 2D context whose methods are all no-ops and whose properties accept any value.
+ * Lets code paths that touch the canvas (camera, offscreen caches) run without a renderer.
+ * @returns {Object} Stub context
+ */
+function createStubContext() {
+    const noop = () => {};
+    const values = {};
+    return new Proxy(values, {
+        get(target, property) {
+            if (property in target) return target[property];
+            if (property === 'measureText') return () => ({ width: 0 });
+            if (property === 'createLinearGradient' || property === 'createRadialGradient') {
+                return () => ({ addColorStop: noop });
+            }
+            if (property === 'getImageData' || property === 'createImageData') {
+                return () => ({ data: [] });
+            }
+            return noop;
+        },
+        set(target, property, value) {
+            target[property] = value;
+            return true;
+        }
+    });
+}
+
+/**
+ * StubRenderer - Canvas stand-in for headless runs
+ */
+export class StubRenderer {
+    /**
+     * @param {number} [width=1280] - Virtual viewport width
+     * @param {number} [height=720] - Virtual viewport height
+     */
+    constructor(width = 1280, height = 720) {
+        this.ctx = createStubContext();
+        this.canvas = {
+            width,
+            height,
+            style: {},
+            getContext: () => this.ctx,
+            getBoundingClientRect: () => ({ left: 0, top: 0, width, height }),
+            addEventListener: () => {},
+            removeEventListener: () => {}
+        };
+    }
+
+    /**
+     * Points a game instance at the stub canvas
+     * @param {VibeSurvivor} game - Headless game instance
+     */
+    attach(game) {
+        game.canvas = this.canvas;
+        game.ctx = this.ctx;
+    }
+}
+
+/**
+ * ScriptedInputProvider - Replays a fixed movement script on a loop
+ *
+ * Input providers implement the same movement/dash contract as
+ * InputManager.getMovementInput() / isDashRequested(), plus chooseUpgrade() for level-up
+ * and chest picks. Assign one to game.inputProvider to drive a run
+ * (AutopilotBot is the steering AI alternative).
+ */
+export class ScriptedInputProvider {
+    /**
+     * @param {Object} [options] - Provider options
+     * @param {Array<Object>} [options.script] - Steps of { frames, x, y, dash } (x/y in -1..1), looped
+     * @param {string|Function} [options.upgradePolicy='first'] - See resolveUpgradePolicy() in autopilot.js
+     * @param {number} [options.seed] - Seed for the 'random' policy (kept apart from the run RNG)
+     */
+    constructor(options = {}) {
+        const {
+            script = ScriptedInputProvider.BOX_SCRIPT,
+            upgradePolicy = 'first',
+            seed = createSeed()
+        } = options;
+
+        this.script = script.filter(step => step.frames > 0);
+        this.totalFrames = this.script.reduce((sum, step) => sum + step.frames, 0);
+        this.rng = new SeededRandom(seed);
+        this.chooseUpgradeWith = resolveUpgradePolicy(upgradePolicy, this.rng);
+    }
+
+    /**
+     * Script step active on the game's current frame
+     * @param {VibeSurvivor} game - Game instance
+     * @returns {Object|null} Step, or null for an empty script
+     */
+    getStep(game) {
+        if (this.totalFrames === 0) return null;
+
+        let frame = game.frameCount % this.totalFrames;
+        for (const step of this.script) {
+            if (frame < step.frames) return step;
+            frame -= step.frames;
+        }
+        return null;
+    }
+
+    /**
+     * @param {VibeSurvivor} game - Game instance
+     * @returns {{x: number, y: number}} Movement direction
+     */
+    getMovementInput(game) {
+        const step = this.getStep(game);
+        return step ? { x: step.x || 0, y: step.y || 0 } : { x: 0, y: 0 };
+    }
+
+    /**
+     * @param {VibeSurvivor} game - Game instance
+     * @returns {boolean} Whether to dash this frame
+     */
+    isDashRequested(game) {
+        return !!this.getStep(game)?.dash;
+    }
+
+    /**
+     * @param {Array<Object>} choices - Offered upgrades
+     * @param {string} type - 'levelUp' or 'chest'
+     * @param {VibeSurvivor} game - Game instance
+     * @returns {number} Index of the picked choice
+     */
+    chooseUpgrade(choices, type, game) {
+        return this.chooseUpgradeWith(choices, type, game);
+    }
+}
+
+// Walks a 4-second square so the player keeps leaving the spawn ring
+ScriptedInputProvider.BOX_SCRIPT = [
+    { frames: 240, x: 1, y: 0 },
+    { frames: 240, x: 0, y: 1 },
+    { frames: 240, x: -1, y: 0 },
+    { frames: 240, x: 0, y: -1 }
+];
+
+// Never moves - worst-case baseline
+ScriptedInputProvider.IDLE_SCRIPT = [];
+
+/**
+ * Creates a game instance for headless stepping
+ * @returns {VibeSurvivor} Headless game
+ */
+export function createHeadlessGame() {
+    const game = new VibeSurvivor({ headless: true });
+    new StubRenderer().attach(game);
+    return game;
+}
+
+/**
+ * Builds the JSON summary for a finished run
+ * @param {VibeSurvivor} game - Game instance
+ * @param {string} outcome - 'died', 'cleared', 'timeLimit' or 'stalled'
+ * @returns {Object} Run summary
+ */
+export function summarizeRun(game, outcome) {
+    const stats = game.collectGameStats();
+
+    // Every weapon that dealt damage, including ones consumed by merges
+    const damageByWeapon = {};
+    Object.keys(game.weaponStats).forEach(type => {
+        const { total, enemies, bosses } = game.getWeaponDamageStats(type);
+        if (total > 0) {
+            damageByWeapon[type] = {
+                total: Math.round(total),
+                enemies: Math.round(enemies),
+                bosses: Math.round(bosses)
+            };
+        }
+    });
+
+    return {
+        gameVersion: GAME_INFO.VERSION,
+        seed: formatSeed(game.runSeed),
+        mode: game.gameMode,
+        character: game.characterId,
+        outcome,
+        frames: game.frameCount,
+        timeSurvived: Math.round(game.gameTime * 100) / 100,
+        timeText: stats.timeText,
+        level: stats.level,
+        kills: stats.enemiesKilled,
+        killsByEnemyType: stats.kills.byEnemyType,
+        killsByBossVariant: stats.kills.byBossVariant,
+        killsByWeapon: stats.kills.byWeapon,
+        bossesKilled: stats.bossesKilled,
+        clearTime: stats.clearTime ?? null,
+        chestsCollected: stats.chestsCollected,
+        weapons: stats.weapons.map(({ type, level, isMergeWeapon, branches }) => ({ type, level, isMergeWeapon, branches })),
+        passives: stats.passives,
+        damageByWeapon
+    };
+}
+
+/**
+ * Runs one seeded game to death, a Boss Rush clear or the time limit
+ * @param {Object} [options] - Run options
+ * @param {number} [options.seed] - Run seed (fresh if omitted)
+ * @param {string} [options.mode='survival'] - Game mode (key in GAME_MODES)
+ * @param {string} [options.character='aiBot'] - Character (key in CHARACTERS)
+ * @param {number} [options.maxSeconds=900] - Game-time limit
+ * @param {Object} [options.inputProvider] - Input provider (AutopilotBot by default)
+ * @param {VibeSurvivor} [options.game] - Reuse an instance from createHeadlessGame()
+ * @param {boolean} [options.quiet=true] - Silence console.log/info from the game while running
+ * @returns {Object} Run summary (see summarizeRun)
+ */
+export function runHeadlessSimulation(options = {}) {
+    const {
+        seed = createSeed(),
+        mode = DEFAULT_GAME_MODE,
+        character = DEFAULT_CHARACTER,
+        maxSeconds = 900,
+        inputProvider = new AutopilotBot({ seed }),
+        game = createHeadlessGame(),
+        quiet = true
+    } = options;
+
+    const maxFrames = Math.ceil(maxSeconds * FRAMES_PER_SECOND);
+    const { log, info } = console;
+    if (quiet) {
+        console.log = () => {};
+        console.info = () => {};
+    }
+
+    let outcome = 'timeLimit';
+    try {
+        game.inputProvider = inputProvider;
+        game.setGameMode(mode);
+        game.setCharacter(character);
+        game.beginSimulation(seed);
+
+        // Update-only loop: the boss timers are frame-based, so no wall clock is needed
+        while (game.frameCount < maxFrames) {
+            game.resolveProviderChoices();
+            if (game.playerDead) {
+                outcome = 'died';
+                break;
+            }
+            if (game.enemySystem.bossRush.isCleared()) {
+                outcome = 'cleared';
+                break;
+            }
+            if (!game.gameRunning) {
+                // Halted on something the provider can't answer - live play would be stuck here too
+                console.warn(`Headless run ${formatSeed(game.runSeed)} stalled at frame ${game.frameCount}`);
+                outcome = 'stalled';
+                break;
+            }
+            game.update();
+        }
+    } finally {
+        game.gameRunning = false;
+        console.log = log;
+        console.info = info;
+    }
+
+    return summarizeRun(game, outcome);
+}
+
+/**
+ * Runs many games and aggregates them (seeds follow on from the first one)
+ * @param {Object} [options] - Batch options
+ * @param {number} [options.runs=10] - Number of runs
+ * @param {number} [options.seed] - First seed
+ * @param {Function} [options.createInputProvider] - (seed) => input provider for each run
+ * @param {Function} [options.onRun] - Called with each summary as it finishes
+ * @returns {{runs: Array<Object>, aggregate: Object}} Summaries and averages
+ */
+export function runHeadlessBatch(options = {}) {
+    const {
+        runs = 10,
+        seed = createSeed(),
+        createInputProvider = (runSeed) => new AutopilotBot({ seed: runSeed }),
+        onRun = null,
+        ...runOptions
+    } = options;
+
+    const game = createHeadlessGame();
+    const summaries = [];
+
+    for (let i = 0; i < runs; i++) {
+        const runSeed = (seed + i) >>> 0;
+        const summary = runHeadlessSimulation({
+            ...runOptions,
+            seed: runSeed,
+            inputProvider: createInputProvider(runSeed),
+            game
+        });
+        summaries.push(summary);
+        if (onRun) onRun(summary, i);
+    }
+
+    return { runs: summaries, aggregate: aggregateRuns(summaries) };
+}
+
+/**
+ * Averages a set of run summaries
+ * @param {Array<Object>} summaries - Run summaries
+ * @returns {Object} Aggregate stats
+ */
+export function aggregateRuns(summaries) {
+    const count = summaries.length;
+    if (count === 0) return { runs: 0 };
+
+    const average = (key) => Math.round(summaries.reduce((sum, run) => sum + run[key], 0) / count * 100) / 100;
+    const times = summaries.map(run => run.timeSurvived).sort((a, b) => a - b);
+
+    const damageByWeapon = {};
+    let totalDamage = 0;
+    summaries.forEach(run => {
+        Object.entries(run.damageByWeapon).forEach(([type, damage]) => {
+            damageByWeapon[type] = (damageByWeapon[type] || 0) + damage.total;
+            totalDamage += damage.total;
+        });
+    });
+
+    const weaponDamageShare = {};
+    Object.keys(damageByWeapon)
+        .sort((a, b) => damageByWeapon[b] - damageByWeapon[a])
+        .forEach(type => {
+            weaponDamageShare[type] = {
+                averageDamage: Math.round(damageByWeapon[type] / count),
+                share: totalDamage > 0 ? Math.round(damageByWeapon[type] / totalDamage * 1000) / 1000 : 0
+            };
+        });
+
+    return {
+        runs: count,
+        deaths: summaries.filter(run => run.outcome === 'died').length,
+        clears: summaries.filter(run => run.outcome === 'cleared').length,
+        averageTimeSurvived: average('timeSurvived'),
+        medianTimeSurvived: times[Math.floor(count / 2)],
+        averageLevel: average('level'),
+        averageKills: average('kills'),
+        averageBossesKilled: average('bossesKilled'),
+        weaponDamageShare
+    };
+}
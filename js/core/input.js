@@ -61,6 +61,7 @@ export class InputManager {
      * @returns {boolean}
      */
     detectMobile() {
+        if (typeof navigator === 'undefined') return false; // headless (Node)
         return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
     }
 
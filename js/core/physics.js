@@ -2,12 +2,19 @@
 // Extracted from vibe-survivor-game.js during Phase 6 refactoring
 
 import { COLLISION, PLAYER, SCREEN_EFFECTS } from '../config/constants.js';
+import { SeededRandom } from '../utils/rng.js';
+import { SpatialGrid } from '../utils/spatial-grid.js';
 
 /**
  * Manages physics calculations and collision detection
  */
 export class PhysicsManager {
-    constructor() {
+    /**
+     * @param {SeededRandom} [rng] - Shared gameplay RNG (used for critical hit rolls)
+     */
+    constructor(rng = new SeededRandom()) {
+        this.rng = rng;
+
         // Physics cache for optimization
         this.sqrtCache = new Map();
         this.maxCacheSize = 1000;
@@ -19,6 +26,37 @@ export class PhysicsManager {
         this.TRIG_ANGLE_SCALE = this.TRIG_TABLE_SIZE / (2 * Math.PI);
 
         this.initTrigLookupTables();
+
+        // Enemy positions, shared by every proximity query in a tick (collisions, targeting,
+        // homing, chains, explosions). Rebuilt lazily after invalidateEnemyGrid().
+        this.enemyGrid = new SpatialGrid(COLLISION.GRID_CELL_SIZE);
+        this.enemyGridSource = null;
+        this.enemyGridDirty = true;
+        this.nearbyEnemies = [];
+
+        // Projectile positions for enemies that react to incoming fire (dodgers)
+        this.projectileGrid = new SpatialGrid(COLLISION.GRID_CELL_SIZE);
+    }
+
+    /**
+     * Marks the enemy grid stale (call whenever enemies have moved)
+     */
+    invalidateEnemyGrid() {
+        this.enemyGridDirty = true;
+    }
+
+    /**
+     * Spatial index of the enemies, rebuilt if they moved or the list changed since the last query
+     * @param {Array<Object>} enemies - Current enemy array
+     * @returns {SpatialGrid}
+     */
+    getEnemyGrid(enemies) {
+        if (this.enemyGridDirty || this.enemyGridSource !== enemies || this.enemyGrid.size !== enemies.length) {
+            this.enemyGrid.rebuild(enemies);
+            this.enemyGridSource = enemies;
+            this.enemyGridDirty = false;
+        }
+        return this.enemyGrid;
     }
 
     /**
@@ -145,6 +183,9 @@ export class PhysicsManager {
         const projectiles = game.projectiles;
         const enemies = game.enemies;
         const player = game.player;
+        const statusEffects = game.enemySystem.statusEffects;
+        const enemyGrid = this.getEnemyGrid(enemies);
+        const nearbyEnemies = this.nearbyEnemies;
 
         // Loop backwards to safely remove projectiles during iteration
         for (let pIndex = projectiles.length - 1; pIndex >= 0; pIndex--) {
@@ -157,17 +198,15 @@ export class PhysicsManager {
             let hitCount = 0;
             const maxHits = projectile.piercing === true ? 999 : (projectile.piercing || 1);
 
-            // Pre-screen enemies by distance for performance
-            const nearbyEnemies = enemies.filter(enemy => {
-                return this.manhattanDistanceCheck(
-                    projectile.x, projectile.y,
-                    enemy.x, enemy.y,
-                    COLLISION.PRESCREEN_DISTANCE
-                );
-            });
+            // Pre-screen enemies by grid cell, then by distance
+            enemyGrid.query(projectile.x, projectile.y, COLLISION.PRESCREEN_DISTANCE, nearbyEnemies);
 
             for (let j = nearbyEnemies.length - 1; j >= 0; j--) {
                 const enemy = nearbyEnemies[j];
+                if (!this.manhattanDistanceCheck(projectile.x, projectile.y, enemy.x, enemy.y, COLLISION.PRESCREEN_DISTANCE)) continue;
+
+                // Pierce upgrades let a shot pass through - never hit the same enemy twice
+                if (projectile.piercedEnemies && projectile.piercedEnemies.includes(enemy)) continue;
 
                 const dx = projectile.x - enemy.x;
                 const dy = projectile.y - enemy.y;
@@ -188,7 +227,7 @@ export class PhysicsManager {
                     if (player.passives.critical) {
                         const criticalStacks = typeof player.passives.critical === 'number' ? player.passives.critical : 1;
                         const criticalChance = 0.15 * criticalStacks;
-                        if (Math.random() < criticalChance) {
+                        if (this.rng.next() < criticalChance) {
                             damage *= 2;
                             if (game.createCriticalParticles) {
                                 game.createCriticalParticles(enemy.x, enemy.y);
@@ -196,6 +235,7 @@ export class PhysicsManager {
                         }
                     }
 
+                    damage *= statusEffects.getDamageTakenMultiplier(enemy);
                     enemy.health -= damage;
 
                     // Track weapon damage
@@ -214,34 +254,38 @@ export class PhysicsManager {
                         game.createExplosion(enemy.x, enemy.y, projectile.explosionRadius, projectile.damage * 0.5, projectile.sourceType);
                     } else if (projectile.type === 'missile' && projectile.explosionRadius && game.createExplosion) {
                         game.createExplosion(enemy.x, enemy.y, projectile.explosionRadius, projectile.damage * 0.7, projectile.sourceType);
+                        if (projectile.cluster) {
+                            // Cluster bombs scatter bomblets evenly around the impact
+                            const { count, spread, radius, damageMultiplier } = projectile.cluster;
+                            for (let b = 0; b < count; b++) {
+                                const angle = (b / count) * Math.PI * 2;
+                                game.createExplosion(
+                                    enemy.x + Math.cos(angle) * spread,
+                                    enemy.y + Math.sin(angle) * spread,
+                                    radius,
+                                    projectile.damage * damageMultiplier,
+                                    projectile.sourceType
+                                );
+                            }
+                        }
                         projectileHit = true;
-                    } else if (projectile.type === 'flame' && projectile.dotDamage) {
-                        enemy.burning = {
+                    } else if (projectile.dotDamage) {
+                        statusEffects.apply(enemy, 'burn', {
                             damage: projectile.dotDamage,
-                            duration: 180,
                             sourceType: projectile.sourceType
-                        };
+                        });
                     } else if (projectile.isNapalm && projectile.burnDamage) {
-                        // Initialize napalm stacks array if needed
-                        if (!enemy.napalmStacks) {
-                            enemy.napalmStacks = [];
-                        }
+                        statusEffects.apply(enemy, 'napalm', {
+                            damage: projectile.burnDamage,
+                            duration: projectile.burnDuration,
+                            maxStacks: projectile.maxBurnStacks || 6,
+                            sourceType: projectile.sourceType
+                        });
+                    }
 
-                        // Apply new burn stack
-                        const maxStacks = projectile.maxBurnStacks || 6;
-                        if (enemy.napalmStacks.length < maxStacks) {
-                            enemy.napalmStacks.push({
-                                damage: projectile.burnDamage,
-                                duration: projectile.burnDuration,
-                                sourceType: projectile.sourceType
-                            });
-                        } else {
-                            // At max stacks, refresh oldest stack's duration
-                            enemy.napalmStacks[0].duration = Math.max(
-                                enemy.napalmStacks[0].duration,
-                                projectile.burnDuration
-                            );
-                        }
+                    // Weapons can also carry any other status (fire.status)
+                    if (projectile.status) {
+                        statusEffects.applyWeaponStatus(enemy, projectile.status, projectile.damage, projectile.sourceType);
                     }
 
                     // Check if projectile should be removed
@@ -249,7 +293,10 @@ export class PhysicsManager {
                         if (projectile.hitCount >= (projectile.maxHits || 10)) {
                             projectileHit = true;
                         }
-                    } else if (!['laser', 'railgun', 'homing_laser'].includes(projectile.type) || hitCount >= maxHits) {
+                    } else if (projectile.pierceLeft > 0 && !projectileHit) {
+                        projectile.pierceLeft--;
+                        projectile.piercedEnemies.push(enemy);
+                    } else if (!projectile.pierces || hitCount >= maxHits) {
                         projectileHit = true;
                     }
 
@@ -282,7 +329,7 @@ export class PhysicsManager {
         const player = game.player;
 
         // Pre-screen enemies for performance
-        const nearbyEnemies = enemies.filter(enemy => {
+        const nearbyEnemies = this.getEnemyGrid(enemies).query(player.x, player.y, COLLISION.PRESCREEN_DISTANCE).filter(enemy => {
             return this.manhattanDistanceCheck(
                 player.x, player.y,
                 enemy.x, enemy.y,
@@ -310,20 +357,8 @@ export class PhysicsManager {
                 player.health -= damage;
                 player.invulnerable = 60;
 
-                // Create hit particles
-                if (game.createHitParticles) {
-                    game.createHitParticles(player.x, player.y, '#ff0000');
-                }
-
-                // Create screen shake effect
-                if (game.createScreenShake) {
-                    game.createScreenShake(6);
-                }
-
-                // Create red flash effect
-                if (game.createRedFlash) {
-                    game.createRedFlash(0.5);
-                }
+                // Hit particles, shake and red flash subscribe to this
+                game.events.emit('playerDamaged', { amount: damage, source: 'contact', enemy });
 
                 // Check for player death
                 if (player.health <= 0 && game.handlePlayerDeath) {
@@ -374,16 +409,11 @@ export class PhysicsManager {
                 }
                 // Player hit by enemy projectile
                 player.health -= projectile.damage;
-
-                // Create screen shake effect
-                if (game.createScreenShake) {
-                    game.createScreenShake(projectile.explosionRadius ? 8 : 4);
-                }
-
-                // Create red flash effect
-                if (game.createRedFlash) {
-                    game.createRedFlash(projectile.explosionRadius ? 0.7 : 0.4);
-                }
+                game.events.emit('playerDamaged', {
+                    amount: projectile.damage,
+                    source: 'projectile',
+                    explosive: !!projectile.explosionRadius
+                });
 
                 // Create explosion if projectile has explosion radius
                 if (!explosionTriggered && projectile.explosionRadius && game.createExplosion) {
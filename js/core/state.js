@@ -1,7 +1,7 @@
 // State management for Vibe Survivor
 // Extracted from vibe-survivor-game.js during Phase 4 refactoring
 
-import { PLAYER, SPAWN_CONFIG, GAME_TIMING, SCREEN_EFFECTS } from '../config/constants.js';
+import { PLAYER, SPAWN_CONFIG, GAME_TIMING, SCREEN_EFFECTS, UPGRADE_ACTIONS } from '../config/constants.js';
 
 /**
  * Creates initial player state object
@@ -30,12 +30,19 @@ export function createPlayerState(x = 0, y = 0) {
 
         // Abilities
         dashCooldown: 0,
+        dashCooldownMax: PLAYER.DASH_COOLDOWN,
+        rerollCharges: UPGRADE_ACTIONS.STARTING_REROLLS,
+        banishCharges: UPGRADE_ACTIONS.STARTING_BANISHES,
         trail: [],
 
         // Upgrades and passives
         passives: {},
+        // Upgrades banished from the level-up / chest pools for the rest of the run
+        banishedWeapons: [],
+        banishedPassives: [],
         trailMultiplier: PLAYER.TRAIL_MULTIPLIER,
         magnetBoost: 0,
+        magnetRangeBonus: 0,
 
         // Sprite animation
         spriteFrame: 0,
@@ -81,6 +88,20 @@ export function createWeaponStatsState() {
     return {};
 }
 
+/**
+ * Creates initial kill stats state
+ * @returns {Object} Kill counters: total plus counts by enemy behavior, boss variant
+ *                   and the weapon that landed the killing blow
+ */
+export function createKillStatsState() {
+    return {
+        total: 0,
+        byEnemyType: {},
+        byBossVariant: {},
+        byWeapon: {}
+    };
+}
+
 /**
  * Creates initial enemies state
  * @returns {Object} Enemies arrays
@@ -206,6 +227,7 @@ export function createGameState() {
         camera: createCameraState(),
         weapons: createWeaponsState(),
         weaponStats: createWeaponStatsState(),
+        killStats: createKillStatsState(),
         enemies: createEnemiesState(),
         projectiles: createProjectilesState(),
         pickups: createPickupsState(),
@@ -234,10 +256,16 @@ export function resetPlayerState(player) {
     player.glow = 0;
     player.invulnerable = 0;
     player.dashCooldown = 0;
+    player.dashCooldownMax = PLAYER.DASH_COOLDOWN;
+    player.rerollCharges = UPGRADE_ACTIONS.STARTING_REROLLS;
+    player.banishCharges = UPGRADE_ACTIONS.STARTING_BANISHES;
     player.trail = [];
     player.passives = {};
+    player.banishedWeapons = [];
+    player.banishedPassives = [];
     player.trailMultiplier = PLAYER.TRAIL_MULTIPLIER;
     player.magnetBoost = 0;
+    player.magnetRangeBonus = 0;
     player.spriteFrame = 0;
     player.spriteTimer = 0;
     player.spriteDirection = 'idle';
@@ -281,6 +309,17 @@ export function resetWeaponStatsState(weaponStats) {
     }
 }
 
+/**
+ * Resets kill stats state
+ * @param {Object} killStats - Kill stats object to reset
+ */
+export function resetKillStatsState(killStats) {
+    killStats.total = 0;
+    killStats.byEnemyType = {};
+    killStats.byBossVariant = {};
+    killStats.byWeapon = {};
+}
+
 /**
  * Resets enemies state to initial values
  * @param {Object} enemiesState - Enemies state object to reset
@@ -0,0 +1,140 @@
+/**
+ * Achievement System
+ * Checks the achievements in config/achievements.js against what happens in a run. Most
+ * triggers come from the gameplay event bus (subscribe()), the rest through handleEvent(), and
+ * update() runs once per frame for the time-based goals; unlocks are saved to
+ * utils/achievement-storage.js and announced through onUnlock().
+ */
+
+import { ACHIEVEMENTS } from '../../config/achievements.js';
+import { achievementStorage } from '../../utils/achievement-storage.js';
+
+// trigger.event -> (trigger, data) => whether the event meets the trigger's condition
+const TRIGGER_CHECKS = {
+    weaponMerged: () => true,
+    enemyKilled: (trigger, data) => data.enemy?.behavior === 'boss' && data.enemy.variantId === trigger.variant,
+    noDamage: (trigger, data) => data.seconds >= trigger.seconds,
+    levelUp: (trigger, data) => data.level >= trigger.level,
+    victory: (trigger, data) => data.weaponCount <= trigger.maxWeapons,
+    chestOpened: (trigger, data) => data.total >= trigger.count
+};
+
+export class AchievementSystem {
+    /**
+     * @param {Object} [storage] - Persistence (AchievementStorage interface)
+     */
+    constructor(storage = achievementStorage) {
+        this.storage = storage;
+        this.onUnlockCallback = null;
+
+        // Locked achievement ids grouped by trigger event
+        this.pending = new Map();
+        // Replays and other runs that shouldn't count leave tracking off
+        this.enabled = false;
+
+        this.lastDamageTime = null;
+        this.damagedSinceUpdate = false;
+        this.lastCheckedSecond = -1;
+    }
+
+    /**
+     * Listens for the bus events the achievement triggers use
+     * @param {GameEventBus} events - Gameplay event bus (core/events.js)
+     */
+    subscribe(events) {
+        ['enemyKilled', 'weaponMerged', 'levelUp', 'chestOpened'].forEach(event => {
+            events.on(event, (data) => this.handleEvent(event, data));
+        });
+        events.on('playerDamaged', () => {
+            this.damagedSinceUpdate = true;
+        });
+    }
+
+    /**
+     * @param {Function} callback - Called with (achievementId, achievement) when one unlocks
+     */
+    onUnlock(callback) {
+        this.onUnlockCallback = callback;
+    }
+
+    /**
+     * Resets the per-run trackers and reloads what's still locked
+     * @param {Object} options
+     * @param {boolean} options.enabled - Whether this run can unlock achievements
+     */
+    startRun({ enabled = true } = {}) {
+        this.enabled = enabled;
+        this.lastDamageTime = null;
+        this.damagedSinceUpdate = false;
+        this.lastCheckedSecond = -1;
+
+        const unlocked = this.storage.getUnlocked();
+        this.pending.clear();
+        Object.entries(ACHIEVEMENTS).forEach(([achievementId, achievement]) => {
+            if (unlocked[achievementId]) return;
+            const event = achievement.trigger.event;
+            if (!this.pending.has(event)) {
+                this.pending.set(event, []);
+            }
+            this.pending.get(event).push(achievementId);
+        });
+    }
+
+    /**
+     * Checks the locked achievements listening for an event
+     * @param {string} event - Trigger event name (see config/achievements.js)
+     * @param {Object} [data] - Event details
+     */
+    handleEvent(event, data = {}) {
+        if (!this.enabled) return;
+
+        const achievementIds = this.pending.get(event);
+        if (!achievementIds || achievementIds.length === 0) return;
+
+        const check = TRIGGER_CHECKS[event];
+        if (!check) {
+            console.warn('Achievements: unknown trigger event:', event);
+            return;
+        }
+
+        achievementIds
+            .filter(achievementId => check(ACHIEVEMENTS[achievementId].trigger, data))
+            .forEach(achievementId => this.unlock(achievementId));
+    }
+
+    /**
+     * Per-frame tracking for the time-based goals
+     * @param {number} gameTime - Run time in seconds
+     */
+    update(gameTime) {
+        if (!this.enabled) return;
+
+        // The first tracked frame starts the clock (continued runs resume mid-run)
+        if (this.lastDamageTime === null || this.damagedSinceUpdate) {
+            this.lastDamageTime = gameTime;
+            this.damagedSinceUpdate = false;
+        }
+
+        const second = Math.floor(gameTime);
+        if (second !== this.lastCheckedSecond) {
+            this.lastCheckedSecond = second;
+            this.handleEvent('noDamage', { seconds: gameTime - this.lastDamageTime });
+        }
+    }
+
+    /**
+     * @param {string} achievementId - Key in ACHIEVEMENTS
+     */
+    unlock(achievementId) {
+        const achievement = ACHIEVEMENTS[achievementId];
+        const achievementIds = this.pending.get(achievement.trigger.event);
+        const index = achievementIds ? achievementIds.indexOf(achievementId) : -1;
+        if (index !== -1) {
+            achievementIds.splice(index, 1);
+        }
+
+        if (this.storage.unlock(achievementId) && this.onUnlockCallback) {
+            this.onUnlockCallback(achievementId, achievement);
+        }
+    }
+}
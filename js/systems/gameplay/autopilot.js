@@ -0,0 +1,289 @@
+/**
+ * Autopilot Bot
+ * AI input provider that plays a run on its own: kites away from enemy clusters, dodges
+ * boss projectiles and routes to XP/chest orbs. Drives headless balance runs
+ * (js/core/headless.js) and the start-screen attract demo.
+ *
+ * Input providers expose the same movement/dash contract as InputManager.getMovementInput()
+ * and isDashRequested(), plus chooseUpgrade() for level-up and chest picks.
+ */
+
+import { SeededRandom, createSeed } from '../../utils/rng.js';
+
+/**
+ * Upgrade policies: (choices, type, game) => choice index
+ */
+export const UPGRADE_POLICIES = {
+    // Always take the first offer (choices are already shuffled by the run RNG)
+    first: () => 0,
+
+    // Level owned weapons before taking new ones (depth)
+    upgradeFirst: (choices) => preferChoiceType(choices, 'weapon_upgrade'),
+
+    // Fill weapon slots before levelling (breadth)
+    newWeaponFirst: (choices) => preferChoiceType(choices, 'new_weapon')
+};
+
+function preferChoiceType(choices, type) {
+    const index = choices.findIndex(choice => choice.type === type);
+    return index === -1 ? 0 : index;
+}
+
+/**
+ * Turns a policy name or function into a pick function
+ * @param {string|Function} policy - UPGRADE_POLICIES key, 'random', or (choices, type, game) => index
+ * @param {SeededRandom} rng - Generator for the 'random' policy (keep it apart from the run RNG)
+ * @returns {Function} (choices, type, game) => index
+ */
+export function resolveUpgradePolicy(policy, rng) {
+    if (typeof policy === 'function') return policy;
+    if (policy === 'random') return (choices) => rng.int(0, choices.length - 1);
+    if (UPGRADE_POLICIES[policy]) return UPGRADE_POLICIES[policy];
+
+    console.warn(`Unknown upgrade policy "${policy}", using "first"`);
+    return UPGRADE_POLICIES.first;
+}
+
+const DEFAULT_TUNING = {
+    threatRadius: 240,        // Enemies inside this range push the bot away
+    bossWeight: 4,            // Bosses count as this many regular enemies
+    dodgeLookahead: 45,       // Frames of enemy projectile travel to predict
+    dodgeMargin: 14,          // Extra clearance wanted around projectiles
+    pickupRadius: 500,        // XP/HP/magnet orbs worth detouring for
+    chestRadius: 1100,        // Chests are rarer - go further for them
+    lowHealthRatio: 0.6,      // Below this, HP orbs become top priority
+    dashGap: 18,              // Dash when an enemy edge gets this close
+    turnRate: 0.25            // Heading smoothing (0-1, higher turns faster)
+};
+
+/**
+ * AutopilotBot - Steering-behaviour player
+ */
+export class AutopilotBot {
+    /**
+     * @param {Object} [options] - Bot options (any DEFAULT_TUNING key can be overridden too)
+     * @param {string|Function} [options.upgradePolicy='upgradeFirst'] - See resolveUpgradePolicy()
+     * @param {number} [options.seed] - Seed for wandering and the 'random' policy
+     */
+    constructor(options = {}) {
+        const { upgradePolicy = 'upgradeFirst', seed = createSeed(), ...tuning } = options;
+
+        this.tuning = { ...DEFAULT_TUNING, ...tuning };
+        this.rng = new SeededRandom(seed);
+        this.chooseUpgradeWith = resolveUpgradePolicy(upgradePolicy, this.rng);
+
+        this.movement = { x: 0, y: 0 };
+        this.reset();
+    }
+
+    /**
+     * Clears per-run steering state
+     */
+    reset() {
+        this.headingX = 0;
+        this.headingY = 0;
+        this.wanderAngle = this.rng.range(0, Math.PI * 2);
+        this.wantsDash = false;
+        this.lastFrame = -1;
+    }
+
+    /**
+     * @param {Object} game - Game instance
+     * @returns {{x: number, y: number}} Movement direction
+     */
+    getMovementInput(game) {
+        this.think(game);
+        this.movement.x = this.headingX;
+        this.movement.y = this.headingY;
+        return this.movement;
+    }
+
+    /**
+     * @param {Object} game - Game instance
+     * @returns {boolean} Whether to dash this frame
+     */
+    isDashRequested(game) {
+        this.think(game);
+        return this.wantsDash;
+    }
+
+    /**
+     * @param {Array<Object>} choices - Offered upgrades
+     * @param {string} type - 'levelUp' or 'chest'
+     * @param {Object} game - Game instance
+     * @returns {number} Index of the picked choice
+     */
+    chooseUpgrade(choices, type, game) {
+        return this.chooseUpgradeWith(choices, type, game);
+    }
+
+    /**
+     * Decides this frame's heading and dash once per simulated frame
+     * @param {Object} game - Game instance
+     */
+    think(game) {
+        if (game.frameCount === this.lastFrame) return;
+        if (game.frameCount < this.lastFrame) {
+            // A new run started on the same game instance
+            this.reset();
+        }
+        this.lastFrame = game.frameCount;
+
+        const player = game.player;
+        const threat = this.senseEnemies(game.enemies, player);
+        const dodge = this.senseProjectiles(game.projectiles, player);
+
+        let desiredX = threat.x + dodge.x;
+        let desiredY = threat.y + dodge.y;
+        const pressure = Math.min(1, Math.hypot(desiredX, desiredY));
+
+        // The calmer it is, the more the bot is drawn to pickups
+        const target = this.pickTarget(game, player);
+        if (target) {
+            const dx = target.x - player.x;
+            const dy = target.y - player.y;
+            const distance = Math.hypot(dx, dy) || 1;
+            const pull = 1 - pressure * 0.8;
+            desiredX += (dx / distance) * pull;
+            desiredY += (dy / distance) * pull;
+        } else if (pressure < 0.1) {
+            // Nothing to do - drift so weapons keep meeting new enemies
+            this.wanderAngle += this.rng.range(-0.08, 0.08);
+            desiredX += Math.cos(this.wanderAngle) * 0.5;
+            desiredY += Math.sin(this.wanderAngle) * 0.5;
+        }
+
+        const length = Math.hypot(desiredX, desiredY);
+        if (length > 0.001) {
+            const turnRate = this.tuning.turnRate;
+            this.headingX += (desiredX / length - this.headingX) * turnRate;
+            this.headingY += (desiredY / length - this.headingY) * turnRate;
+            const headingLength = Math.hypot(this.headingX, this.headingY) || 1;
+            this.headingX /= headingLength;
+            this.headingY /= headingLength;
+        }
+
+        this.wantsDash = !player.dashCooldown &&
+            (threat.closestGap < this.tuning.dashGap || dodge.imminent);
+    }
+
+    /**
+     * Sums repulsion from nearby enemies, weighted so dense clusters and bosses push hardest
+     * @returns {{x: number, y: number, closestGap: number}}
+     */
+    senseEnemies(enemies, player) {
+        const { threatRadius, bossWeight } = this.tuning;
+        let x = 0;
+        let y = 0;
+        let closestGap = Infinity;
+
+        for (const enemy of enemies) {
+            if (enemy.isDefeated) continue;
+
+            const dx = player.x - enemy.x;
+            const dy = player.y - enemy.y;
+            const reach = threatRadius + enemy.radius;
+            const distanceSq = dx * dx + dy * dy;
+            if (distanceSq > reach * reach) continue;
+
+            const distance = Math.sqrt(distanceSq) || 0.001;
+            const closeness = 1 - distance / reach;
+            const weight = closeness * closeness * (enemy.behavior === 'boss' ? bossWeight : 1);
+            x += (dx / distance) * weight;
+            y += (dy / distance) * weight;
+
+            closestGap = Math.min(closestGap, distance - enemy.radius - player.radius);
+        }
+
+        return { x, y, closestGap };
+    }
+
+    /**
+     * Predicts each enemy projectile's closest approach and steers out of its path
+     * @returns {{x: number, y: number, imminent: boolean}}
+     */
+    senseProjectiles(projectiles, player) {
+        const { dodgeLookahead, dodgeMargin } = this.tuning;
+        let x = 0;
+        let y = 0;
+        let imminent = false;
+
+        for (const projectile of projectiles) {
+            if (projectile.owner !== 'enemy') continue;
+
+            const px = projectile.x - player.x;
+            const py = projectile.y - player.y;
+            const vx = projectile.vx || 0;
+            const vy = projectile.vy || 0;
+            const speedSq = vx * vx + vy * vy;
+
+            // Stationary hazards (mines) keep their blast radius; moving ones just their size
+            const hazardRadius = speedSq < 0.0025 && projectile.explosionRadius
+                ? projectile.explosionRadius * 0.6
+                : (projectile.size || 3);
+            const clearance = hazardRadius + player.radius + dodgeMargin;
+
+            const time = speedSq > 0
+                ? Math.max(0, Math.min(dodgeLookahead, -(px * vx + py * vy) / speedSq))
+                : 0;
+            const cx = px + vx * time;
+            const cy = py + vy * time;
+            const missDistance = Math.hypot(cx, cy);
+            if (missDistance >= clearance) continue;
+
+            // Step away from the closest-approach point (sideways if it's dead centre)
+            let awayX = -cx;
+            let awayY = -cy;
+            if (missDistance < 0.5) {
+                awayX = -vy;
+                awayY = vx;
+            }
+            const awayLength = Math.hypot(awayX, awayY) || 1;
+            const urgency = (1 - time / dodgeLookahead) * 2;
+            x += (awayX / awayLength) * urgency;
+            y += (awayY / awayLength) * urgency;
+
+            if (time < 8) {
+                imminent = true;
+            }
+        }
+
+        return { x, y, imminent };
+    }
+
+    /**
+     * Chooses the pickup worth heading for: HP when hurt, then chests, then the nearest orb
+     * @returns {Object|null} Orb with x/y, or null
+     */
+    pickTarget(game, player) {
+        const { pickupRadius, chestRadius, lowHealthRatio } = this.tuning;
+
+        if (player.health < player.maxHealth * lowHealthRatio) {
+            const hpOrb = this.nearest(game.hpOrbs, player, chestRadius);
+            if (hpOrb) return hpOrb;
+        }
+
+        const chest = this.nearest(game.chestOrbs, player, chestRadius);
+        if (chest) return chest;
+
+        return this.nearest(game.magnetOrbs, player, pickupRadius) ||
+            this.nearest(game.xpOrbs, player, pickupRadius);
+    }
+
+    nearest(items, player, maxDistance) {
+        let best = null;
+        let bestDistanceSq = maxDistance * maxDistance;
+
+        for (const item of items) {
+            const dx = item.x - player.x;
+            const dy = item.y - player.y;
+            const distanceSq = dx * dx + dy * dy;
+            if (distanceSq < bestDistanceSq) {
+                bestDistanceSq = distanceSq;
+                best = item;
+            }
+        }
+
+        return best;
+    }
+}
@@ -0,0 +1,54 @@
+/**
+ * Characters
+ * Rules for the characters in config/characters.js: looking one up, applying its stat profile
+ * to a fresh player, and which characters a finished run unlocks. Unlocks are kept by
+ * utils/meta-progress-storage.js; the starting weapon and signature passive are handed out by
+ * the game when it resets, since they go through the weapon and passive systems.
+ */
+
+import { CHARACTERS, DEFAULT_CHARACTER } from '../../config/characters.js';
+
+/**
+ * @param {string} characterId - Key in CHARACTERS
+ * @returns {Object} Character config (the default character for unknown ids)
+ */
+export function getCharacter(characterId) {
+    return CHARACTERS[characterId] || CHARACTERS[DEFAULT_CHARACTER];
+}
+
+/**
+ * @param {string} characterId - Key in CHARACTERS
+ * @param {Array<string>} unlockedIds - Characters unlocked so far
+ * @returns {boolean} Whether the character can be picked
+ */
+export function isCharacterUnlocked(characterId, unlockedIds = []) {
+    const character = CHARACTERS[characterId];
+    if (!character) return false;
+    return !character.unlock || unlockedIds.includes(characterId);
+}
+
+/**
+ * Characters whose unlock condition a finished run met
+ * @param {Object} score - Score data from collectGameStats()
+ * @returns {Array<string>} Character ids (including ones unlocked before)
+ */
+export function getCharactersUnlockedBy(score) {
+    if (!score) return [];
+    return Object.entries(CHARACTERS)
+        .filter(([, character]) => character.unlock && (score[character.unlock.stat] || 0) >= character.unlock.value)
+        .map(([characterId]) => characterId);
+}
+
+/**
+ * Applies a character's stat profile to a player that has just been reset
+ * @param {Object} player - Player state from resetPlayerState()
+ * @param {string} characterId - Key in CHARACTERS
+ */
+export function applyCharacterStats(player, characterId) {
+    const { stats } = getCharacter(characterId);
+
+    player.speed *= stats.speed;
+    player.maxHealth = stats.maxHealth;
+    player.health = stats.maxHealth;
+    player.magnetRangeBonus = stats.magnetRange;
+}
@@ -0,0 +1,416 @@
+/**
+ * Boss Pattern System
+ * Turns the bullet patterns in config/boss-patterns.js into boss missiles, describes the
+ * warnings shown before each attack and runs the phase transitions of BOSS_VARIANTS entries.
+ * Per-boss state (current step, spiral angles, delayed volleys, transitions done) lives on the
+ * boss so it saves and restores with the run.
+ */
+
+import { BOSS_PATTERNS, DEFAULT_BOSS_PATTERN, BOSS_TELEGRAPHS } from '../../../config/boss-patterns.js';
+import { SeededRandom } from '../../../utils/rng.js';
+
+const TWO_PI = Math.PI * 2;
+
+// Unknown ids/shapes are reported once, not every attack
+const warned = new Set();
+
+function warnOnce(message) {
+    if (warned.has(message)) return;
+    warned.add(message);
+    console.warn(message);
+}
+
+export class BossPatternSystem {
+    /**
+     * @param {SeededRandom} [rng] - Shared gameplay RNG
+     */
+    constructor(rng) {
+        this.rng = rng || new SeededRandom();
+    }
+
+    /**
+     * @param {string|Object} attackPattern - Key in BOSS_PATTERNS or an inline pattern
+     * @returns {Object} Pattern (the default one when the key is unknown)
+     */
+    resolvePattern(attackPattern) {
+        if (attackPattern && typeof attackPattern === 'object') {
+            return attackPattern;
+        }
+        if (attackPattern && !BOSS_PATTERNS[attackPattern]) {
+            warnOnce(`Unknown boss attack pattern: ${attackPattern}`);
+        }
+        return BOSS_PATTERNS[attackPattern] || BOSS_PATTERNS[DEFAULT_BOSS_PATTERN];
+    }
+
+    /**
+     * @param {Object} pattern - Resolved pattern
+     * @param {number} healthPercent - Boss health fraction
+     * @returns {{ phase: Object, phaseIndex: number }} First phase whose threshold is met
+     */
+    getPhase(pattern, healthPercent) {
+        const phases = pattern.phases || [pattern];
+        const phaseIndex = phases.findIndex(phase =>
+            phase.healthAbove === undefined || healthPercent > phase.healthAbove
+        );
+        const index = phaseIndex === -1 ? phases.length - 1 : phaseIndex;
+        return { phase: phases[index], phaseIndex: index };
+    }
+
+    /**
+     * Frames between attacks set by the current phase
+     * @param {string|Object} attackPattern - Key in BOSS_PATTERNS or an inline pattern
+     * @param {number} healthPercent - Boss health fraction
+     * @returns {number|null} null when the phase leaves it to the variant
+     */
+    getAttackInterval(attackPattern, healthPercent) {
+        const { phase } = this.getPhase(this.resolvePattern(attackPattern), healthPercent);
+        return phase.interval || null;
+    }
+
+    /**
+     * Makes one attack: the current step's volleys, then the phase's every-attack volleys
+     * @param {Object} boss - Boss enemy
+     * @param {string|Object} attackPattern - Key in BOSS_PATTERNS or an inline pattern
+     * @param {Object} context - Fire context
+     * @param {Object} context.player - Player (aim target)
+     * @param {number} context.healthPercent - Boss health fraction
+     * @param {Function} context.addProjectile - (projectile) => void
+     * @param {Function} context.getProjectileLife - (baseLife, boss) => number
+     */
+    fire(boss, attackPattern, context) {
+        const pattern = this.resolvePattern(attackPattern);
+        const { phase, phaseIndex } = this.getPhase(pattern, context.healthPercent);
+        const state = this.getState(boss);
+
+        if (phase.steps?.length) {
+            const step = state.step % phase.steps.length;
+            state.step = step + 1;
+            phase.steps[step].forEach((volley, index) => {
+                this.launchVolley(boss, pattern, volley, { phase: phaseIndex, step, index }, context);
+            });
+        }
+        (phase.volleys || []).forEach((volley, index) => {
+            this.launchVolley(boss, pattern, volley, { phase: phaseIndex, step: -1, index }, context);
+        });
+    }
+
+    /**
+     * Fires delayed and repeating volleys that are due. Call once per frame per boss.
+     * @param {Object} boss - Boss enemy
+     * @param {string|Object} attackPattern - Key in BOSS_PATTERNS or an inline pattern
+     * @param {Object} context - Fire context (see fire)
+     */
+    update(boss, attackPattern, context) {
+        const queue = boss.patternState?.queue;
+        if (!queue || queue.length === 0) return;
+
+        const pattern = this.resolvePattern(attackPattern);
+        const due = [];
+        boss.patternState.queue = queue.filter(entry => {
+            entry.framesLeft--;
+            if (entry.framesLeft > 0) return true;
+            due.push(entry);
+            return false;
+        });
+
+        due.forEach(entry => {
+            const volley = this.getVolley(pattern, entry.ref);
+            if (!volley) return; // Pattern changed under a restored run
+            this.fireVolley(boss, pattern, volley, entry.ref, context);
+            if (entry.shotsLeft > 1) {
+                boss.patternState.queue.push({
+                    ref: entry.ref,
+                    framesLeft: volley.repeat.every,
+                    shotsLeft: entry.shotsLeft - 1
+                });
+            }
+        });
+    }
+
+    /**
+     * Warnings for the boss's next attack, for the effects layer to draw. Purely visual: reading
+     * them doesn't advance the pattern.
+     * @param {Object} boss - Boss enemy
+     * @param {string|Object} attackPattern - Key in BOSS_PATTERNS or an inline pattern
+     * @param {number} healthPercent - Boss health fraction
+     * @param {Object} player - Player (aim target)
+     * @returns {Array<Object>} Telegraphs (see EffectsManager.addTelegraph) with `anchor` set to
+     *                          'boss' or 'player' and `target` to 'player' where a line tracks the aim
+     */
+    getTelegraphs(boss, attackPattern, healthPercent, player) {
+        const { phase } = this.getPhase(this.resolvePattern(attackPattern), healthPercent);
+        const volleys = [...(phase.volleys || [])];
+        if (phase.steps?.length) {
+            volleys.unshift(...phase.steps[(boss.patternState?.step || 0) % phase.steps.length]);
+        }
+
+        const telegraphs = [];
+        for (const volley of volleys) {
+            if (volley.telegraph === false) continue;
+
+            const anchor = volley.center === 'player' ? 'player' : 'boss';
+            const count = volley.count || 1;
+            const offset = volley.offset || 0;
+
+            switch (volley.shape) {
+                case 'aimed': {
+                    const angles = [];
+                    for (let i = 0; i < count; i++) {
+                        angles.push(offset + (i - (count - 1) / 2) * (volley.spacing || 0));
+                    }
+                    telegraphs.push({
+                        kind: 'line', anchor, target: 'player', angles, color: volley.color,
+                        length: BOSS_TELEGRAPHS.lineLength, width: BOSS_TELEGRAPHS.lineWidth
+                    });
+                    break;
+                }
+                case 'wave':
+                    telegraphs.push({
+                        kind: 'line', anchor, target: 'player', angles: [offset], color: volley.color,
+                        length: BOSS_TELEGRAPHS.lineLength,
+                        width: Math.max(BOSS_TELEGRAPHS.lineWidth, count * (volley.spacing || 0))
+                    });
+                    break;
+                case 'ring':
+                case 'spiral':
+                    telegraphs.push({
+                        kind: 'circle', anchor, color: volley.color,
+                        radius: Math.max(BOSS_TELEGRAPHS.ringRadius, (boss.radius || 0) + 20)
+                    });
+                    break;
+                case 'mines': {
+                    const base = (volley.aim ? Math.atan2(player.y - boss.y, player.x - boss.x) : 0) + offset;
+                    for (let i = 0; i < count; i++) {
+                        const angle = base + (TWO_PI * i) / count;
+                        telegraphs.push({
+                            kind: 'circle', anchor, color: volley.color,
+                            x: Math.cos(angle) * (volley.distance || 0),
+                            y: Math.sin(angle) * (volley.distance || 0),
+                            radius: volley.explosionRadius || 40
+                        });
+                    }
+                    break;
+                }
+            }
+        }
+        return telegraphs;
+    }
+
+    /**
+     * The next phase transition whose health threshold the boss has crossed
+     * @param {Object} boss - Boss enemy
+     * @param {Array<Object>} [transitions] - The variant's phaseTransitions, highest threshold first
+     * @param {number} healthPercent - Boss health fraction
+     * @returns {Object|null}
+     */
+    getNextPhaseTransition(boss, transitions, healthPercent) {
+        const transition = transitions?.[boss.phaseTransitionsDone || 0];
+        return transition && healthPercent < transition.healthBelow ? transition : null;
+    }
+
+    /**
+     * Runs the gameplay side of a phase transition: invulnerability, the new pattern set (with
+     * fresh pattern state) and the arena hazards. The caller handles the roar and screen shake.
+     * @param {Object} boss - Boss enemy
+     * @param {Object} transition - Entry of the variant's phaseTransitions
+     * @param {Object} context - Fire context (see fire)
+     */
+    startPhaseTransition(boss, transition, context) {
+        boss.phaseTransitionsDone = (boss.phaseTransitionsDone || 0) + 1;
+        boss.invulnerableFrames = transition.invulnerableFrames || 0;
+
+        if (transition.attackPattern) {
+            boss.attackPattern = transition.attackPattern;
+            boss.patternState = null;
+        }
+
+        // Hazards are one-off volleys; key their spiral angles apart from the pattern's
+        const pattern = this.resolvePattern(boss.attackPattern);
+        (transition.hazards || []).forEach((volley, index) => {
+            this.fireVolley(boss, pattern, volley, { phase: 'hazard', step: -1, index }, context);
+        });
+    }
+
+    /**
+     * @param {Object} boss - Boss enemy
+     * @returns {Object} boss.patternState, created on first use
+     */
+    getState(boss) {
+        return boss.patternState || (boss.patternState = { step: 0, spins: {}, queue: [] });
+    }
+
+    /**
+     * @param {Object} pattern - Resolved pattern
+     * @param {Object} ref - { phase, step, index } (step -1: the phase's every-attack volleys)
+     * @returns {Object|undefined} Volley at that position
+     */
+    getVolley(pattern, ref) {
+        const phase = (pattern.phases || [pattern])[ref.phase];
+        const list = ref.step === -1 ? phase?.volleys : phase?.steps?.[ref.step];
+        return list?.[ref.index];
+    }
+
+    /**
+     * Fires a volley now or queues it according to its delay/repeat
+     * @param {Object} boss - Boss enemy
+     * @param {Object} pattern - Resolved pattern
+     * @param {Object} volley - Volley definition
+     * @param {Object} ref - Volley position (see getVolley)
+     * @param {Object} context - Fire context (see fire)
+     */
+    launchVolley(boss, pattern, volley, ref, context) {
+        const shots = 1 + Math.max(0, volley.repeat?.count || 0);
+        if (volley.delay > 0) {
+            this.getState(boss).queue.push({ ref, framesLeft: volley.delay, shotsLeft: shots });
+            return;
+        }
+
+        this.fireVolley(boss, pattern, volley, ref, context);
+        if (shots > 1) {
+            this.getState(boss).queue.push({ ref, framesLeft: volley.repeat.every, shotsLeft: shots - 1 });
+        }
+    }
+
+    /**
+     * Spawns the projectiles of one volley
+     * @param {Object} boss - Boss enemy
+     * @param {Object} pattern - Resolved pattern
+     * @param {Object} volley - Volley definition
+     * @param {Object} ref - Volley position (keys its spiral angle)
+     * @param {Object} context - Fire context (see fire)
+     */
+    fireVolley(boss, pattern, volley, ref, context) {
+        const { player } = context;
+        const level = boss.bossLevel || 1;
+        const scale = {
+            speed: Math.pow(pattern.scaling?.speed || 1, level - 1),
+            damage: Math.pow(pattern.scaling?.damage || 1, level - 1)
+        };
+        const count = volley.count || 1;
+        const origin = volley.center === 'player' ? player : boss;
+        const angleToPlayer = Math.atan2(player.y - boss.y, player.x - boss.x);
+        const offset = volley.offset || 0;
+
+        switch (volley.shape) {
+            case 'ring':
+            case 'spiral': {
+                if (volley.shape === 'spiral' && !volley.spin) {
+                    warnOnce('Boss spiral volley without spin fires as a plain ring');
+                }
+                const spin = volley.spin ? this.advanceSpin(boss, ref, volley.spin) : 0;
+                const base = (volley.aim ? angleToPlayer : 0) + offset;
+                for (let i = 0; i < count; i++) {
+                    const angle = base + (TWO_PI * i) / count;
+                    this.addShot(boss, origin.x, origin.y, angle + spin, volley, scale, context);
+                    if (volley.mirror) {
+                        this.addShot(boss, origin.x, origin.y, angle - spin, volley, scale, context, volley.mirrorColor);
+                    }
+                }
+                break;
+            }
+            case 'aimed':
+                for (let i = 0; i < count; i++) {
+                    const angle = angleToPlayer + offset + (i - (count - 1) / 2) * (volley.spacing || 0);
+                    this.addShot(boss, origin.x, origin.y, angle, volley, scale, context);
+                }
+                break;
+            case 'wave': {
+                const angle = angleToPlayer + offset;
+                const sideX = -Math.sin(angle);
+                const sideY = Math.cos(angle);
+                for (let i = 0; i < count; i++) {
+                    const side = (i - (count - 1) / 2) * (volley.spacing || 0);
+                    this.addShot(boss, origin.x + sideX * side, origin.y + sideY * side, angle, volley, scale, context);
+                }
+                break;
+            }
+            case 'mines': {
+                const base = (volley.aim ? angleToPlayer : 0) + offset;
+                const distance = volley.distance || 0;
+                for (let i = 0; i < count; i++) {
+                    const angle = base + (TWO_PI * i) / count;
+                    context.addProjectile({
+                        ...this.createMissile(boss, volley, scale, 0, context),
+                        x: origin.x + Math.cos(angle) * distance,
+                        y: origin.y + Math.sin(angle) * distance,
+                        vx: 0,
+                        vy: 0,
+                        isMine: true,
+                        pulseOffset: this.rng.next() * TWO_PI
+                    });
+                }
+                break;
+            }
+            default:
+                warnOnce(`Unknown boss volley shape: ${volley.shape}`);
+        }
+    }
+
+    /**
+     * Turns a spiral by its spin and returns the new angle
+     * @param {Object} boss - Boss enemy
+     * @param {Object} ref - Volley position
+     * @param {number} spin - Radians per shot
+     * @returns {number}
+     */
+    advanceSpin(boss, ref, spin) {
+        const spins = this.getState(boss).spins;
+        const key = `${ref.phase}:${ref.step}:${ref.index}`;
+        spins[key] = ((spins[key] || 0) + spin) % TWO_PI;
+        return spins[key];
+    }
+
+    /**
+     * Adds one moving shot
+     * @param {Object} boss - Boss enemy
+     * @param {number} x - Start X
+     * @param {number} y - Start Y
+     * @param {number} angle - Direction in radians
+     * @param {Object} volley - Volley definition
+     * @param {Object} scale - { speed, damage } level multipliers
+     * @param {Object} context - Fire context (see fire)
+     * @param {string} [color] - Overrides the volley color
+     */
+    addShot(boss, x, y, angle, volley, scale, context, color) {
+        const speed = (volley.speed || 0) * scale.speed;
+        const missile = this.createMissile(boss, volley, scale, speed, context);
+        missile.x = x;
+        missile.y = y;
+        missile.vx = Math.cos(angle) * speed;
+        missile.vy = Math.sin(angle) * speed;
+        if (color) {
+            missile.color = color;
+        }
+        context.addProjectile(missile);
+    }
+
+    /**
+     * @param {Object} boss - Boss enemy
+     * @param {Object} volley - Volley definition
+     * @param {Object} scale - { speed, damage } level multipliers
+     * @param {number} speed - Scaled speed
+     * @param {Object} context - Fire context (see fire)
+     * @returns {Object} Boss missile without position/velocity
+     */
+    createMissile(boss, volley, scale, speed, context) {
+        const missile = {
+            x: boss.x,
+            y: boss.y,
+            vx: 0,
+            vy: 0,
+            damage: Math.floor((volley.damage || 0) * scale.damage),
+            life: context.getProjectileLife(volley.life || 200, boss),
+            type: 'boss-missile',
+            color: volley.color,
+            size: volley.size || 4,
+            homing: !!volley.homing,
+            explosionRadius: volley.explosionRadius || 0,
+            speed,
+            owner: 'enemy'
+        };
+        if (volley.homing) {
+            missile.homingStrength = volley.homing;
+        }
+        return missile;
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * Boss Rush Director
+ * Runs the Boss Rush mode from config/boss-rush.js: every BOSS_VARIANTS entry in turn, then the
+ * duo encounters, with an interlude after each one. It only decides which encounter comes next
+ * and when - the game spawns the bosses and hands out the interlude rewards. Progress is plain
+ * data (getState/setState) so it is saved with the run.
+ */
+
+import { BOSS_RUSH } from '../../../config/boss-rush.js';
+import { BOSS_VARIANTS } from '../../../config/constants.js';
+
+const ENCOUNTER_DEFAULTS = {
+    healthScale: 1,
+    partnerDelay: 0,
+    enrage: false
+};
+
+export class BossRushDirector {
+    /**
+     * @param {Object} [config=BOSS_RUSH] - Boss rush config
+     */
+    constructor(config = BOSS_RUSH) {
+        this.config = config;
+        this.encounters = this.buildEncounters(config);
+        this.reset();
+    }
+
+    /**
+     * One solo encounter per boss variant, then the duos (skipping any with unknown variants)
+     * @param {Object} config - Boss rush config
+     * @returns {Array<Object>} Encounters of { bosses, healthScale, partnerDelay, enrage }
+     */
+    buildEncounters(config) {
+        const knownIds = new Set(BOSS_VARIANTS.map(variant => variant.id));
+        const solos = BOSS_VARIANTS.map(variant => ({ ...ENCOUNTER_DEFAULTS, bosses: [variant.id] }));
+
+        const duos = (config.duos || []).filter(duo => {
+            const bosses = duo.bosses || [];
+            const unknown = bosses.filter(id => !knownIds.has(id));
+            if (bosses.length !== 2 || unknown.length > 0) {
+                console.warn(`Boss rush: skipping duo [${bosses.join(', ')}] - needs two known boss variants`);
+                return false;
+            }
+            return true;
+        }).map(duo => ({ ...ENCOUNTER_DEFAULTS, ...duo }));
+
+        return [...solos, ...duos];
+    }
+
+    /**
+     * Stops the rush and clears its progress
+     */
+    reset() {
+        this.active = false;
+        this.encounterIndex = 0;
+        this.nextEncounterTime = null;
+        this.clearTime = null;
+    }
+
+    /**
+     * Starts a rush at the beginning of a run
+     */
+    start() {
+        this.reset();
+        this.active = true;
+        this.nextEncounterTime = this.config.warmupSeconds;
+    }
+
+    /**
+     * @returns {Object} Serializable progress
+     */
+    getState() {
+        return {
+            active: this.active,
+            encounterIndex: this.encounterIndex,
+            nextEncounterTime: this.nextEncounterTime,
+            clearTime: this.clearTime
+        };
+    }
+
+    /**
+     * Restores progress saved by getState()
+     * @param {Object} state - Saved state
+     */
+    setState(state) {
+        if (!state) return;
+        this.active = !!state.active;
+        this.encounterIndex = Math.min(state.encounterIndex || 0, this.encounters.length);
+        this.nextEncounterTime = state.nextEncounterTime ?? null;
+        this.clearTime = state.clearTime ?? null;
+    }
+
+    /**
+     * @returns {number} Encounters in a full rush
+     */
+    getEncounterCount() {
+        return this.encounters.length;
+    }
+
+    /**
+     * @returns {Object|null} The encounter being fought or waited for
+     */
+    getCurrentEncounter() {
+        return this.encounters[this.encounterIndex] || null;
+    }
+
+    /**
+     * @returns {boolean} Whether the current encounter is the last one
+     */
+    isFinalEncounter() {
+        return this.encounterIndex === this.encounters.length - 1;
+    }
+
+    /**
+     * @returns {boolean} Whether every encounter has been beaten
+     */
+    isCleared() {
+        return this.clearTime !== null;
+    }
+
+    /**
+     * Boss scaling steps for the current encounter (used in place of bosses killed)
+     * @returns {number}
+     */
+    getScalingSteps() {
+        return this.encounterIndex * this.config.scalingPerEncounter;
+    }
+
+    /**
+     * Hands out the current encounter once its time has come
+     * @param {number} gameTime - Run time in seconds
+     * @returns {Object|null} Encounter to spawn, or null if none is due
+     */
+    takeDueEncounter(gameTime) {
+        if (!this.active || this.nextEncounterTime === null || gameTime < this.nextEncounterTime) {
+            return null;
+        }
+        this.nextEncounterTime = null;
+        return this.getCurrentEncounter();
+    }
+
+    /**
+     * Marks the current encounter as beaten and schedules the next after the interlude
+     * @param {number} gameTime - Run time in seconds
+     * @returns {boolean} True if that was the last encounter (clear time recorded)
+     */
+    completeEncounter(gameTime) {
+        this.encounterIndex++;
+        if (this.encounterIndex >= this.encounters.length) {
+            this.active = false;
+            this.clearTime = gameTime;
+            return true;
+        }
+
+        this.nextEncounterTime = gameTime + this.config.interludeSeconds;
+        return false;
+    }
+}
@@ -0,0 +1,249 @@
+/**
+ * Elite System
+ * Rolls the affixes defined in config/elite-affixes.js onto regular enemies and runs them.
+ * Like status effects, all state lives on the enemy (enemy.eliteAffixes, enemy.eliteShield,
+ * enemy.eliteHealTimer) so elites save and restore with the run.
+ */
+
+import { ELITE_AFFIXES, ELITE_SPAWNS } from '../../../config/elite-affixes.js';
+import { SeededRandom } from '../../../utils/rng.js';
+
+// Rolled and ticked in definition order so seeded runs stay deterministic
+const ELITE_AFFIX_IDS = Object.keys(ELITE_AFFIXES);
+
+export class EliteSystem {
+    /**
+     * @param {SeededRandom} [rng] - Shared gameplay RNG
+     */
+    constructor(rng) {
+        this.rng = rng || new SeededRandom();
+    }
+
+    /**
+     * Whether elites can spawn yet
+     * @param {number} gameTime - Run time in seconds
+     * @param {number} bossesKilled - Bosses defeated this run
+     * @returns {boolean}
+     */
+    isUnlocked(gameTime, bossesKilled) {
+        return gameTime >= ELITE_SPAWNS.unlockTime || bossesKilled >= ELITE_SPAWNS.unlockBosses;
+    }
+
+    /**
+     * Chance that a regular spawn becomes an elite
+     * @param {number} gameTime - Run time in seconds
+     * @param {number} bossesKilled - Bosses defeated this run
+     * @returns {number} 0 while elites are locked
+     */
+    getEliteChance(gameTime, bossesKilled) {
+        if (!this.isUnlocked(gameTime, bossesKilled)) return 0;
+
+        const minutesUnlocked = Math.max(0, gameTime - ELITE_SPAWNS.unlockTime) / 60;
+        const chance = ELITE_SPAWNS.baseChance +
+            minutesUnlocked * ELITE_SPAWNS.chancePerMinute +
+            bossesKilled * ELITE_SPAWNS.chancePerBoss;
+        return Math.min(ELITE_SPAWNS.maxChance, chance);
+    }
+
+    /**
+     * Maybe turns a freshly spawned enemy into an elite. Bosses never roll.
+     * @param {Object} enemy - New enemy (not yet in the enemies array)
+     * @param {Object} state - Run state
+     * @param {number} state.gameTime - Run time in seconds
+     * @param {number} state.bossesKilled - Bosses defeated this run
+     * @param {number} [state.chanceBonus=0] - Added to the chance once elites are unlocked
+     *                                         (wave timeline modifiers)
+     * @returns {Array<string>} Rolled affix ids (empty when the enemy stays regular)
+     */
+    rollAffixes(enemy, { gameTime, bossesKilled, chanceBonus = 0 }) {
+        if (enemy.behavior === 'boss') return [];
+
+        const baseChance = this.getEliteChance(gameTime, bossesKilled || 0);
+        const chance = baseChance > 0 ? Math.min(1, baseChance + chanceBonus) : 0;
+        if (chance <= 0 || this.rng.next() >= chance) return [];
+
+        const pool = ELITE_AFFIX_IDS.filter(id => (ELITE_AFFIXES[id].minBosses || 0) <= (bossesKilled || 0));
+        const count = this.rng.next() < ELITE_SPAWNS.secondAffixChance ? 2 : 1;
+        const affixes = [];
+
+        // Weighted picks without replacement
+        while (affixes.length < count && pool.length > 0) {
+            const totalWeight = pool.reduce((sum, id) => sum + ELITE_AFFIXES[id].weight, 0);
+            let roll = this.rng.next() * totalWeight;
+            let index = 0;
+            while (index < pool.length - 1 && roll >= ELITE_AFFIXES[pool[index]].weight) {
+                roll -= ELITE_AFFIXES[pool[index]].weight;
+                index++;
+            }
+            affixes.push(pool[index]);
+            pool.splice(index, 1);
+        }
+
+        this.applyAffixes(enemy, affixes);
+        return affixes;
+    }
+
+    /**
+     * Makes an enemy an elite with the given affixes (unknown ids are skipped)
+     * @param {Object} enemy - Enemy
+     * @param {Array<string>} affixes - Keys in ELITE_AFFIXES
+     */
+    applyAffixes(enemy, affixes) {
+        const known = affixes.filter(id => {
+            if (ELITE_AFFIXES[id]) return true;
+            console.warn(`Unknown elite affix: ${id}`);
+            return false;
+        });
+        if (known.length === 0) return;
+
+        enemy.eliteAffixes = known;
+        enemy.maxHealth = Math.floor(enemy.maxHealth * ELITE_SPAWNS.healthMultiplier);
+        enemy.health = enemy.maxHealth;
+        enemy.radius = Math.round(enemy.radius * ELITE_SPAWNS.radiusMultiplier);
+
+        if (known.includes('hasted')) {
+            const { speedMultiplier } = ELITE_AFFIXES.hasted;
+            enemy.speed *= speedMultiplier;
+            if (enemy.baseSpeed) {
+                enemy.baseSpeed *= speedMultiplier;
+            }
+        }
+        if (known.includes('shielded')) {
+            const max = enemy.maxHealth * ELITE_AFFIXES.shielded.shieldFraction;
+            enemy.eliteShield = { value: max, max, lastHealth: enemy.health, regenCooldown: 0 };
+        }
+        if (known.includes('vampiric')) {
+            enemy.eliteHealTimer = ELITE_AFFIXES.vampiric.interval;
+        }
+    }
+
+    /**
+     * @param {Object} enemy - Enemy
+     * @param {string} affixId - Key in ELITE_AFFIXES
+     * @returns {boolean}
+     */
+    hasAffix(enemy, affixId) {
+        return !!enemy.eliteAffixes?.includes(affixId);
+    }
+
+    /**
+     * Runs an elite's shield and healing for one frame. Call before the enemy's death check so
+     * the shield can soak a killing blow.
+     * @param {Object} enemy - Enemy to update
+     * @param {Object} context - Update context
+     * @param {Array} context.enemies - All enemies (vampiric heal targets)
+     * @param {Function} [context.createHitParticles] - (x, y, color, scale) => void
+     */
+    update(enemy, context) {
+        if (!enemy.eliteAffixes) return;
+
+        if (enemy.eliteShield) {
+            this.updateShield(enemy);
+        }
+        if (enemy.eliteHealTimer !== undefined && enemy.health > 0) {
+            enemy.eliteHealTimer--;
+            if (enemy.eliteHealTimer <= 0) {
+                enemy.eliteHealTimer = ELITE_AFFIXES.vampiric.interval;
+                this.healAllies(enemy, context);
+            }
+        }
+    }
+
+    /**
+     * Damage reaches enemies from many places (projectiles, explosions, status ticks), so the
+     * shield works after the fact: it refunds whatever health was lost since the last frame.
+     * @param {Object} enemy - Shielded enemy
+     */
+    updateShield(enemy) {
+        const shield = enemy.eliteShield;
+        const { regenDelay, regenPerFrame } = ELITE_AFFIXES.shielded;
+        const lost = shield.lastHealth - enemy.health;
+
+        if (lost > 0) {
+            const absorbed = Math.min(shield.value, lost);
+            shield.value -= absorbed;
+            enemy.health += absorbed;
+            shield.regenCooldown = regenDelay;
+        } else if (shield.regenCooldown > 0) {
+            shield.regenCooldown--;
+        } else if (shield.value < shield.max) {
+            shield.value = Math.min(shield.max, shield.value + shield.max * regenPerFrame);
+        }
+
+        shield.lastHealth = enemy.health;
+    }
+
+    /**
+     * Vampiric pulse: heals every living non-boss enemy in range, the caster included
+     * @param {Object} enemy - Vampiric enemy
+     * @param {Object} context - Update context (see update)
+     */
+    healAllies(enemy, { enemies, createHitParticles }) {
+        const { radius, healFraction, color } = ELITE_AFFIXES.vampiric;
+        const radiusSquared = radius * radius;
+
+        for (const ally of enemies) {
+            if (ally.behavior === 'boss' || ally.health <= 0 || ally.health >= ally.maxHealth) continue;
+
+            const dx = ally.x - enemy.x;
+            const dy = ally.y - enemy.y;
+            if (dx * dx + dy * dy > radiusSquared) continue;
+
+            const healed = Math.min(ally.maxHealth - ally.health, ally.maxHealth * healFraction);
+            ally.health += healed;
+            if (ally.eliteShield) {
+                // Healing isn't damage - keep the shield from treating it as a baseline
+                ally.eliteShield.lastHealth += healed;
+            }
+            if (createHitParticles) {
+                createHitParticles(ally.x, ally.y, color, 0.3);
+            }
+        }
+    }
+
+    /**
+     * Death effects and bonus rewards of an elite. Regular enemies are ignored.
+     * @param {Object} enemy - Elite that just died
+     * @param {Object} context - Death context
+     * @param {Object} context.player - Player (exploding range check)
+     * @param {Function} context.spawnMinions - (x, y, count) => void
+     * @param {Function} context.createXPOrb - (x, y) => void
+     * @param {Function} context.dropChestOrb - (x, y) => void
+     * @param {Function} context.damagePlayer - (damage) => void
+     * @param {Function} context.createExplosion - (x, y, radius, damage) => void
+     */
+    onDeath(enemy, context) {
+        const affixes = enemy.eliteAffixes;
+        if (!affixes) return;
+
+        const { player, spawnMinions, createXPOrb, dropChestOrb, damagePlayer, createExplosion } = context;
+
+        if (affixes.includes('splitting')) {
+            spawnMinions(enemy.x, enemy.y, ELITE_AFFIXES.splitting.minionCount);
+        }
+
+        if (affixes.includes('exploding')) {
+            const { radius, damageMultiplier } = ELITE_AFFIXES.exploding;
+            // Visual only - the blast hurts the player, not other enemies
+            createExplosion(enemy.x, enemy.y, radius, 0);
+
+            const dx = player.x - enemy.x;
+            const dy = player.y - enemy.y;
+            const reach = radius + (player.radius || 0);
+            if (dx * dx + dy * dy <= reach * reach) {
+                damagePlayer(Math.floor((enemy.contactDamage || 0) * damageMultiplier));
+            }
+        }
+
+        // Bonus XP orbs in a ring around the main drop
+        const bonusOrbs = affixes.length * ELITE_SPAWNS.bonusXPOrbsPerAffix;
+        for (let i = 0; i < bonusOrbs; i++) {
+            const angle = (Math.PI * 2 * i) / bonusOrbs;
+            createXPOrb(enemy.x + Math.cos(angle) * 15, enemy.y + Math.sin(angle) * 15);
+        }
+
+        if (this.rng.next() < affixes.length * ELITE_SPAWNS.chestChancePerAffix) {
+            dropChestOrb(enemy.x, enemy.y);
+        }
+    }
+}
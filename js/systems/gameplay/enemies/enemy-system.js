@@ -1,34 +1,97 @@
 /**
  * Enemy System
  * Manages enemy spawning, behavior, and boss mechanics
- * Handles difficulty scaling, enemy grouping, and AI behaviors
+ * Handles wave pacing, enemy updates and deaths, elites and boss patterns
  */
 
-const DEFAULT_BOSS_VARIANT_COUNT = 11;
+import { SeededRandom } from '../../../utils/rng.js';
+import { StatusEffectSystem } from './status-effects.js';
+import { EliteSystem } from './elites.js';
+import { WaveDirector } from './wave-director.js';
+import { BossPatternSystem } from './boss-patterns.js';
+import { BossRushDirector } from './boss-rush.js';
+import { GameEventBus } from '../../../core/events.js';
 
 export class EnemySystem {
+    /**
+     * @param {Object} [options] - Options
+     * @param {SeededRandom} [options.rng] - Shared gameplay RNG
+     * @param {string|Object} [options.timeline] - Wave timeline (key in WAVE_TIMELINES or object)
+     * @param {GameEventBus} [options.events] - Gameplay event bus (enemyKilled)
+     */
     constructor(options = {}) {
+        this.rng = options.rng || new SeededRandom();
+        this.events = options.events || new GameEventBus();
         this.frameCount = 0;
         this.lastSpawn = 0;
         this.spawnRate = 120; // Start at 120 frames between spawns
         this.bossSpawned = false;
-        this.bossVariantCount = Math.max(1, options.bossVariantCount || DEFAULT_BOSS_VARIANT_COUNT);
+
+        // Delayed actions counted in simulation frames (not wall-clock) so replays stay in sync
+        this.scheduledActions = [];
+
+        // Burn, napalm, slows and the other enemy statuses (state lives on each enemy)
+        this.statusEffects = new StatusEffectSystem();
+
+        // Elite affixes (shielded, splitting, ...) rolled onto regular spawns
+        this.elites = new EliteSystem(this.rng);
+
+        // Spawn pacing and scripted events from the wave timeline
+        this.waveDirector = new WaveDirector({ rng: this.rng, timeline: options.timeline });
+
+        // Boss bullet patterns from config/boss-patterns.js
+        this.bossPatterns = new BossPatternSystem(this.rng);
+
+        // Encounter order of the Boss Rush mode (idle in other modes)
+        this.bossRush = new BossRushDirector();
+    }
+
+    /**
+     * Schedules a callback to run after a number of simulation frames
+     * @param {number} frames - Frames to wait
+     * @param {Function} action - Callback
+     */
+    scheduleAfterFrames(frames, action) {
+        this.scheduledActions.push({ framesLeft: frames, action });
     }
 
     /**
-     * Main spawn controller with accelerating difficulty
-     * Spawns regular enemies and manages boss spawning at key times
+     * Ticks scheduled actions and runs the ones that are due
+     */
+    updateScheduledActions() {
+        if (this.scheduledActions.length === 0) return;
+
+        const due = [];
+        this.scheduledActions = this.scheduledActions.filter(entry => {
+            entry.framesLeft--;
+            if (entry.framesLeft <= 0) {
+                due.push(entry.action);
+                return false;
+            }
+            return true;
+        });
+        due.forEach(action => action());
+    }
+
+    /**
+     * Main spawn controller, paced by the wave timeline
+     * Runs the timeline's events, then tops up the ambient trickle of regular enemies
      * @param {Object} params - Parameters object
      * @param {Array} params.enemies - Enemy array
      * @param {Object} params.player - Player object
      * @param {number} params.gameTime - Game time in seconds
-     * @param {number} params.bossesKilled - Number of bosses defeated
      * @param {boolean} params.bossDefeating - Is boss currently being defeated
-     * @param {Function} params.spawnEnemy - Callback to spawn regular enemy
-     * @param {Function} params.spawnBoss - Callback to spawn first boss
+     * @param {boolean} params.bossActive - A boss is on the field or about to arrive
+     * @param {number|null} params.nextBossTime - Scheduled time of the next boss respawn
+     * @param {Function} params.spawnEnemy - Callback to spawn a regular enemy ({ type, x, y } optional)
+     * @param {Function} params.spawnBoss - Callback to queue a boss (receives the timeline event)
+     * @param {Function} params.announceWave - Callback to show a timeline event on the HUD
      */
     spawnEnemies(params) {
-        const { enemies, player, gameTime, bossesKilled, bossDefeating, spawnEnemy, spawnBoss } = params;
+        const {
+            enemies, player, gameTime, bossDefeating, bossActive, nextBossTime,
+            spawnEnemy, spawnBoss, announceWave
+        } = params;
 
         // Skip enemy spawning during boss defeat animation for clean victory sequence
         if (bossDefeating) {
@@ -37,30 +100,29 @@ export class EnemySystem {
 
         this.frameCount++;
 
-        // Performance limit: maximum number of enemies on screen
-        const maxEnemies = 30;
+        this.waveDirector.update({
+            enemies, player, gameTime, bossActive, nextBossTime, spawnEnemy,
+            spawnBoss: (event) => {
+                spawnBoss(event);
+                this.bossSpawned = true;
+            },
+            announce: announceWave
+        });
 
-        if (enemies.length >= maxEnemies) {
+        // Performance limit: maximum number of enemies on screen
+        const settings = this.waveDirector.getSpawnSettings(gameTime);
+        if (enemies.length >= settings.maxEnemies) {
             return; // Don't spawn more if at limit
         }
 
-        // Check for first boss spawn at 3 minutes (180 seconds)
-        if (gameTime >= 180 && bossesKilled === 0 && !this.bossSpawned && !enemies.some(enemy => enemy.behavior === 'boss')) {
-            spawnBoss();
-            this.bossSpawned = true;
-            return; // Don't spawn regular enemies this frame
-        }
-
-        // Increase difficulty over time: spawn rate accelerates from 120 to 30 frames
-        this.spawnRate = Math.max(30, 120 - Math.floor(gameTime / 10) * 5);
+        this.spawnRate = settings.interval;
 
         if (this.frameCount - this.lastSpawn >= this.spawnRate) {
-            const spawnCount = 1 + Math.floor(gameTime / 60);
             // Limit spawn count to not exceed max enemies
-            const actualSpawnCount = Math.min(spawnCount, maxEnemies - enemies.length);
+            const actualSpawnCount = Math.min(settings.count, settings.maxEnemies - enemies.length);
 
             for (let i = 0; i < actualSpawnCount; i++) {
-                spawnEnemy();
+                spawnEnemy(settings.enemyTypes ? { type: this.waveDirector.pickEnemyType(settings.enemyTypes) } : undefined);
             }
             this.lastSpawn = this.frameCount;
         }
@@ -88,27 +150,27 @@ export class EnemySystem {
             showBossNotification, fastCos, fastSin
         } = params;
 
-        const side = Math.floor(Math.random() * 4);
+        const side = Math.floor(this.rng.next() * 4);
         const spawnDistance = 500; // Distance from player to spawn enemies
         let x, y;
 
         // Spawn enemies around the player's position
         switch (side) {
             case 0: // Top
-                x = player.x + (Math.random() - 0.5) * 500;
+                x = player.x + (this.rng.next() - 0.5) * 500;
                 y = player.y - spawnDistance;
                 break;
             case 1: // Right
                 x = player.x + spawnDistance;
-                y = player.y + (Math.random() - 0.5) * 500;
+                y = player.y + (this.rng.next() - 0.5) * 500;
                 break;
             case 2: // Bottom
-                x = player.x + (Math.random() - 0.5) * 500;
+                x = player.x + (this.rng.next() - 0.5) * 500;
                 y = player.y + spawnDistance;
                 break;
             case 3: // Left
                 x = player.x - spawnDistance;
-                y = player.y + (Math.random() - 0.5) * 500;
+                y = player.y + (this.rng.next() - 0.5) * 500;
                 break;
         }
 
@@ -158,14 +220,14 @@ export class EnemySystem {
             color: variant?.color || config.color,
             behavior: config.behavior,
             specialCooldown: 0,
-            burning: null,
+            statusEffects: null,
             spawnedMinions: false,
             variantId: variant?.id || 'standard',
             variantShape: variant?.shape || 'circle',
             variantColor: variant?.color || null,
             variantState: {},
             orbitStrength: variant?.orbitStrength || 0,
-            orbitDirection: Math.random() < 0.5 ? -1 : 1,
+            orbitDirection: this.rng.next() < 0.5 ? -1 : 1,
             zigzagStrength: variant?.zigzagStrength || 0,
             zigzagPeriod: variant?.zigzagPeriod || 0,
             burstDuration: variant?.burstDuration || 0,
@@ -178,8 +240,8 @@ export class EnemySystem {
 
         // Spin every enemy for added motion
         const rotSpeed = (variant?.rotSpeed ?? config.rotSpeed) ?? 0.02;
-        enemy.angle = Math.random() * Math.PI * 2;
-        enemy.rotSpeed = rotSpeed * (Math.random() < 0.5 ? -1 : 1);
+        enemy.angle = this.rng.next() * Math.PI * 2;
+        enemy.rotSpeed = rotSpeed * (this.rng.next() < 0.5 ? -1 : 1);
 
         enemies.push(enemy);
 
@@ -205,7 +267,7 @@ export class EnemySystem {
 
         // Spawn boss at a specific distance from player
         const spawnDistance = 250;
-        const angle = Math.random() * Math.PI * 2;
+        const angle = this.rng.next() * Math.PI * 2;
         const x = player.x + fastCos(angle) * spawnDistance;
         const y = player.y + fastSin(angle) * spawnDistance;
 
@@ -226,7 +288,7 @@ export class EnemySystem {
             angle: 0,
             rotSpeed: 0.05,
             specialCooldown: 0,
-            burning: null,
+            statusEffects: null,
             spawnedMinions: false,
             lastMissileFrame: 0,
             dashState: {
@@ -274,7 +336,7 @@ export class EnemySystem {
 
         // Spawn boss at a specific distance from player
         const spawnDistance = 250;
-        const angle = Math.random() * Math.PI * 2;
+        const angle = this.rng.next() * Math.PI * 2;
         const x = player.x + fastCos(angle) * spawnDistance;
         const y = player.y + fastSin(angle) * spawnDistance;
 
@@ -305,7 +367,7 @@ export class EnemySystem {
             color: baseConfig.color,
             behavior: baseConfig.behavior,
             specialCooldown: 0,
-            burning: null,
+            statusEffects: null,
             angle: 0,
             rotSpeed: 0.02,
             lastMissileFrame: 0,
@@ -368,7 +430,7 @@ export class EnemySystem {
         };
 
         // Weighted random selection
-        const random = Math.random();
+        const random = this.rng.next();
         let cumulative = 0;
 
         for (const type of types) {
@@ -499,7 +561,7 @@ export class EnemySystem {
             return weight;
         });
 
-        const roll = Math.random() * totalWeight;
+        const roll = this.rng.next() * totalWeight;
         let cumulative = 0;
         for (let i = 0; i < unlocked.length; i++) {
             cumulative += weights[i];
@@ -510,474 +572,6 @@ export class EnemySystem {
         return unlocked[unlocked.length - 1];
     }
 
-    /**
-     * Organize enemies by behavior type for batch processing
-     * Groups enemies for optimized behavior handling
-     * @param {Array} enemies - All enemies
-     * @param {Object} enemiesByBehavior - Object to populate with grouped enemies
-     */
-    updateEnemyGroupings(enemies, enemiesByBehavior) {
-        // Clear existing groupings
-        for (const behavior in enemiesByBehavior) {
-            enemiesByBehavior[behavior].length = 0;
-        }
-
-        // Re-group enemies by behavior
-        for (const enemy of enemies) {
-            if (enemiesByBehavior[enemy.behavior]) {
-                enemiesByBehavior[enemy.behavior].push(enemy);
-            }
-        }
-    }
-
-    /**
-     * Route enemies to appropriate batch processors by behavior
-     * Optimized performance through behavior grouping
-     * @param {Object} params - Parameters object
-     * @param {Object} params.enemiesByBehavior - Grouped enemies
-     * @param {Function} params.processBatchChase - Chase processor
-     * @param {Function} params.processBatchDodge - Dodge processor
-     * @param {Function} params.processBatchTank - Tank processor
-     * @param {Function} params.processBatchFly - Fly processor
-     * @param {Function} params.processBatchTeleport - Teleport processor
-     * @param {Function} params.processBatchBoss - Boss processor
-     */
-    processBatchedEnemies(params) {
-        const {
-            enemiesByBehavior,
-            processBatchChase, processBatchDodge, processBatchTank,
-            processBatchFly, processBatchTeleport, processBatchBoss
-        } = params;
-
-        processBatchChase(enemiesByBehavior.chase);
-        processBatchDodge(enemiesByBehavior.dodge);
-        processBatchTank(enemiesByBehavior.tank);
-        processBatchFly(enemiesByBehavior.fly);
-        processBatchTeleport(enemiesByBehavior.teleport);
-        processBatchBoss(enemiesByBehavior.boss);
-    }
-
-    /**
-     * Chase behavior: directly move toward player
-     * @param {Array} chaseEnemies - Enemies with chase behavior
-     * @param {Object} player - Player object
-     * @param {Function} direction - Vector2.direction function
-     */
-    processBatchChase(chaseEnemies, player, direction) {
-        if (chaseEnemies.length === 0) return;
-
-        const playerX = player.x;
-        const playerY = player.y;
-
-        for (const enemy of chaseEnemies) {
-            const [dirX, dirY] = direction(enemy.x, enemy.y, playerX, playerY);
-            let moveX = dirX;
-            let moveY = dirY;
-
-            // Orbiting variants add perpendicular movement for a curved chase
-            if (enemy.orbitStrength) {
-                const orbitX = -dirY * enemy.orbitDirection;
-                const orbitY = dirX * enemy.orbitDirection;
-                moveX += orbitX * enemy.orbitStrength;
-                moveY += orbitY * enemy.orbitStrength;
-                const len = Math.hypot(moveX, moveY) || 1;
-                moveX /= len;
-                moveY /= len;
-            }
-
-            enemy.x += moveX * enemy.speed;
-            enemy.y += moveY * enemy.speed;
-        }
-    }
-
-    /**
-     * Dodge behavior: avoid incoming projectiles while chasing player
-     * @param {Array} dodgeEnemies - Enemies with dodge behavior
-     * @param {Object} player - Player object
-     * @param {Array} projectiles - All projectiles
-     * @param {Function} direction - Vector2.direction function
-     * @param {Function} normalize - Vector2.normalize function
-     * @param {Function} add - Vector2.add function
-     * @param {Function} distanceSquared - Vector2.distanceSquared function
-     */
-    processBatchDodge(dodgeEnemies, player, projectiles, direction, normalize, add, distanceSquared) {
-        if (dodgeEnemies.length === 0) return;
-
-        const playerX = player.x;
-        const playerY = player.y;
-        const dodgeRadius = 50;
-        const dodgeRadiusSq = dodgeRadius * dodgeRadius;
-
-        for (const enemy of dodgeEnemies) {
-            let dodgeX = 0, dodgeY = 0;
-
-            // Check nearby projectiles for dodge behavior
-            for (const projectile of projectiles) {
-                const pDistSq = distanceSquared(enemy.x, enemy.y, projectile.x, projectile.y);
-                if (pDistSq < dodgeRadiusSq && pDistSq > 0) {
-                    const [dodgeDirX, dodgeDirY] = direction(projectile.x, projectile.y, enemy.x, enemy.y);
-                    const influence = 1 - (pDistSq / dodgeRadiusSq);
-                    dodgeX += dodgeDirX * influence;
-                    dodgeY += dodgeDirY * influence;
-                }
-            }
-
-            // Apply movement
-            const [dirX, dirY] = direction(enemy.x, enemy.y, playerX, playerY);
-            let moveX, moveY;
-            if (dodgeX !== 0 || dodgeY !== 0) {
-                const [normDodgeX, normDodgeY] = normalize(dodgeX, dodgeY);
-                const [blendX, blendY] = add(
-                    normDodgeX * 0.7, normDodgeY * 0.7,
-                    dirX * 0.3, dirY * 0.3
-                );
-                [moveX, moveY] = normalize(blendX, blendY);
-            } else {
-                moveX = dirX;
-                moveY = dirY;
-            }
-
-            // Zig-zag variants strafe side-to-side on a timer
-            if (enemy.zigzagStrength) {
-                const state = enemy.variantState || (enemy.variantState = {});
-                if (typeof state.zigDir !== 'number') {
-                    state.zigDir = Math.random() < 0.5 ? -1 : 1;
-                }
-                state.zigTimer = (state.zigTimer || 0) + 1;
-                const period = enemy.zigzagPeriod || 24;
-                if (state.zigTimer >= period) {
-                    state.zigTimer = 0;
-                    state.zigDir *= -1;
-                }
-                moveX += -dirY * enemy.zigzagStrength * state.zigDir;
-                moveY += dirX * enemy.zigzagStrength * state.zigDir;
-                const len = Math.hypot(moveX, moveY) || 1;
-                moveX /= len;
-                moveY /= len;
-            }
-
-            enemy.x += moveX * enemy.speed;
-            enemy.y += moveY * enemy.speed;
-        }
-    }
-
-    /**
-     * Tank behavior: slow heavy unit, spawns minions at 25% health
-     * @param {Array} tankEnemies - Enemies with tank behavior
-     * @param {Object} player - Player object
-     * @param {Function} direction - Vector2.direction function
-     * @param {Function} spawnMinions - Callback to spawn minions
-     */
-    processBatchTank(tankEnemies, player, direction, spawnMinions) {
-        if (tankEnemies.length === 0) return;
-
-        const playerX = player.x;
-        const playerY = player.y;
-
-        for (const enemy of tankEnemies) {
-            const [dirX, dirY] = direction(enemy.x, enemy.y, playerX, playerY);
-            enemy.x += dirX * enemy.speed;
-            enemy.y += dirY * enemy.speed;
-
-            // Check for minion spawning
-            if (enemy.health < enemy.maxHealth * 0.25 && !enemy.spawnedMinions) {
-                spawnMinions(enemy.x, enemy.y, 3);
-                enemy.spawnedMinions = true;
-            }
-        }
-    }
-
-    /**
-     * Fly behavior: orbit player at fixed distance, approach when far
-     * @param {Array} flyEnemies - Enemies with fly behavior
-     * @param {Object} player - Player object
-     * @param {Function} direction - Vector2.direction function
-     * @param {Function} distanceSquared - Vector2.distanceSquared function
-     * @param {Function} rotate - Vector2.rotate function
-     */
-    processBatchFly(flyEnemies, player, direction, distanceSquared, rotate) {
-        if (flyEnemies.length === 0) return;
-
-        const playerX = player.x;
-        const playerY = player.y;
-        const orbitRadius = 100;
-        const orbitRadiusSq = orbitRadius * orbitRadius;
-
-        for (const enemy of flyEnemies) {
-            const [dirX, dirY] = direction(enemy.x, enemy.y, playerX, playerY);
-            const distSq = distanceSquared(enemy.x, enemy.y, playerX, playerY);
-            let speed = enemy.speed;
-
-            // Dive-bomber variants periodically burst toward the player
-            if (enemy.burstDuration && enemy.burstSpeedMultiplier) {
-                const state = enemy.variantState || (enemy.variantState = {});
-                state.burstCooldown = Math.max(0, (state.burstCooldown || 0) - 1);
-                if (state.burstDuration > 0) {
-                    speed *= enemy.burstSpeedMultiplier;
-                    state.burstDuration--;
-                    if (state.burstDuration === 0) {
-                        state.burstCooldown = enemy.burstCooldown || 60;
-                    }
-                } else if (state.burstCooldown === 0 && distSq > orbitRadiusSq * 0.4) {
-                    state.burstDuration = enemy.burstDuration;
-                    speed *= enemy.burstSpeedMultiplier;
-                }
-            }
-
-            if (distSq > orbitRadiusSq) {
-                // Move towards player when far
-                enemy.x += dirX * speed;
-                enemy.y += dirY * speed;
-            } else {
-                // Orbital movement when close
-                const [orbitX, orbitY] = rotate(dirX, dirY, Math.PI / 2);
-                enemy.x += orbitX * speed;
-                enemy.y += orbitY * speed;
-            }
-        }
-    }
-
-    /**
-     * Teleport behavior: phase in around player with cooldown
-     * @param {Array} teleportEnemies - Enemies with teleport behavior
-     * @param {Object} player - Player object
-     * @param {Function} direction - Vector2.direction function
-     * @param {Function} distanceSquared - Vector2.distanceSquared function
-     * @param {Function} rotate - Vector2.rotate function
-     * @param {Function} createTeleportParticles - Particle effect callback
-     */
-    processBatchTeleport(teleportEnemies, player, direction, distanceSquared, rotate, createTeleportParticles) {
-        if (teleportEnemies.length === 0) return;
-
-        const playerX = player.x;
-        const playerY = player.y;
-        const teleportRange = 50;
-        const teleportRangeSq = teleportRange * teleportRange;
-
-        for (const enemy of teleportEnemies) {
-            const distSq = distanceSquared(enemy.x, enemy.y, playerX, playerY);
-            const teleportDistance = enemy.teleportDistance || 80;
-            const teleportCooldown = enemy.teleportCooldown || 180;
-
-            if (enemy.specialCooldown <= 0 && distSq > teleportRangeSq) {
-                createTeleportParticles(enemy.x, enemy.y);
-                const angle = Math.random() * Math.PI * 2;
-                const [teleportX, teleportY] = rotate(teleportDistance, 0, angle);
-                enemy.x = playerX + teleportX;
-                enemy.y = playerY + teleportY;
-                createTeleportParticles(enemy.x, enemy.y);
-                enemy.specialCooldown = teleportCooldown;
-            } else {
-                const [dirX, dirY] = direction(enemy.x, enemy.y, playerX, playerY);
-                enemy.x += dirX * enemy.speed * 0.5;
-                enemy.y += dirY * enemy.speed * 0.5;
-
-                // Phase variants drift sideways while closing in
-                if (enemy.driftStrength) {
-                    const driftX = -dirY * enemy.driftStrength;
-                    const driftY = dirX * enemy.driftStrength;
-                    enemy.x += driftX * enemy.speed * 0.5;
-                    enemy.y += driftY * enemy.speed * 0.5;
-                }
-            }
-        }
-    }
-
-    /**
-     * Boss behavior: 3-phase AI with health-based transitions
-     * Phase 1 (>70%): Direct chase with 1.5x speed
-     * Phase 2 (30-70%): Faster movement with 1.8x speed
-     * Phase 3 (<30%): Dash attacks with up to 6x speed
-     * Catch-up dash triggers if >800 units away, with visible effects
-     * @param {Array} bossEnemies - Enemies with boss behavior
-     * @param {Object} player - Player object
-     * @param {number} frameCount - Current frame count
-     * @param {number} bossesKilled - Number of bosses defeated
-     * @param {Function} direction - Vector2.direction function
-     * @param {Function} distanceSquared - Vector2.distanceSquared function
-     * @param {Function} cachedSqrt - Cached square root function
-     * @param {Function} createBossMissile - Boss missile callback
-     * @param {Function} createHitParticles - Hit particle callback
-     * @param {Function} createScreenShake - Screen shake callback
-     */
-    processBatchBoss(bossEnemies, player, frameCount, bossesKilled, direction, distanceSquared, cachedSqrt, createBossMissile, createHitParticles, createScreenShake) {
-        if (bossEnemies.length === 0) return;
-
-        const playerX = player.x;
-        const playerY = player.y;
-
-        for (const enemy of bossEnemies) {
-            // Skip if boss is already dead/dying
-            if (enemy.health <= 0) {
-                continue;
-            }
-
-            // Enhanced boss AI with phases based on health
-            const bossHealthPercent = enemy.health / enemy.maxHealth;
-            const [dirX, dirY] = direction(enemy.x, enemy.y, playerX, playerY);
-            const distance = cachedSqrt(distanceSquared(enemy.x, enemy.y, playerX, playerY));
-
-            const isCatchingUp = this.handleBossCatchUpDash(
-                enemy,
-                playerX,
-                playerY,
-                distance,
-                frameCount,
-                direction,
-                distanceSquared,
-                createHitParticles,
-                createScreenShake
-            );
-            if (isCatchingUp) {
-                continue;
-            }
-
-            // Boss missile firing logic
-            const missileInterval = 200;
-            if (frameCount - enemy.lastMissileFrame >= missileInterval) {
-                createBossMissile(enemy, bossHealthPercent);
-                enemy.lastMissileFrame = frameCount;
-            }
-
-            // Phase 1: Direct chase (above 70% health)
-            if (bossHealthPercent > 0.7) {
-                const phaseMultiplier = 1.5;
-                enemy.x += dirX * enemy.speed * phaseMultiplier;
-                enemy.y += dirY * enemy.speed * phaseMultiplier;
-            }
-            // Phase 2: Increased aggression - faster movement (30-70% health)
-            else if (bossHealthPercent > 0.3) {
-                enemy.x += dirX * enemy.speed * 1.8;
-                enemy.y += dirY * enemy.speed * 1.8;
-            }
-            // Phase 3: Dash movement towards player (below 30% health)
-            else {
-                // Dash state management for aggressive Phase 3 behavior
-                if (!enemy.dashState.active) {
-                    // Start new dash towards player
-                    if (enemy.specialCooldown <= 0 && (enemy.catchUpLockFrames || 0) <= 0) {
-                        enemy.dashState.active = true;
-                        enemy.dashState.targetX = playerX;
-                        enemy.dashState.targetY = playerY;
-                        enemy.dashState.duration = 0;
-                        enemy.dashState.originalSpeed = enemy.speed;
-                        // Decrease dash cooldown by 3 per boss stage (first cycle only), capped at boss 6, minimum 72 frames
-                        const baseCooldown = 90;
-                        const maxBossScaling = 5; // Cap reduction at boss 6 (after 5 bosses defeated)
-                        const cycle = this.getBossCycle(enemy.bossLevel || 1);
-                        const effectiveScaling = cycle === 0 ? Math.min(bossesKilled || 0, maxBossScaling) : 0;
-                        const cooldownReduction = effectiveScaling * 3;
-                        const minCooldown = 72; // 1.2 seconds minimum (was 36 = 0.6s)
-                        enemy.specialCooldown = Math.max(minCooldown, baseCooldown - cooldownReduction);
-                } else {
-                    // Faster normal movement while dash is on cooldown
-                    enemy.x += dirX * enemy.speed * 2.0;
-                    enemy.y += dirY * enemy.speed * 2.0;
-                    }
-                } else {
-                    // Execute dash movement with much higher speed
-                    const [dashDirX, dashDirY] = direction(enemy.x, enemy.y, enemy.dashState.targetX, enemy.dashState.targetY);
-                    const dashSpeed = enemy.speed * 6;
-
-                    enemy.x += dashDirX * dashSpeed;
-                    enemy.y += dashDirY * dashSpeed;
-
-                    enemy.dashState.duration++;
-
-                    // Longer dash distance with faster speed
-                    const distToTarget = distanceSquared(enemy.x, enemy.y, enemy.dashState.targetX, enemy.dashState.targetY);
-                    if (enemy.dashState.duration >= enemy.dashState.maxDuration || distToTarget < 100) {
-                        enemy.dashState.active = false;
-                        enemy.dashState.duration = 0;
-                    }
-                }
-            }
-        }
-    }
-
-    handleBossCatchUpDash(enemy, playerX, playerY, distance, frameCount, direction, distanceSquared, createHitParticles, createScreenShake) {
-        const state = enemy.catchUpDashState || (enemy.catchUpDashState = {
-            active: false,
-            targetX: 0,
-            targetY: 0,
-            startX: 0,
-            startY: 0,
-            duration: 0,
-            maxDuration: 60,
-            lastParticleFrame: 0
-        });
-        const wasActive = state.active;
-        const maxBossDistance = 400;
-        const particleColor = '#FF0066';
-        const dashSpeedMultiplier = 8;
-        const arrivalThresholdSq = 2500;
-        const minTargetDistance = 190;
-        const maxTargetDistance = 210;
-
-        if (!state.active) {
-            if (distance <= maxBossDistance) {
-                return false;
-            }
-
-            const [teleportDirX, teleportDirY] = direction(playerX, playerY, enemy.x, enemy.y);
-            const targetDistance = minTargetDistance + Math.random() * (maxTargetDistance - minTargetDistance);
-            state.active = true;
-            state.startX = enemy.x;
-            state.startY = enemy.y;
-            state.targetX = playerX + teleportDirX * targetDistance;
-            state.targetY = playerY + teleportDirY * targetDistance;
-            state.duration = 0;
-            state.lastParticleFrame = frameCount;
-
-            const startParticles = 12 + Math.floor(Math.random() * 4);
-            if (createHitParticles) {
-                for (let i = 0; i < startParticles; i++) {
-                    createHitParticles(enemy.x, enemy.y, particleColor);
-                }
-            }
-            return true;
-        }
-
-        const [dashDirX, dashDirY] = direction(enemy.x, enemy.y, state.targetX, state.targetY);
-        const dashSpeed = Math.max(enemy.speed * dashSpeedMultiplier, 18);
-        enemy.x += dashDirX * dashSpeed;
-        enemy.y += dashDirY * dashSpeed;
-
-        if (createHitParticles) {
-            for (let i = 0; i < 3; i++) {
-                createHitParticles(enemy.x, enemy.y, particleColor);
-            }
-        }
-
-        state.duration++;
-
-        const distSq = distanceSquared(enemy.x, enemy.y, state.targetX, state.targetY);
-        if (distSq < arrivalThresholdSq || state.duration >= (state.maxDuration || 60)) {
-            if (createHitParticles) {
-                for (let i = 0; i < 15; i++) {
-                    createHitParticles(enemy.x, enemy.y, particleColor);
-                }
-            }
-            enemy.x = state.targetX;
-            enemy.y = state.targetY;
-            if (createScreenShake) {
-                createScreenShake(18, 18);
-            }
-            state.active = false;
-            state.duration = 0;
-            enemy.specialCooldown = Math.max(enemy.specialCooldown || 0, 30);
-            enemy.catchUpLockFrames = Math.max(enemy.catchUpLockFrames || 0, 30);
-        }
-
-        return state.active || wasActive;
-    }
-
-    getBossCycle(level) {
-        const variantCount = this.bossVariantCount || DEFAULT_BOSS_VARIANT_COUNT;
-        const normalizedLevel = Math.max(1, level || 1);
-        return Math.floor((normalizedLevel - 1) / variantCount);
-    }
-
     /**
      * Main update loop for all enemies
      * Processes health effects, rotation, death, and despawn
@@ -989,24 +583,32 @@ export class EnemySystem {
      * @param {Function} params.updateEnemyGroupings - Grouping callback
      * @param {Function} params.processBatchedEnemies - Batch processing callback
      * @param {Function} params.createXPOrb - XP orb callback
-     * @param {Function} params.createDeathParticles - Death particle callback
      * @param {Function} params.createHitParticles - Hit particle callback
      * @param {Function} params.recordWeaponDamage - Damage record callback
      * @param {Function} params.createBossDefeatAnimation - Boss defeat animation callback
      * @param {Function} params.setBossDefeating - Set boss defeating flag callback
      * @param {Function} params.clearProjectiles - Clear all projectiles callback
      * @param {Function} params.bossDefeated - Boss defeated callback
+     * @param {Function} [params.onBossPartnerDefeated] - A boss fell while another is still
+     *                                                    fighting (receives the fallen boss)
      * @param {Function} params.cachedSqrt - Cached square root function
+     * @param {Function} params.spawnMinions - Minion spawn callback (splitting elites)
+     * @param {Function} params.dropChestOrb - Chest orb drop callback (elite rewards)
+     * @param {Function} params.damagePlayer - Player damage callback (exploding elites)
+     * @param {Function} params.createExplosion - Explosion effect callback (exploding elites)
      */
     updateEnemies(params) {
         const {
             enemies, frameCount, player, bossDefeating,
             updateEnemyGroupings, processBatchedEnemies,
-            createXPOrb, createDeathParticles, createHitParticles,
+            createXPOrb, createHitParticles,
             recordWeaponDamage, createBossDefeatAnimation, setBossDefeating,
-            clearProjectiles, bossDefeated, audioManager, cachedSqrt
+            clearProjectiles, bossDefeated, onBossPartnerDefeated, cachedSqrt,
+            spawnMinions, dropChestOrb, damagePlayer, createExplosion
         } = params;
 
+        this.updateScheduledActions();
+
         // Update enemy groupings for optimized batch processing
         updateEnemyGroupings();
 
@@ -1017,49 +619,11 @@ export class EnemySystem {
         for (let i = enemies.length - 1; i >= 0; i--) {
             const enemy = enemies[i];
 
-            // Handle burning damage over time
-            if (enemy.burning) {
-                if (enemy.burning.duration-- <= 0) {
-                    enemy.burning = null;
-                } else if (frameCount % 20 === 0) { // Damage every 1/3 second
-                    enemy.health -= enemy.burning.damage;
-                    if (enemy.burning.sourceType) {
-                        recordWeaponDamage(enemy.burning.sourceType, enemy.burning.damage, enemy);
-                    }
-                    createHitParticles(enemy.x, enemy.y, '#ff6348');
-                }
-            }
-
-            // Process napalm burn stacks
-            if (enemy.napalmStacks && enemy.napalmStacks.length > 0) {
-                // Apply burn damage - faster with Turbo-Flux Cycler passive
-                const burnTickInterval = player.passives?.turbo_flux_cycler ? 8 : 10;
-                if (frameCount % burnTickInterval === 0) {
-                    let totalBurnDamage = 0;
-
-                    // Sum damage from all active stacks
-                    for (const stack of enemy.napalmStacks) {
-                        totalBurnDamage += stack.damage;
-                        if (stack.sourceType && recordWeaponDamage) {
-                            recordWeaponDamage(stack.sourceType, stack.damage, enemy);
-                        }
-                    }
-
-                    enemy.health -= totalBurnDamage;
+            // Status effect damage over time (burn, napalm, poison, ...) and expiry
+            this.statusEffects.update(enemy, { frameCount, player, recordWeaponDamage, createHitParticles });
 
-                    // Visual feedback: more intense for higher stacks
-                    if (createHitParticles) {
-                        const color = enemy.napalmStacks.length >= 4 ? '#ff4500' : '#ff6347';
-                        createHitParticles(enemy.x, enemy.y, color, 0.4);
-                    }
-                }
-
-                // Decrement durations and remove expired stacks
-                enemy.napalmStacks = enemy.napalmStacks.filter(stack => {
-                    stack.duration--;
-                    return stack.duration > 0;
-                });
-            }
+            // Elite shield soak and vampiric healing
+            this.elites.update(enemy, { enemies, createHitParticles });
 
             if (enemy.specialCooldown > 0) {
                 enemy.specialCooldown--;
@@ -1082,8 +646,28 @@ export class EnemySystem {
                         return;
                     }
 
+                    // Multi-boss encounters only end with the last boss standing
+                    const partnerFighting = enemies.some(other => other !== enemy && other.behavior === 'boss' && other.health > 0);
+                    if (partnerFighting) {
+                        this.events.emit('enemyKilled', { enemy });
+                        enemies.splice(i, 1);
+                        if (onBossPartnerDefeated) {
+                            onBossPartnerDefeated(enemy);
+                        }
+                        continue;
+                    }
+
+                    // Bosses that fell on this same frame count as kills too
+                    for (const other of enemies) {
+                        if (other !== enemy && other.behavior === 'boss' && !other.isDefeated) {
+                            this.events.emit('enemyKilled', { enemy: other });
+                            other.isDefeated = true;
+                        }
+                    }
+
                     // Set boss defeating flag to prevent multiple triggers
                     setBossDefeating(true);
+                    this.events.emit('enemyKilled', { enemy });
 
                     // Save boss position and size for animation
                     const bossX = enemy.x;
@@ -1106,31 +690,27 @@ export class EnemySystem {
                     // Trigger boss defeat animation with saved position/size
                     createBossDefeatAnimation(bossX, bossY, bossRadius);
 
-                    // Play boss defeat sound
-                    if (audioManager) {
-                        audioManager.playSound('bossDefeat');
-                    }
-
                     // Remove boss from enemies array after a short delay
                     // This ensures rendering has time to skip it via isDefeated flag
-                    setTimeout(() => {
+                    this.scheduleAfterFrames(6, () => {
                         const bossIndex = enemies.indexOf(enemy);
                         if (bossIndex !== -1) {
                             enemies.splice(bossIndex, 1);
                         }
-                    }, 100); // Remove after 100ms (multiple frames)
+                    }); // Remove after 6 frames (~100ms)
 
                     // Show victory screen after animation delay
-                    setTimeout(() => {
+                    this.scheduleAfterFrames(120, () => {
                         bossDefeated();
-                    }, 2000); // 2 second delay for animation to play
+                    }); // 2 second delay for animation to play
 
                     return;
                 }
 
+                this.events.emit('enemyKilled', { enemy });
                 createXPOrb(enemy.x, enemy.y);
-                createDeathParticles(enemy.x, enemy.y, enemy.color);
                 enemies.splice(i, 1);
+                this.elites.onDeath(enemy, { player, spawnMinions, createXPOrb, dropChestOrb, damagePlayer, createExplosion });
             } else {
                 // Remove enemies that are too far from player (performance optimization)
                 // But NEVER remove bosses - they use teleportation instead
@@ -1147,118 +727,17 @@ export class EnemySystem {
         }
     }
 
-    /**
-     * Create boss missile patterns based on phase
-     * Phase 1: 3-missile spread, Phase 2: 5-missile spread, Phase 3: 7-missile burst
-     * @param {Object} params - Parameters object
-     * @param {Object} params.boss - Boss enemy object
-     * @param {Object} params.player - Player object
-     * @param {Array} params.projectiles - Projectiles array
-     * @param {number} params.healthPercent - Boss health percentage (0-1)
-     * @param {number} params.bossLevel - Boss level for scaling
-     * @param {Function} params.fastCos - Fast cosine function
-     * @param {Function} params.fastSin - Fast sine function
-     * @param {Function} params.fastPow - Fast power function
-     */
-    createBossMissile(params) {
-        const { boss, player, projectiles, healthPercent = 1.0, bossLevel, fastCos, fastSin, fastPow } = params;
-
-        const angleToPlayer = Math.atan2(player.y - boss.y, player.x - boss.x);
-        let spreadAngles, damage, speed, homingStrength, color;
-
-        // Scale missile stats based on boss level
-        const level = bossLevel || 1;
-        const speedMultiplier = fastPow(1.05, level - 1);
-        const damageMultiplier = fastPow(1.15, level - 1);
-
-        // Phase 1: Basic 3-missile spread (above 70% health)
-        if (healthPercent > 0.7) {
-            spreadAngles = [-0.3, 0, 0.3];
-            damage = Math.floor(25 * damageMultiplier);
-            speed = 2.5 * speedMultiplier;
-            homingStrength = 0.05;
-            color = '#FF0066';
-        }
-        // Phase 2: 5-missile spread with faster speed (30-70% health)
-        else if (healthPercent > 0.3) {
-            spreadAngles = [-0.6, -0.3, 0, 0.3, 0.6];
-            damage = Math.floor(30 * damageMultiplier);
-            speed = 2.75 * speedMultiplier;
-            homingStrength = 0.07;
-            color = '#FF3366';
-        }
-        // Phase 3: 7-missile burst with high speed and homing (below 30% health)
-        else {
-            spreadAngles = [-0.9, -0.6, -0.3, 0, 0.3, 0.6, 0.9];
-            damage = Math.floor(35 * damageMultiplier);
-            speed = 3 * speedMultiplier;
-            homingStrength = 0.10;
-            color = '#FF0033';
-        }
-
-        spreadAngles.forEach(angleOffset => {
-            const missile = {
-                x: boss.x,
-                y: boss.y,
-                vx: fastCos(angleToPlayer + angleOffset) * speed,
-                vy: fastSin(angleToPlayer + angleOffset) * speed,
-                damage: damage,
-                life: 300,
-                type: 'boss-missile',
-                color: color,
-                size: 4,
-                homing: true,
-                homingStrength: homingStrength,
-                explosionRadius: 40,
-                speed: speed,
-                owner: 'enemy'
-            };
-            projectiles.push(missile);
-        });
-    }
-
-    /**
-     * Spawn boss minions when tank enemy reaches 25% health
-     * Creates minions in circular pattern around spawn point
-     * @param {Object} params - Parameters object
-     * @param {Array} params.enemies - Enemies array
-     * @param {number} params.x - Spawn position X
-     * @param {number} params.y - Spawn position Y
-     * @param {number} params.count - Number of minions to spawn
-     * @param {Function} params.fastCos - Fast cosine function
-     * @param {Function} params.fastSin - Fast sine function
-     */
-    spawnMinions(params) {
-        const { enemies, x, y, count, fastCos, fastSin } = params;
-
-        for (let i = 0; i < count; i++) {
-            const angle = (Math.PI * 2 * i) / count;
-            enemies.push({
-                x: x + fastCos(angle) * 30,
-                y: y + fastSin(angle) * 30,
-                radius: 6,
-                speed: 1.5,
-                maxHealth: 8,
-                health: 8,
-                contactDamage: 5,
-                color: '#7F8C8D',
-                behavior: 'chase',
-                specialCooldown: 0,
-                burning: null,
-                spawnedMinions: false,
-                angle: Math.random() * Math.PI * 2,
-                rotSpeed: (Math.random() < 0.5 ? -1 : 1) * 0.04
-            });
-        }
-    }
-
     /**
      * Resets enemy system state
      */
     reset() {
+        this.frameCount = 0;
         this.spawnRate = 120;
         this.lastSpawn = 0;
+        this.scheduledActions = [];
         this.bossSpawned = false;
         this.nextBossSpawnTime = null;
+        this.waveDirector.reset();
+        this.bossRush.reset();
     }
 }
@@ -0,0 +1,233 @@
+/**
+ * Status Effect System
+ * Applies, ticks and expires the status effects defined in config/status-effects.js.
+ * State lives on the enemy (enemy.statusEffects: { [id]: [stack, ...] }) so it is saved with
+ * the run like any other enemy field; this system holds no run state.
+ */
+
+import { STATUS_EFFECTS } from '../../../config/status-effects.js';
+
+// Ticked in definition order so damage lands in a stable order every run
+const STATUS_EFFECT_IDS = Object.keys(STATUS_EFFECTS);
+
+export class StatusEffectSystem {
+    /**
+     * Applies a status effect to an enemy, following the effect's stacking rule
+     * @param {Object} enemy - Target enemy
+     * @param {string} effectId - Key in STATUS_EFFECTS
+     * @param {Object} [options] - Stack values: damage, duration, moveMultiplier,
+     *                             damageTakenMultiplier, maxStacks, sourceType
+     * @returns {boolean} False if the effect is unknown or the enemy is immune
+     */
+    apply(enemy, effectId, options = {}) {
+        const definition = STATUS_EFFECTS[effectId];
+        if (!definition) {
+            console.warn(`Unknown status effect: ${effectId}`);
+            return false;
+        }
+
+        const resistance = enemy.statusResistances?.[effectId] || 0;
+        if (resistance >= 1) {
+            return false;
+        }
+
+        const baseDuration = options.duration ?? definition.duration;
+        const stack = {
+            damage: options.damage || 0,
+            duration: resistance > 0 ? Math.round(baseDuration * (1 - resistance)) : baseDuration,
+            sourceType: options.sourceType || null
+        };
+        if (definition.moveMultiplier !== undefined || options.moveMultiplier !== undefined) {
+            stack.moveMultiplier = options.moveMultiplier ?? definition.moveMultiplier;
+        }
+        if (definition.damageTakenMultiplier !== undefined || options.damageTakenMultiplier !== undefined) {
+            stack.damageTakenMultiplier = options.damageTakenMultiplier ?? definition.damageTakenMultiplier;
+        }
+
+        const effects = enemy.statusEffects || (enemy.statusEffects = {});
+        const stacks = effects[effectId];
+
+        if (!stacks || stacks.length === 0 || definition.stacking === 'replace') {
+            effects[effectId] = [stack];
+        } else if (definition.stacking === 'refresh') {
+            const current = stacks[0];
+            current.duration = Math.max(current.duration, stack.duration);
+            current.damage = Math.max(current.damage, stack.damage);
+            current.sourceType = stack.sourceType || current.sourceType;
+            if (stack.moveMultiplier !== undefined) {
+                current.moveMultiplier = Math.min(current.moveMultiplier ?? 1, stack.moveMultiplier);
+            }
+            if (stack.damageTakenMultiplier !== undefined) {
+                current.damageTakenMultiplier = Math.max(current.damageTakenMultiplier ?? 1, stack.damageTakenMultiplier);
+            }
+        } else if (stacks.length < (options.maxStacks || definition.maxStacks || Infinity)) {
+            stacks.push(stack);
+        } else {
+            // At max stacks, refresh the oldest stack's duration
+            stacks[0].duration = Math.max(stacks[0].duration, stack.duration);
+        }
+
+        return true;
+    }
+
+    /**
+     * Applies a weapon's fire.status on hit
+     * @param {Object} enemy - Enemy that was hit
+     * @param {Object} status - { id, damageMultiplier, ...stack values } (damageMultiplier scales
+     *                          the hit damage into damage per tick)
+     * @param {number} hitDamage - Damage of the hit
+     * @param {string} sourceType - Weapon type credited with tick damage
+     * @returns {boolean} False if the enemy is immune
+     */
+    applyWeaponStatus(enemy, status, hitDamage, sourceType) {
+        const { id, damageMultiplier, ...options } = status;
+        return this.apply(enemy, id, {
+            ...options,
+            damage: hitDamage * (damageMultiplier || 0),
+            sourceType
+        });
+    }
+
+    /**
+     * Ticks damage on every effect of an enemy, then counts durations down and drops expired stacks
+     * @param {Object} enemy - Enemy to update
+     * @param {Object} context - Update context
+     * @param {number} context.frameCount - Current frame (ticks are aligned to it)
+     * @param {Object} context.player - Player (Turbo-Flux Cycler speeds up fastTickInterval effects)
+     * @param {Function} [context.recordWeaponDamage] - (sourceType, damage, enemy) => void
+     * @param {Function} [context.createHitParticles] - (x, y, color, scale) => void
+     */
+    update(enemy, context) {
+        const effects = enemy.statusEffects;
+        if (!effects) return;
+
+        const { frameCount, player, recordWeaponDamage, createHitParticles } = context;
+        const fastTicks = !!player?.passives?.turbo_flux_cycler;
+
+        for (const effectId of STATUS_EFFECT_IDS) {
+            const stacks = effects[effectId];
+            if (!stacks) continue;
+            if (stacks.length === 0) {
+                delete effects[effectId];
+                continue;
+            }
+
+            const definition = STATUS_EFFECTS[effectId];
+            const tickInterval = (fastTicks && definition.fastTickInterval) || definition.tickInterval;
+
+            if (tickInterval && frameCount % tickInterval === 0) {
+                const damageTaken = this.getDamageTakenMultiplier(enemy);
+                let totalDamage = 0;
+
+                for (const stack of stacks) {
+                    if (!stack.damage) continue;
+                    const damage = stack.damage * damageTaken;
+                    totalDamage += damage;
+                    if (stack.sourceType && recordWeaponDamage) {
+                        recordWeaponDamage(stack.sourceType, damage, enemy);
+                    }
+                }
+
+                if (totalDamage > 0) {
+                    enemy.health -= totalDamage;
+                    if (createHitParticles && definition.particleColor) {
+                        const color = typeof definition.particleColor === 'function'
+                            ? definition.particleColor(stacks.length)
+                            : definition.particleColor;
+                        createHitParticles(enemy.x, enemy.y, color, 0.4);
+                    }
+                }
+            }
+
+            // Decrement durations and remove expired stacks
+            const remaining = stacks.filter(stack => {
+                stack.duration--;
+                return stack.duration > 0;
+            });
+            if (remaining.length > 0) {
+                effects[effectId] = remaining;
+            } else {
+                delete effects[effectId];
+            }
+        }
+    }
+
+    /**
+     * @param {Object} enemy - Enemy
+     * @param {string} effectId - Status effect id
+     * @returns {number} Active stacks of the effect
+     */
+    getStackCount(enemy, effectId) {
+        return enemy.statusEffects?.[effectId]?.length || 0;
+    }
+
+    /**
+     * Movement multiplier from all active effects (the strongest slow wins)
+     * @param {Object} enemy - Enemy
+     * @returns {number} 1 when nothing slows the enemy
+     */
+    getMoveMultiplier(enemy) {
+        const effects = enemy.statusEffects;
+        if (!effects) return 1;
+
+        let multiplier = 1;
+        for (const effectId in effects) {
+            for (const stack of effects[effectId]) {
+                if (stack.moveMultiplier !== undefined && stack.moveMultiplier < multiplier) {
+                    multiplier = stack.moveMultiplier;
+                }
+            }
+        }
+        return Math.max(0, multiplier);
+    }
+
+    /**
+     * Damage multiplier from all active effects (the strongest vulnerability wins).
+     * Every weapon, explosion and status tick goes through this, so it also enforces
+     * enemy.invulnerableFrames (bosses during a phase transition).
+     * @param {Object} enemy - Enemy
+     * @returns {number} 1 when the enemy takes normal damage, 0 while it is invulnerable
+     */
+    getDamageTakenMultiplier(enemy) {
+        if (enemy.invulnerableFrames > 0) return 0;
+
+        const effects = enemy.statusEffects;
+        if (!effects) return 1;
+
+        let multiplier = 1;
+        for (const effectId in effects) {
+            for (const stack of effects[effectId]) {
+                if (stack.damageTakenMultiplier > multiplier) {
+                    multiplier = stack.damageTakenMultiplier;
+                }
+            }
+        }
+        return multiplier;
+    }
+
+    /**
+     * Overlay color of the active effects (later entries in STATUS_EFFECTS take precedence)
+     * @param {Object} enemy - Enemy
+     * @returns {string|null}
+     */
+    getTint(enemy) {
+        const effects = enemy.statusEffects;
+        if (!effects) return null;
+
+        let tint = null;
+        for (const effectId of STATUS_EFFECT_IDS) {
+            if (effects[effectId]?.length && STATUS_EFFECTS[effectId].tint) {
+                tint = STATUS_EFFECTS[effectId].tint;
+            }
+        }
+        return tint;
+    }
+
+    /**
+     * Removes every effect from an enemy
+     * @param {Object} enemy - Enemy
+     */
+    clear(enemy) {
+        enemy.statusEffects = null;
+    }
+}
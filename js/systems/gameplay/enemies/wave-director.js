@@ -0,0 +1,439 @@
+/**
+ * Wave Director
+ * Paces a run from a timeline in config/wave-timeline.js: supplies the ambient spawn settings
+ * EnemySystem.spawnEnemies uses and fires the timeline's events (swarms, crossing lines,
+ * surges/lulls/map-wide modifiers, bosses). Progress through the timeline is plain data
+ * (getState/setState) so it is saved with the run.
+ */
+
+import { WAVE_TIMELINES, DEFAULT_WAVE_TIMELINE } from '../../../config/wave-timeline.js';
+import { ENEMIES } from '../../../config/constants.js';
+import { SeededRandom } from '../../../utils/rng.js';
+
+const EVENT_TYPES = ['swarm', 'line', 'modifier', 'boss'];
+
+const MODIFIER_DEFAULTS = {
+    spawnRateMultiplier: 1,
+    spawnCountBonus: 0,
+    maxEnemiesBonus: 0,
+    enemySpeedMultiplier: 1,
+    eliteChanceBonus: 0
+};
+
+// Where lines start relative to the player, and how far to either side of them they may pass
+const LINE_SPAWN_DISTANCE = 550;
+const LINE_MAX_OFFSET = 150;
+
+/**
+ * Converts a timeline time (seconds or 'm:ss') to seconds
+ * @param {number|string} value - Time value
+ * @returns {number} Seconds, or NaN if the value can't be read
+ */
+export function parseTimelineTime(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string') return NaN;
+
+    const match = /^(\d+):([0-5]\d)$/.exec(value.trim());
+    return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+}
+
+/**
+ * Evaluates a phase value: a plain number or a { base, step, every, min, max } ramp
+ * @param {number|Object} value - Value or ramp
+ * @param {number} elapsed - Seconds since the phase started
+ * @returns {number}
+ */
+function evaluateRamp(value, elapsed) {
+    if (typeof value === 'number') return value;
+
+    const steps = value.every > 0 ? Math.floor(elapsed / value.every) : 0;
+    const result = value.base + steps * (value.step || 0);
+    return Math.min(value.max ?? Infinity, Math.max(value.min ?? -Infinity, result));
+}
+
+function isKnownEnemyType(type) {
+    return type !== 'boss' && !!ENEMIES[type.toUpperCase()];
+}
+
+export class WaveDirector {
+    /**
+     * @param {Object} [options] - Options
+     * @param {SeededRandom} [options.rng] - Shared gameplay RNG
+     * @param {string|Object} [options.timeline] - Key in WAVE_TIMELINES or a timeline object
+     */
+    constructor(options = {}) {
+        this.rng = options.rng || new SeededRandom();
+        this.setTimeline(options.timeline || DEFAULT_WAVE_TIMELINE);
+    }
+
+    /**
+     * Switches timelines and restarts from the beginning
+     * @param {string|Object} timeline - Key in WAVE_TIMELINES or a timeline object
+     */
+    setTimeline(timeline) {
+        const source = typeof timeline === 'string' ? WAVE_TIMELINES[timeline] : timeline;
+        if (!source) {
+            console.warn(`Unknown wave timeline: ${timeline}, using ${DEFAULT_WAVE_TIMELINE}`);
+            this.setTimeline(DEFAULT_WAVE_TIMELINE);
+            return;
+        }
+
+        this.timeline = this.normalizeTimeline(source);
+        this.reset();
+    }
+
+    /**
+     * Resolves time strings and drops phases/events that can't run, warning about each
+     * @param {Object} timeline - Timeline from config
+     * @returns {Object} Timeline with times in seconds
+     */
+    normalizeTimeline(timeline) {
+        const name = timeline.name || 'timeline';
+
+        const phases = (timeline.phases || [])
+            .map(phase => ({ ...phase, start: parseTimelineTime(phase.start ?? 0) }))
+            .filter(phase => {
+                if (Number.isNaN(phase.start) || phase.spawnInterval === undefined || phase.spawnCount === undefined) {
+                    console.warn(`Wave timeline "${name}": skipping phase with missing start/spawnInterval/spawnCount`);
+                    return false;
+                }
+                return this.checkEnemyTypes(name, phase.enemyTypes);
+            })
+            .sort((a, b) => a.start - b.start);
+
+        if (phases.length === 0) {
+            console.warn(`Wave timeline "${name}" has no usable phases - ambient spawning is off`);
+        }
+
+        const events = (timeline.events || []).map(event => ({
+            ...event,
+            time: event.time !== undefined ? parseTimelineTime(event.time) : undefined,
+            duration: event.duration !== undefined ? parseTimelineTime(event.duration) : undefined,
+            repeat: event.repeat ? {
+                every: parseTimelineTime(event.repeat.every),
+                until: event.repeat.until !== undefined ? parseTimelineTime(event.repeat.until) : Infinity
+            } : null
+        })).filter(event => {
+            if (!EVENT_TYPES.includes(event.type)) {
+                console.warn(`Wave timeline "${name}": unknown event type ${event.type}`);
+                return false;
+            }
+            if (Number.isNaN(event.time) || (event.time === undefined && typeof event.beforeBoss !== 'number')) {
+                console.warn(`Wave timeline "${name}": ${event.type} event needs a time or beforeBoss`);
+                return false;
+            }
+            if (event.type === 'modifier' && !(event.duration > 0)) {
+                console.warn(`Wave timeline "${name}": modifier event needs a duration`);
+                return false;
+            }
+            if (event.repeat && !(event.repeat.every > 0)) {
+                console.warn(`Wave timeline "${name}": ${event.type} event has an invalid repeat interval`);
+                return false;
+            }
+            return this.checkEnemyTypes(name, event.enemyTypes);
+        });
+
+        return {
+            name,
+            maxEnemies: timeline.maxEnemies ?? Infinity,
+            minEventGap: parseTimelineTime(timeline.minEventGap ?? 0) || 0,
+            bossRespawnDelay: timeline.bossRespawnDelay,
+            phases,
+            events
+        };
+    }
+
+    /**
+     * @param {string} name - Timeline name (for the warning)
+     * @param {Object} [enemyTypes] - { type: weight }
+     * @returns {boolean} False (after warning) if a type doesn't exist
+     */
+    checkEnemyTypes(name, enemyTypes) {
+        const unknown = Object.keys(enemyTypes || {}).filter(type => !isKnownEnemyType(type));
+        if (unknown.length > 0) {
+            console.warn(`Wave timeline "${name}": unknown enemy type(s) ${unknown.join(', ')}`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Restarts the timeline
+     */
+    reset() {
+        this.eventStates = this.timeline.events.map(event => ({
+            nextTime: event.time ?? null,
+            lastBossTime: null
+        }));
+        this.activeModifiers = [];
+        this.lastEventTime = -Infinity;
+    }
+
+    /**
+     * @returns {Object} Serializable timeline progress
+     */
+    getState() {
+        return {
+            timeline: this.timeline.name,
+            eventStates: this.eventStates.map(state => ({ ...state })),
+            activeModifiers: this.activeModifiers.map(modifier => ({ ...modifier })),
+            lastEventTime: Number.isFinite(this.lastEventTime) ? this.lastEventTime : null
+        };
+    }
+
+    /**
+     * Restores timeline progress saved by getState()
+     * @param {Object} state - Saved state
+     */
+    setState(state) {
+        if (!state) return;
+        if (state.timeline !== this.timeline.name || state.eventStates.length !== this.eventStates.length) {
+            console.warn(`Saved wave state doesn't match timeline "${this.timeline.name}" - restarting it`);
+            return;
+        }
+        this.eventStates = state.eventStates.map(saved => ({
+            nextTime: saved.nextTime ?? null,
+            lastBossTime: saved.lastBossTime ?? null
+        }));
+        this.activeModifiers = state.activeModifiers.map(modifier => ({ ...modifier }));
+        this.lastEventTime = state.lastEventTime ?? -Infinity;
+    }
+
+    /**
+     * Seconds between a boss kill and the next boss
+     * @param {number} fallback - Used when the timeline doesn't set one
+     * @returns {number}
+     */
+    getBossRespawnDelay(fallback) {
+        return this.timeline.bossRespawnDelay ?? fallback;
+    }
+
+    /**
+     * Combined effect of the active modifier events
+     * @returns {Object} Every field of MODIFIER_DEFAULTS
+     */
+    getModifiers() {
+        const combined = { ...MODIFIER_DEFAULTS };
+        for (const { index } of this.activeModifiers) {
+            const modifiers = this.timeline.events[index].modifiers || {};
+            combined.spawnRateMultiplier *= modifiers.spawnRateMultiplier ?? 1;
+            combined.spawnCountBonus += modifiers.spawnCountBonus || 0;
+            combined.maxEnemiesBonus += modifiers.maxEnemiesBonus || 0;
+            combined.enemySpeedMultiplier *= modifiers.enemySpeedMultiplier ?? 1;
+            combined.eliteChanceBonus += modifiers.eliteChanceBonus || 0;
+        }
+        return combined;
+    }
+
+    /**
+     * Ambient spawn settings at a point in the run, with active modifiers applied
+     * @param {number} gameTime - Run time in seconds
+     * @returns {{interval: number, count: number, maxEnemies: number, enemyTypes: Object|null}}
+     *          interval is Infinity while ambient spawns are paused
+     */
+    getSpawnSettings(gameTime) {
+        const { phases } = this.timeline;
+        let phase = null;
+        for (const candidate of phases) {
+            if (candidate.start > gameTime) break;
+            phase = candidate;
+        }
+        if (!phase) {
+            return { interval: Infinity, count: 0, maxEnemies: 0, enemyTypes: null };
+        }
+
+        const elapsed = gameTime - phase.start;
+        const modifiers = this.getModifiers();
+        const interval = evaluateRamp(phase.spawnInterval, elapsed);
+
+        return {
+            interval: modifiers.spawnRateMultiplier > 0 ? Math.max(1, Math.round(interval / modifiers.spawnRateMultiplier)) : Infinity,
+            count: Math.max(0, Math.floor(evaluateRamp(phase.spawnCount, elapsed)) + modifiers.spawnCountBonus),
+            maxEnemies: Math.min(this.timeline.maxEnemies, (phase.maxEnemies ?? this.timeline.maxEnemies) + modifiers.maxEnemiesBonus),
+            enemyTypes: phase.enemyTypes || null
+        };
+    }
+
+    /**
+     * Picks an enemy type from a weight table
+     * @param {Object} enemyTypes - { type: weight }
+     * @returns {string}
+     */
+    pickEnemyType(enemyTypes) {
+        const types = Object.keys(enemyTypes);
+        const totalWeight = types.reduce((sum, type) => sum + enemyTypes[type], 0);
+        let roll = this.rng.next() * totalWeight;
+        for (const type of types) {
+            roll -= enemyTypes[type];
+            if (roll < 0) return type;
+        }
+        return types[types.length - 1];
+    }
+
+    /**
+     * Expires modifiers and fires every event that is due
+     * @param {Object} context - Update context
+     * @param {Array} context.enemies - All enemies
+     * @param {Object} context.player - Player
+     * @param {number} context.gameTime - Run time in seconds
+     * @param {boolean} context.bossActive - A boss is on the field or about to arrive
+     * @param {number|null} context.nextBossTime - Scheduled time of the next boss respawn
+     * @param {Function} context.spawnEnemy - ({ type, x, y }) => enemy
+     * @param {Function} context.spawnBoss - (event) => void, queues a boss
+     * @param {Function} [context.announce] - (event) => void, shows the event's HUD message
+     */
+    update(context) {
+        const { gameTime } = context;
+        this.activeModifiers = this.activeModifiers.filter(modifier => modifier.endsAt > gameTime);
+
+        const upcomingBossTime = this.getUpcomingBossTime(context.nextBossTime);
+
+        this.timeline.events.forEach((event, index) => {
+            const state = this.eventStates[index];
+
+            if (event.beforeBoss !== undefined && event.time === undefined) {
+                if (upcomingBossTime === null || state.lastBossTime === upcomingBossTime) return;
+                if (upcomingBossTime - gameTime > event.beforeBoss) return;
+                if (!this.canFire(event, context)) return;
+                state.lastBossTime = upcomingBossTime;
+                this.fireEvent(event, index, context);
+                return;
+            }
+
+            if (state.nextTime === null || gameTime < state.nextTime) return;
+            if (!this.canFire(event, context)) return;
+
+            this.fireEvent(event, index, context);
+            // Repeats count from when the event actually fired, so one held back by a boss fight
+            // doesn't double up with its next occurrence
+            const next = event.repeat ? gameTime + event.repeat.every : null;
+            state.nextTime = next !== null && next <= event.repeat.until ? next : null;
+        });
+    }
+
+    /**
+     * @param {number|null} nextBossTime - Scheduled boss respawn
+     * @returns {number|null} Earliest upcoming boss arrival (timeline boss event or respawn)
+     */
+    getUpcomingBossTime(nextBossTime) {
+        let upcoming = nextBossTime ?? null;
+        this.timeline.events.forEach((event, index) => {
+            const nextTime = this.eventStates[index].nextTime;
+            if (event.type === 'boss' && nextTime !== null && (upcoming === null || nextTime < upcoming)) {
+                upcoming = nextTime;
+            }
+        });
+        return upcoming;
+    }
+
+    /**
+     * Due events wait while a boss is on the field (bosses always do; others unless duringBoss)
+     * and, bosses aside, until minEventGap has passed since the last event
+     * @param {Object} event - Timeline event
+     * @param {Object} context - Update context
+     * @returns {boolean}
+     */
+    canFire(event, { bossActive, gameTime }) {
+        if (event.type === 'boss') {
+            return !bossActive;
+        }
+        if (bossActive && !event.duringBoss) {
+            return false;
+        }
+        return gameTime - this.lastEventTime >= this.timeline.minEventGap;
+    }
+
+    /**
+     * @param {Object} event - Timeline event
+     * @param {number} index - Event index in the timeline
+     * @param {Object} context - Update context (see update)
+     */
+    fireEvent(event, index, context) {
+        switch (event.type) {
+            case 'swarm':
+                this.spawnSwarm(event, context);
+                break;
+            case 'line':
+                this.spawnLine(event, context);
+                break;
+            case 'modifier':
+                this.activeModifiers.push({ index, endsAt: context.gameTime + (event.duration || 0) });
+                break;
+            case 'boss':
+                context.spawnBoss(event);
+                break;
+        }
+        this.lastEventTime = context.gameTime;
+
+        if (event.announce && context.announce) {
+            context.announce(event);
+        }
+    }
+
+    /**
+     * @param {Object} context - Update context
+     * @param {number} requested - Enemies the event wants
+     * @returns {number} How many fit under the timeline's hard cap
+     */
+    getSpawnBudget({ enemies }, requested) {
+        return Math.max(0, Math.min(requested, this.timeline.maxEnemies - enemies.length));
+    }
+
+    /**
+     * Rings the player with evenly spaced enemies
+     * @param {Object} event - Swarm event
+     * @param {Object} context - Update context
+     */
+    spawnSwarm(event, context) {
+        const { player, spawnEnemy } = context;
+        const count = this.getSpawnBudget(context, event.count || 12);
+        const radius = event.radius || 400;
+        const startAngle = this.rng.next() * Math.PI * 2;
+
+        for (let i = 0; i < count; i++) {
+            const angle = startAngle + (Math.PI * 2 * i) / count;
+            spawnEnemy({
+                type: event.enemyTypes ? this.pickEnemyType(event.enemyTypes) : undefined,
+                x: player.x + Math.cos(angle) * radius,
+                y: player.y + Math.sin(angle) * radius
+            });
+        }
+    }
+
+    /**
+     * Sends a row of enemies charging past the player from a random side
+     * @param {Object} event - Line event
+     * @param {Object} context - Update context
+     */
+    spawnLine(event, context) {
+        const { player, spawnEnemy } = context;
+        const count = this.getSpawnBudget(context, event.count || 8);
+        const spacing = event.spacing || 35;
+        const speedMultiplier = event.speedMultiplier || 2;
+
+        // Travel direction, and the perpendicular the row is laid out along
+        const side = Math.floor(this.rng.next() * 4);
+        const dirX = [1, -1, 0, 0][side];
+        const dirY = [0, 0, 1, -1][side];
+        const offset = (this.rng.next() * 2 - 1) * LINE_MAX_OFFSET;
+        const centerX = player.x - dirX * LINE_SPAWN_DISTANCE + dirY * offset;
+        const centerY = player.y - dirY * LINE_SPAWN_DISTANCE + dirX * offset;
+
+        for (let i = 0; i < count; i++) {
+            const along = (i - (count - 1) / 2) * spacing;
+            const enemy = spawnEnemy({
+                type: event.enemyTypes ? this.pickEnemyType(event.enemyTypes) : undefined,
+                x: centerX + dirY * along,
+                y: centerY + dirX * along
+            });
+            if (!enemy) continue;
+
+            const speed = enemy.speed * speedMultiplier;
+            enemy.crossing = {
+                vx: dirX * speed,
+                vy: dirY * speed,
+                framesLeft: Math.ceil((LINE_SPAWN_DISTANCE * 2) / speed)
+            };
+        }
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * Meta Progression
+ * Rules for the shards and permanent upgrades in config/meta-upgrades.js: what a run earns,
+ * what a level costs, and how a loadout (upgrade id -> level owned) changes a fresh player.
+ * Persistence lives in utils/meta-progress-storage.js; everything here is pure so replays and
+ * headless runs can apply a recorded loadout without touching localStorage.
+ */
+
+import { META_REWARDS, META_UPGRADES } from '../../config/meta-upgrades.js';
+
+/**
+ * Shards earned by a finished run
+ * @param {Object} stats - Score data ({ time, bossesKilled, chestsCollected })
+ * @returns {number}
+ */
+export function calculateRunReward(stats) {
+    if (!stats) return 0;
+    const minutes = Math.floor((stats.time || 0) / 60);
+    return minutes * META_REWARDS.perMinute +
+        (stats.bossesKilled || 0) * META_REWARDS.perBoss +
+        (stats.chestsCollected || 0) * META_REWARDS.perChest;
+}
+
+/**
+ * Price of the next level of an upgrade
+ * @param {string} upgradeId - Key in META_UPGRADES
+ * @param {number} level - Levels already owned
+ * @returns {number|null} Cost, or null if the upgrade is unknown or maxed
+ */
+export function getUpgradeCost(upgradeId, level) {
+    const upgrade = META_UPGRADES[upgradeId];
+    if (!upgrade || level >= upgrade.maxLevel) return null;
+    return upgrade.baseCost + upgrade.costStep * level;
+}
+
+/**
+ * Shards spent on an upgrade's owned levels (what a refund gives back)
+ * @param {string} upgradeId - Key in META_UPGRADES
+ * @param {number} level - Levels owned
+ * @returns {number}
+ */
+export function getUpgradeSpent(upgradeId, level) {
+    let spent = 0;
+    for (let owned = 0; owned < level; owned++) {
+        spent += getUpgradeCost(upgradeId, owned) ?? 0;
+    }
+    return spent;
+}
+
+/**
+ * Drops unknown upgrades and empty levels and clamps the rest to their max level
+ * @param {Object} [loadout] - Upgrade id -> level
+ * @returns {Object} Clean copy
+ */
+export function normalizeLoadout(loadout) {
+    const normalized = {};
+    if (!loadout || typeof loadout !== 'object') return normalized;
+
+    Object.entries(loadout).forEach(([upgradeId, level]) => {
+        const upgrade = META_UPGRADES[upgradeId];
+        const owned = Math.min(Math.floor(Number(level) || 0), upgrade?.maxLevel ?? 0);
+        if (owned > 0) {
+            normalized[upgradeId] = owned;
+        }
+    });
+    return normalized;
+}
+
+/**
+ * @param {Object} [loadout] - Upgrade id -> level
+ * @returns {boolean} Whether the loadout boosts the run at all
+ */
+export function isBoostedLoadout(loadout) {
+    return Object.keys(normalizeLoadout(loadout)).length > 0;
+}
+
+/**
+ * Effect of each upgrade's perLevel times the levels owned
+ * @param {Object} [loadout] - Upgrade id -> level
+ * @returns {Object} { maxHealth, speed, startingOrbs, rerollCharges, dashCooldown }
+ */
+export function getLoadoutBonuses(loadout) {
+    const owned = normalizeLoadout(loadout);
+    const bonuses = {};
+    Object.keys(META_UPGRADES).forEach(upgradeId => {
+        bonuses[upgradeId] = (owned[upgradeId] || 0) * META_UPGRADES[upgradeId].perLevel;
+    });
+    return bonuses;
+}
+
+/**
+ * Applies a loadout to a player that has just been reset (starting orbs are handled by
+ * the game when it scatters them)
+ * @param {Object} player - Player state from resetPlayerState()
+ * @param {Object} [loadout] - Upgrade id -> level
+ */
+export function applyMetaLoadout(player, loadout) {
+    const bonuses = getLoadoutBonuses(loadout);
+
+    player.maxHealth += bonuses.maxHealth;
+    player.health += bonuses.maxHealth;
+    player.speed *= 1 + bonuses.speed;
+    player.rerollCharges += bonuses.rerollCharges;
+    player.dashCooldownMax = Math.max(1, Math.round(player.dashCooldownMax * (1 - bonuses.dashCooldown)));
+}
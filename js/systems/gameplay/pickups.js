@@ -1,12 +1,23 @@
 /**
  * Pickup System
  * Manages XP orbs, HP orbs, and magnet orbs spawning, collection, and behavior
+ * Pickups are reported as orbCollected / chestOpened events (core/events.js)
  */
 
-import { PICKUP_SPAWNS, PASSIVES } from '../../config/constants.js';
+import { PICKUP_SPAWNS, PASSIVES, COLLISION } from '../../config/constants.js';
+import { SeededRandom } from '../../utils/rng.js';
+import { SpatialGrid } from '../../utils/spatial-grid.js';
+import { GameEventBus } from '../../core/events.js';
 
 export class PickupSystem {
-    constructor() {
+    /**
+     * @param {SeededRandom} [rng] - Shared gameplay RNG
+     * @param {GameEventBus} [events] - Gameplay event bus
+     */
+    constructor(rng = new SeededRandom(), events = new GameEventBus()) {
+        this.rng = rng;
+        this.events = events;
+
         // Spawn timers and configuration
         this.hpOrbSpawnTimer = 0;
         this.hpOrbSpawnRate = 120; // frames between HP orb spawn chances (2 seconds)
@@ -31,6 +42,12 @@ export class PickupSystem {
         this.hintPulseFramesRemaining = 0;
         this.hintPulseCooldownTimer = this.pickupHintDelay;
 
+        // XP orbs pile up in the hundreds late in a run; only the ones around the player are
+        // pulled in or collected
+        this.xpOrbGrid = new SpatialGrid(COLLISION.GRID_CELL_SIZE);
+        this.nearbyXPOrbs = [];
+        this.collectedXPOrbs = new Set();
+
         // Object pools (will be injected)
         this.xpOrbPool = null;
         this.hpOrbPool = null;
@@ -51,7 +68,8 @@ export class PickupSystem {
         const stacks = this.getMagnetStacks(player);
         const perStack = PASSIVES?.MAGNET?.rangePerStack ?? 40;
         const baseRange = PASSIVES?.MAGNET?.baseRange ?? 80;
-        return baseRange + stacks * perStack;
+        // Characters can start with extra pickup range
+        return baseRange + stacks * perStack + (player.magnetRangeBonus || 0);
     }
 
     /**
@@ -83,33 +101,44 @@ export class PickupSystem {
             return;
         }
 
-        // Use reverse iteration for safe and efficient removal
-        for (let i = xpOrbs.length - 1; i >= 0; i--) {
-            const orb = xpOrbs[i];
+        // Player magnet effect (enhanced when magnetBoost is active)
+        let magnetRange = this.getBaseMagnetRange(player);
+
+        // Enhanced magnet range and strength when magnetBoost is active
+        if (player.magnetBoost > 0) {
+            magnetRange = 2000; // Large range when magnet boost is active
+        }
+
+        const magnetRangeSquared = magnetRange * magnetRange;
+        const attractionSpeed = player.magnetBoost > 0 ? 12 : 4; // Triple speed with boost (50% faster than double)
+        const collected = this.collectedXPOrbs;
+        collected.clear();
+
+        // Magnetize orbs in range (the collection radius is inside every magnet range)
+        this.xpOrbGrid.rebuild(xpOrbs);
+        for (const orb of this.xpOrbGrid.query(player.x, player.y, magnetRange, this.nearbyXPOrbs)) {
             const dx = player.x - orb.x;
             const dy = player.y - orb.y;
             const distanceSquared = dx * dx + dy * dy;
 
-            // Player magnet effect (enhanced when magnetBoost is active)
-            let magnetRange = this.getBaseMagnetRange(player);
-
-            // Enhanced magnet range and strength when magnetBoost is active
-            if (player.magnetBoost > 0) {
-                magnetRange = 2000; // Large range when magnet boost is active
-            }
-
-            const magnetRangeSquared = magnetRange * magnetRange;
             if (distanceSquared < magnetRangeSquared) {
                 const distance = cachedSqrt(distanceSquared); // Only calculate sqrt when needed
-                const attractionSpeed = player.magnetBoost > 0 ? 12 : 4; // Triple speed with boost (50% faster than double)
                 orb.x += (dx / distance) * attractionSpeed;
                 orb.y += (dy / distance) * attractionSpeed;
             }
 
-            orb.glow = (orb.glow + 0.2) % (Math.PI * 2);
-
             // Collect orb (optimized comparison)
             if (distanceSquared < 225) { // 15 * 15 = 225
+                collected.add(orb);
+            }
+        }
+
+        // Use reverse iteration for safe and efficient removal
+        for (let i = xpOrbs.length - 1; i >= 0; i--) {
+            const orb = xpOrbs[i];
+            orb.glow = (orb.glow + 0.2) % (Math.PI * 2);
+
+            if (collected.has(orb)) {
                 player.xp += orb.value;
 
                 // Update trail multiplier based on XP progress
@@ -117,6 +146,8 @@ export class PickupSystem {
                 const xpProgress = player.xp / xpRequired;
                 player.trailMultiplier = 1.0 + (xpProgress * 3.0);
 
+                this.events.emit('orbCollected', { kind: 'xp', orb });
+
                 // Return to pool instead of creating garbage
                 orb.active = false;
                 xpOrbs.splice(i, 1);
@@ -133,11 +164,9 @@ export class PickupSystem {
      * @param {Array} hpOrbs - HP orb array
      * @param {Object} player - Player object
      * @param {Function} cachedSqrt - Cached square root function
-     * @param {Function} showToastNotification - Toast notification callback
      * @param {boolean} bossDefeating - Skip updates during boss defeat
-     * @param {Object} audioManager - Audio manager for sound effects
      */
-    updateHPOrbs(hpOrbs, player, cachedSqrt, showToastNotification, bossDefeating, audioManager) {
+    updateHPOrbs(hpOrbs, player, cachedSqrt, bossDefeating) {
         this.updatePickupHintPulse();
 
         // Skip HP orb collection during boss defeat animation
@@ -172,15 +201,7 @@ export class PickupSystem {
                 player.health = Math.min(player.maxHealth, player.health + healAmount);
                 const actualHeal = player.health - oldHealth;
 
-                // Show healing notification if we actually healed
-                if (actualHeal > 0 && showToastNotification) {
-                    showToastNotification(`+${actualHeal} HP`, 'heal');
-                }
-
-                // Play pickup sound
-                if (audioManager) {
-                    audioManager.playSound('upgrade');
-                }
+                this.events.emit('orbCollected', { kind: 'hp', orb, healed: actualHeal });
 
                 // Return to pool
                 orb.active = false;
@@ -195,11 +216,9 @@ export class PickupSystem {
      * @param {Array} magnetOrbs - Magnet orb array
      * @param {Object} player - Player object
      * @param {Function} cachedSqrt - Cached square root function
-     * @param {Function} showToastNotification - Toast notification callback
      * @param {boolean} bossDefeating - Skip updates during boss defeat
-     * @param {Object} audioManager - Audio manager for sound effects
      */
-    updateMagnetOrbs(magnetOrbs, player, cachedSqrt, showToastNotification, bossDefeating, audioManager) {
+    updateMagnetOrbs(magnetOrbs, player, cachedSqrt, bossDefeating) {
         // Skip magnet orb collection during boss defeat animation
         if (bossDefeating) {
             return;
@@ -229,15 +248,7 @@ export class PickupSystem {
                 // Activate magnet boost until all XP orbs are absorbed
                 player.magnetBoost = 1;
 
-                // Show magnet activation notification
-                if (showToastNotification) {
-                    showToastNotification(`MAGNET ACTIVATED!`, 'magnet');
-                }
-
-                // Play pickup sound
-                if (audioManager) {
-                    audioManager.playSound('upgrade');
-                }
+                this.events.emit('orbCollected', { kind: 'magnet', orb });
 
                 // Return to pool
                 orb.active = false;
@@ -288,7 +299,7 @@ export class PickupSystem {
             }
 
             // Random chance to spawn HP orb
-            if (Math.random() < this.hpOrbSpawnChance) {
+            if (this.rng.next() < this.hpOrbSpawnChance) {
                 return true; // Signal to create HP orb
             }
         }
@@ -307,8 +318,8 @@ export class PickupSystem {
         const orb = getPooledHPOrb();
         if (orb) {
             // Spawn at random angle and distance from player
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 300 + Math.random() * 500; // 300-800 units away
+            const angle = this.rng.next() * Math.PI * 2;
+            const distance = 300 + this.rng.next() * 500; // 300-800 units away
             orb.x = player.x + fastCos(angle) * distance;
             orb.y = player.y + fastSin(angle) * distance;
             orb.healAmount = 30;
@@ -340,7 +351,7 @@ export class PickupSystem {
             }
 
             // Random chance to spawn magnet orb
-            if (Math.random() < this.hpOrbSpawnChance) { // Same probability as HP orbs
+            if (this.rng.next() < this.hpOrbSpawnChance) { // Same probability as HP orbs
                 return true; // Signal to create magnet orb
             }
         }
@@ -359,8 +370,8 @@ export class PickupSystem {
         const orb = getPooledMagnetOrb();
         if (orb) {
             // Spawn at random angle and distance from player
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 300 + Math.random() * 500; // 300-800 units away
+            const angle = this.rng.next() * Math.PI * 2;
+            const distance = 300 + this.rng.next() * 500; // 300-800 units away
             orb.x = player.x + fastCos(angle) * distance;
             orb.y = player.y + fastSin(angle) * distance;
             magnetOrbs.push(orb);
@@ -372,10 +383,9 @@ export class PickupSystem {
      * @param {Array} chestOrbs - Chest orb array
      * @param {Object} player - Player object
      * @param {Function} cachedSqrt - Cached square root function
-     * @param {Function} onChestCollected - Callback when chest is collected
      * @param {boolean} bossDefeating - Skip updates during boss defeat
      */
-    updateChestOrbs(chestOrbs, player, cachedSqrt, onChestCollected, bossDefeating) {
+    updateChestOrbs(chestOrbs, player, cachedSqrt, bossDefeating) {
         // Skip chest orb collection during boss defeat animation
         if (bossDefeating) {
             return;
@@ -409,10 +419,8 @@ export class PickupSystem {
 
             // Collect chest (40 unit radius = 1600 squared)
             if (distanceSquared < 1600) {
-                // Trigger chest modal callback
-                if (onChestCollected) {
-                    onChestCollected(orb);
-                }
+                player.chestsCollected = (player.chestsCollected || 0) + 1;
+                this.events.emit('chestOpened', { orb, total: player.chestsCollected });
 
                 // Return to pool
                 orb.active = false;
@@ -447,7 +455,7 @@ export class PickupSystem {
             }
 
             // Random chance to spawn chest orb (100% when timer triggers)
-            if (Math.random() < this.chestOrbSpawnChance) {
+            if (this.rng.next() < this.chestOrbSpawnChance) {
                 return true; // Signal to create chest orb
             }
         }
@@ -455,21 +463,27 @@ export class PickupSystem {
     }
 
     /**
-     * Creates a chest orb at a random location
+     * Creates a chest orb at a random location (or at a given one, e.g. an elite's drop)
      * @param {Array} chestOrbs - Chest orb array
      * @param {Object} player - Player object for positioning
      * @param {Function} getPooledChestOrb - Object pool getter
      * @param {Function} fastCos - Fast cosine function
      * @param {Function} fastSin - Fast sine function
+     * @param {{x: number, y: number}} [position] - Fixed spawn position
      */
-    createChestOrb(chestOrbs, player, getPooledChestOrb, fastCos, fastSin) {
+    createChestOrb(chestOrbs, player, getPooledChestOrb, fastCos, fastSin, position = null) {
         const orb = getPooledChestOrb();
         if (orb) {
-            // Spawn at random angle and distance from player (400-1000 units)
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 400 + Math.random() * 600;
-            orb.x = player.x + fastCos(angle) * distance;
-            orb.y = player.y + fastSin(angle) * distance;
+            if (position) {
+                orb.x = position.x;
+                orb.y = position.y;
+            } else {
+                // Spawn at random angle and distance from player (400-1000 units)
+                const angle = this.rng.next() * Math.PI * 2;
+                const distance = 400 + this.rng.next() * 600;
+                orb.x = player.x + fastCos(angle) * distance;
+                orb.y = player.y + fastSin(angle) * distance;
+            }
             orb.life = 0; // Reset lifetime counter
             orb.active = true;
             chestOrbs.push(orb);
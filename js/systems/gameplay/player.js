@@ -4,16 +4,21 @@
  */
 
 import { PASSIVES } from '../../config/constants.js';
+import { GameEventBus } from '../../core/events.js';
 
 export class PlayerSystem {
-    constructor() {
-        // No internal state - operates on player object passed to methods
+    /**
+     * @param {GameEventBus} [events] - Gameplay event bus (levelUp, playerDamaged)
+     */
+    constructor(events = new GameEventBus()) {
+        // No run state - operates on player object passed to methods
+        this.events = events;
     }
 
     /**
      * Updates player movement, dash mechanics, and animation
      * @param {Object} player - Player state object
-     * @param {Object} inputManager - Input manager reference
+     * @param {Object} inputManager - Input manager, or a replay input source with the same keys/touchControls/isMobile shape
      * @param {Object} animationController - Animation controller reference
      * @param {Object} spriteConfig - Sprite configuration
      * @param {Function} cachedSqrt - Cached square root function
@@ -106,7 +111,7 @@ export class PlayerSystem {
 
             player.x += dashX;
             player.y += dashY;
-            player.dashCooldown = 30;
+            player.dashCooldown = player.dashCooldownMax;
             player.invulnerable = 30;
             createDashParticles();
 
@@ -216,6 +221,8 @@ export class PlayerSystem {
             const xpProgress = player.xp / ((player.level) * 5 + 10);
             player.trailMultiplier = 1.0 + (xpProgress * 3.0);
 
+            this.events.emit('levelUp', { level: player.level });
+
             // Defer level up if boss is being defeated or victory screen is active
             if (bossDefeating || bossVictoryInProgress) {
                 return true; // Return true to indicate pending level up
@@ -256,9 +263,10 @@ export class PlayerSystem {
      * Applies damage to player with armor reduction
      * @param {Object} player - Player state object
      * @param {number} damage - Raw damage amount
+     * @param {string} [source='explosion'] - playerDamaged source (see core/events.js)
      * @returns {number} Actual damage applied after armor
      */
-    applyDamage(player, damage) {
+    applyDamage(player, damage, source = 'explosion') {
         // Skip if invulnerable
         if (player.invulnerable > 0) return 0;
 
@@ -276,6 +284,8 @@ export class PlayerSystem {
         // Set invulnerability frames
         player.invulnerable = 60; // 1 second of invulnerability
 
+        this.events.emit('playerDamaged', { amount: actualDamage, source });
+
         return actualDamage;
     }
 
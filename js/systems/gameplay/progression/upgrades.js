@@ -4,7 +4,9 @@
  * Extracted from vibe-survivor-game.js during Phase 9 refactoring
  */
 
-import { WEAPONS, PASSIVES, WEAPON_UPGRADES } from '../../../config/constants.js';
+import { PASSIVES, WEAPON_UPGRADES } from '../../../config/constants.js';
+import { SeededRandom } from '../../../utils/rng.js';
+import { weaponRegistry } from '../weapons/weapon-registry.js';
 
 const NORMAL_PASSIVE_WEIGHT = 4;
 const UNIQUE_PASSIVE_WEIGHT = 1;
@@ -13,8 +15,12 @@ const UNIQUE_PASSIVE_WEIGHT = 1;
  * UpgradeSystem - Manages upgrade choices and passive abilities
  */
 export class UpgradeSystem {
-    constructor() {
-        // No internal state - operates on data passed to methods
+    /**
+     * @param {SeededRandom} [rng] - Shared gameplay RNG (upgrade draws)
+     */
+    constructor(rng = new SeededRandom()) {
+        // No run state - operates on data passed to methods
+        this.rng = rng;
     }
 
     /**
@@ -22,11 +28,15 @@ export class UpgradeSystem {
      * @param {Array} weapons - Current weapons
      * @param {Object} passives - Current passives
      * @param {number} choiceCount - Number of choices to offer (default: 3)
+     * @param {string} upgradeType - 'all', 'weapons' or 'passives'
+     * @param {Object} [banished] - { weapons, passives } types/keys left out of the pool
      * @returns {Array} Array of upgrade choice objects
      */
-    getUpgradeChoices(weapons, passives, choiceCount = 3, upgradeType = 'all') {
+    getUpgradeChoices(weapons, passives, choiceCount = 3, upgradeType = 'all', banished = {}) {
+        const banishedWeapons = banished.weapons || [];
+        const banishedPassives = banished.passives || [];
         const choices = [];
-        const availableWeapons = Object.keys(WEAPONS);
+        const availableWeapons = weaponRegistry.getOfferedTypes();
         const availablePassives = Object.keys(PASSIVES);
 
         // Build pool of possible upgrades with optional weighting
@@ -39,7 +49,7 @@ export class UpgradeSystem {
         if (upgradeType === 'all' || upgradeType === 'weapons') {
             // Add existing weapon upgrades (if not max level)
             weapons.forEach(weapon => {
-                if (weapon.level < WEAPON_UPGRADES.MAX_LEVEL) {
+                if (weapon.level < WEAPON_UPGRADES.MAX_LEVEL && !banishedWeapons.includes(weapon.type)) {
                     addChoiceToPool({
                         type: 'weapon_upgrade',
                         weaponType: weapon.type,
@@ -52,15 +62,14 @@ export class UpgradeSystem {
 
             // Add new weapons (if not at max weapons and weapon not already owned)
             if (weapons.length < WEAPON_UPGRADES.MAX_WEAPONS) {
-                availableWeapons.forEach(weaponKey => {
-                    const weaponType = weaponKey.toLowerCase();
+                availableWeapons.forEach(weaponType => {
                     const hasWeapon = weapons.some(w => w.type === weaponType);
 
-                    if (!hasWeapon) {
+                    if (!hasWeapon && !banishedWeapons.includes(weaponType)) {
                         addChoiceToPool({
                             type: 'weapon_new',
                             weaponType: weaponType,
-                            weaponName: WEAPONS[weaponKey].name,
+                            weaponName: weaponRegistry.getName(weaponType),
                             id: `new_${weaponType}`
                         });
                     }
@@ -75,6 +84,10 @@ export class UpgradeSystem {
                 const passiveId = passiveKey.toLowerCase();
                 const currentStacks = passives[passiveId] || 0;
 
+                if (banishedPassives.includes(passiveId)) {
+                    return; // Banished for the rest of the run
+                }
+
                 // Check if passive can be added/stacked
                 if (!passive.stackable && currentStacks > 0) {
                     return; // Skip non-stackable passives that are already acquired
@@ -106,7 +119,7 @@ export class UpgradeSystem {
                 break;
             }
 
-            let randomWeight = Math.random() * totalWeight;
+            let randomWeight = this.rng.next() * totalWeight;
             let selectedIndex = 0;
 
             for (let i = 0; i < poolCopy.length; i++) {
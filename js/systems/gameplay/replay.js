@@ -0,0 +1,312 @@
+/**
+ * Replay System
+ * Records per-frame movement/dash input plus upgrade choices into a compact log,
+ * and feeds that log back so a run can be re-simulated frame-for-frame from its seed
+ */
+
+import { GAME_INFO } from '../../config/constants.js';
+
+export const REPLAY_FORMAT_VERSION = 1;
+
+// Input state packed into one integer per frame
+const KEY_BITS = [
+    ['w', 1],
+    ['s', 2],
+    ['a', 4],
+    ['d', 8],
+    ['arrowup', 16],
+    ['arrowdown', 32],
+    ['arrowleft', 64],
+    ['arrowright', 128],
+    [' ', 256]
+];
+const DASH_BUTTON_BIT = 512;
+const JOYSTICK_BIT = 1024;
+
+// Joystick offsets (pixels, radius 50) are quantized to 0.1px so live play and playback see identical values
+const JOYSTICK_SCALE = 10;
+
+/**
+ * Creates an input source with the same shape PlayerSystem.updatePlayer reads from InputManager
+ * @returns {Object} Input source
+ */
+function createInputSource() {
+    return {
+        keys: {},
+        touchControls: {
+            joystick: { active: false, moveX: 0, moveY: 0 },
+            dashButton: { pressed: false }
+        },
+        isMobile: false
+    };
+}
+
+/**
+ * Writes a packed frame into an input source
+ * @param {Object} source - Input source to fill
+ * @param {number} bits - Packed key/button bits
+ * @param {number} joyX - Quantized joystick X
+ * @param {number} joyY - Quantized joystick Y
+ * @returns {Object} The filled input source
+ */
+function decodeFrame(source, bits, joyX, joyY) {
+    KEY_BITS.forEach(([key, bit]) => {
+        source.keys[key] = (bits & bit) !== 0;
+    });
+
+    const joystickActive = (bits & JOYSTICK_BIT) !== 0;
+    source.isMobile = joystickActive;
+    source.touchControls.joystick.active = joystickActive;
+    source.touchControls.joystick.moveX = joystickActive ? joyX / JOYSTICK_SCALE : 0;
+    source.touchControls.joystick.moveY = joystickActive ? joyY / JOYSTICK_SCALE : 0;
+    source.touchControls.dashButton.pressed = (bits & DASH_BUTTON_BIT) !== 0;
+    return source;
+}
+
+/**
+ * ReplayRecorder - Captures the input a live run consumes
+ */
+export class ReplayRecorder {
+    constructor() {
+        this.active = false;
+        this.seed = 0;
+        this.frame = 0;
+        // Run-length encoded input: flat [count, bits, (joyX, joyY)] groups
+        this.inputs = [];
+        // [frame, type, index] - applied at the frame boundary after `frame` inputs
+        this.events = [];
+
+        this.lastBits = -1;
+        this.lastJoyX = 0;
+        this.lastJoyY = 0;
+        this.lastCountIndex = -1;
+        this.source = createInputSource();
+    }
+
+    /**
+     * Begins a fresh recording
+     * @param {number} seed - RNG seed of the run
+     */
+    start(seed) {
+        this.active = true;
+        this.seed = seed;
+        this.frame = 0;
+        this.inputs = [];
+        this.events = [];
+        this.lastBits = -1;
+        this.lastCountIndex = -1;
+    }
+
+    /**
+     * Stops recording (input is still captured so live play keeps working)
+     */
+    stop() {
+        this.active = false;
+    }
+
+    /**
+     * Captures this frame's input from the InputManager
+     * @param {Object} inputManager - Live input manager
+     * @returns {Object} Quantized input source to feed PlayerSystem
+     */
+    captureFrame(inputManager) {
+        const { keys, touchControls, isMobile } = inputManager;
+
+        let bits = 0;
+        KEY_BITS.forEach(([key, bit]) => {
+            if (keys[key]) bits |= bit;
+        });
+        if (touchControls.dashButton.pressed) bits |= DASH_BUTTON_BIT;
+
+        let joyX = 0;
+        let joyY = 0;
+        if (isMobile && touchControls.joystick.active) {
+            bits |= JOYSTICK_BIT;
+            joyX = Math.round(touchControls.joystick.moveX * JOYSTICK_SCALE);
+            joyY = Math.round(touchControls.joystick.moveY * JOYSTICK_SCALE);
+        }
+
+        if (this.active) {
+            this.appendFrame(bits, joyX, joyY);
+        }
+
+        return decodeFrame(this.source, bits, joyX, joyY);
+    }
+
+    /**
+     * Appends a frame to the run-length encoded log
+     * @param {number} bits - Packed key/button bits
+     * @param {number} joyX - Quantized joystick X
+     * @param {number} joyY - Quantized joystick Y
+     */
+    appendFrame(bits, joyX, joyY) {
+        const hasJoystick = (bits & JOYSTICK_BIT) !== 0;
+        const sameAsLast = bits === this.lastBits &&
+            (!hasJoystick || (joyX === this.lastJoyX && joyY === this.lastJoyY));
+
+        if (sameAsLast) {
+            this.inputs[this.lastCountIndex]++;
+        } else {
+            this.lastCountIndex = this.inputs.length;
+            this.inputs.push(1, bits);
+            if (hasJoystick) {
+                this.inputs.push(joyX, joyY);
+            }
+            this.lastBits = bits;
+            this.lastJoyX = joyX;
+            this.lastJoyY = joyY;
+        }
+
+        this.frame++;
+    }
+
+    /**
+     * Records a decision made while the simulation was halted (level up, chest, victory)
+     * @param {string} type - Event type
+     * @param {number} index - Chosen option index
+     */
+    recordEvent(type, index = 0) {
+        if (!this.active) return;
+        this.events.push([this.frame, type, index]);
+    }
+
+    /**
+     * Snapshot of an in-progress recording (for mid-run save/resume)
+     * @returns {Object|null} Serializable state, or null when not recording
+     */
+    getState() {
+        if (!this.active) return null;
+        return {
+            seed: this.seed,
+            frame: this.frame,
+            inputs: this.inputs.slice(),
+            events: this.events.map(event => event.slice()),
+            lastBits: this.lastBits,
+            lastJoyX: this.lastJoyX,
+            lastJoyY: this.lastJoyY,
+            lastCountIndex: this.lastCountIndex
+        };
+    }
+
+    /**
+     * Continues a recording captured with getState()
+     * @param {Object} state - State from getState()
+     */
+    setState(state) {
+        if (!state) return;
+        this.active = true;
+        this.seed = state.seed >>> 0;
+        this.frame = state.frame;
+        this.inputs = state.inputs.slice();
+        this.events = state.events.map(event => event.slice());
+        this.lastBits = state.lastBits;
+        this.lastJoyX = state.lastJoyX;
+        this.lastJoyY = state.lastJoyY;
+        this.lastCountIndex = state.lastCountIndex;
+    }
+
+    /**
+     * Builds the serializable replay log
+     * @returns {Object|null} Replay data, or null if nothing was recorded
+     */
+    finish() {
+        if (this.frame === 0) return null;
+        return {
+            formatVersion: REPLAY_FORMAT_VERSION,
+            gameVersion: GAME_INFO.VERSION,
+            seed: this.seed,
+            frames: this.frame,
+            inputs: this.inputs.slice(),
+            events: this.events.map(event => event.slice())
+        };
+    }
+}
+
+/**
+ * ReplayPlayer - Feeds a recorded log back into the simulation
+ */
+export class ReplayPlayer {
+    /**
+     * @param {Object} replay - Replay data from ReplayRecorder.finish()
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.totalFrames = replay.frames || 0;
+        this.source = createInputSource();
+        this.rewind();
+    }
+
+    /**
+     * Checks whether a log can be played by this build
+     * @param {Object} replay - Replay data
+     * @returns {boolean}
+     */
+    static isPlayable(replay) {
+        return !!replay &&
+            replay.formatVersion === REPLAY_FORMAT_VERSION &&
+            Array.isArray(replay.inputs) &&
+            Array.isArray(replay.events) &&
+            typeof replay.seed === 'number';
+    }
+
+    /**
+     * Restarts playback from frame 0
+     */
+    rewind() {
+        this.frame = 0;
+        this.inputCursor = 0;
+        this.runRemaining = 0;
+        this.eventCursor = 0;
+        this.bits = 0;
+        this.joyX = 0;
+        this.joyY = 0;
+    }
+
+    /**
+     * Returns the input for the next frame and advances
+     * @returns {Object} Input source for PlayerSystem
+     */
+    nextInput() {
+        const inputs = this.replay.inputs;
+
+        if (this.runRemaining === 0 && this.inputCursor < inputs.length) {
+            this.runRemaining = inputs[this.inputCursor];
+            this.bits = inputs[this.inputCursor + 1];
+            this.inputCursor += 2;
+            if ((this.bits & JOYSTICK_BIT) !== 0) {
+                this.joyX = inputs[this.inputCursor];
+                this.joyY = inputs[this.inputCursor + 1];
+                this.inputCursor += 2;
+            }
+        }
+
+        if (this.runRemaining > 0) {
+            this.runRemaining--;
+        } else {
+            // Past the end of the log - stand still
+            this.bits = 0;
+        }
+
+        this.frame++;
+        return decodeFrame(this.source, this.bits, this.joyX, this.joyY);
+    }
+
+    /**
+     * Takes the next event due at the current frame boundary
+     * @returns {Object|null} Event ({ type, index }) or null
+     */
+    takeDueEvent() {
+        const event = this.replay.events[this.eventCursor];
+        if (!event || event[0] > this.frame) return null;
+        this.eventCursor++;
+        return { type: event[1], index: event[2] };
+    }
+
+    /**
+     * Checks whether all recorded frames have been played
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.frame >= this.totalFrames;
+    }
+}
@@ -0,0 +1,195 @@
+/**
+ * Run Snapshot
+ * Captures the full simulation state of a live run (player, weapons incl. merge state,
+ * passives, enemies and bosses, projectiles, orbs, spawn/boss timers, wave timeline and boss rush
+ * progress, RNG, character, permanent-upgrade loadout and any level-up/chest choices on offer) as plain JSON
+ * so it can be suspended to localStorage and resumed later on the same seed.
+ */
+
+import { GAME_INFO } from '../../config/constants.js';
+
+// Run-scoped scalars owned by the game instance itself
+const GAME_FIELDS = [
+    'gameTime',
+    'frameCount',
+    'lastSpawn',
+    'spawnRate',
+    'waveMultiplier',
+    'bossLevel',
+    'bossesKilled',
+    'bossSpawned',
+    'nextBossSpawnTime',
+    'pendingBossSpawn',
+    'bossRespawnDelay',
+    'pendingLevelUps',
+    'maxWeaponSlots',
+    'hpOrbSpawnTimer',
+    'magnetOrbSpawnTimer'
+];
+
+const ENEMY_SYSTEM_FIELDS = ['frameCount', 'lastSpawn', 'spawnRate', 'bossSpawned', 'nextBossSpawnTime'];
+
+const PICKUP_SYSTEM_FIELDS = [
+    'hpOrbSpawnTimer',
+    'magnetOrbSpawnTimer',
+    'chestOrbSpawnTimer',
+    'hintPulseActive',
+    'hintPulseFramesRemaining',
+    'hintPulseCooldownTimer'
+];
+
+// Entity arrays restored in place - other systems hold references to them
+const ENTITY_ARRAYS = ['weapons', 'enemies', 'xpOrbs', 'hpOrbs', 'magnetOrbs', 'chestOrbs'];
+
+function pick(source, fields) {
+    const values = {};
+    fields.forEach(field => {
+        values[field] = source[field];
+    });
+    return values;
+}
+
+function assign(target, values, fields) {
+    fields.forEach(field => {
+        if (values[field] !== undefined) {
+            target[field] = values[field];
+        }
+    });
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function replaceContents(target, items) {
+    target.length = 0;
+    items.forEach(item => target.push(item));
+}
+
+/**
+ * Captures a live run
+ * @param {Object} game - Game instance
+ * @returns {Object} Serializable snapshot
+ */
+export function createRunSnapshot(game) {
+    const enemyIndex = new Map(game.enemies.map((enemy, index) => [enemy, index]));
+
+    // Homing and pierce-upgraded projectiles point at enemy objects - store those links as enemy indices
+    const projectiles = game.projectiles.map(projectile => {
+        const { targetEnemy, target, piercedEnemies, ...rest } = projectile;
+        const copy = clone(rest);
+        if ('targetEnemy' in projectile) {
+            copy.targetEnemyIndex = enemyIndex.has(targetEnemy) ? enemyIndex.get(targetEnemy) : -1;
+        }
+        if ('target' in projectile) {
+            copy.targetIndex = enemyIndex.has(target) ? enemyIndex.get(target) : -1;
+        }
+        if (piercedEnemies) {
+            copy.piercedEnemyIndices = piercedEnemies.filter(enemy => enemyIndex.has(enemy)).map(enemy => enemyIndex.get(enemy));
+        }
+        return copy;
+    });
+
+    const entities = {};
+    ENTITY_ARRAYS.forEach(key => {
+        entities[key] = clone(game[key]);
+    });
+
+    return {
+        schemaVersion: GAME_INFO.RUN_SAVE_SCHEMA_VERSION,
+        gameVersion: GAME_INFO.VERSION,
+        savedAt: new Date().toISOString(),
+        seed: game.runSeed,
+        gameMode: game.gameMode,
+        characterId: game.characterId,
+        metaLoadout: { ...game.metaLoadout },
+        rng: game.rng.getState(),
+        game: pick(game, GAME_FIELDS),
+        engineTime: game.engineTimer ? game.engineTimer.getTime() : game.gameTime,
+        enemySystem: pick(game.enemySystem, ENEMY_SYSTEM_FIELDS),
+        waveDirector: game.enemySystem.waveDirector.getState(),
+        bossRush: game.enemySystem.bossRush.getState(),
+        pickupSystem: pick(game.pickupSystem, PICKUP_SYSTEM_FIELDS),
+        player: clone(game.player),
+        weaponStats: clone(game.weaponStats),
+        killStats: clone(game.killStats),
+        ...entities,
+        projectiles,
+        // Already rolled from the RNG - resuming has to offer these, not roll new ones
+        upgradeChoices: game.getOpenUpgradeChoices ? clone(game.getOpenUpgradeChoices()) : null,
+        replay: game.replayRecorder ? game.replayRecorder.getState() : null
+    };
+}
+
+/**
+ * Checks that a snapshot was written by a compatible build and has every section
+ * @param {Object} snapshot - Parsed snapshot
+ * @returns {boolean}
+ */
+export function isRunSnapshotCompatible(snapshot) {
+    return !!snapshot &&
+        snapshot.schemaVersion === GAME_INFO.RUN_SAVE_SCHEMA_VERSION &&
+        typeof snapshot.seed === 'number' &&
+        typeof snapshot.gameMode === 'string' &&
+        typeof snapshot.characterId === 'string' &&
+        !!snapshot.metaLoadout &&
+        !!snapshot.rng &&
+        !!snapshot.game &&
+        !!snapshot.player &&
+        !!snapshot.weaponStats &&
+        !!snapshot.killStats &&
+        !!snapshot.waveDirector &&
+        !!snapshot.bossRush &&
+        Array.isArray(snapshot.projectiles) &&
+        ENTITY_ARRAYS.every(key => Array.isArray(snapshot[key]));
+}
+
+/**
+ * Loads a snapshot into a game that has just been reset on the same seed (and game mode)
+ * @param {Object} game - Game instance (after resetGame())
+ * @param {Object} snapshot - Snapshot from createRunSnapshot()
+ */
+export function restoreRunSnapshot(game, snapshot) {
+    const data = clone(snapshot);
+
+    game.runSeed = data.seed >>> 0;
+    game.rng.setState(data.rng);
+    assign(game, data.game, GAME_FIELDS);
+    assign(game.enemySystem, data.enemySystem, ENEMY_SYSTEM_FIELDS);
+    game.enemySystem.waveDirector.setState(data.waveDirector);
+    game.enemySystem.bossRush.setState(data.bossRush);
+    assign(game.pickupSystem, data.pickupSystem, PICKUP_SYSTEM_FIELDS);
+    if (game.engineTimer) {
+        game.engineTimer.gameTime = data.engineTime;
+    }
+
+    // Player sprite/trail fields are accessors onto AnimationController and aren't saved
+    Object.assign(game.player, data.player);
+    Object.keys(game.weaponStats).forEach(key => delete game.weaponStats[key]);
+    Object.assign(game.weaponStats, data.weaponStats);
+    Object.assign(game.killStats, data.killStats);
+
+    ENTITY_ARRAYS.forEach(key => replaceContents(game[key], data[key]));
+
+    const projectiles = data.projectiles.map(({ targetEnemyIndex, targetIndex, piercedEnemyIndices, ...projectile }) => {
+        if (targetEnemyIndex !== undefined) {
+            projectile.targetEnemy = game.enemies[targetEnemyIndex] || null;
+        }
+        if (targetIndex !== undefined) {
+            projectile.target = game.enemies[targetIndex] || null;
+        }
+        if (piercedEnemyIndices) {
+            projectile.piercedEnemies = piercedEnemyIndices.map(index => game.enemies[index]);
+        }
+        return projectile;
+    });
+    replaceContents(game.projectiles, projectiles);
+
+    if (game.replayRecorder) {
+        if (data.replay) {
+            game.replayRecorder.setState(data.replay);
+        } else {
+            game.replayRecorder.stop();
+        }
+    }
+}
@@ -73,24 +73,17 @@ export class ProjectileSystem {
      * @param {Object} projectile - Projectile to return
      */
     returnToPool(projectile) {
-        // Reset projectile properties
-        projectile.x = 0;
-        projectile.y = 0;
-        projectile.vx = 0;
-        projectile.vy = 0;
-        projectile.damage = 0;
-        projectile.life = 0;
-        projectile.targetEnemy = null;
-        projectile.target = null;
-        projectile.hitCount = 0;
-        projectile.owner = 'player'; // CRITICAL: Reset to player to prevent boss missiles from attacking player when reused
-        projectile.type = '';
-        projectile.homing = false;
-        projectile.isMine = false;
-        projectile.pulseOffset = 0;
-        projectile.burnDamage = 0;
-        projectile.burnDuration = 0;
-        projectile.isNapalm = false;
+        // Reset every property to its fresh value. Weapons attach extra fields (dotDamage,
+        // homingStrength, ...) that would otherwise leak into the next weapon reusing this
+        // object - and make a run depend on pool history, which save/resume can't reproduce.
+        // A fresh owner of 'player' also stops reused boss missiles from attacking the player.
+        const fresh = this.createProjectileObject();
+        for (const key of Object.keys(projectile)) {
+            if (!(key in fresh)) {
+                delete projectile[key];
+            }
+        }
+        Object.assign(projectile, fresh);
 
         // Return to pool if not at capacity
         if (this.pool.length < this.poolSize) {
@@ -184,12 +177,14 @@ export class ProjectileSystem {
      * @param {Object} context - Game context with required callbacks
      * @param {Object} context.player - Player object
      * @param {Array} context.enemies - Array of enemies
+     * @param {SpatialGrid} [context.enemyGrid] - Enemy spatial grid (fast lookup of homing targets)
      * @param {Function} context.cachedSqrt - Cached sqrt function
      * @param {Function} context.findNearestEnemy - Find nearest enemy function
      * @param {Function} context.createExplosion - Explosion creation callback
      */
     updateProjectiles(projectiles, context) {
-        const { player, enemies, cachedSqrt, findNearestEnemy, createExplosion } = context;
+        const { player, enemies, enemyGrid, cachedSqrt, findNearestEnemy, createExplosion } = context;
+        const enemyExists = enemy => (enemyGrid ? enemyGrid.has(enemy) : enemies.includes(enemy));
 
         // Use reverse iteration for safe removal
         for (let i = projectiles.length - 1; i >= 0; i--) {
@@ -199,7 +194,7 @@ export class ProjectileSystem {
             switch (projectile.type) {
                 case 'missile':
                     if (projectile.homing && projectile.targetEnemy) {
-                        const targetStillExists = enemies.includes(projectile.targetEnemy);
+                        const targetStillExists = enemyExists(projectile.targetEnemy);
 
                         if (targetStillExists) {
                             projectile.targetX = projectile.targetEnemy.x;
@@ -249,7 +244,7 @@ export class ProjectileSystem {
 
                 case 'homing_laser':
                     if (projectile.homing && projectile.targetEnemy) {
-                        const targetStillExists = enemies.includes(projectile.targetEnemy);
+                        const targetStillExists = enemyExists(projectile.targetEnemy);
 
                         if (targetStillExists) {
                             const dx = projectile.targetEnemy.x - projectile.x;
@@ -0,0 +1,358 @@
+/**
+ * Weapon Archetypes
+ * Reusable projectile patterns behind every weapon. A weapon definition picks one with
+ * fire.archetype and tunes it with the rest of its fire block (see config/weapons.js), so
+ * new weapons are mostly data: only a genuinely new firing pattern needs code here.
+ *
+ * Each archetype's fire() is called once per projectile slot by WeaponSystem.fireWeapon():
+ *   fire(weapon, definition, shot, context, rng)
+ *     shot    - { dx, dy, distance } aim towards the nearest enemy (fanned per slot), plus target
+ *     context - Fire context passed to fireWeapon() (player, enemies, enemy grid, pool, math helpers, callbacks)
+ *     rng     - Shared gameplay RNG; call order is part of the seeded run, keep it stable
+ * Archetypes flagged oncePerShot handle all of weapon.projectileCount themselves and only run
+ * for the first slot.
+ * Every archetype also takes fire.status ({ id, damageMultiplier, ...}): a status effect from
+ * config/status-effects.js applied on each hit, ticking for damageMultiplier x hit damage.
+ */
+
+/**
+ * Resolves a { base, everyLevels } count against a weapon level
+ * @param {Object} count - Count spec
+ * @param {number} level - Weapon level
+ * @returns {number}
+ */
+function resolveCount(count, level) {
+    return count.base + (count.everyLevels ? Math.floor(level / count.everyLevels) : 0);
+}
+
+/**
+ * Nearest enemies to the player, closest first
+ * @param {Object} context - Fire context
+ * @param {number} count - Minimum number of targets to keep (at least 8 are kept)
+ * @returns {Array<Object>}
+ */
+function getNearestTargets(context, count) {
+    const { player, enemies, cachedSqrt } = context;
+    return enemies.slice().sort((a, b) => {
+        const distA = cachedSqrt((a.x - player.x) ** 2 + (a.y - player.y) ** 2);
+        const distB = cachedSqrt((b.x - player.x) ** 2 + (b.y - player.y) ** 2);
+        return distA - distB;
+    }).slice(0, Math.max(count, 8));
+}
+
+/**
+ * Applies the optional burn modifier of a fire block to a projectile
+ * 'ignite' adds a damage-over-time hit, 'stack' makes sticky napalm stacks
+ * @param {Object} projectile - Projectile being launched
+ * @param {Object} weapon - Firing weapon
+ * @param {Object} burn - fire.burn
+ */
+function applyBurn(projectile, weapon, burn) {
+    if (burn.mode === 'ignite') {
+        projectile.dotDamage = weapon.damage * burn.damageMultiplier;
+    } else if (burn.mode === 'stack') {
+        projectile.isNapalm = true;
+        projectile.burnDamage = weapon.burnDamage || burn.damage;
+        projectile.burnDuration = weapon.burnDuration || burn.duration;
+        projectile.maxBurnStacks = weapon.maxBurnStacks || burn.maxStacks;
+    }
+}
+
+/**
+ * Takes a pooled projectile and fills in the fields shared by every archetype, including the
+ * stacked upgrade branch bonuses (weapon.areaMultiplier, pierceBonus, igniteMultiplier)
+ * @param {Object} weapon - Firing weapon
+ * @param {Object} definition - Weapon definition
+ * @param {Object} context - Fire context
+ * @param {number} damage - Projectile damage
+ * @returns {Object} Projectile (not yet added)
+ */
+function launch(weapon, definition, context, damage) {
+    const { fire } = definition;
+    const projectile = context.getPooledProjectile();
+    const area = weapon.areaMultiplier || 1;
+
+    projectile.x = context.player.x;
+    projectile.y = context.player.y;
+    projectile.damage = damage;
+    projectile.life = fire.life;
+    projectile.type = fire.projectile;
+    projectile.color = definition.render.color;
+    if (fire.size !== undefined) projectile.size = fire.size * area;
+    if (fire.piercing !== undefined) projectile.piercing = fire.piercing;
+    // Pooled projectiles keep old fields, so the pass-through flag is always set
+    projectile.pierces = Boolean(fire.piercing);
+    if (weapon.pierceBonus) {
+        projectile.pierceLeft = weapon.pierceBonus;
+        projectile.piercedEnemies = [];
+    }
+    if (fire.explosionRadius) projectile.explosionRadius = fire.explosionRadius * area;
+    if (fire.setBaseSpeed) projectile.baseSpeed = weapon.projectileSpeed;
+    projectile.cluster = fire.cluster || null;
+    if (fire.burn) {
+        applyBurn(projectile, weapon, fire.burn);
+    } else if (weapon.igniteMultiplier) {
+        projectile.dotDamage = weapon.damage * weapon.igniteMultiplier;
+    }
+    projectile.status = fire.status || null;
+    projectile.sourceType = weapon.type;
+
+    return projectile;
+}
+
+/**
+ * Runs one chain from a starting enemy, damaging each link (and its surroundings for bursts)
+ * @returns {{chainTargets: Array<{x: number, y: number}>, chainCount: number}}
+ */
+function runChain(weapon, fire, firstTarget, context) {
+    const { enemies, enemyGrid, cachedSqrt, recordDamage, createHitParticles, statusEffects } = context;
+    const nearby = (x, y, radius) => (enemyGrid ? enemyGrid.query(x, y, radius) : enemies);
+    const hitEnemies = new Set();
+
+    // Chains deal their damage directly, so vulnerability and fire.status are handled here
+    const hit = enemy => {
+        const damage = statusEffects ? weapon.damage * statusEffects.getDamageTakenMultiplier(enemy) : weapon.damage;
+        enemy.health -= damage;
+        if (recordDamage) {
+            recordDamage(weapon.type, damage, enemy);
+        }
+        if (fire.status && statusEffects) {
+            statusEffects.applyWeaponStatus(enemy, fire.status, weapon.damage, weapon.type);
+        }
+    };
+    const maxChains = resolveCount(fire.chains, weapon.level);
+    const chainTargets = [];
+    let currentTarget = firstTarget;
+    let chainCount = 0;
+
+    while (currentTarget && chainCount < maxChains) {
+        hitEnemies.add(currentTarget);
+        hit(currentTarget);
+
+        chainTargets.push({
+            x: currentTarget.x,
+            y: currentTarget.y
+        });
+
+        // Bursts also hit everything around each link at full damage
+        if (fire.burst) {
+            const burstRadius = (weapon.explosionRadius || fire.burst.radius) * (weapon.areaMultiplier || 1);
+            nearby(currentTarget.x, currentTarget.y, burstRadius).forEach(enemy => {
+                if (enemy !== currentTarget) {
+                    const dx = enemy.x - currentTarget.x;
+                    const dy = enemy.y - currentTarget.y;
+                    if (cachedSqrt(dx * dx + dy * dy) <= burstRadius) {
+                        hit(enemy);
+                        if (createHitParticles) {
+                            createHitParticles(enemy.x, enemy.y, fire.burst.particleColor);
+                        }
+                    }
+                }
+            });
+        }
+
+        // Jump to the nearest enemy not yet hit
+        let nextTarget = null;
+        let nearestDistance = Infinity;
+
+        nearby(currentTarget.x, currentTarget.y, fire.chainRange).forEach(enemy => {
+            if (!hitEnemies.has(enemy)) {
+                const dx = enemy.x - currentTarget.x;
+                const dy = enemy.y - currentTarget.y;
+                const distance = cachedSqrt(dx * dx + dy * dy);
+                if (distance < nearestDistance && distance <= fire.chainRange) {
+                    nearestDistance = distance;
+                    nextTarget = enemy;
+                }
+            }
+        });
+
+        currentTarget = nextTarget;
+        chainCount++;
+    }
+
+    return { chainTargets, chainCount };
+}
+
+export const WEAPON_ARCHETYPES = {
+    /**
+     * One projectile flying straight at the aim point
+     * fire: speedMultiplier, piercing, explosionRadius, setBaseSpeed, burn
+     */
+    straight: {
+        fire(weapon, definition, shot, context) {
+            const { fastCos, fastSin, addProjectile } = context;
+            const angle = Math.atan2(shot.dy, shot.dx);
+            const speed = weapon.projectileSpeed * (definition.fire.speedMultiplier || 1);
+            const projectile = launch(weapon, definition, context, weapon.damage);
+
+            projectile.vx = fastCos(angle) * speed;
+            projectile.vy = fastSin(angle) * speed;
+
+            addProjectile(projectile);
+        }
+    },
+
+    /**
+     * Evenly fanned volley around the aim point
+     * fire: count { base, everyLevels }, arc, damageMultiplier, speedMultiplier, piercing
+     */
+    spread: {
+        fire(weapon, definition, shot, context) {
+            const { fastCos, fastSin, addProjectile } = context;
+            const { fire } = definition;
+            const angle = Math.atan2(shot.dy, shot.dx);
+            const count = resolveCount(fire.count, weapon.level);
+            const speed = weapon.projectileSpeed * (fire.speedMultiplier || 1);
+
+            for (let i = 0; i < count; i++) {
+                const offsetAngle = angle + (i - Math.floor(count / 2)) * (fire.arc / count);
+                const projectile = launch(weapon, definition, context, weapon.damage * fire.damageMultiplier);
+
+                projectile.vx = fastCos(offsetAngle) * speed;
+                projectile.vy = fastSin(offsetAngle) * speed;
+
+                addProjectile(projectile);
+            }
+        }
+    },
+
+    /**
+     * Random cone of pellets with speed jitter (weapon.pelletCount overrides count.base)
+     * fire: count { base, everyLevels }, cone, speedRange [min, spread], damageMultiplier, sizeJitter, burn
+     */
+    scatter: {
+        fire(weapon, definition, shot, context, rng) {
+            const { fastCos, fastSin, addProjectile } = context;
+            const { fire } = definition;
+            const angle = Math.atan2(shot.dy, shot.dx);
+            const count = resolveCount({ ...fire.count, base: weapon.pelletCount || fire.count.base }, weapon.level);
+            const [minSpeed, speedSpread] = fire.speedRange;
+
+            for (let i = 0; i < count; i++) {
+                const pelletAngle = angle + (rng.next() - 0.5) * fire.cone;
+                const speed = weapon.projectileSpeed * (minSpeed + rng.next() * speedSpread);
+                const projectile = launch(weapon, definition, context, weapon.damage * (fire.damageMultiplier || 1));
+
+                projectile.vx = fastCos(pelletAngle) * speed;
+                projectile.vy = fastSin(pelletAngle) * speed;
+                if (fire.sizeJitter) {
+                    projectile.size = (fire.size + rng.next() * fire.sizeJitter) * (weapon.areaMultiplier || 1);
+                }
+
+                addProjectile(projectile);
+            }
+        }
+    },
+
+    /**
+     * Instant chain that jumps between nearby enemies - one chain per projectile slot, each
+     * starting on a different nearby enemy. Damage is dealt immediately; the projectile is visual.
+     * fire: chains { base, everyLevels }, chainRange, burst { radius, particleColor }
+     */
+    chain: {
+        oncePerShot: true,
+        fire(weapon, definition, shot, context) {
+            const { addProjectile } = context;
+            const count = weapon.projectileCount || 1;
+            const targets = getNearestTargets(context, count);
+
+            for (let i = 0; i < count; i++) {
+                const assignedTarget = targets[i % targets.length] || shot.target;
+                const { chainTargets, chainCount } = runChain(weapon, definition.fire, assignedTarget, context);
+                const projectile = launch(weapon, definition, context, weapon.damage);
+
+                projectile.targetX = assignedTarget.x;
+                projectile.targetY = assignedTarget.y;
+                projectile.chainTargets = chainTargets;
+                projectile.chainCount = chainCount;
+
+                addProjectile(projectile);
+            }
+        }
+    },
+
+    /**
+     * Homing projectiles spread across the nearest enemies
+     * fire: launch 'still' (starts at rest) or 'fan' (fans out at launchSpeed x speed, fanArc wide),
+     *       maxHits, explosionRadius, setBaseSpeed,
+     *       cluster { count, spread, radius, damageMultiplier } (missiles only - bomblets around each impact)
+     */
+    homing: {
+        fire(weapon, definition, shot, context) {
+            const { player, fastCos, fastSin, addProjectile } = context;
+            const { fire } = definition;
+            const count = weapon.projectileCount || 1;
+            const targets = getNearestTargets(context, count);
+
+            for (let i = 0; i < count; i++) {
+                const targetEnemy = targets[i % targets.length] || shot.target;
+                const projectile = launch(weapon, definition, context, weapon.damage);
+
+                if (fire.launch === 'fan') {
+                    const fanAngle = count > 1 ? (i / (count - 1) - 0.5) * fire.fanArc : 0;
+                    const angle = Math.atan2(targetEnemy.y - player.y, targetEnemy.x - player.x) + fanAngle;
+                    projectile.vx = fastCos(angle) * weapon.projectileSpeed * fire.launchSpeed;
+                    projectile.vy = fastSin(angle) * weapon.projectileSpeed * fire.launchSpeed;
+                } else {
+                    projectile.vx = 0;
+                    projectile.vy = 0;
+                }
+
+                projectile.homing = true;
+                projectile.targetEnemy = targetEnemy;
+                projectile.targetX = targetEnemy.x;
+                projectile.targetY = targetEnemy.y;
+                projectile.speed = weapon.projectileSpeed;
+                if (fire.maxHits) {
+                    projectile.hitCount = 0;
+                    projectile.maxHits = fire.maxHits;
+                }
+
+                addProjectile(projectile);
+            }
+        }
+    },
+
+    /**
+     * Multi-barrel volley - one barrel per weapon level, each locked onto a different enemy in range
+     * fire: damage { base, perLevel } (replaces weapon damage), range, barrelSpacing
+     */
+    barrage: {
+        fire(weapon, definition, shot, context) {
+            const { player, enemies, cachedSqrt, addProjectile } = context;
+            const { fire } = definition;
+            const barrelCount = weapon.level;
+
+            const targets = enemies
+                .map(enemy => {
+                    const dx = enemy.x - player.x;
+                    const dy = enemy.y - player.y;
+                    return { enemy, distance: cachedSqrt(dx * dx + dy * dy) };
+                })
+                .filter(target => target.distance <= fire.range)
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, barrelCount)
+                .map(target => target.enemy);
+
+            const damage = fire.damage.base + fire.damage.perLevel * (weapon.level - 1);
+
+            for (let barrel = 0; barrel < targets.length; barrel++) {
+                const target = targets[barrel];
+                const angle = Math.atan2(target.y - player.y, target.x - player.x);
+                const projectile = launch(weapon, definition, context, damage);
+
+                // Side-by-side barrels
+                const barrelOffset = (barrel - (barrelCount - 1) / 2) * fire.barrelSpacing;
+                projectile.x += Math.cos(angle + Math.PI / 2) * barrelOffset;
+                projectile.y += Math.sin(angle + Math.PI / 2) * barrelOffset;
+                projectile.vx = Math.cos(angle) * weapon.projectileSpeed;
+                projectile.vy = Math.sin(angle) * weapon.projectileSpeed;
+                projectile.range = weapon.range || fire.range;
+                projectile.active = true;
+
+                addProjectile(projectile);
+            }
+        }
+    }
+};
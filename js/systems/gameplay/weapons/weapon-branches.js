@@ -0,0 +1,135 @@
+/**
+ * Weapon Upgrade Branches
+ * Each weapon level-up applies one branch picked by the player (see WeaponSystem.upgradeWeapon()).
+ * The level itself still grows the projectile count; the branch decides what else improves.
+ * Which branches a weapon is offered depends on its fire block, so piercing beams are never
+ * offered Pierce and weapons without an area never roll Area.
+ *
+ * Each branch:
+ *   appliesTo(definition)      - Whether the branch can be offered for a weapon definition
+ *   apply(weapon, definition)  - Mutates the weapon; stacked effects live on the weapon object
+ *                                (pierceBonus, areaMultiplier, igniteMultiplier) and are read by launch()
+ */
+
+import { WEAPON_UPGRADES } from '../../../config/constants.js';
+
+const AREA_SCALE = 1.25;
+const COOLDOWN_SCALE = 0.85;
+const SPEED_SCALE = 1.25;
+const IGNITE_PER_RANK = 0.15;
+
+export const WEAPON_BRANCHES = {
+    /**
+     * The classic level-up: damage (and napalm burn) scale by the weapon's damage ramp
+     */
+    power: {
+        names: { en: 'Power', ko: '파워' },
+        descriptions: { en: '+{damage} damage', ko: '피해 +{damage}' },
+        // Barrage damage comes from its fire block, not weapon.damage
+        appliesTo: definition => definition.fire.archetype !== 'barrage',
+        apply(weapon, definition) {
+            weapon.damage = Math.floor(weapon.damage * (1 + getDamageScale(definition)));
+            if (weapon.burnDamage) {
+                weapon.burnDamage = Math.floor(weapon.burnDamage * (1 + WEAPON_UPGRADES.DAMAGE_PER_LEVEL));
+            }
+        }
+    },
+
+    /**
+     * Projectiles pass through one more enemy before they are spent
+     */
+    pierce: {
+        names: { en: 'Pierce', ko: '관통' },
+        descriptions: { en: 'Shots pierce +1 enemy', ko: '탄환이 적 1명 추가 관통' },
+        appliesTo: definition => ['straight', 'spread', 'scatter', 'barrage'].includes(definition.fire.archetype) &&
+            !definition.fire.piercing && !definition.fire.explosionRadius,
+        apply(weapon) {
+            weapon.pierceBonus = (weapon.pierceBonus || 0) + 1;
+        }
+    },
+
+    /**
+     * Bigger explosions, bursts, chain reach and pellets
+     */
+    area: {
+        names: { en: 'Area', ko: '범위' },
+        descriptions: { en: '+25% area', ko: '범위 +25%' },
+        appliesTo: definition => Boolean(definition.fire.explosionRadius || definition.fire.burst ||
+            definition.fire.archetype === 'scatter'),
+        apply(weapon) {
+            weapon.areaMultiplier = (weapon.areaMultiplier || 1) * AREA_SCALE;
+        }
+    },
+
+    /**
+     * Shorter time between shots
+     */
+    cooldown: {
+        names: { en: 'Cooldown', ko: '쿨다운' },
+        descriptions: { en: '-15% cooldown', ko: '쿨다운 -15%' },
+        appliesTo: () => true,
+        apply(weapon) {
+            weapon.fireRate = Math.max(2, Math.floor(weapon.fireRate * COOLDOWN_SCALE));
+        }
+    },
+
+    /**
+     * Faster projectiles (chains hit instantly, so they never roll this)
+     */
+    speed: {
+        names: { en: 'Velocity', ko: '탄속' },
+        descriptions: { en: '+25% projectile speed', ko: '탄속 +25%' },
+        appliesTo: definition => definition.fire.archetype !== 'chain',
+        apply(weapon) {
+            weapon.projectileSpeed *= SPEED_SCALE;
+        }
+    },
+
+    /**
+     * Hits set enemies on fire - for weapons that have no burn or explosion of their own
+     */
+    ignite: {
+        names: { en: 'Ignite', ko: '점화' },
+        descriptions: { en: 'Hits burn for +15% damage', ko: '명중 시 화상 피해 +15%' },
+        appliesTo: definition => !definition.fire.burn && !definition.fire.explosionRadius &&
+            definition.fire.archetype !== 'chain',
+        apply(weapon) {
+            weapon.igniteMultiplier = (weapon.igniteMultiplier || 0) + IGNITE_PER_RANK;
+        }
+    }
+};
+
+/**
+ * Damage gained per power level (some weapons override the ramp in their definition)
+ * @param {Object} definition - Weapon definition
+ * @returns {number}
+ */
+export function getDamageScale(definition) {
+    return definition?.upgrade?.damagePerLevel ?? WEAPON_UPGRADES.DAMAGE_PER_LEVEL;
+}
+
+/**
+ * Branch ids a weapon definition can be offered, in table order
+ * @param {Object} definition - Weapon definition
+ * @returns {Array<string>}
+ */
+export function getEligibleBranches(definition) {
+    return Object.keys(WEAPON_BRANCHES).filter(id => WEAPON_BRANCHES[id].appliesTo(definition));
+}
+
+/**
+ * Readable upgrade path, counting repeated picks
+ * @param {Array<string>} branches - Branch ids in pick order (weapon.branches)
+ * @param {string} [language='en'] - Language code
+ * @returns {string} e.g. "Power ×3 · Pierce", or '' before the first upgrade
+ */
+export function formatBranchPath(branches = [], language = 'en') {
+    const counts = new Map();
+    branches.forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+
+    return [...counts].map(([id, count]) => {
+        const names = WEAPON_BRANCHES[id]?.names;
+        const name = names ? (names[language] || names.en) : id;
+        return count > 1 ? `${name} ×${count}` : name;
+    }).join(' · ');
+}
@@ -0,0 +1,231 @@
+/**
+ * Weapon Registry
+ * Lookup of weapon definitions (config/weapons.js) by type, plus the merge recipes
+ * (config/merge-recipes.js) that combine them. Firing, upgrades, audio loading,
+ * HUD icons, the guide/help menus and projectile rendering all read weapons from here, so a new
+ * weapon is added by registering one definition instead of touching each system.
+ */
+
+import { WEAPON_DEFINITIONS } from '../../../config/weapons.js';
+import { MERGE_RECIPES } from '../../../config/merge-recipes.js';
+import { WEAPON_ARCHETYPES } from './weapon-archetypes.js';
+
+const CATEGORIES = ['base', 'evolution', 'merge'];
+const RECIPE_RESULT_CATEGORIES = ['merge', 'evolution'];
+
+export class WeaponRegistry {
+    constructor() {
+        this.definitions = new Map();
+        this.aliases = new Map();
+        this.renderStyles = new Map();
+        this.mergeRecipes = [];
+    }
+
+    /**
+     * Adds a weapon definition
+     * @param {Object} definition - Weapon definition (see config/weapons.js for the fields)
+     * @returns {boolean} True if it was registered
+     */
+    register(definition) {
+        const problem = this.validate(definition);
+        if (problem) {
+            console.error(`Invalid weapon definition ${definition?.type || '(no type)'}: ${problem}`);
+            return false;
+        }
+
+        if (this.definitions.has(definition.type)) {
+            console.warn(`Weapon ${definition.type} is already registered - replacing it`);
+        }
+
+        this.definitions.set(definition.type, definition);
+        (definition.aliases || []).forEach(alias => this.aliases.set(alias, definition.type));
+        this.renderStyles.set(definition.fire.projectile, definition.render.style);
+        return true;
+    }
+
+    /**
+     * @param {Object} definition - Weapon definition
+     * @returns {string|null} What is wrong with it, or null if it can be registered
+     */
+    validate(definition) {
+        if (!definition || typeof definition.type !== 'string') return 'missing type';
+        if (!CATEGORIES.includes(definition.category)) return `unknown category ${definition.category}`;
+        if (!definition.stats || typeof definition.stats.damage !== 'number') return 'missing stats';
+        if (!definition.fire || !WEAPON_ARCHETYPES[definition.fire.archetype]) {
+            return `unknown fire archetype ${definition.fire?.archetype}`;
+        }
+        if (!definition.fire.projectile) return 'missing fire.projectile';
+        if (!definition.render || !definition.render.style) return 'missing render style';
+        if (!definition.names?.en) return 'missing English name';
+        return null;
+    }
+
+    /**
+     * Adds a merge recipe (checked after the ones already registered)
+     * @param {Object} recipe - Merge recipe (see config/merge-recipes.js for the fields)
+     * @returns {boolean} True if it was registered
+     */
+    registerMergeRecipe(recipe) {
+        const problem = this.validateMergeRecipe(recipe);
+        if (problem) {
+            console.error(`Invalid merge recipe ${recipe?.result || '(no result)'}: ${problem}`);
+            return false;
+        }
+
+        this.mergeRecipes.push(recipe);
+        return true;
+    }
+
+    /**
+     * @param {Object} recipe - Merge recipe
+     * @returns {string|null} What is wrong with it, or null if it can be registered
+     */
+    validateMergeRecipe(recipe) {
+        if (!recipe || !RECIPE_RESULT_CATEGORIES.includes(this.get(recipe.result)?.category)) {
+            return `${recipe?.result} is not a registered merge or evolution weapon`;
+        }
+        if (!Array.isArray(recipe.inputs) || recipe.inputs.length === 0) return 'missing inputs';
+        const unknownInput = recipe.inputs.find(input => !this.has(input.type) || typeof input.minLevel !== 'number');
+        if (unknownInput) return `bad input ${unknownInput.type}`;
+        return null;
+    }
+
+    /**
+     * @returns {Array<Object>} Merge recipes in priority order
+     */
+    getMergeRecipes() {
+        return this.mergeRecipes;
+    }
+
+    /**
+     * @param {string} result - Merge or evolution weapon type
+     * @returns {Object|null} Recipe that creates it
+     */
+    getMergeRecipe(result) {
+        return this.mergeRecipes.find(recipe => recipe.result === result) || null;
+    }
+
+    /**
+     * @param {string} passiveKey - Passive key
+     * @returns {Array<Object>} Recipes that require this passive
+     */
+    getMergeRecipesForPassive(passiveKey) {
+        return this.mergeRecipes.filter(recipe => recipe.passive === passiveKey);
+    }
+
+    /**
+     * @param {string} type - Weapon type
+     * @returns {Array<Object>} Recipes that consume this weapon
+     */
+    getMergeRecipesUsing(type) {
+        return this.mergeRecipes.filter(recipe => recipe.inputs.some(input => input.type === type));
+    }
+
+    /**
+     * @param {string} type - Weapon type or legacy alias
+     * @returns {Object|null} Definition
+     */
+    get(type) {
+        return this.definitions.get(type) || this.definitions.get(this.aliases.get(type)) || null;
+    }
+
+    /**
+     * @param {string} type - Weapon type or legacy alias
+     * @returns {boolean}
+     */
+    has(type) {
+        return this.get(type) !== null;
+    }
+
+    /**
+     * @returns {Array<Object>} All definitions in registration order
+     */
+    getAll() {
+        return [...this.definitions.values()];
+    }
+
+    /**
+     * @param {string} [category] - Only this category ('base', 'evolution' or 'merge')
+     * @returns {Array<string>} Weapon types in registration order
+     */
+    getTypes(category) {
+        return this.getAll()
+            .filter(definition => !category || definition.category === category)
+            .map(definition => definition.type);
+    }
+
+    /**
+     * @returns {Array<string>} Base weapons that can be offered as a new weapon on level up
+     */
+    getOfferedTypes() {
+        return this.getAll()
+            .filter(definition => definition.category === 'base' && !definition.starter)
+            .map(definition => definition.type);
+    }
+
+    /**
+     * @param {string} type - Weapon type
+     * @returns {Object|null} { level, into } if the weapon evolves by levelling
+     */
+    getEvolution(type) {
+        return this.get(type)?.evolution || null;
+    }
+
+    /**
+     * @param {string} type - Weapon type
+     * @returns {string|null} Type of the weapon that evolves into this one
+     */
+    getEvolutionSource(type) {
+        const source = this.getAll().find(definition => definition.evolution?.into === type);
+        return source ? source.type : null;
+    }
+
+    /**
+     * @param {string} type - Weapon type
+     * @param {string} [language='en'] - Language code
+     * @returns {string} Localized name (English, then the type itself, as fallbacks)
+     */
+    getName(type, language = 'en') {
+        const names = this.get(type)?.names;
+        return names ? (names[language] || names.en) : type;
+    }
+
+    /**
+     * @param {string} type - Weapon type
+     * @param {string} [language='en'] - Language code
+     * @returns {string} Localized description, or '' if unknown
+     */
+    getDescription(type, language = 'en') {
+        const descriptions = this.get(type)?.descriptions;
+        return descriptions ? (descriptions[language] || descriptions.en) : '';
+    }
+
+    /**
+     * @param {string} type - Weapon type
+     * @returns {string} Icon path (basic missile icon for unknown types)
+     */
+    getIconPath(type) {
+        return (this.get(type) || this.get('basic')).icon;
+    }
+
+    /**
+     * @param {string} type - Weapon type
+     * @returns {Object|null} Sound definition { name, path, volume, onBurst }
+     */
+    getSound(type) {
+        return this.get(type)?.sound || null;
+    }
+
+    /**
+     * @param {string} projectileType - projectile.type
+     * @returns {string|null} Render style registered for it
+     */
+    getProjectileRenderStyle(projectileType) {
+        return this.renderStyles.get(projectileType) || null;
+    }
+}
+
+// Create singleton instance with the built-in weapons and merges
+export const weaponRegistry = new WeaponRegistry();
+WEAPON_DEFINITIONS.forEach(definition => weaponRegistry.register(definition));
+MERGE_RECIPES.forEach(recipe => weaponRegistry.registerMergeRecipe(recipe));
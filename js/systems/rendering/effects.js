@@ -1,6 +1,7 @@
 /**
  * Effects Manager
- * Manages screen-level visual effects like screen shake and red flash
+ * Manages screen-level visual effects like screen shake and red flash,
+ * plus the world-space warnings (telegraphs) bosses show before they attack
  */
 
 export class EffectsManager {
@@ -17,6 +18,9 @@ export class EffectsManager {
             decay: 0.9
         };
 
+        // Boss attack warnings, drawn in world space
+        this.telegraphs = [];
+
         // Quality settings (injected later)
         this.qualitySettings = null;
     }
@@ -149,12 +153,104 @@ export class EffectsManager {
         ctx.restore();
     }
 
+    /**
+     * Adds an attack warning that is drawn until it expires. Purely visual.
+     * @param {Object} telegraph - Telegraph
+     * @param {string} telegraph.kind - 'circle' (ground warning that fills up), 'line' (charge-up
+     *                                  line) or 'shockwave' (expanding ring)
+     * @param {number} telegraph.duration - Frames to show it
+     * @param {string} [telegraph.color='#FF3355'] - Color
+     * @param {Object} [telegraph.anchor] - Entity it follows (x/y become offsets from it); while the
+     *                                      anchor has health, the warning ends when it dies
+     * @param {Object} [telegraph.target] - Entity a line points at (instead of `angle`)
+     * @param {number} [telegraph.x=0] - X (or offset from the anchor)
+     * @param {number} [telegraph.y=0] - Y (or offset from the anchor)
+     * @param {number} [telegraph.radius] - Circle/shockwave radius
+     * @param {number} [telegraph.angle=0] - Line direction when there's no target
+     * @param {Array<number>} [telegraph.angles=[0]] - Line fan: offsets from the direction
+     * @param {number} [telegraph.length] - Line length
+     * @param {number} [telegraph.width] - Line width
+     */
+    addTelegraph(telegraph) {
+        this.telegraphs.push({ ...telegraph, age: 0 });
+    }
+
+    /**
+     * Ages telegraphs and drops expired ones (and ones whose anchor died)
+     */
+    updateTelegraphs() {
+        if (this.telegraphs.length === 0) return;
+
+        this.telegraphs = this.telegraphs.filter(telegraph => {
+            telegraph.age++;
+            const anchorDead = telegraph.anchor?.health !== undefined && telegraph.anchor.health <= 0;
+            return telegraph.age < telegraph.duration && !anchorDead;
+        });
+    }
+
+    /**
+     * Draws telegraphs. Call inside the camera transform.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawTelegraphs(ctx) {
+        if (this.telegraphs.length === 0) return;
+
+        for (const telegraph of this.telegraphs) {
+            const progress = Math.min(1, telegraph.age / telegraph.duration);
+            const x = (telegraph.anchor?.x || 0) + (telegraph.x || 0);
+            const y = (telegraph.anchor?.y || 0) + (telegraph.y || 0);
+            const color = telegraph.color || '#FF3355';
+
+            ctx.save();
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+
+            if (telegraph.kind === 'circle') {
+                const radius = telegraph.radius || 40;
+                ctx.globalAlpha = 0.15;
+                ctx.beginPath();
+                ctx.arc(x, y, radius * progress, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.globalAlpha = 0.4 + 0.4 * progress;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(x, y, radius, 0, Math.PI * 2);
+                ctx.stroke();
+            } else if (telegraph.kind === 'line') {
+                const baseAngle = telegraph.target
+                    ? Math.atan2(telegraph.target.y - y, telegraph.target.x - x)
+                    : (telegraph.angle || 0);
+                const length = telegraph.length || 400;
+                ctx.globalAlpha = 0.2 + 0.5 * progress;
+                ctx.lineWidth = (telegraph.width || 6) * (0.3 + 0.7 * progress);
+                ctx.lineCap = 'round';
+                ctx.setLineDash([12, 8]);
+                for (const offset of telegraph.angles || [0]) {
+                    const angle = baseAngle + offset;
+                    ctx.beginPath();
+                    ctx.moveTo(x, y);
+                    ctx.lineTo(x + Math.cos(angle) * length, y + Math.sin(angle) * length);
+                    ctx.stroke();
+                }
+            } else if (telegraph.kind === 'shockwave') {
+                ctx.globalAlpha = 1 - progress;
+                ctx.lineWidth = 6 * (1 - progress) + 1;
+                ctx.beginPath();
+                ctx.arc(x, y, (telegraph.radius || 300) * progress, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+
+            ctx.restore();
+        }
+    }
+
     /**
      * Updates all effects
      */
     update() {
         this.updateScreenShake();
         this.updateRedFlash();
+        this.updateTelegraphs();
     }
 
     /**
@@ -162,6 +258,7 @@ export class EffectsManager {
      */
     reset() {
         this.screenShake = null;
+        this.telegraphs = [];
         this.redFlash = {
             active: false,
             intensity: 0,
@@ -0,0 +1,222 @@
+/**
+ * Off-screen Indicator Renderer
+ * Pins arrows to the canvas edge for bosses, chests, HP/magnet orbs and dense enemy clusters
+ * the camera has culled, each with its distance from the player. Draws in screen space after
+ * the camera transform is restored; positions go through the camera so zoom is respected.
+ */
+
+import { OFFSCREEN_INDICATORS } from '../../config/offscreen-indicators.js';
+
+/**
+ * Formats a world distance for the readout (same scale as the boss bar pointer)
+ * @param {number} distance - World units
+ * @returns {string}
+ */
+function formatDistance(distance) {
+    return `${Math.round(distance / 10)}m`;
+}
+
+export class OffscreenIndicatorRenderer {
+    /**
+     * @param {Object} [config=OFFSCREEN_INDICATORS] - Indicator config
+     */
+    constructor(config = OFFSCREEN_INDICATORS) {
+        this.config = config;
+        this.preset = config.defaultPreset;
+        this.pulse = 0;
+        this.reset();
+    }
+
+    /**
+     * Clears cached clusters (new run)
+     */
+    reset() {
+        this.clusters = [];
+        this.clusterFrames = 0;
+    }
+
+    /**
+     * @param {string} preset - Key in config.presets
+     * @returns {boolean} Whether the preset exists
+     */
+    setPreset(preset) {
+        if (!this.config.presets[preset]) {
+            console.warn(`Off-screen indicators: unknown preset "${preset}"`);
+            return false;
+        }
+        this.preset = preset;
+        return true;
+    }
+
+    /**
+     * @returns {string} Active preset
+     */
+    getPreset() {
+        return this.preset;
+    }
+
+    /**
+     * @returns {string} Preset after the active one, wrapping around
+     */
+    getNextPreset() {
+        const presets = Object.keys(this.config.presets);
+        const index = presets.indexOf(this.preset);
+        return presets[(index + 1) % presets.length];
+    }
+
+    /**
+     * Draws the indicators for everything off screen
+     * @param {CanvasRenderingContext2D} ctx - Canvas context (no camera transform applied)
+     * @param {Object} view
+     * @param {Camera} view.camera - Game camera
+     * @param {number} view.canvasWidth - Canvas width
+     * @param {number} view.canvasHeight - Canvas height
+     * @param {Object} view.player - Player (distances are measured from here)
+     * @param {Object} targets - Entity lists by category (boss, chest, hpOrb, magnetOrb), plus
+     *                           enemies for the clusters
+     */
+    draw(ctx, view, targets) {
+        const categories = this.config.presets[this.preset] || [];
+        if (categories.length === 0 || !view.player) return;
+
+        this.pulse = (this.pulse + 0.1) % (Math.PI * 2);
+
+        const isOffScreen = (x, y) => !view.camera.isInViewport(x, y, view.canvasWidth, view.canvasHeight, 0);
+        const indicators = [];
+
+        categories.forEach(category => {
+            if (category === 'cluster') {
+                this.updateClusters(targets.enemies || [], isOffScreen);
+                this.clusters.forEach(cluster => indicators.push({ category, x: cluster.x, y: cluster.y, count: cluster.count }));
+                return;
+            }
+
+            (targets[category] || []).forEach(target => {
+                if (isOffScreen(target.x, target.y)) {
+                    indicators.push({ category, x: target.x, y: target.y });
+                }
+            });
+        });
+
+        if (indicators.length === 0) return;
+
+        indicators.forEach(indicator => {
+            indicator.distance = Math.hypot(indicator.x - view.player.x, indicator.y - view.player.y);
+        });
+        indicators.sort((a, b) =>
+            this.config.categories[b.category].priority - this.config.categories[a.category].priority ||
+            a.distance - b.distance
+        );
+
+        const origin = view.camera.worldToScreen(view.player.x, view.player.y, view.canvasWidth, view.canvasHeight);
+
+        ctx.save();
+        ctx.font = '12px NeoDunggeunmoPro, monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        indicators.slice(0, this.config.maxIndicators).forEach(indicator => {
+            const screen = view.camera.worldToScreen(indicator.x, indicator.y, view.canvasWidth, view.canvasHeight);
+            this.drawIndicator(ctx, indicator, origin, screen, view.canvasWidth, view.canvasHeight);
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Regroups off-screen enemies into clusters every refreshFrames
+     * @param {Array<Object>} enemies - Live enemies
+     * @param {Function} isOffScreen - (x, y) => boolean
+     */
+    updateClusters(enemies, isOffScreen) {
+        if (this.clusterFrames > 0) {
+            this.clusterFrames--;
+            return;
+        }
+        const { cellSize, minEnemies, maxClusters, refreshFrames } = this.config.clusters;
+        this.clusterFrames = refreshFrames;
+
+        const cells = new Map();
+        enemies.forEach(enemy => {
+            if (enemy.behavior === 'boss' || !isOffScreen(enemy.x, enemy.y)) return;
+
+            const key = `${Math.floor(enemy.x / cellSize)},${Math.floor(enemy.y / cellSize)}`;
+            const cell = cells.get(key);
+            if (cell) {
+                cell.sumX += enemy.x;
+                cell.sumY += enemy.y;
+                cell.count++;
+            } else {
+                cells.set(key, { sumX: enemy.x, sumY: enemy.y, count: 1 });
+            }
+        });
+
+        this.clusters = [...cells.values()]
+            .filter(cell => cell.count >= minEnemies)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, maxClusters)
+            .map(cell => ({ x: cell.sumX / cell.count, y: cell.sumY / cell.count, count: cell.count }));
+    }
+
+    /**
+     * Draws one arrow where the line from the player to the target leaves the screen
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} indicator - { category, distance, count? }
+     * @param {Object} origin - Player screen position
+     * @param {Object} screen - Target screen position
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     */
+    drawIndicator(ctx, indicator, origin, screen, width, height) {
+        const style = this.config.categories[indicator.category];
+        const margin = this.config.edgeMargin;
+        const left = margin;
+        const right = width - margin;
+        const top = margin;
+        const bottom = height - margin;
+
+        const startX = Math.min(Math.max(origin.x, left), right);
+        const startY = Math.min(Math.max(origin.y, top), bottom);
+        const dx = screen.x - startX;
+        const dy = screen.y - startY;
+        if (dx === 0 && dy === 0) return;
+
+        // Scale the direction until it first touches the inset edge
+        const scaleX = dx > 0 ? (right - startX) / dx : dx < 0 ? (left - startX) / dx : Infinity;
+        const scaleY = dy > 0 ? (bottom - startY) / dy : dy < 0 ? (top - startY) / dy : Infinity;
+        const scale = Math.min(scaleX, scaleY);
+        const x = startX + dx * scale;
+        const y = startY + dy * scale;
+        const angle = Math.atan2(dy, dx);
+
+        const size = style.size * (style.pulse ? 1 + Math.sin(this.pulse) * 0.12 : 1);
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+        ctx.fillStyle = style.color;
+        ctx.beginPath();
+        ctx.moveTo(size / 2, 0);
+        ctx.lineTo(-size / 2, size * 0.4);
+        ctx.lineTo(-size / 4, 0);
+        ctx.lineTo(-size / 2, -size * 0.4);
+        ctx.closePath();
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.65)';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.restore();
+
+        // Readout sits just inside the arrow
+        const labelOffset = size + 10;
+        const label = indicator.count
+            ? `${indicator.count}× ${formatDistance(indicator.distance)}`
+            : formatDistance(indicator.distance);
+        const labelX = Math.min(Math.max(x - Math.cos(angle) * labelOffset, margin), width - margin);
+        const labelY = Math.min(Math.max(y - Math.sin(angle) * labelOffset, margin), height - margin);
+
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.strokeText(label, labelX, labelY);
+        ctx.fillStyle = style.color;
+        ctx.fillText(label, labelX, labelY);
+    }
+}
@@ -0,0 +1,391 @@
+/**
+ * Projectile Renderer
+ * Draws projectiles grouped by render style. Weapon definitions pick a style for their
+ * projectiles (render.style in config/weapons.js); boss projectiles are mapped here.
+ * Styles are drawn in a fixed order to keep layering stable and context state changes low.
+ */
+
+import { weaponRegistry } from '../gameplay/weapons/weapon-registry.js';
+
+// Projectiles fired by enemies rather than player weapons
+const ENEMY_PROJECTILE_STYLES = {
+    'boss-missile': 'bossMissile'
+};
+
+/**
+ * Draws jagged lightning segments from the projectile through each chain target
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} projectile - Chain projectile
+ * @param {Function} [onLink] - Called with (target) after each segment is drawn
+ */
+function drawChain(ctx, projectile, onLink) {
+    if (projectile.chainTargets && projectile.chainTargets.length > 0) {
+        let prevX = projectile.x;
+        let prevY = projectile.y;
+
+        // Draw line to each chained enemy
+        projectile.chainTargets.forEach(target => {
+            ctx.beginPath();
+            ctx.moveTo(prevX, prevY);
+
+            // Simplified lightning with fewer steps for performance
+            const steps = 3;
+            for (let i = 1; i <= steps; i++) {
+                const progress = i / steps;
+                const x = prevX + (target.x - prevX) * progress + (Math.random() - 0.5) * 10;
+                const y = prevY + (target.y - prevY) * progress + (Math.random() - 0.5) * 10;
+                ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+
+            if (onLink) onLink(target);
+
+            // Update previous position for next chain segment
+            prevX = target.x;
+            prevY = target.y;
+        });
+    } else {
+        // Fallback to single-target rendering
+        ctx.beginPath();
+        ctx.moveTo(projectile.x, projectile.y);
+        const steps = 3;
+        for (let i = 1; i <= steps; i++) {
+            const progress = i / steps;
+            const x = projectile.x + (projectile.targetX - projectile.x) * progress + (Math.random() - 0.5) * 10;
+            const y = projectile.y + (projectile.targetY - projectile.y) * progress + (Math.random() - 0.5) * 10;
+            ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+    }
+}
+
+/**
+ * Render styles. Batched styles draw a whole group at once; the others are drawn one
+ * projectile at a time inside their own save/restore.
+ */
+export const PROJECTILE_RENDER_STYLES = {
+    // Simple filled circles (basic, spread, shotgun, gatling)
+    orb: {
+        batched: true,
+        draw(ctx, projectiles) {
+            ctx.beginPath();
+            for (const projectile of projectiles) {
+                ctx.fillStyle = projectile.color;
+                ctx.arc(projectile.x, projectile.y, projectile.size, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.beginPath();
+            }
+        }
+    },
+
+    // Straight beam streaks (laser, railgun)
+    streak: {
+        batched: true,
+        draw(ctx, projectiles) {
+            ctx.globalAlpha = 0.8;
+            ctx.beginPath();
+            for (const projectile of projectiles) {
+                ctx.strokeStyle = projectile.color;
+                ctx.lineWidth = projectile.size;
+                ctx.moveTo(projectile.x - projectile.vx * 3, projectile.y - projectile.vy * 3);
+                ctx.lineTo(projectile.x, projectile.y);
+                ctx.stroke();
+            }
+            ctx.globalAlpha = 1;
+        }
+    },
+
+    // Glowing curved beams with trail sparks (homing laser)
+    homingBeam: {
+        batched: true,
+        draw(ctx, projectiles) {
+            for (const projectile of projectiles) {
+                ctx.globalAlpha = 0.9;
+
+                // Draw outer glow
+                ctx.strokeStyle = projectile.color;
+                ctx.lineWidth = projectile.size + 2;
+                ctx.shadowColor = projectile.color;
+                ctx.shadowBlur = 10;
+                ctx.beginPath();
+                ctx.moveTo(projectile.x - projectile.vx * 4, projectile.y - projectile.vy * 4);
+                ctx.lineTo(projectile.x, projectile.y);
+                ctx.stroke();
+
+                // Draw inner core
+                ctx.shadowBlur = 0;
+                ctx.strokeStyle = '#FFFFFF';
+                ctx.lineWidth = Math.max(1, projectile.size - 2);
+                ctx.beginPath();
+                ctx.moveTo(projectile.x - projectile.vx * 4, projectile.y - projectile.vy * 4);
+                ctx.lineTo(projectile.x, projectile.y);
+                ctx.stroke();
+
+                // Draw trail particles for homing effect
+                if (Math.random() < 0.3) {
+                    ctx.fillStyle = projectile.color;
+                    ctx.globalAlpha = 0.6;
+                    ctx.beginPath();
+                    ctx.arc(
+                        projectile.x - projectile.vx * (2 + Math.random() * 6),
+                        projectile.y - projectile.vy * (2 + Math.random() * 6),
+                        1 + Math.random() * 2,
+                        0,
+                        2 * Math.PI
+                    );
+                    ctx.fill();
+                }
+
+                ctx.globalAlpha = 1;
+            }
+        }
+    },
+
+    // Soft halo around a solid core
+    plasma: {
+        draw(ctx, projectile) {
+            ctx.fillStyle = projectile.color;
+            ctx.globalAlpha = 0.7;
+            ctx.beginPath();
+            ctx.arc(projectile.x, projectile.y, projectile.size * 1.5, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.globalAlpha = 1;
+            ctx.beginPath();
+            ctx.arc(projectile.x, projectile.y, projectile.size, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    },
+
+    // Flickering flame puff
+    flame: {
+        draw(ctx, projectile) {
+            ctx.fillStyle = projectile.color;
+            ctx.globalAlpha = 0.7;
+            const x = projectile.x + (Math.random() - 0.5) * 3;
+            const y = projectile.y + (Math.random() - 0.5) * 3;
+            ctx.beginPath();
+            ctx.arc(x, y, projectile.size + Math.random(), 0, Math.PI * 2);
+            ctx.fill();
+        }
+    },
+
+    // Fading lightning chain
+    chain: {
+        draw(ctx, projectile) {
+            ctx.strokeStyle = projectile.color;
+            ctx.lineWidth = 2;
+            ctx.globalAlpha = Math.max(0.1, projectile.life / 30);
+            drawChain(ctx, projectile);
+        }
+    },
+
+    // Lightning chain with an expanding burst ring at every link (shockburst)
+    chainBurst: {
+        draw(ctx, projectile) {
+            const fade = Math.max(0.1, projectile.life / 30);
+            const explosionRadius = 100; // Explosion radius for visuals
+            const growth = 1 - projectile.life / 30;
+
+            ctx.strokeStyle = projectile.color;
+            ctx.lineWidth = 2;
+            ctx.globalAlpha = fade;
+
+            drawChain(ctx, projectile, target => {
+                // Draw explosion ring
+                ctx.globalAlpha = fade * 0.6;
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.arc(target.x, target.y, explosionRadius * growth, 0, Math.PI * 2);
+                ctx.stroke();
+
+                // Draw inner explosion pulse
+                ctx.globalAlpha = fade * 0.6 * 1.5;
+                ctx.lineWidth = 0.5;
+                ctx.beginPath();
+                ctx.arc(target.x, target.y, (explosionRadius * 0.6) * growth, 0, Math.PI * 2);
+                ctx.stroke();
+
+                // Reset for next chain
+                ctx.lineWidth = 2;
+                ctx.globalAlpha = fade;
+            });
+        }
+    },
+
+    // Rotated missile body with tip and exhaust
+    missile: {
+        draw(ctx, projectile) {
+            ctx.translate(projectile.x, projectile.y);
+            ctx.rotate(Math.atan2(projectile.vy, projectile.vx));
+
+            // Missile body
+            ctx.fillStyle = projectile.color;
+            ctx.fillRect(-6, -2, 12, 4);
+
+            // Missile tip
+            ctx.fillStyle = '#FF6B35';
+            ctx.beginPath();
+            ctx.moveTo(6, 0);
+            ctx.lineTo(3, -2);
+            ctx.lineTo(3, 2);
+            ctx.closePath();
+            ctx.fill();
+
+            // Simplified exhaust trail
+            ctx.fillStyle = '#FF4444';
+            ctx.globalAlpha = 0.6;
+            ctx.fillRect(-9, -1, 3, 2);
+        }
+    },
+
+    // Boss missiles and pulsing boss mines
+    bossMissile: {
+        draw(ctx, projectile, frameCount) {
+            if (projectile.isMine) {
+                const pulsePhase = (projectile.pulseOffset || 0) + (frameCount * 0.08);
+                const pulseScale = 1.2 + Math.sin(pulsePhase) * 0.2;
+                const baseSize = projectile.size || 6;
+                const radius = baseSize * pulseScale;
+
+                // Outer glow
+                ctx.globalAlpha = 0.6;
+                ctx.fillStyle = projectile.color || '#7B2CBF';
+                ctx.shadowColor = projectile.color || '#7B2CBF';
+                ctx.shadowBlur = 15;
+                ctx.beginPath();
+                ctx.arc(projectile.x, projectile.y, radius, 0, Math.PI * 2);
+                ctx.fill();
+
+                // Inner core
+                ctx.shadowBlur = 0;
+                ctx.globalAlpha = 0.9;
+                ctx.fillStyle = '#FFFFFF';
+                ctx.beginPath();
+                ctx.arc(projectile.x, projectile.y, baseSize * 0.5, 0, Math.PI * 2);
+                ctx.fill();
+
+                // Warning ring showing detonation radius
+                if (projectile.explosionRadius) {
+                    ctx.globalAlpha = 0.35;
+                    ctx.strokeStyle = projectile.color || '#7B2CBF';
+                    ctx.lineWidth = 2;
+                    ctx.setLineDash([4, 6]);
+                    ctx.beginPath();
+                    ctx.arc(projectile.x, projectile.y, projectile.explosionRadius * 0.6, 0, Math.PI * 2);
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+                }
+
+                ctx.globalAlpha = 1;
+            } else {
+                ctx.translate(projectile.x, projectile.y);
+                ctx.rotate(Math.atan2(projectile.vy, projectile.vx));
+
+                // Boss missile body
+                ctx.fillStyle = projectile.color;
+                ctx.fillRect(-8, -3, 16, 6);
+
+                // Boss missile tip
+                ctx.fillStyle = '#FF0000';
+                ctx.beginPath();
+                ctx.moveTo(8, 0);
+                ctx.lineTo(4, -3);
+                ctx.lineTo(4, 3);
+                ctx.closePath();
+                ctx.fill();
+
+                // Simplified exhaust trail
+                ctx.fillStyle = '#FF0066';
+                ctx.globalAlpha = 0.8;
+                ctx.fillRect(-12, -2, 4, 4);
+            }
+        }
+    },
+
+    // Burning pellet with a fading fire trail (napalm)
+    ember: {
+        draw(ctx, projectile) {
+            // Fire trail from previous position
+            ctx.globalAlpha = 0.6;
+            const trailLength = 3;
+            const trailX = projectile.x - projectile.vx * trailLength;
+            const trailY = projectile.y - projectile.vy * trailLength;
+
+            const gradient = ctx.createLinearGradient(trailX, trailY, projectile.x, projectile.y);
+            gradient.addColorStop(0, 'rgba(255, 69, 0, 0)');
+            gradient.addColorStop(1, 'rgba(255, 69, 0, 0.8)');
+
+            ctx.beginPath();
+            ctx.moveTo(trailX, trailY);
+            ctx.lineTo(projectile.x, projectile.y);
+            ctx.strokeStyle = gradient;
+            ctx.lineWidth = projectile.size * 1.5;
+            ctx.stroke();
+
+            // Draw the pellet itself
+            ctx.globalAlpha = 1;
+            ctx.fillStyle = projectile.color;
+            ctx.beginPath();
+            ctx.arc(projectile.x, projectile.y, projectile.size, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+};
+
+// Draw order, back to front
+const STYLE_ORDER = [
+    'orb', 'streak', 'homingBeam', 'plasma', 'flame', 'chain', 'missile', 'bossMissile', 'chainBurst', 'ember'
+];
+
+/**
+ * @param {string} projectileType - projectile.type
+ * @returns {string|null} Render style, or null if the projectile isn't drawn
+ */
+export function getProjectileRenderStyle(projectileType) {
+    return weaponRegistry.getProjectileRenderStyle(projectileType) || ENEMY_PROJECTILE_STYLES[projectileType] || null;
+}
+
+/**
+ * Draws projectiles grouped by render style
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (world transform already applied)
+ * @param {Array<Object>} projectiles - Projectiles to draw (already culled)
+ * @param {number} frameCount - Current frame, for animated styles
+ */
+export function drawProjectileBatches(ctx, projectiles, frameCount) {
+    const projectilesByStyle = {};
+
+    for (const projectile of projectiles) {
+        const style = getProjectileRenderStyle(projectile.type);
+        if (!style) continue;
+
+        if (!projectilesByStyle[style]) {
+            projectilesByStyle[style] = [];
+        }
+        projectilesByStyle[style].push(projectile);
+    }
+
+    ctx.save();
+
+    for (const style of STYLE_ORDER) {
+        const group = projectilesByStyle[style];
+        if (!group) continue;
+
+        const renderer = PROJECTILE_RENDER_STYLES[style];
+        if (renderer.batched) {
+            renderer.draw(ctx, group, frameCount);
+            continue;
+        }
+
+        ctx.save();
+        for (const projectile of group) {
+            // Isolate each projectile's transform and alpha changes
+            ctx.save();
+            renderer.draw(ctx, projectile, frameCount);
+            ctx.restore();
+        }
+        ctx.restore();
+    }
+
+    ctx.restore();
+}
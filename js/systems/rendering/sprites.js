@@ -2,6 +2,28 @@
  * Sprite loading and management system
  */
 
+import { ASSET_PATHS } from '../../config/assets.js';
+
+// Player sprite direction -> key in a sprite set (ASSET_PATHS.sprites, CHARACTERS[id].sprites)
+const PLAYER_SPRITE_KEYS = {
+    idle: 'playerIdle',
+    up: 'playerUp',
+    down: 'playerDown',
+    left: 'playerLeft',
+    right: 'playerRight'
+};
+
+/**
+ * Creates an image element, or an unloaded placeholder where Image doesn't exist (headless runs)
+ * @returns {HTMLImageElement|Object}
+ */
+function createImage() {
+    if (typeof Image === 'undefined') {
+        return { complete: false, width: 0, height: 0 };
+    }
+    return new Image();
+}
+
 /**
  * Sprite manager for loading and accessing game sprites
  */
@@ -9,20 +31,21 @@ export class SpriteManager {
     constructor() {
         // Player sprites (5 directional sprites)
         this.playerSprites = {
-            idle: new Image(),
-            up: new Image(),
-            down: new Image(),
-            left: new Image(),
-            right: new Image(),
+            idle: createImage(),
+            up: createImage(),
+            down: createImage(),
+            left: createImage(),
+            right: createImage(),
             loaded: 0,
             total: 5
         };
+        this.playerSpritePaths = ASSET_PATHS.sprites;
 
         // Item pickup icons
         this.itemIcons = {
-            health: new Image(),
-            magnet: new Image(),
-            upgradeBox: new Image()
+            health: createImage(),
+            magnet: createImage(),
+            upgradeBox: createImage()
         };
 
         // Sprite sheet configuration (3 columns x 4 rows = 12 frames)
@@ -82,11 +105,28 @@ export class SpriteManager {
             this.playerSprites.right.onload = onSpriteLoad;
 
             // Start loading sprites
-            this.playerSprites.idle.src = 'images/AI BOT-IDLE.png';
-            this.playerSprites.up.src = 'images/AI BOT-UP.png';
-            this.playerSprites.down.src = 'images/AI BOT-DOWN.png';
-            this.playerSprites.left.src = 'images/AI BOT-LEFT.png';
-            this.playerSprites.right.src = 'images/AI BOT-RIGHT.png';
+            Object.entries(PLAYER_SPRITE_KEYS).forEach(([direction, key]) => {
+                this.playerSprites[direction].src = this.playerSpritePaths[key];
+            });
+        });
+    }
+
+    /**
+     * Swaps the player's directional sprites for another sprite set (character change)
+     * @param {Object} paths - Sprite set with the same keys as ASSET_PATHS.sprites
+     */
+    setPlayerSprites(paths) {
+        if (!paths || paths === this.playerSpritePaths) return;
+        this.playerSpritePaths = paths;
+
+        // The player falls back to a plain circle until the new set has loaded
+        this.playerSprites.loaded = 0;
+        Object.entries(PLAYER_SPRITE_KEYS).forEach(([direction, key]) => {
+            const sprite = this.playerSprites[direction];
+            sprite.onload = () => {
+                this.playerSprites.loaded++;
+            };
+            sprite.src = paths[key];
         });
     }
 
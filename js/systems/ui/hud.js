@@ -4,6 +4,14 @@
  * Extracted from vibe-survivor-game.js during Phase 10 refactoring
  */
 
+import { ENEMIES } from '../../config/constants.js';
+
+// Boss bar phase markers for variants without phaseTransitions, highest first
+const DEFAULT_BOSS_PHASE_THRESHOLDS = [ENEMIES.BOSS.phase1Threshold, ENEMIES.BOSS.phase2Threshold];
+// Damage trail: holds for this many updates after a hit, then drains at this share of the gap per update
+const BOSS_TRAIL_HOLD = 30;
+const BOSS_TRAIL_DRAIN = 0.08;
+
 /**
  * HUDSystem - Manages all HUD elements
  */
@@ -21,6 +29,14 @@ export class HUDSystem {
             bossDisplay: null
         };
 
+        // Boss bar over the canvas: one row per boss on the field (kept out of `elements`,
+        // whose parents show()/hide() toggle)
+        this.bossBar = null;
+        this.bossBarRows = [];
+
+        // Localization
+        this.getTranslation = null;
+
         this.uniquePassiveKeys = new Set([
             'regeneration',
             'turbo_flux_cycler',
@@ -43,6 +59,15 @@ export class HUDSystem {
         this.elements.passiveDisplay = document.getElementById('header-passive-display');
         this.elements.weaponDisplay = document.getElementById('header-weapon-display');
         this.elements.bossDisplay = document.getElementById('header-boss-display');
+        this.bossBar = document.getElementById('boss-bar');
+    }
+
+    /**
+     * Sets translation function
+     * @param {Function} getTranslation - Translation lookup
+     */
+    setTranslationFunction(getTranslation) {
+        this.getTranslation = getTranslation;
     }
 
     /**
@@ -227,6 +252,158 @@ export class HUDSystem {
         }
     }
 
+    /**
+     * Updates the boss bar: name plate, health with phase markers and a damage trail,
+     * a pointer to bosses off screen and catch-up dash warnings
+     * @param {Array<Object>} bosses - One entry per living boss:
+     *   { boss, name, healthPercent, phaseThresholds, invulnerable, onScreen, angle, distance, catchUp }
+     *   where `boss` is the enemy object (keeps each row's trail), `phaseThresholds` are the health
+     *   fractions its phase transitions fire below, `angle` points from the player to the boss
+     *   (radians) and `catchUp` is null, 'warning' or 'dashing'
+     */
+    updateBossBars(bosses = []) {
+        if (!this.bossBar) return;
+
+        if (!bosses.length) {
+            if (this.bossBarRows.length) {
+                this.bossBar.innerHTML = '';
+                this.bossBarRows = [];
+            }
+            this.bossBar.style.display = 'none';
+            return;
+        }
+        this.bossBar.style.display = '';
+
+        // Rebuild rows only when the line-up changes (a boss spawned or fell)
+        const lineupChanged = bosses.length !== this.bossBarRows.length ||
+            bosses.some((entry, index) => this.bossBarRows[index].boss !== entry.boss);
+        if (lineupChanged) {
+            const previous = this.bossBarRows;
+            this.bossBar.innerHTML = '';
+            this.bossBarRows = bosses.map(entry => {
+                const kept = previous.find(row => row.boss === entry.boss);
+                const row = this.createBossBarRow(entry.boss, kept ? kept.trail : entry.healthPercent, entry.phaseThresholds);
+                this.bossBar.appendChild(row.element);
+                return row;
+            });
+        }
+
+        bosses.forEach((entry, index) => this.updateBossBarRow(this.bossBarRows[index], entry));
+    }
+
+    /**
+     * Builds one boss bar row
+     * @param {Object} boss - Boss enemy the row follows
+     * @param {number} trail - Starting damage trail (health fraction)
+     * @param {Array<number>} [phaseThresholds] - Health fractions the boss changes phase below
+     * @returns {Object} Row state
+     */
+    createBossBarRow(boss, trail, phaseThresholds) {
+        const thresholds = phaseThresholds?.length
+            ? [...phaseThresholds].sort((a, b) => b - a)
+            : DEFAULT_BOSS_PHASE_THRESHOLDS;
+        const element = document.createElement('div');
+        element.className = 'boss-bar-row';
+        element.innerHTML = `
+            <div class="boss-bar-plate">
+                <span class="boss-bar-name"></span>
+                <span class="boss-bar-phase"></span>
+                <span class="boss-bar-pointer">
+                    <span class="boss-bar-arrow">➤</span>
+                    <span class="boss-bar-distance"></span>
+                </span>
+            </div>
+            <div class="boss-bar-track">
+                <div class="boss-bar-trail"></div>
+                <div class="boss-bar-fill"></div>
+                ${thresholds.map(threshold => `<div class="boss-bar-marker" style="left: ${threshold * 100}%"></div>`).join('')}
+            </div>
+            <div class="boss-bar-warning"></div>
+        `;
+
+        return {
+            boss,
+            element,
+            name: element.querySelector('.boss-bar-name'),
+            phase: element.querySelector('.boss-bar-phase'),
+            pointer: element.querySelector('.boss-bar-pointer'),
+            arrow: element.querySelector('.boss-bar-arrow'),
+            distance: element.querySelector('.boss-bar-distance'),
+            fill: element.querySelector('.boss-bar-fill'),
+            trailFill: element.querySelector('.boss-bar-trail'),
+            markers: Array.from(element.querySelectorAll('.boss-bar-marker')),
+            thresholds,
+            warning: element.querySelector('.boss-bar-warning'),
+            trail,
+            trailHold: 0,
+            lastHealth: trail
+        };
+    }
+
+    /**
+     * Updates one boss bar row
+     * @param {Object} row - Row state from createBossBarRow()
+     * @param {Object} entry - Boss entry (see updateBossBars())
+     */
+    updateBossBarRow(row, entry) {
+        const t = this.getTranslation;
+        const health = Math.max(0, Math.min(1, entry.healthPercent));
+
+        // Damage trail: hold at the pre-hit health for a moment, then drain down to the bar
+        if (health < row.lastHealth) {
+            row.trailHold = BOSS_TRAIL_HOLD;
+        }
+        row.lastHealth = health;
+        if (row.trail < health) {
+            row.trail = health;
+        } else if (row.trailHold > 0) {
+            row.trailHold--;
+        } else {
+            row.trail = Math.max(health, row.trail - Math.max(0.002, (row.trail - health) * BOSS_TRAIL_DRAIN));
+        }
+
+        // Phase 1 above the first marker, one more per marker crossed (transitions fire below it)
+        const phase = 1 + row.thresholds.filter(threshold => health < threshold).length;
+
+        row.name.textContent = entry.name;
+        row.phase.textContent = t ? t('bossPhase').replace('{phase}', phase) : `PHASE ${phase}`;
+        row.fill.style.width = `${health * 100}%`;
+        row.trailFill.style.width = `${row.trail * 100}%`;
+        row.element.dataset.phase = phase;
+        row.element.classList.toggle('boss-bar-row--invulnerable', !!entry.invulnerable);
+        row.markers.forEach((marker, index) => {
+            marker.classList.toggle('boss-bar-marker--passed', health < row.thresholds[index]);
+        });
+
+        // Pointer toward a boss that is off screen
+        if (entry.onScreen) {
+            row.pointer.style.visibility = 'hidden';
+        } else {
+            row.pointer.style.visibility = 'visible';
+            row.arrow.style.transform = `rotate(${entry.angle}rad)`;
+            row.distance.textContent = this.formatDistance(entry.distance);
+        }
+
+        // Catch-up dash warning
+        if (entry.catchUp) {
+            const key = entry.catchUp === 'dashing' ? 'bossCatchUpDashing' : 'bossCatchUpWarning';
+            row.warning.textContent = t ? t(key) : (entry.catchUp === 'dashing' ? 'INCOMING!' : 'CLOSING IN');
+            row.warning.dataset.level = entry.catchUp;
+            row.warning.style.visibility = 'visible';
+        } else {
+            row.warning.style.visibility = 'hidden';
+        }
+    }
+
+    /**
+     * Formats a world distance for the HUD
+     * @param {number} distance - Distance in world units
+     * @returns {string}
+     */
+    formatDistance(distance) {
+        return `${Math.round(distance / 10)}m`;
+    }
+
     /**
      * Shows the HUD
      */
@@ -278,5 +455,6 @@ export class HUDSystem {
         if (this.elements.bossDisplay) {
             this.elements.bossDisplay.style.display = 'none';
         }
+        this.updateBossBars([]);
     }
 }
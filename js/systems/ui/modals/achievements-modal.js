@@ -0,0 +1,257 @@
+/**
+ * Achievements Modal
+ * Start screen list of the achievements in config/achievements.js, unlocked ones first shown
+ * with the date they were earned (from utils/achievement-storage.js).
+ */
+
+import { Modal } from './modal-base.js';
+import { ACHIEVEMENTS } from '../../../config/achievements.js';
+import { achievementStorage } from '../../../utils/achievement-storage.js';
+
+export class AchievementsModal extends Modal {
+    constructor(id = 'achievements-modal') {
+        super(id, { closeOnEscape: false, closeOnBackdropClick: true });
+
+        this.progressElement = null;
+        this.achievementList = null;
+        this.listContainer = null;
+        this.closeButton = null;
+        this.onCloseCallback = null;
+        this.getTranslation = null;
+        this.getAchievementText = null;
+        this.keyboardHandler = null;
+        this.selectedRowIndex = 0;
+        this.buttonNavigationMode = false;
+    }
+
+    init() {
+        const result = super.init();
+        if (!result) return false;
+
+        this.progressElement = this.element.querySelector('.achievements-progress');
+        this.achievementList = this.element.querySelector('#achievements-list');
+        this.listContainer = this.element.querySelector('.achievements-list-container');
+        this.closeButton = this.element.querySelector('#achievements-close-btn');
+
+        if (this.listContainer) {
+            // Allow wheel/touch scrolling inside the list to bypass modal blockers
+            const stopPropagation = (e) => e.stopPropagation();
+            this.listContainer.addEventListener('wheel', stopPropagation, { passive: true });
+            this.listContainer.addEventListener('touchstart', stopPropagation, { passive: true });
+            this.listContainer.addEventListener('touchmove', stopPropagation, { passive: true });
+        }
+
+        if (this.closeButton) {
+            this.closeButton.addEventListener('click', () => this.hide());
+        }
+
+        this.render();
+        this.updateLocalization();
+
+        return true;
+    }
+
+    setTranslationFunction(getTranslation) {
+        this.getTranslation = getTranslation;
+        this.updateLocalization();
+    }
+
+    /**
+     * @param {Object} helpers
+     * @param {Function} helpers.getAchievementText - (achievementId) => localized { name, description }
+     */
+    setHelpers({ getAchievementText } = {}) {
+        this.getAchievementText = getAchievementText;
+        this.render();
+    }
+
+    onClose(callback) {
+        this.onCloseCallback = callback;
+    }
+
+    show() {
+        this.render();
+
+        super.show();
+        if (this.element) {
+            this.element.style.display = 'flex';
+        }
+
+        this.setupKeyboardHandlers();
+
+        this.selectedRowIndex = 0;
+        this.buttonNavigationMode = false;
+
+        if (this.listContainer) {
+            setTimeout(() => {
+                this.listContainer.focus({ preventScroll: true });
+                this.updateRowSelection();
+            }, 50);
+        }
+    }
+
+    hide() {
+        this.cleanupKeyboardHandlers();
+
+        super.hide();
+        if (this.onCloseCallback) {
+            this.onCloseCallback();
+        }
+    }
+
+    updateLocalization() {
+        if (!this.getTranslation || !this.element) return;
+        const t = this.getTranslation;
+
+        const title = this.element.querySelector('.achievements-title');
+        if (title) title.textContent = t('achievementsTitle');
+
+        if (this.closeButton) this.closeButton.textContent = t('close');
+
+        this.render();
+    }
+
+    /**
+     * Redraws the progress line and every achievement row from storage
+     */
+    render() {
+        if (!this.achievementList) return;
+        const t = this.getTranslation;
+        const unlocked = achievementStorage.getUnlocked();
+        const ids = Object.keys(ACHIEVEMENTS);
+        const unlockedCount = ids.filter(achievementId => unlocked[achievementId]).length;
+
+        if (this.progressElement) {
+            const template = t ? t('achievementsProgress') : '{unlocked} / {total} unlocked';
+            this.progressElement.textContent = template
+                .replace('{unlocked}', unlockedCount)
+                .replace('{total}', ids.length);
+        }
+
+        // Unlocked first, each group in config order
+        const ordered = [
+            ...ids.filter(achievementId => unlocked[achievementId]),
+            ...ids.filter(achievementId => !unlocked[achievementId])
+        ];
+
+        this.achievementList.innerHTML = '';
+        ordered.forEach(achievementId => {
+            this.achievementList.appendChild(this.createAchievementRow(achievementId, unlocked[achievementId]));
+        });
+
+        if (this.visible && !this.buttonNavigationMode) {
+            this.updateRowSelection();
+        }
+    }
+
+    createAchievementRow(achievementId, unlockedAt) {
+        const t = this.getTranslation;
+        const achievement = ACHIEVEMENTS[achievementId];
+        const text = this.getAchievementText
+            ? this.getAchievementText(achievementId)
+            : { name: achievementId, description: '' };
+
+        const row = document.createElement('div');
+        row.className = 'achievement';
+        row.classList.add(unlockedAt ? 'unlocked' : 'locked');
+        row.dataset.achievementId = achievementId;
+
+        const status = unlockedAt
+            ? new Date(unlockedAt).toLocaleDateString()
+            : (t ? t('achievementLocked') : 'Locked');
+
+        row.innerHTML = `
+            <div class="achievement__icon">${unlockedAt ? achievement.icon : '🔒'}</div>
+            <div class="achievement__info">
+                <div class="achievement__name">${text.name}</div>
+                <div class="achievement__desc">${text.description}</div>
+            </div>
+            <div class="achievement__status">${status}</div>
+        `;
+
+        return row;
+    }
+
+    setupKeyboardHandlers() {
+        this.keyboardHandler = (e) => {
+            if (!this.visible) return;
+
+            const key = e.key;
+
+            if (key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.hide();
+                return;
+            }
+
+            if (this.buttonNavigationMode) {
+                if (key === 'Enter' || key === ' ') {
+                    if (this.closeButton) this.closeButton.click();
+                } else if (key === 'ArrowUp' || key === 'w' || key === 'W') {
+                    this.buttonNavigationMode = false;
+                    this.updateRowSelection();
+                } else {
+                    return;
+                }
+                e.preventDefault();
+                e.stopPropagation();
+                return;
+            }
+
+            const rows = this.getRows();
+            if (key === 'ArrowDown' || key === 's' || key === 'S') {
+                if (this.selectedRowIndex >= rows.length - 1 && this.closeButton) {
+                    this.buttonNavigationMode = true;
+                    this.updateButtonSelection();
+                } else {
+                    this.selectedRowIndex = Math.min(rows.length - 1, this.selectedRowIndex + 1);
+                    this.updateRowSelection();
+                }
+            } else if (key === 'ArrowUp' || key === 'w' || key === 'W') {
+                this.selectedRowIndex = Math.max(0, this.selectedRowIndex - 1);
+                this.updateRowSelection();
+            } else if (key === 'Tab' || key === 'Enter') {
+                this.buttonNavigationMode = true;
+                this.updateButtonSelection();
+            } else {
+                return;
+            }
+            e.preventDefault();
+            e.stopPropagation();
+        };
+
+        document.addEventListener('keydown', this.keyboardHandler, { capture: true });
+    }
+
+    cleanupKeyboardHandlers() {
+        if (this.keyboardHandler) {
+            document.removeEventListener('keydown', this.keyboardHandler, { capture: true });
+            this.keyboardHandler = null;
+        }
+    }
+
+    getRows() {
+        return this.achievementList ? Array.from(this.achievementList.querySelectorAll('.achievement')) : [];
+    }
+
+    updateRowSelection() {
+        this.getRows().forEach((row, index) => {
+            row.classList.toggle('menu-selected', index === this.selectedRowIndex);
+        });
+        if (this.closeButton) this.closeButton.classList.remove('menu-selected');
+
+        const selectedRow = this.getRows()[this.selectedRowIndex];
+        if (selectedRow) {
+            selectedRow.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
+    }
+
+    updateButtonSelection() {
+        this.getRows().forEach(row => row.classList.remove('menu-selected'));
+        if (this.closeButton) {
+            this.closeButton.classList.add('menu-selected');
+            this.closeButton.focus();
+        }
+    }
+}
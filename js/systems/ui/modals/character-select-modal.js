@@ -0,0 +1,350 @@
+/**
+ * Character Select Modal
+ * Shown between the start screen and a new run: one card per character in config/characters.js
+ * with its starting weapon, stat profile, signature passive and (while locked) unlock condition.
+ */
+
+import { Modal } from './modal-base.js';
+import { CHARACTERS, DEFAULT_CHARACTER } from '../../../config/characters.js';
+import { isCharacterUnlocked } from '../../gameplay/characters.js';
+
+export class CharacterSelectModal extends Modal {
+    constructor(id = 'character-select-modal') {
+        super(id, { closeOnEscape: false, closeOnBackdropClick: false });
+
+        this.characterList = null;
+        this.listContainer = null;
+        this.modeElement = null;
+        this.startButton = null;
+        this.backButton = null;
+        this.actionButtons = [];
+        this.onSelectCallback = null;
+        this.onBackCallback = null;
+        this.getTranslation = null;
+        this.getCharacterText = null;
+        this.getWeaponName = null;
+        this.getPassiveName = null;
+        this.keyboardHandler = null;
+        this.unlockedIds = [];
+        this.selectedCharacterId = DEFAULT_CHARACTER;
+        this.modeName = '';
+        this.buttonNavigationMode = false;
+        this.buttonIndex = 0;
+    }
+
+    init() {
+        const result = super.init();
+        if (!result) return false;
+
+        this.characterList = this.element.querySelector('#character-select-list');
+        this.listContainer = this.element.querySelector('.character-select-list-container');
+        this.modeElement = this.element.querySelector('.character-select-mode');
+        this.startButton = this.element.querySelector('#character-select-start-btn');
+        this.backButton = this.element.querySelector('#character-select-back-btn');
+        this.actionButtons = [this.startButton, this.backButton].filter(Boolean);
+
+        if (this.listContainer) {
+            // Allow wheel/touch scrolling inside the list to bypass modal blockers
+            const stopPropagation = (e) => e.stopPropagation();
+            this.listContainer.addEventListener('wheel', stopPropagation, { passive: true });
+            this.listContainer.addEventListener('touchstart', stopPropagation, { passive: true });
+            this.listContainer.addEventListener('touchmove', stopPropagation, { passive: true });
+        }
+
+        if (this.startButton) {
+            this.startButton.addEventListener('click', () => this.handleSelect());
+        }
+        if (this.backButton) {
+            this.backButton.addEventListener('click', () => this.handleBack());
+        }
+
+        this.updateLocalization();
+
+        return true;
+    }
+
+    setTranslationFunction(getTranslation) {
+        this.getTranslation = getTranslation;
+        this.updateLocalization();
+    }
+
+    /**
+     * @param {Object} helpers
+     * @param {Function} helpers.getCharacterText - (characterId) => localized { name, description }
+     * @param {Function} helpers.getWeaponName - (weaponType) => localized weapon name
+     * @param {Function} helpers.getPassiveName - (passiveId) => localized passive name
+     */
+    setHelpers({ getCharacterText, getWeaponName, getPassiveName } = {}) {
+        this.getCharacterText = getCharacterText;
+        this.getWeaponName = getWeaponName;
+        this.getPassiveName = getPassiveName;
+    }
+
+    /**
+     * @param {Function} callback - Called with the picked character id
+     */
+    onSelect(callback) {
+        this.onSelectCallback = callback;
+    }
+
+    onBack(callback) {
+        this.onBackCallback = callback;
+    }
+
+    /**
+     * @param {Object} options
+     * @param {string} options.characterId - Character to preselect (falls back to the default if locked)
+     * @param {Array<string>} options.unlockedIds - Characters unlocked so far
+     * @param {string} options.modeName - Localized name of the mode the run will be played in
+     */
+    show({ characterId, unlockedIds = [], modeName = '' } = {}) {
+        this.unlockedIds = unlockedIds;
+        this.modeName = modeName;
+        this.selectedCharacterId = isCharacterUnlocked(characterId, unlockedIds) ? characterId : DEFAULT_CHARACTER;
+        this.buttonNavigationMode = false;
+        this.buttonIndex = 0;
+        this.render();
+
+        super.show();
+        if (this.element) {
+            this.element.style.display = 'flex';
+        }
+
+        this.setupKeyboardHandlers();
+
+        if (this.listContainer) {
+            setTimeout(() => {
+                this.listContainer.focus({ preventScroll: true });
+                this.updateCardSelection();
+            }, 50);
+        }
+    }
+
+    hide() {
+        this.cleanupKeyboardHandlers();
+        super.hide();
+    }
+
+    updateLocalization() {
+        if (!this.getTranslation || !this.element) return;
+        const t = this.getTranslation;
+
+        const title = this.element.querySelector('.character-select-title');
+        if (title) title.textContent = t('characterSelectTitle');
+
+        if (this.startButton) this.startButton.textContent = t('characterSelectStart');
+        if (this.backButton) this.backButton.textContent = t('characterSelectBack');
+
+        this.render();
+    }
+
+    /**
+     * Redraws every character card
+     */
+    render() {
+        if (!this.characterList) return;
+
+        if (this.modeElement) {
+            this.modeElement.textContent = this.modeName;
+        }
+
+        this.characterList.innerHTML = '';
+        Object.entries(CHARACTERS).forEach(([characterId, character]) => {
+            this.characterList.appendChild(this.createCharacterCard(characterId, character));
+        });
+
+        this.updateStartButton();
+        if (this.visible && !this.buttonNavigationMode) {
+            this.updateCardSelection();
+        }
+    }
+
+    createCharacterCard(characterId, character) {
+        const t = this.getTranslation;
+        const text = this.getCharacterText
+            ? this.getCharacterText(characterId)
+            : { name: character.name, description: character.description };
+        const unlocked = isCharacterUnlocked(characterId, this.unlockedIds);
+
+        const card = document.createElement('div');
+        card.className = 'character-card';
+        if (!unlocked) card.classList.add('locked');
+        card.dataset.characterId = characterId;
+        card.style.setProperty('--character-color', character.trailColor);
+
+        const weaponName = this.getWeaponName ? this.getWeaponName(character.startingWeapon) : character.startingWeapon;
+        const passiveName = character.signaturePassive
+            ? (this.getPassiveName ? this.getPassiveName(character.signaturePassive) : character.signaturePassive)
+            : (t ? t('characterNoPassive') : 'None');
+        const speedPercent = Math.round(character.stats.speed * 100);
+        const footer = unlocked
+            ? `${t ? t('characterPassive') : 'Signature'}: ${passiveName}`
+            : `🔒 ${this.getUnlockText(character.unlock)}`;
+
+        card.innerHTML = `
+            <div class="character-card__header">
+                <img class="character-card__portrait" src="${character.sprites.aiBot}" alt="" style="filter: hue-rotate(${character.hue}deg);">
+                <div class="character-card__title">
+                    <div class="character-card__name">${text.name}</div>
+                    <div class="character-card__desc">${text.description}</div>
+                </div>
+            </div>
+            <div class="character-card__stats">
+                <span>${t ? t('characterWeapon') : 'Weapon'}: <b>${weaponName}</b></span>
+                <span>${t ? t('characterHealth') : 'Health'}: <b>${character.stats.maxHealth}</b></span>
+                <span>${t ? t('characterSpeed') : 'Speed'}: <b>${speedPercent}%</b></span>
+                <span>${t ? t('characterMagnet') : 'Pickup Range'}: <b>+${character.stats.magnetRange}</b></span>
+            </div>
+            <div class="character-card__footer">${footer}</div>
+        `;
+
+        card.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (!unlocked) return;
+            if (this.selectedCharacterId === characterId) {
+                this.handleSelect();
+                return;
+            }
+            this.selectedCharacterId = characterId;
+            this.buttonNavigationMode = false;
+            this.updateCardSelection();
+        });
+
+        return card;
+    }
+
+    /**
+     * @param {Object} unlock - { stat, value } from the character config
+     * @returns {string} Localized unlock condition
+     */
+    getUnlockText(unlock) {
+        const t = this.getTranslation;
+        const template = t ? t(`characterUnlock_${unlock.stat}`) : `Reach ${unlock.stat} {value}`;
+        const value = unlock.stat === 'time'
+            ? `${Math.floor(unlock.value / 60)}:${String(unlock.value % 60).padStart(2, '0')}`
+            : unlock.value;
+        return template.replace('{value}', value);
+    }
+
+    handleSelect() {
+        if (!isCharacterUnlocked(this.selectedCharacterId, this.unlockedIds)) return;
+        this.hide();
+        if (this.onSelectCallback) {
+            this.onSelectCallback(this.selectedCharacterId);
+        }
+    }
+
+    handleBack() {
+        this.hide();
+        if (this.onBackCallback) {
+            this.onBackCallback();
+        }
+    }
+
+    setupKeyboardHandlers() {
+        this.cleanupKeyboardHandlers();
+        this.keyboardHandler = (e) => {
+            if (!this.visible) return;
+
+            const key = e.key;
+
+            if (key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.handleBack();
+                return;
+            }
+
+            if (this.buttonNavigationMode) {
+                if (key === 'ArrowLeft' || key === 'a' || key === 'A') {
+                    this.buttonIndex = Math.max(0, this.buttonIndex - 1);
+                    this.updateButtonSelection();
+                } else if (key === 'ArrowRight' || key === 'd' || key === 'D') {
+                    this.buttonIndex = Math.min(this.actionButtons.length - 1, this.buttonIndex + 1);
+                    this.updateButtonSelection();
+                } else if (key === 'Enter' || key === ' ') {
+                    const button = this.actionButtons[this.buttonIndex];
+                    if (button && !button.disabled) button.click();
+                } else if (key === 'ArrowUp' || key === 'w' || key === 'W') {
+                    this.buttonNavigationMode = false;
+                    this.updateCardSelection();
+                } else {
+                    return;
+                }
+                e.preventDefault();
+                e.stopPropagation();
+                return;
+            }
+
+            const ids = Object.keys(CHARACTERS);
+            const index = ids.indexOf(this.selectedCharacterId);
+            if (key === 'ArrowDown' || key === 's' || key === 'S') {
+                if (index >= ids.length - 1 && this.actionButtons.length) {
+                    this.buttonNavigationMode = true;
+                    this.buttonIndex = 0;
+                    this.updateButtonSelection();
+                } else {
+                    this.selectedCharacterId = ids[index + 1];
+                    this.updateCardSelection();
+                }
+            } else if (key === 'ArrowUp' || key === 'w' || key === 'W') {
+                this.selectedCharacterId = ids[Math.max(0, index - 1)];
+                this.updateCardSelection();
+            } else if (key === 'Enter' || key === ' ') {
+                this.handleSelect();
+            } else if (key === 'Tab') {
+                this.buttonNavigationMode = true;
+                this.buttonIndex = 0;
+                this.updateButtonSelection();
+            } else {
+                return;
+            }
+            e.preventDefault();
+            e.stopPropagation();
+        };
+
+        document.addEventListener('keydown', this.keyboardHandler, { capture: true });
+    }
+
+    cleanupKeyboardHandlers() {
+        if (this.keyboardHandler) {
+            document.removeEventListener('keydown', this.keyboardHandler, { capture: true });
+            this.keyboardHandler = null;
+        }
+    }
+
+    getCards() {
+        return this.characterList ? Array.from(this.characterList.querySelectorAll('.character-card')) : [];
+    }
+
+    /**
+     * Start is only enabled while an unlocked character is selected
+     */
+    updateStartButton() {
+        if (this.startButton) {
+            this.startButton.disabled = !isCharacterUnlocked(this.selectedCharacterId, this.unlockedIds);
+        }
+    }
+
+    updateCardSelection() {
+        this.getCards().forEach(card => {
+            card.classList.toggle('menu-selected', card.dataset.characterId === this.selectedCharacterId);
+        });
+        this.actionButtons.forEach(btn => btn.classList.remove('menu-selected'));
+        this.updateStartButton();
+
+        const selectedCard = this.getCards().find(card => card.dataset.characterId === this.selectedCharacterId);
+        if (selectedCard) {
+            selectedCard.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
+    }
+
+    updateButtonSelection() {
+        this.getCards().forEach(card => card.classList.remove('menu-selected'));
+        this.actionButtons.forEach((btn, index) => {
+            btn.classList.toggle('menu-selected', index === this.buttonIndex);
+            if (index === this.buttonIndex) btn.focus();
+        });
+    }
+}
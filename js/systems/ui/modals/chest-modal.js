@@ -6,6 +6,7 @@
 
 import { Modal } from './modal-base.js';
 import { PASSIVES } from '../../../config/constants.js';
+import { UpgradeActionBar } from './upgrade-actions.js';
 
 const PASSIVE_TRANSLATION_KEY_MAP = {
     'health_boost': 'healthBoost',
@@ -30,6 +31,10 @@ export class ChestModal extends Modal {
         super(id, { closeOnEscape: false, closeOnBackdropClick: false });
         this.upgradeChoices = [];
         this.onUpgradeSelectedCallback = null;
+        this.onUpgradeActionCallback = null;
+
+        // Reroll / banish / skip row (created in init)
+        this.actionBar = null;
 
         // Tab + layout state
         this.activeTab = 'upgrades';
@@ -50,6 +55,8 @@ export class ChestModal extends Modal {
         this.getWeaponsSection = null;
         this.getPassivesSection = null;
         this.getPlayerStatsSection = null;
+        this.getUpgradeActionsSection = null;
+        this.getPassiveEvolutionsText = () => '';
 
         // Overlay lock callbacks (for pausing game)
         this.incrementOverlayLockCallback = null;
@@ -60,6 +67,22 @@ export class ChestModal extends Modal {
         this.inputDelayTimeout = null;
     }
 
+    init() {
+        const result = super.init();
+        if (!result) return false;
+
+        this.actionBar = new UpgradeActionBar(
+            this.element.querySelector('.chest-actions'),
+            key => (this.getTranslation ? this.getTranslation(key) : null)
+        );
+        this.actionBar.setCallbacks({
+            onReroll: () => this.triggerAction('reroll'),
+            onSkip: () => this.triggerAction('skip')
+        });
+
+        return true;
+    }
+
     /**
      * Sets callback for when upgrade is selected
      * @param {Function} callback - Callback(choice, choiceIndex)
@@ -68,6 +91,14 @@ export class ChestModal extends Modal {
         this.onUpgradeSelectedCallback = callback;
     }
 
+    /**
+     * Sets callback for the reroll / banish / skip actions
+     * @param {Function} callback - Callback(action, choiceIndex) - choiceIndex is only set for 'banish'
+     */
+    onUpgradeAction(callback) {
+        this.onUpgradeActionCallback = callback;
+    }
+
     /**
      * Sets translation function
      * @param {Function} t - Translation function
@@ -79,11 +110,15 @@ export class ChestModal extends Modal {
     /**
      * Sets render callbacks for guide/status panes
      * @param {Object} callbacks - Rendering callbacks
+     * @param {Function} [callbacks.getPassiveEvolutionsText] - (passiveKey) => evolutions the passive unlocks
+     * @param {Function} [callbacks.generateUpgradeActionsSection] - Generates charges / banished list HTML
      */
     setRenderCallbacks(callbacks = {}) {
         this.getWeaponsSection = callbacks.generateWeaponsSection || null;
         this.getPassivesSection = callbacks.generatePassivesSection || null;
         this.getPlayerStatsSection = callbacks.generatePlayerStatsSection || null;
+        this.getUpgradeActionsSection = callbacks.generateUpgradeActionsSection || null;
+        this.getPassiveEvolutionsText = callbacks.getPassiveEvolutionsText || (() => '');
     }
 
     /**
@@ -100,6 +135,7 @@ export class ChestModal extends Modal {
      * Updates modal with passive upgrade choices
      * @param {Object} data - Upgrade data
      * @param {Array} data.choices - Array of passive upgrade choice objects
+     * @param {Object} [data.actions] - { rerolls, banishes, canBanish } for the action row
      */
     update(data) {
         if (!data || !data.choices) {
@@ -108,6 +144,7 @@ export class ChestModal extends Modal {
         }
 
         this.upgradeChoices = data.choices;
+        if (this.actionBar) this.actionBar.update(data.actions);
         this.renderUpgradeChoices();
         this.switchTab(this.activeTab || 'upgrades');
     }
@@ -115,14 +152,16 @@ export class ChestModal extends Modal {
     /**
      * Shows modal with upgrade choices
      * @param {Array} choices - Array of passive upgrade choice objects
+     * @param {Object} [actions] - { rerolls, banishes, canBanish } for the action row
      */
-    show(choices) {
+    show(choices, actions) {
         if (!this.element) {
             console.error('ChestModal element not found');
             return;
         }
 
         this.upgradeChoices = choices || [];
+        if (this.actionBar) this.actionBar.update(actions);
         this.keyboardUsed = false;
         this.selectedIndex = 0;
         this.activeTab = 'upgrades';
@@ -177,6 +216,15 @@ export class ChestModal extends Modal {
             description.textContent = displayDescription || '';
             choiceDiv.appendChild(description);
 
+            // Evolutions this passive unlocks
+            const evolutionText = this.getPassiveEvolutionsText(choice.passiveKey);
+            if (evolutionText) {
+                const evolutionInfo = document.createElement('span');
+                evolutionInfo.className = 'chest-evolution-info';
+                evolutionInfo.textContent = evolutionText;
+                choiceDiv.appendChild(evolutionInfo);
+            }
+
             // Stack info if stackable
             if (choice.maxStacks && choice.maxStacks !== Infinity) {
                 const stackInfo = document.createElement('span');
@@ -239,6 +287,12 @@ export class ChestModal extends Modal {
             return;
         }
 
+        if (this.actionBar && this.actionBar.banishMode) {
+            this.actionBar.reset();
+            this.triggerAction('banish', choiceIndex);
+            return;
+        }
+
         const choice = this.upgradeChoices[choiceIndex];
 
         // Trigger callback
@@ -250,6 +304,20 @@ export class ChestModal extends Modal {
         this.hide();
     }
 
+    /**
+     * Hands a reroll / banish / skip to the game (skip also closes the modal)
+     * @param {string} action - 'reroll', 'banish' or 'skip'
+     * @param {number} [choiceIndex] - Choice to banish
+     */
+    triggerAction(action, choiceIndex) {
+        if (this.onUpgradeActionCallback) {
+            this.onUpgradeActionCallback(action, choiceIndex);
+        }
+        if (action === 'skip') {
+            this.hide();
+        }
+    }
+
     /**
      * Lifecycle: Called when modal is shown
      */
@@ -286,6 +354,7 @@ export class ChestModal extends Modal {
         this.navigableButtons = [];
         this.keyboardUsed = false;
         this.activeTab = 'upgrades';
+        if (this.actionBar) this.actionBar.reset();
 
         if (this.decrementOverlayLockCallback) {
             this.decrementOverlayLockCallback();
@@ -391,6 +460,23 @@ export class ChestModal extends Modal {
                         this.selectUpgrade(this.selectedIndex);
                     }
                     break;
+
+                case 'escape':
+                    // Leaves banish mode; the chest itself can't be dismissed
+                    if (this.actionBar && this.actionBar.banishMode) {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        this.actionBar.reset();
+                    }
+                    break;
+
+                default:
+                    // Reroll / banish / skip shortcuts
+                    if (this.activeTab === 'upgrades' && this.actionBar && this.actionBar.handleKey(e.key.toLowerCase())) {
+                        e.preventDefault();
+                        e.stopPropagation();
+                    }
+                    break;
             }
         };
 
@@ -578,7 +664,9 @@ export class ChestModal extends Modal {
             return;
         }
 
-        const guideItems = uniquePassives.map(passive => `
+        const guideItems = uniquePassives.map(passive => {
+            const evolutionText = this.getPassiveEvolutionsText(passive.key);
+            return `
             <div class="chest-guide-item">
                 <div class="chest-guide-icon">
                     <img src="${this.getPassiveIconPath(passive.key)}" alt="${this.getLocalizedPassiveName(passive.key)}">
@@ -586,9 +674,11 @@ export class ChestModal extends Modal {
                 <div class="chest-guide-text">
                     <h3>${this.getLocalizedPassiveName(passive.key)}</h3>
                     <p>${this.getLocalizedPassiveDescription(passive.key)}</p>
+                    ${evolutionText ? `<span class="chest-evolution-info">${evolutionText}</span>` : ''}
                 </div>
             </div>
-        `).join('');
+        `;
+        }).join('');
 
         guidePane.innerHTML = `
             <h2 class="chest-guide-title">${title}</h2>
@@ -611,7 +701,8 @@ export class ChestModal extends Modal {
         const weaponsSection = this.getWeaponsSection();
         const passivesSection = this.getPassivesSection();
         const playerStatsSection = this.getPlayerStatsSection();
-        const sections = [weaponsSection, passivesSection, playerStatsSection].filter(Boolean).join('');
+        const actionsSection = this.getUpgradeActionsSection ? this.getUpgradeActionsSection() : '';
+        const sections = [weaponsSection, passivesSection, playerStatsSection, actionsSection].filter(Boolean).join('');
 
         statusPane.innerHTML = `
             <h2 class="chest-status-title">${this.getTranslation('statusTab')}</h2>
@@ -638,6 +729,7 @@ export class ChestModal extends Modal {
         if (titleEl) titleEl.textContent = this.getTranslation('chestTitle');
         if (subtitleEl) subtitleEl.textContent = this.getTranslation('chestSubtitle');
         if (hintEl) hintEl.textContent = this.getTranslation('chestHint');
+        if (this.actionBar) this.actionBar.updateButtons();
 
         this.renderGuidePane();
         this.renderStatusPane();
@@ -112,17 +112,24 @@ export class GameOverModal extends Modal {
      * @param {string} data.timeText - Time survived (formatted)
      * @param {number} data.enemiesKilled - Enemies defeated
      * @param {number} data.bossesKilled - Bosses defeated
+     * @param {string} data.seedText - Formatted RNG seed of the run
      * @param {Array} data.weapons - Final weapons
      * @param {Object} data.passives - Final passives
      * @param {string} data.weaponsHTML - Pre-generated weapons HTML
      * @param {string} data.passivesHTML - Pre-generated passives HTML
      * @param {string} data.playerStatsHTML - Pre-generated player stats HTML
+     * @param {string} data.killsHTML - Pre-generated kill breakdown HTML
+     * @param {string} [data.title] - Title shown instead of "Game Over" (e.g. a Boss Rush clear)
+     * @param {boolean} [data.allowGlobalSubmit=true] - Whether the run can go to the global leaderboard
+     * @param {number} [data.shardsEarned] - Upgrade shop shards the run banked
+     * @param {string} [data.unlockedText] - Names of the characters the run unlocked
      */
     update(data) {
         if (!data) return;
 
         // Store score data for potential submission
         this.currentScoreData = data;
+        this.updateTitle();
         this.refreshSubmitButtonState();
 
         // Update basic stats
@@ -141,6 +148,20 @@ export class GameOverModal extends Modal {
             }
         }
 
+        this.updateStat('run-seed', data.seedText || '--');
+
+        const shardsRow = this.element?.querySelector('.gameover-shards-row');
+        if (shardsRow) {
+            shardsRow.style.display = data.shardsEarned > 0 ? 'flex' : 'none';
+            this.updateStat('shards-earned', `+${data.shardsEarned || 0}`);
+        }
+
+        const unlockRow = this.element?.querySelector('.gameover-unlock-row');
+        if (unlockRow) {
+            unlockRow.style.display = data.unlockedText ? 'flex' : 'none';
+            this.updateStat('characters-unlocked', data.unlockedText || '');
+        }
+
         // Update detailed sections with pre-generated HTML
         if (data.weaponsHTML) {
             const weaponsSection = this.element?.querySelector('.gameover-weapons-section');
@@ -156,6 +177,11 @@ export class GameOverModal extends Modal {
             const playerStatsSection = this.element?.querySelector('.gameover-player-stats-section');
             if (playerStatsSection) playerStatsSection.innerHTML = data.playerStatsHTML;
         }
+
+        if (data.killsHTML) {
+            const killsSection = this.element?.querySelector('.gameover-kills-section');
+            if (killsSection) killsSection.innerHTML = data.killsHTML;
+        }
     }
 
     /**
@@ -492,8 +518,7 @@ export class GameOverModal extends Modal {
 
         const t = this.getTranslation;
 
-        const title = this.element.querySelector('.gameover-title');
-        if (title) title.textContent = t('gameOver');
+        this.updateTitle();
 
         const restartBtn = this.element.querySelector('.gameover-restart-btn');
         if (restartBtn) restartBtn.textContent = t('playAgain');
@@ -513,16 +538,44 @@ export class GameOverModal extends Modal {
         const bossesLabel = this.element.querySelector('[data-i18n="bosses"]');
         if (bossesLabel) bossesLabel.textContent = t('bossesDefeated');
 
+        const seedLabel = this.element.querySelector('[data-i18n="seed"]');
+        if (seedLabel) seedLabel.textContent = t('seed');
+
+        const shardsLabel = this.element.querySelector('[data-i18n="shardsEarned"]');
+        if (shardsLabel) shardsLabel.textContent = t('metaShardsEarned');
+
+        const unlockLabel = this.element.querySelector('[data-i18n="charactersUnlocked"]');
+        if (unlockLabel) unlockLabel.textContent = t('charactersUnlocked');
+
         // Refresh submit button text/state with latest localization
         this.refreshSubmitButtonState();
     }
 
+    /**
+     * Shows the run's title override, or the localized "Game Over"
+     */
+    updateTitle() {
+        const title = this.element?.querySelector('.gameover-title');
+        if (!title) return;
+
+        if (this.currentScoreData?.title) {
+            title.textContent = this.currentScoreData.title;
+        } else if (this.getTranslation) {
+            title.textContent = this.getTranslation('gameOver');
+        }
+    }
+
     /**
      * Updates the submit button state based on submission status
      */
     refreshSubmitButtonState() {
         if (!this.submitGlobalButton) return;
 
+        // Modes without a global leaderboard hide the button entirely
+        const allowSubmit = this.currentScoreData?.allowGlobalSubmit !== false;
+        this.submitGlobalButton.style.display = allowSubmit ? '' : 'none';
+        if (!allowSubmit) return;
+
         const status = this.currentScoreData?.id
             ? scoreboardStorage.getSubmissionStatus(this.currentScoreData.id)
             : null;
@@ -1,22 +1,6 @@
 import { Modal } from './modal-base.js';
-import { WEAPONS, PASSIVES } from '../../../config/constants.js';
-
-const WEAPON_KEY_TO_TYPE = {
-    BASIC: 'basic',
-    SPREAD: 'spread',
-    LASER: 'laser',
-    PLASMA: 'plasma',
-    SHOTGUN: 'shotgun',
-    LIGHTNING: 'lightning',
-    FLAMETHROWER: 'flamethrower',
-    RAILGUN: 'railgun',
-    MISSILES: 'missiles',
-    HOMING_LASER: 'homing_laser',
-    SHOCKBURST: 'shockburst',
-    GATLING_GUN: 'gatling_gun',
-    NAPALM_BUCKSHOT: 'napalm_buckshot',
-    RAPID: 'rapid'
-};
+import { PASSIVES } from '../../../config/constants.js';
+import { weaponRegistry } from '../../gameplay/weapons/weapon-registry.js';
 
 const PASSIVE_TRANSLATION_KEY_MAP = {
     health_boost: 'healthBoost',
@@ -272,15 +256,15 @@ export class GuideModal extends Modal {
         });
 
         this.addSectionHeader(container, 'evolutionWeaponsHeader');
-        container.appendChild(
-            this.createWeaponItem('rapid', {
-                description: this.game?.t?.('rapidFireEvolutionDesc', 'help') || 'Basic Missile evolves at level 5 into Rapid Fire with blazing speed.'
-            })
-        );
+        weaponRegistry.getTypes('evolution').forEach((type) => {
+            // Passive-gated evolutions show their recipe, level-up evolutions what they merge into
+            const recipe = this.game?.getMergeRecipeText?.(type) || this.game?.getMergeTargetsText?.(type);
+            container.appendChild(this.createWeaponItem(type, { recipe }));
+        });
 
         this.addSectionHeader(container, 'baseWeaponsHeader');
         this.getOrderedBaseWeapons().forEach((type) => {
-            container.appendChild(this.createWeaponItem(type));
+            container.appendChild(this.createWeaponItem(type, { recipe: this.game?.getMergeTargetsText?.(type) }));
         });
     }
 
@@ -313,8 +297,8 @@ export class GuideModal extends Modal {
         item.className = `weapon-item ${isMerge ? 'weapon-merge' : 'weapon-standard'}`;
 
         const iconHtml = this.game?.getWeaponIcon?.(type) || '';
-        const name = this.game?.getWeaponName?.(type) || this.getWeaponNameFromConfig(type);
-        const desc = description || this.game?.getWeaponDescription?.(type) || '';
+        const name = this.game?.getWeaponName?.(type) || weaponRegistry.getName(type);
+        const desc = description || this.game?.getWeaponDescription?.(type) || weaponRegistry.getDescription(type);
 
         const recipeHtml = recipe ? `<div class="weapon-recipe">${recipe}</div>` : '';
 
@@ -360,37 +344,15 @@ export class GuideModal extends Modal {
     }
 
     getOrderedMergeWeapons() {
-        if (!this.game?.t) {
-            // Fallback to English
-            return [
-                { type: 'homing_laser', recipe: 'Laser lvl 3 + Homing Missiles lvl 3', description: 'Heat-seeking laser beams.' },
-                { type: 'shockburst', recipe: 'Lightning lvl 3 + Plasma lvl 3', description: 'Explosive energy bursts.' },
-                { type: 'gatling_gun', recipe: 'Rapid Fire lvl 5 + Spread Shot lvl 3', description: 'Multi-barrel rapid fire.' },
-                { type: 'napalm_buckshot', recipe: 'Shotgun lvl 3 + Flamethrower lvl 3', description: 'Sticky fire pellets with stacking burn damage.' }
-            ];
-        }
-
-        const t = (key) => this.game.t(key, 'help');
-        return [
-            { type: 'homing_laser', recipe: t('homingLaserRecipe'), description: t('homingLaserDesc') },
-            { type: 'shockburst', recipe: t('shockburstRecipe'), description: t('shockburstDesc') },
-            { type: 'gatling_gun', recipe: t('gatlingGunRecipe'), description: t('gatlingGunDesc') },
-            { type: 'napalm_buckshot', recipe: t('napalmBuckshotRecipe'), description: t('napalmBuckshotDesc') }
-        ];
+        return weaponRegistry.getTypes('merge').map(type => ({
+            type,
+            recipe: this.game?.getMergeRecipeText?.(type) || '',
+            description: this.game?.getWeaponDescription?.(type) || weaponRegistry.getDescription(type)
+        }));
     }
 
     getOrderedBaseWeapons() {
-        return [
-            'basic',
-            'spread',
-            'laser',
-            'plasma',
-            'shotgun',
-            'lightning',
-            'flamethrower',
-            'railgun',
-            'missiles'
-        ];
+        return weaponRegistry.getTypes('base');
     }
 
     getPassiveName(passiveId, config = {}) {
@@ -432,13 +394,6 @@ export class GuideModal extends Modal {
         }
     }
 
-    getWeaponNameFromConfig(type) {
-        const key = Object.entries(WEAPON_KEY_TO_TYPE).find(([, value]) => value === type)?.[0];
-        const config = key ? WEAPONS[key] : null;
-        if (config?.name) return config.name;
-        return this.formatTitleCase(type);
-    }
-
     formatTitleCase(text) {
         return text.replace(/_/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
     }
@@ -4,7 +4,8 @@
  * Phase 12c.6 - Refactored from inline implementation
  */
 
-import { PASSIVES, WEAPONS } from '../../../config/constants.js';
+import { PASSIVES } from '../../../config/constants.js';
+import { weaponRegistry } from '../../gameplay/weapons/weapon-registry.js';
 
 const PASSIVE_TRANSLATION_KEY_MAP = {
     'health_boost': 'healthBoost',
@@ -21,23 +22,6 @@ const PASSIVE_TRANSLATION_KEY_MAP = {
     'mod_bay_expander': 'modBay'
 };
 
-const WEAPON_KEY_TO_TYPE = {
-    BASIC: 'basic',
-    SPREAD: 'spread',
-    LASER: 'laser',
-    PLASMA: 'plasma',
-    SHOTGUN: 'shotgun',
-    LIGHTNING: 'lightning',
-    FLAMETHROWER: 'flamethrower',
-    RAILGUN: 'railgun',
-    MISSILES: 'missiles',
-    HOMING_LASER: 'homing_laser',
-    SHOCKBURST: 'shockburst',
-    GATLING_GUN: 'gatling_gun',
-    NAPALM_BUCKSHOT: 'napalm_buckshot',
-    RAPID: 'rapid'
-};
-
 export class HelpMenu {
     constructor() {
         this.element = null;
@@ -71,6 +55,11 @@ export class HelpMenu {
         this.getTranslation = null;
         this.renderStatusTab = null;
 
+        // Localized weapon display helpers (injected by the game)
+        this.weaponNameHelper = null;
+        this.weaponDescriptionHelper = null;
+        this.weaponIconHelper = null;
+
         // Overlay lock callbacks
         this.incrementOverlayLockCallback = null;
         this.decrementOverlayLockCallback = null;
@@ -231,6 +220,23 @@ export class HelpMenu {
         }
     }
 
+    /**
+     * Sets localized weapon display helpers
+     * @param {Object} helpers
+     * @param {Function} helpers.getWeaponName - (type) => localized name
+     * @param {Function} helpers.getWeaponDescription - (type) => localized description
+     * @param {Function} helpers.getWeaponIcon - (type) => icon <img> HTML
+     * @param {Function} helpers.getMergeRecipeText - (mergeType) => localized recipe
+     * @param {Function} helpers.getMergeTargetsText - (type) => localized "merges into" line
+     */
+    setHelpers({ getWeaponName, getWeaponDescription, getWeaponIcon, getMergeRecipeText, getMergeTargetsText } = {}) {
+        this.weaponNameHelper = getWeaponName || null;
+        this.weaponDescriptionHelper = getWeaponDescription || null;
+        this.weaponIconHelper = getWeaponIcon || null;
+        this.mergeRecipeHelper = getMergeRecipeText || null;
+        this.mergeTargetsHelper = getMergeTargetsText || null;
+    }
+
     /**
      * Set overlay lock callbacks
      */
@@ -373,15 +379,15 @@ export class HelpMenu {
         });
 
         this.addSectionHeader(this.weaponsList, 'evolutionWeaponsHeader');
-        this.weaponsList.appendChild(
-            this.createWeaponItem('rapid', {
-                description: this.getTranslation?.('rapidFireEvolutionDesc', 'help') || 'Basic Missile evolves at level 5 into Rapid Fire with blazing speed.'
-            })
-        );
+        weaponRegistry.getTypes('evolution').forEach((type) => {
+            // Passive-gated evolutions show their recipe, level-up evolutions what they merge into
+            const recipe = this.getMergeRecipeText(type) || this.getMergeTargetsText(type);
+            this.weaponsList.appendChild(this.createWeaponItem(type, { recipe }));
+        });
 
         this.addSectionHeader(this.weaponsList, 'baseWeaponsHeader');
         this.getOrderedBaseWeapons().forEach((type) => {
-            this.weaponsList.appendChild(this.createWeaponItem(type));
+            this.weaponsList.appendChild(this.createWeaponItem(type, { recipe: this.getMergeTargetsText(type) }));
         });
     }
 
@@ -461,36 +467,15 @@ export class HelpMenu {
     }
 
     getOrderedMergeWeapons() {
-        if (!this.getTranslation) {
-            return [
-                { type: 'homing_laser', recipe: 'Laser lvl 3 + Homing Missiles lvl 3', description: 'Heat-seeking laser beams.' },
-                { type: 'shockburst', recipe: 'Lightning lvl 3 + Plasma lvl 3', description: 'Explosive energy bursts.' },
-                { type: 'gatling_gun', recipe: 'Rapid Fire lvl 5 + Spread Shot lvl 3', description: 'Multi-barrel rapid fire.' },
-                { type: 'napalm_buckshot', recipe: 'Shotgun lvl 3 + Flamethrower lvl 3', description: 'Sticky fire pellets with stacking burn damage.' }
-            ];
-        }
-
-        const t = (key) => this.getTranslation(key, 'help');
-        return [
-            { type: 'homing_laser', recipe: t('homingLaserRecipe'), description: t('homingLaserDesc') },
-            { type: 'shockburst', recipe: t('shockburstRecipe'), description: t('shockburstDesc') },
-            { type: 'gatling_gun', recipe: t('gatlingGunRecipe'), description: t('gatlingGunDesc') },
-            { type: 'napalm_buckshot', recipe: t('napalmBuckshotRecipe'), description: t('napalmBuckshotDesc') }
-        ];
+        return weaponRegistry.getTypes('merge').map(type => ({
+            type,
+            recipe: this.getMergeRecipeText(type),
+            description: this.getWeaponDescription(type)
+        }));
     }
 
     getOrderedBaseWeapons() {
-        return [
-            'basic',
-            'spread',
-            'laser',
-            'plasma',
-            'shotgun',
-            'lightning',
-            'flamethrower',
-            'railgun',
-            'missiles'
-        ];
+        return weaponRegistry.getTypes('base');
     }
 
     getPassiveStackInfo(passiveId) {
@@ -515,74 +500,24 @@ export class HelpMenu {
     }
 
     getWeaponName(type) {
-        const weaponNameMap = {
-            'basic': 'basicMissile',
-            'rapid': 'rapidFire',
-            'spread': 'spreadShot',
-            'spread_shot': 'spreadShot',
-            'laser': 'laserBeam',
-            'plasma': 'plasmaBolt',
-            'shotgun': 'shotgun',
-            'lightning': 'lightning',
-            'flamethrower': 'flamethrower',
-            'railgun': 'railgun',
-            'missiles': 'homingMissiles',
-            'homing_laser': 'homingLaser',
-            'shockburst': 'shockburst',
-            'gatling_gun': 'gatlingGun',
-            'napalm_buckshot': 'napalmBuckshot'
-        };
-
-        const nameKey = weaponNameMap[type];
-        if (this.getTranslation && nameKey) {
-            const translated = this.getTranslation(nameKey, 'weapons');
-            if (translated) return translated;
-        }
-
-        return this.getWeaponNameFromConfig(type);
+        return this.weaponNameHelper ? this.weaponNameHelper(type) : weaponRegistry.getName(type);
     }
 
     getWeaponDescription(type) {
-        const descKey = `${type}Desc`;
-        if (this.getTranslation) {
-            const translated = this.getTranslation(descKey, 'weapons');
-            if (translated) return translated;
-        }
-        const weaponConfig = WEAPONS[type.toUpperCase()];
-        return weaponConfig?.description || '';
+        return this.weaponDescriptionHelper ? this.weaponDescriptionHelper(type) : weaponRegistry.getDescription(type);
     }
 
-    getWeaponIcon(type) {
-        const weaponIconMap = {
-            'basic': 'basicMissile',
-            'rapid': 'rapidFire',
-            'spread': 'spreadShot',
-            'spread_shot': 'spreadShot',
-            'laser': 'laserBeam',
-            'plasma': 'plasmaBolt',
-            'shotgun': 'shotgun',
-            'lightning': 'lightning',
-            'flamethrower': 'flamethrower',
-            'railgun': 'railgun',
-            'missiles': 'homingMissiles',
-            'homing_laser': 'homingLaser',
-            'shockburst': 'shockburst',
-            'gatling_gun': 'gatlingGun',
-            'napalm_buckshot': 'napalmBuckshot'
-        };
+    getMergeRecipeText(type) {
+        return this.mergeRecipeHelper ? this.mergeRecipeHelper(type) : '';
+    }
 
-        const iconName = weaponIconMap[type] || 'basicMissile';
-        return `<img src="images/weapons/${iconName}.png" alt="${type}" style="width: 48px; height: 48px; image-rendering: pixelated; vertical-align: middle; margin-right: 8px;">`;
+    getMergeTargetsText(type) {
+        return this.mergeTargetsHelper ? this.mergeTargetsHelper(type) : '';
     }
 
-    getWeaponNameFromConfig(type) {
-        const weaponEntry = Object.entries(WEAPON_KEY_TO_TYPE).find(([, value]) => value === type);
-        const weaponKey = weaponEntry ? weaponEntry[0] : null;
-        const weaponConfig = weaponKey ? WEAPONS[weaponKey] : null;
-        if (weaponConfig?.name) {
-            return weaponConfig.name;
-        }
-        return this.formatTitleCase(type);
+    getWeaponIcon(type) {
+        if (this.weaponIconHelper) return this.weaponIconHelper(type);
+        return `<img src="${weaponRegistry.getIconPath(type)}" alt="${type}" style="width: 48px; height: 48px; image-rendering: pixelated; vertical-align: middle; margin-right: 8px;">`;
     }
 
     formatTitleCase(text) {
@@ -6,6 +6,8 @@
  */
 
 import { Modal } from './modal-base.js';
+import { weaponRegistry } from '../../gameplay/weapons/weapon-registry.js';
+import { UpgradeActionBar } from './upgrade-actions.js';
 
 /**
  * LevelUpModal - Displays upgrade choices on level up with tabs, keyboard navigation, and scrolling
@@ -15,6 +17,10 @@ export class LevelUpModal extends Modal {
         super(id, { closeOnEscape: false, closeOnBackdropClick: false });
         this.upgradeChoices = [];
         this.onUpgradeSelectedCallback = null;
+        this.onUpgradeActionCallback = null;
+
+        // Reroll / banish / skip row (created in init)
+        this.actionBar = null;
 
         // Tab management
         this.activeTab = 'levelup';
@@ -35,6 +41,9 @@ export class LevelUpModal extends Modal {
         this.getWeaponsSection = null;
         this.getPassivesSection = null;
         this.getPlayerStatsSection = null;
+        this.getUpgradeActionsSection = null;
+        this.getWeaponName = null;
+        this.getWeaponDescription = null;
 
         // Overlay lock callbacks (for disabling pause/help buttons)
         this.incrementOverlayLockCallback = null;
@@ -45,6 +54,22 @@ export class LevelUpModal extends Modal {
         this.inputDelayTimeout = null;
     }
 
+    init() {
+        const result = super.init();
+        if (!result) return false;
+
+        this.actionBar = new UpgradeActionBar(
+            this.element.querySelector('.levelup-actions'),
+            key => (this.getTranslation ? this.getTranslation(key) : null)
+        );
+        this.actionBar.setCallbacks({
+            onReroll: () => this.triggerAction('reroll'),
+            onSkip: () => this.triggerAction('skip')
+        });
+
+        return true;
+    }
+
     /**
      * Sets callback for when upgrade is selected
      * @param {Function} callback - Callback(choice, choiceIndex)
@@ -53,6 +78,14 @@ export class LevelUpModal extends Modal {
         this.onUpgradeSelectedCallback = callback;
     }
 
+    /**
+     * Sets callback for the reroll / banish / skip actions
+     * @param {Function} callback - Callback(action, choiceIndex) - choiceIndex is only set for 'banish'
+     */
+    onUpgradeAction(callback) {
+        this.onUpgradeActionCallback = callback;
+    }
+
     /**
      * Sets game data callbacks for rendering guide and status panes
      * @param {Object} callbacks - Rendering callbacks
@@ -60,12 +93,20 @@ export class LevelUpModal extends Modal {
      * @param {Function} callbacks.generateWeaponsSection - Generates weapons HTML
      * @param {Function} callbacks.generatePassivesSection - Generates passives HTML
      * @param {Function} callbacks.generatePlayerStatsSection - Generates player stats HTML
+     * @param {Function} [callbacks.generateUpgradeActionsSection] - Generates charges / banished list HTML
+     * @param {Function} callbacks.getWeaponName - (type) => localized weapon name
+     * @param {Function} callbacks.getWeaponDescription - (type) => localized weapon description
+     * @param {Function} callbacks.getMergeRecipeText - (mergeType) => localized merge recipe
      */
     setRenderCallbacks(callbacks) {
         this.getTranslation = callbacks.t;
         this.getWeaponsSection = callbacks.generateWeaponsSection;
         this.getPassivesSection = callbacks.generatePassivesSection;
         this.getPlayerStatsSection = callbacks.generatePlayerStatsSection;
+        this.getUpgradeActionsSection = callbacks.generateUpgradeActionsSection || null;
+        this.getWeaponName = callbacks.getWeaponName || (type => weaponRegistry.getName(type));
+        this.getWeaponDescription = callbacks.getWeaponDescription || (type => weaponRegistry.getDescription(type));
+        this.getMergeRecipeText = callbacks.getMergeRecipeText || (() => '');
     }
 
     /**
@@ -83,12 +124,21 @@ export class LevelUpModal extends Modal {
      * @param {Object} data - Upgrade data
      * @param {Array} data.choices - Array of upgrade choice objects
      * @param {number} data.playerLevel - Current player level
+     * @param {Object} [data.actions] - { rerolls, banishes, canBanish } for the action row
      */
     update(data) {
         if (!data || !data.choices) return;
 
         this.upgradeChoices = data.choices;
         this.renderUpgradeChoices(data.choices, data.playerLevel);
+        if (this.actionBar) {
+            this.actionBar.update(data.actions);
+        }
+
+        // Rerolls and banishes replace the choices while the modal is open
+        if (this.visible && this.activeTab === 'levelup') {
+            this.updateNavigationForTab('levelup');
+        }
     }
 
     /**
@@ -100,8 +150,39 @@ export class LevelUpModal extends Modal {
         const choicesContainer = this.element?.querySelector('.upgrade-choices');
         if (!choicesContainer) return;
 
+        const renderedGroups = new Set();
         const choicesHTML = choices.map((choice, index) => {
             const mergeClass = choice.isMergeWeapon ? ' upgrade-choice-merge' : '';
+            const mergePreview = choice.mergePreview ? `<span class="upgrade-merge-preview">${choice.mergePreview}</span>` : '';
+
+            // Branch picks for the same weapon upgrade share one card, one button per branch
+            if (choice.group) {
+                if (renderedGroups.has(choice.group)) return '';
+                renderedGroups.add(choice.group);
+
+                const branchesHTML = choices
+                    .map((branchChoice, branchIndex) => ({ branchChoice, branchIndex }))
+                    .filter(({ branchChoice }) => branchChoice.group === choice.group)
+                    .map(({ branchChoice, branchIndex }) => `
+                        <div class="upgrade-choice upgrade-branch${mergeClass}" data-choice="${branchIndex}">
+                            <span class="upgrade-branch-name">${branchChoice.branchName}</span>
+                            <p>${branchChoice.branchDescription}</p>
+                        </div>
+                    `).join('');
+
+                return `
+                    <div class="upgrade-choice-group${mergeClass}">
+                        <div class="upgrade-choice-icon">
+                            <span class="upgrade-choice-icon-image">${choice.icon || '⚔️'}</span>
+                            <span class="upgrade-choice-title">${choice.name}</span>
+                        </div>
+                        ${choice.levelDescription ? `<p>${choice.levelDescription}</p>` : ''}
+                        ${mergePreview}
+                        <div class="upgrade-branches">${branchesHTML}</div>
+                    </div>
+                `;
+            }
+
             return `
                 <div class="upgrade-choice${mergeClass}" data-choice="${index}">
                     <div class="upgrade-choice-icon">
@@ -109,6 +190,7 @@ export class LevelUpModal extends Modal {
                         <span class="upgrade-choice-title">${choice.name}</span>
                     </div>
                     <p>${choice.description}</p>
+                    ${mergePreview}
                     ${choice.level ? `<span class="upgrade-level">Level ${choice.level}</span>` : ''}
                 </div>
             `;
@@ -116,10 +198,11 @@ export class LevelUpModal extends Modal {
 
         choicesContainer.innerHTML = choicesHTML;
 
-        // Add click handlers to choices
+        // Add click handlers to choices (branch buttons carry the index of their own choice)
         const choiceElements = choicesContainer.querySelectorAll('.upgrade-choice');
-        choiceElements.forEach((element, index) => {
-            element.addEventListener('click', () => this.selectUpgrade(index));
+        choiceElements.forEach(element => {
+            const choiceIndex = parseInt(element.dataset.choice, 10);
+            element.addEventListener('click', () => this.selectUpgrade(choiceIndex));
         });
     }
 
@@ -128,6 +211,12 @@ export class LevelUpModal extends Modal {
      * @param {number} choiceIndex - Index of selected choice
      */
     selectUpgrade(choiceIndex) {
+        if (this.actionBar && this.actionBar.banishMode) {
+            this.actionBar.reset();
+            this.triggerAction('banish', choiceIndex);
+            return;
+        }
+
         if (this.onUpgradeSelectedCallback) {
             const choice = this.upgradeChoices[choiceIndex];
             this.onUpgradeSelectedCallback(choice, choiceIndex);
@@ -135,6 +224,20 @@ export class LevelUpModal extends Modal {
         this.hide();
     }
 
+    /**
+     * Hands a reroll / banish / skip to the game (skip also closes the modal)
+     * @param {string} action - 'reroll', 'banish' or 'skip'
+     * @param {number} [choiceIndex] - Choice to banish
+     */
+    triggerAction(action, choiceIndex) {
+        if (this.onUpgradeActionCallback) {
+            this.onUpgradeActionCallback(action, choiceIndex);
+        }
+        if (action === 'skip') {
+            this.hide();
+        }
+    }
+
     /**
      * Switches to a specific tab
      * @param {string} tab - Tab name ('levelup', 'guide', 'status')
@@ -227,52 +330,35 @@ export class LevelUpModal extends Modal {
         const mergerTitle = t('weaponMergers', 'help');
         const evolutionTitle = t('weaponEvolution', 'help');
 
-        const homingLaserName = t('homingLaser', 'weapons');
-        const homingLaserRecipe = t('homingLaserRecipe', 'help');
-        const homingLaserDesc = t('homingLaserDesc', 'help');
-
-        const shockburstName = t('shockburst', 'weapons');
-        const shockburstRecipe = t('shockburstRecipe', 'help');
-        const shockburstDesc = t('shockburstDesc', 'help');
-
-        const gatlingName = t('gatlingGun', 'weapons');
-        const gatlingRecipe = t('gatlingGunRecipe', 'help');
-        const gatlingDesc = t('gatlingGunDesc', 'help');
-
-        const napalmName = t('napalmBuckshot', 'weapons');
-        const napalmRecipe = t('napalmBuckshotRecipe', 'help');
-        const napalmDesc = t('napalmBuckshotDesc', 'help');
+        const renderRecipe = type => {
+            const name = this.getWeaponName(type);
+            return `
+                <div class="merge-recipe">
+                    <h3><img src="${weaponRegistry.getIconPath(type)}" alt="${name}"> ${name}</h3>
+                    <p>${this.getMergeRecipeText(type)}</p>
+                    <span class="recipe-desc">${this.getWeaponDescription(type)}</span>
+                </div>`;
+        };
 
+        const mergeRecipes = weaponRegistry.getTypes('merge').map(renderRecipe).join('');
         const rapidEvolution = t('rapidFireEvolution', 'help');
 
+        // Passive-gated evolutions come from the merge table like the mergers above
+        const evolutionRecipes = weaponRegistry.getTypes('evolution')
+            .filter(type => weaponRegistry.getMergeRecipe(type))
+            .map(renderRecipe)
+            .join('');
+
         guidePane.innerHTML = `
             <h2 class="levelup-guide-title">${mergerTitle}</h2>
-            <div class="help-recipes">
-                <div class="merge-recipe">
-                    <h3><img src="images/weapons/homingLaser.png" alt="Homing Laser"> ${homingLaserName}</h3>
-                    <p>${homingLaserRecipe}</p>
-                    <span class="recipe-desc">${homingLaserDesc}</span>
-                </div>
-                <div class="merge-recipe">
-                    <h3><img src="images/weapons/shockburst.png" alt="Shockburst"> ${shockburstName}</h3>
-                    <p>${shockburstRecipe}</p>
-                    <span class="recipe-desc">${shockburstDesc}</span>
-                </div>
-                <div class="merge-recipe">
-                    <h3><img src="images/weapons/gatlingGun.png" alt="Gatling Gun"> ${gatlingName}</h3>
-                    <p>${gatlingRecipe}</p>
-                    <span class="recipe-desc">${gatlingDesc}</span>
-                </div>
-                <div class="merge-recipe">
-                    <h3><img src="images/weapons/napalmBuckshot.png" alt="Napalm Buckshot"> ${napalmName}</h3>
-                    <p>${napalmRecipe}</p>
-                    <span class="recipe-desc">${napalmDesc}</span>
-                </div>
+            <div class="help-recipes">${mergeRecipes}
             </div>
             <h2 class="levelup-guide-evolution"><img src="images/passives/evolution.png" alt="Weapon Evolution" class="section-icon"> ${evolutionTitle}</h2>
             <div class="help-section">
                 <p>${rapidEvolution}</p>
             </div>
+            <div class="help-recipes">${evolutionRecipes}
+            </div>
         `;
     }
 
@@ -288,7 +374,8 @@ export class LevelUpModal extends Modal {
         const weaponsSection = this.getWeaponsSection();
         const passivesSection = this.getPassivesSection();
         const playerStatsSection = this.getPlayerStatsSection();
-        const sections = [weaponsSection, passivesSection, playerStatsSection].filter(Boolean).join('');
+        const actionsSection = this.getUpgradeActionsSection ? this.getUpgradeActionsSection() : '';
+        const sections = [weaponsSection, passivesSection, playerStatsSection, actionsSection].filter(Boolean).join('');
 
         statusPane.innerHTML = `
             <h2 class="levelup-status-title">${this.getTranslation('statusTab')}</h2>
@@ -309,6 +396,7 @@ export class LevelUpModal extends Modal {
         if (levelupBtn) levelupBtn.textContent = this.getTranslation('levelUp');
         if (guideBtn) guideBtn.textContent = this.getTranslation('guideTab');
         if (statusBtn) statusBtn.textContent = this.getTranslation('statusTab');
+        if (this.actionBar) this.actionBar.updateButtons();
 
         this.renderGuidePane();
         this.renderStatusPane();
@@ -488,9 +576,18 @@ export class LevelUpModal extends Modal {
                     break;
 
                 case 'escape':
-                    // Can't escape level up modal
+                    // Can't escape level up modal, but it does leave banish mode
                     e.preventDefault();
                     e.stopPropagation(); // Stop event from reaching main game handler
+                    if (this.actionBar) this.actionBar.reset();
+                    break;
+
+                default:
+                    // Reroll / banish / skip shortcuts
+                    if (this.activeTab === 'levelup' && this.actionBar && this.actionBar.handleKey(e.key.toLowerCase())) {
+                        e.preventDefault();
+                        e.stopPropagation();
+                    }
                     break;
             }
         };
@@ -702,6 +799,7 @@ export class LevelUpModal extends Modal {
         // Reset state
         this.upgradeChoices = [];
         this.activeTab = 'levelup';
+        if (this.actionBar) this.actionBar.reset();
 
         if (this.inputDelayTimeout) {
             clearTimeout(this.inputDelayTimeout);
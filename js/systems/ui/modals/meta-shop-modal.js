@@ -0,0 +1,395 @@
+/**
+ * Meta Shop Modal
+ * Start screen shop for the permanent upgrades in config/meta-upgrades.js, paid for with the
+ * shards kept in utils/meta-progress-storage.js. Purchases apply from the next run on.
+ */
+
+import { Modal } from './modal-base.js';
+import { META_UPGRADES } from '../../../config/meta-upgrades.js';
+import { metaProgressStorage } from '../../../utils/meta-progress-storage.js';
+import { getUpgradeCost, getUpgradeSpent } from '../../gameplay/meta-progression.js';
+
+export class MetaShopModal extends Modal {
+    constructor(id = 'meta-shop-modal') {
+        super(id, { closeOnEscape: false, closeOnBackdropClick: true });
+
+        this.balanceElement = null;
+        this.upgradeList = null;
+        this.listContainer = null;
+        this.refundButton = null;
+        this.closeButton = null;
+        this.actionButtons = [];
+        this.onCloseCallback = null;
+        this.getTranslation = null;
+        this.getUpgradeText = null;
+        this.keyboardHandler = null;
+        this.selectedRowIndex = 0;
+        this.buttonNavigationMode = false;
+        this.buttonIndex = 0;
+        this.confirmOverlay = null;
+        this.confirmKeyHandler = null;
+    }
+
+    init() {
+        const result = super.init();
+        if (!result) return false;
+
+        this.balanceElement = this.element.querySelector('.meta-shop-balance');
+        this.upgradeList = this.element.querySelector('#meta-shop-list');
+        this.listContainer = this.element.querySelector('.meta-shop-list-container');
+        this.refundButton = this.element.querySelector('#meta-shop-refund-btn');
+        this.closeButton = this.element.querySelector('#meta-shop-close-btn');
+        this.actionButtons = [this.refundButton, this.closeButton].filter(Boolean);
+
+        if (this.listContainer) {
+            // Allow wheel/touch scrolling inside the list to bypass modal blockers
+            const stopPropagation = (e) => e.stopPropagation();
+            this.listContainer.addEventListener('wheel', stopPropagation, { passive: true });
+            this.listContainer.addEventListener('touchstart', stopPropagation, { passive: true });
+            this.listContainer.addEventListener('touchmove', stopPropagation, { passive: true });
+        }
+
+        if (this.refundButton) {
+            this.refundButton.addEventListener('click', () => this.handleRefund());
+        }
+        if (this.closeButton) {
+            this.closeButton.addEventListener('click', () => this.hide());
+        }
+
+        this.render();
+        this.updateLocalization();
+
+        return true;
+    }
+
+    setTranslationFunction(getTranslation) {
+        this.getTranslation = getTranslation;
+        this.updateLocalization();
+    }
+
+    /**
+     * @param {Object} helpers
+     * @param {Function} helpers.getUpgradeText - (upgradeId) => localized { name, description }
+     */
+    setHelpers({ getUpgradeText } = {}) {
+        this.getUpgradeText = getUpgradeText;
+        this.render();
+    }
+
+    onClose(callback) {
+        this.onCloseCallback = callback;
+    }
+
+    show() {
+        this.render();
+
+        super.show();
+        if (this.element) {
+            this.element.style.display = 'flex';
+        }
+
+        this.setupKeyboardHandlers();
+
+        this.selectedRowIndex = 0;
+        this.buttonNavigationMode = false;
+        this.buttonIndex = 0;
+
+        if (this.listContainer) {
+            setTimeout(() => {
+                this.listContainer.focus({ preventScroll: true });
+                this.updateRowSelection();
+            }, 50);
+        }
+    }
+
+    hide() {
+        this.cleanupKeyboardHandlers();
+        if (this.confirmOverlay) {
+            this.confirmOverlay.remove();
+            this.confirmOverlay = null;
+        }
+
+        super.hide();
+        if (this.onCloseCallback) {
+            this.onCloseCallback();
+        }
+    }
+
+    updateLocalization() {
+        if (!this.getTranslation || !this.element) return;
+        const t = this.getTranslation;
+
+        const title = this.element.querySelector('.meta-shop-title');
+        if (title) title.textContent = t('metaShopTitle');
+
+        const hint = this.element.querySelector('.meta-shop-hint');
+        if (hint) hint.textContent = t('metaShopHint');
+
+        if (this.refundButton) this.refundButton.textContent = t('metaShopRefund');
+        if (this.closeButton) this.closeButton.textContent = t('close');
+
+        this.render();
+    }
+
+    /**
+     * Redraws the balance and every upgrade row from storage
+     */
+    render() {
+        if (!this.upgradeList) return;
+        const t = this.getTranslation;
+        const shards = metaProgressStorage.getShards();
+        const loadout = metaProgressStorage.getLoadout();
+
+        if (this.balanceElement) {
+            this.balanceElement.textContent = `${t ? t('metaShards') : 'Shards'}: ${shards}`;
+        }
+        if (this.refundButton) {
+            this.refundButton.disabled = Object.keys(loadout).length === 0;
+        }
+
+        this.upgradeList.innerHTML = '';
+        Object.entries(META_UPGRADES).forEach(([upgradeId, upgrade]) => {
+            const row = this.createUpgradeRow(upgradeId, upgrade, loadout[upgradeId] || 0, shards);
+            this.upgradeList.appendChild(row);
+        });
+
+        if (this.visible && !this.buttonNavigationMode) {
+            this.updateRowSelection();
+        }
+    }
+
+    createUpgradeRow(upgradeId, upgrade, level, shards) {
+        const t = this.getTranslation;
+        const text = this.getUpgradeText
+            ? this.getUpgradeText(upgradeId)
+            : { name: upgrade.name, description: upgrade.description };
+        const cost = getUpgradeCost(upgradeId, level);
+        const affordable = cost !== null && shards >= cost;
+
+        const row = document.createElement('div');
+        row.className = 'meta-upgrade';
+        if (cost === null) row.classList.add('maxed');
+        row.dataset.upgradeId = upgradeId;
+
+        const pips = Array.from({ length: upgrade.maxLevel }, (_, index) =>
+            `<span class="meta-upgrade__pip${index < level ? ' owned' : ''}"></span>`
+        ).join('');
+        const buyText = cost === null
+            ? (t ? t('metaShopMaxed') : 'MAX')
+            : `${t ? t('metaShopBuy') : 'BUY'} ${cost}`;
+
+        row.innerHTML = `
+            <div class="meta-upgrade__info">
+                <div class="meta-upgrade__name">${text.name}</div>
+                <div class="meta-upgrade__desc">${text.description}</div>
+                <div class="meta-upgrade__pips">${pips}</div>
+            </div>
+            <button class="survivor-btn small meta-upgrade__buy" ${affordable ? '' : 'disabled'}>${buyText}</button>
+        `;
+
+        const buyButton = row.querySelector('.meta-upgrade__buy');
+        buyButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.handlePurchase(upgradeId);
+        });
+
+        return row;
+    }
+
+    handlePurchase(upgradeId) {
+        if (metaProgressStorage.purchase(upgradeId)) {
+            this.render();
+        }
+    }
+
+    handleRefund() {
+        const loadout = metaProgressStorage.getLoadout();
+        const refund = Object.entries(loadout)
+            .reduce((sum, [upgradeId, level]) => sum + getUpgradeSpent(upgradeId, level), 0);
+        if (refund === 0) return;
+
+        const t = this.getTranslation;
+        const message = t
+            ? t('metaShopRefundConfirm').replace('{shards}', refund)
+            : `Refund every upgrade for ${refund} shards?`;
+        this.showConfirm(message, () => {
+            metaProgressStorage.refundAll();
+            this.render();
+        });
+    }
+
+    setupKeyboardHandlers() {
+        this.keyboardHandler = (e) => {
+            if (!this.visible) return;
+
+            // Confirmation has its own handler
+            if (this.confirmOverlay) return;
+
+            const key = e.key;
+
+            if (key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.hide();
+                return;
+            }
+
+            if (this.buttonNavigationMode) {
+                if (key === 'ArrowLeft' || key === 'a' || key === 'A') {
+                    this.buttonIndex = Math.max(0, this.buttonIndex - 1);
+                    this.updateButtonSelection();
+                } else if (key === 'ArrowRight' || key === 'd' || key === 'D') {
+                    this.buttonIndex = Math.min(this.actionButtons.length - 1, this.buttonIndex + 1);
+                    this.updateButtonSelection();
+                } else if (key === 'Enter' || key === ' ') {
+                    const button = this.actionButtons[this.buttonIndex];
+                    if (button && !button.disabled) button.click();
+                } else if (key === 'ArrowUp' || key === 'w' || key === 'W') {
+                    this.buttonNavigationMode = false;
+                    this.updateRowSelection();
+                } else {
+                    return;
+                }
+                e.preventDefault();
+                e.stopPropagation();
+                return;
+            }
+
+            const rows = this.getRows();
+            if (key === 'ArrowDown' || key === 's' || key === 'S') {
+                if (this.selectedRowIndex >= rows.length - 1 && this.actionButtons.length) {
+                    this.buttonNavigationMode = true;
+                    this.buttonIndex = this.actionButtons.length - 1;
+                    this.updateButtonSelection();
+                } else {
+                    this.selectedRowIndex = Math.min(rows.length - 1, this.selectedRowIndex + 1);
+                    this.updateRowSelection();
+                }
+            } else if (key === 'ArrowUp' || key === 'w' || key === 'W') {
+                this.selectedRowIndex = Math.max(0, this.selectedRowIndex - 1);
+                this.updateRowSelection();
+            } else if (key === 'Enter' || key === ' ') {
+                const row = rows[this.selectedRowIndex];
+                if (row) this.handlePurchase(row.dataset.upgradeId);
+            } else if (key === 'Tab') {
+                this.buttonNavigationMode = true;
+                this.buttonIndex = 0;
+                this.updateButtonSelection();
+            } else {
+                return;
+            }
+            e.preventDefault();
+            e.stopPropagation();
+        };
+
+        document.addEventListener('keydown', this.keyboardHandler, { capture: true });
+    }
+
+    cleanupKeyboardHandlers() {
+        if (this.keyboardHandler) {
+            document.removeEventListener('keydown', this.keyboardHandler, { capture: true });
+            this.keyboardHandler = null;
+        }
+        if (this.confirmKeyHandler) {
+            document.removeEventListener('keydown', this.confirmKeyHandler, { capture: true });
+            this.confirmKeyHandler = null;
+        }
+    }
+
+    getRows() {
+        return this.upgradeList ? Array.from(this.upgradeList.querySelectorAll('.meta-upgrade')) : [];
+    }
+
+    updateRowSelection() {
+        this.getRows().forEach((row, index) => {
+            row.classList.toggle('menu-selected', index === this.selectedRowIndex);
+        });
+        this.actionButtons.forEach(btn => btn.classList.remove('menu-selected'));
+
+        const selectedRow = this.getRows()[this.selectedRowIndex];
+        if (selectedRow) {
+            selectedRow.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
+    }
+
+    updateButtonSelection() {
+        this.getRows().forEach(row => row.classList.remove('menu-selected'));
+        this.actionButtons.forEach((btn, index) => {
+            btn.classList.toggle('menu-selected', index === this.buttonIndex);
+            if (index === this.buttonIndex) btn.focus();
+        });
+    }
+
+    showConfirm(message, onConfirm) {
+        const t = this.getTranslation;
+        const yesText = t ? t('yes') : 'YES';
+        const noText = t ? t('no') : 'NO';
+
+        const overlay = document.createElement('div');
+        overlay.className = 'scoreboard-confirm-overlay';
+        overlay.innerHTML = `
+            <div class="scoreboard-confirm">
+                <p>${message}</p>
+                <div class="scoreboard-confirm-actions">
+                    <button class="survivor-btn small confirm-yes">${yesText}</button>
+                    <button class="survivor-btn small confirm-no">${noText}</button>
+                </div>
+            </div>
+        `;
+
+        const yesBtn = overlay.querySelector('.confirm-yes');
+        const noBtn = overlay.querySelector('.confirm-no');
+        const buttons = [noBtn, yesBtn];
+        let selectedButtonIndex = 0;
+
+        const updateSelection = () => {
+            buttons.forEach((btn, idx) => {
+                btn.classList.toggle('menu-selected', idx === selectedButtonIndex);
+                if (idx === selectedButtonIndex) btn.focus();
+            });
+        };
+
+        const closeOverlay = () => {
+            if (this.confirmKeyHandler) {
+                document.removeEventListener('keydown', this.confirmKeyHandler, { capture: true });
+                this.confirmKeyHandler = null;
+            }
+            overlay.remove();
+            this.confirmOverlay = null;
+            if (this.listContainer) {
+                setTimeout(() => this.listContainer.focus({ preventScroll: true }), 50);
+            }
+        };
+
+        yesBtn.addEventListener('click', () => {
+            onConfirm();
+            closeOverlay();
+        });
+        noBtn.addEventListener('click', closeOverlay);
+
+        this.confirmKeyHandler = (e) => {
+            if (e.key === 'ArrowLeft' || e.key === 'a' || e.key === 'A') {
+                selectedButtonIndex = Math.max(0, selectedButtonIndex - 1);
+                updateSelection();
+            } else if (e.key === 'ArrowRight' || e.key === 'd' || e.key === 'D') {
+                selectedButtonIndex = Math.min(buttons.length - 1, selectedButtonIndex + 1);
+                updateSelection();
+            } else if (e.key === 'Enter' || e.key === ' ') {
+                buttons[selectedButtonIndex].click();
+            } else if (e.key === 'Escape') {
+                closeOverlay();
+            } else {
+                return;
+            }
+            e.preventDefault();
+            e.stopPropagation();
+        };
+
+        document.addEventListener('keydown', this.confirmKeyHandler, { capture: true });
+
+        this.element.appendChild(overlay);
+        this.confirmOverlay = overlay;
+        setTimeout(() => updateSelection(), 50);
+    }
+}
@@ -16,6 +16,7 @@ export class OptionsMenu {
         this.musicVolumeSlider = null;
         this.sfxVolumeSlider = null;
         this.dashPositionButton = null;
+        this.indicatorsButton = null;
         this.closeButton = null;
 
         // Keyboard navigation state
@@ -32,6 +33,7 @@ export class OptionsMenu {
         this.onMusicVolumeCallback = null;
         this.onSfxVolumeCallback = null;
         this.onDashPositionCallback = null;
+        this.onOffscreenIndicatorsCallback = null;
 
         // Overlay lock callbacks
         this.incrementOverlayLockCallback = null;
@@ -43,6 +45,7 @@ export class OptionsMenu {
         this.getDashPositionState = null;
         this.getLanguageState = null;
         this.getTranslation = null;
+        this.getOffscreenIndicatorState = null;
 
         // Parent keyboard management (for nested modals)
         this.disableParentKeyboardCallback = null;
@@ -71,6 +74,7 @@ export class OptionsMenu {
         this.musicVolumeSlider = document.getElementById('options-music-volume');
         this.sfxVolumeSlider = document.getElementById('options-sfx-volume');
         this.dashPositionButton = document.getElementById('options-dash-position-btn');
+        this.indicatorsButton = document.getElementById('options-indicators-btn');
         this.closeButton = document.getElementById('close-options-btn');
 
         // Set up button click handlers
@@ -182,6 +186,22 @@ export class OptionsMenu {
             this.dashPositionButton.addEventListener('touchstart', dashHandler, { passive: false });
         }
 
+        if (this.indicatorsButton) {
+            const indicatorsHandler = (e) => {
+                if (e) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                }
+                if (this.onOffscreenIndicatorsCallback) {
+                    this.onOffscreenIndicatorsCallback();
+                    this.updateButtonLabels();
+                }
+            };
+
+            this.indicatorsButton.addEventListener('click', indicatorsHandler);
+            this.indicatorsButton.addEventListener('touchstart', indicatorsHandler, { passive: false });
+        }
+
         if (this.closeButton) {
             const closeHandler = (e) => {
                 if (e) {
@@ -199,12 +219,13 @@ export class OptionsMenu {
     /**
      * Set game state callbacks for dynamic button labels
      */
-    setGameStateCallbacks(getMusicMutedState, getSfxMutedState, getDashPositionState, getLanguageState, getTranslation) {
+    setGameStateCallbacks(getMusicMutedState, getSfxMutedState, getDashPositionState, getLanguageState, getTranslation, getOffscreenIndicatorState) {
         this.getMusicMutedState = getMusicMutedState;
         this.getSfxMutedState = getSfxMutedState;
         this.getDashPositionState = getDashPositionState;
         this.getLanguageState = getLanguageState;
         this.getTranslation = getTranslation;
+        this.getOffscreenIndicatorState = getOffscreenIndicatorState;
 
         if (this.element) {
             this.updateLocalization();
@@ -258,6 +279,10 @@ export class OptionsMenu {
         this.onDashPositionCallback = callback;
     }
 
+    onOffscreenIndicators(callback) {
+        this.onOffscreenIndicatorsCallback = callback;
+    }
+
     /**
      * Store previous navigation state (for restoring when closing)
      */
@@ -304,6 +329,16 @@ export class OptionsMenu {
             }
         }
 
+        // Update off-screen indicator preset button (translation keys: indicatorPresetAll, ...)
+        if (this.indicatorsButton && this.getOffscreenIndicatorState) {
+            const preset = this.getOffscreenIndicatorState();
+            if (preset) {
+                const key = `indicatorPreset${preset.charAt(0).toUpperCase()}${preset.slice(1)}`;
+                const label = this.getTranslation ? this.getTranslation(key) : preset;
+                this.indicatorsButton.textContent = label.toUpperCase();
+            }
+        }
+
         // Update language select
         if (this.languageSelect && this.getLanguageState) {
             const language = this.getLanguageState();
@@ -353,6 +388,9 @@ export class OptionsMenu {
             labels[2].textContent = t('soundEffects');
             labels[3].textContent = t('dashPosition');
         }
+        if (labels && labels.length >= 5) {
+            labels[4].textContent = t('offscreenIndicators');
+        }
 
         const closeBtn = this.closeButton;
         if (closeBtn) closeBtn.textContent = t('close');
@@ -430,6 +468,7 @@ export class OptionsMenu {
             this.sfxMuteButton,
             this.sfxVolumeSlider,
             this.dashPositionButton,
+            this.indicatorsButton,
             this.closeButton
         ].filter(Boolean);
 
@@ -1,5 +1,9 @@
 import { Modal } from './modal-base.js';
 import { PASSIVES } from '../../../config/constants.js';
+import { GAME_MODES } from '../../../config/game-modes.js';
+import { formatSeed } from '../../../utils/rng.js';
+import { normalizeLoadout } from '../../gameplay/meta-progression.js';
+import { weaponRegistry } from '../../gameplay/weapons/weapon-registry.js';
 
 export class ScoreDetailModal extends Modal {
     constructor(id = 'score-detail-modal') {
@@ -10,14 +14,20 @@ export class ScoreDetailModal extends Modal {
 
         this.versionEl = null;
         this.dateEl = null;
+        this.seedEl = null;
+        this.loadoutEl = null;
         this.summaryEls = {};
         this.weaponsSection = null;
         this.passivesSection = null;
         this.playerSection = null;
+        this.killsSection = null;
 
         this.currentScore = null;
         this.getTranslation = null;
         this.getWeaponName = null;
+        this.getKillLabel = null;
+        this.getBranchPathText = null;
+        this.getUpgradeText = null;
         this.onBackCallback = null;
         this.onDeleteCallback = null;
         this.keyboardHandler = null;
@@ -35,6 +45,10 @@ export class ScoreDetailModal extends Modal {
         this.onSubmitCallback = null;
         this.onViewGlobalCallback = null;
 
+        // Replay playback
+        this.replayButton = null;
+        this.onWatchReplayCallback = null;
+
         // Modals for prompts/alerts
         this.promptModal = null;
         this.notificationModal = null;
@@ -49,6 +63,9 @@ export class ScoreDetailModal extends Modal {
         this.scrollContainer = this.element.querySelector('.score-detail-scroll');
         this.versionEl = this.element.querySelector('.score-detail-version');
         this.dateEl = this.element.querySelector('.score-detail-date');
+        this.seedEl = this.element.querySelector('.score-detail-seed');
+        this.loadoutEl = this.element.querySelector('.score-detail-loadout');
+        this.replayNoteEl = this.element.querySelector('.score-detail-replay-note');
         this.summaryEls = {
             level: this.element.querySelector('.score-detail-level'),
             time: this.element.querySelector('.score-detail-time'),
@@ -59,14 +76,16 @@ export class ScoreDetailModal extends Modal {
         this.weaponsSection = this.element.querySelector('.score-detail-weapons');
         this.passivesSection = this.element.querySelector('.score-detail-passives');
         this.playerSection = this.element.querySelector('.score-detail-player');
+        this.killsSection = this.element.querySelector('.score-detail-kills');
 
         // NEW: Submission elements
         this.submitButton = this.element.querySelector('#submit-to-global-btn');
         this.submissionStatus = this.element.querySelector('#submission-status');
         this.submittedName = this.element.querySelector('#submitted-name');
         this.viewGlobalButton = this.element.querySelector('#view-on-global-btn');
+        this.replayButton = this.element.querySelector('#score-detail-replay-btn');
 
-        this.actionButtons = [this.backButton, this.deleteButton, this.submitButton].filter(Boolean);
+        this.actionButtons = [this.replayButton, this.backButton, this.deleteButton, this.submitButton].filter(Boolean);
 
         if (this.backButton) {
             this.backButton.addEventListener('click', () => this.handleBack());
@@ -85,6 +104,10 @@ export class ScoreDetailModal extends Modal {
             this.viewGlobalButton.addEventListener('click', () => this.handleViewGlobal());
         }
 
+        if (this.replayButton) {
+            this.replayButton.addEventListener('click', () => this.handleWatchReplay());
+        }
+
         this.updateLocalization();
         return true;
     }
@@ -94,8 +117,11 @@ export class ScoreDetailModal extends Modal {
         this.updateLocalization();
     }
 
-    setHelpers({ getWeaponName } = {}) {
+    setHelpers({ getWeaponName, getKillLabel, getBranchPathText, getUpgradeText } = {}) {
         this.getWeaponName = getWeaponName;
+        this.getKillLabel = getKillLabel;
+        this.getBranchPathText = getBranchPathText;
+        this.getUpgradeText = getUpgradeText;
     }
 
     setModals({ promptModal, notificationModal } = {}) {
@@ -120,6 +146,10 @@ export class ScoreDetailModal extends Modal {
         this.onViewGlobalCallback = callback;
     }
 
+    onWatchReplay(callback) {
+        this.onWatchReplayCallback = callback;
+    }
+
     showScore(score) {
         if (!score) return;
         this.currentScore = score;
@@ -153,6 +183,9 @@ export class ScoreDetailModal extends Modal {
         const deleteText = t('scoreboardDelete') || 'DELETE RECORD';
         if (this.deleteButton) this.deleteButton.textContent = deleteText;
 
+        const replayText = t('watchReplay') || 'WATCH REPLAY';
+        if (this.replayButton) this.replayButton.textContent = replayText;
+
         const headings = this.element?.querySelectorAll('[data-heading="weapons"]');
         headings?.forEach(el => el.textContent = t('scoreboardWeaponsHeading') || 'Weapons');
 
@@ -161,6 +194,9 @@ export class ScoreDetailModal extends Modal {
 
         const playerHeading = this.element?.querySelectorAll('[data-heading="player"]');
         playerHeading?.forEach(el => el.textContent = t('scoreboardPlayerHeading') || 'Player Stats');
+
+        const killsHeading = this.element?.querySelectorAll('[data-heading="kills"]');
+        killsHeading?.forEach(el => el.textContent = t('scoreboardKillsHeading') || 'Kills');
     }
 
     renderScore(score) {
@@ -175,6 +211,22 @@ export class ScoreDetailModal extends Modal {
 
         if (this.versionEl) this.versionEl.textContent = `v${score.version || score.majorVersion || '1.1.0'}`;
         if (this.dateEl) this.dateEl.textContent = dateText;
+        if (this.seedEl) {
+            // Older records predate seeded runs
+            const hasSeed = typeof score.seed === 'number';
+            const label = this.getLabel('seed', 'Seed:');
+            this.seedEl.textContent = hasSeed ? `${label} ${formatSeed(score.seed)}` : '';
+        }
+        if (this.loadoutEl) {
+            // Unboosted runs (and records from before the shop) show nothing
+            const loadout = normalizeLoadout(score.loadout);
+            const upgrades = Object.entries(loadout).map(([upgradeId, level]) => {
+                const name = this.getUpgradeText ? this.getUpgradeText(upgradeId).name : upgradeId;
+                return `${name} ${level}`;
+            });
+            const label = this.getLabel('scoreboardLoadout', 'Upgrades:');
+            this.loadoutEl.textContent = upgrades.length ? `${label} ${upgrades.join(', ')}` : '';
+        }
 
         if (this.summaryEls.level) {
             const label = this.getLabel('level', 'Level');
@@ -186,7 +238,7 @@ export class ScoreDetailModal extends Modal {
         }
         if (this.summaryEls.enemies) {
             const label = this.getLabel('enemies', 'Enemies');
-            this.summaryEls.enemies.innerHTML = `<span class="label">${label}</span><span class="value">${score.enemiesKilled ?? 0}</span>`;
+            this.summaryEls.enemies.innerHTML = `<span class="label">${label}</span><span class="value">${score.kills ? '' : '~'}${score.enemiesKilled ?? 0}</span>`;
         }
         if (this.summaryEls.bosses) {
             const label = this.getLabel('bosses', 'Bosses');
@@ -200,6 +252,19 @@ export class ScoreDetailModal extends Modal {
         this.renderWeapons(score.weapons || []);
         this.renderPassives(score.passives || {});
         this.renderPlayerStats(score.playerStats || {});
+        this.renderKills(score.kills);
+
+        // Replays are stored with local records only
+        if (this.replayButton) {
+            this.replayButton.style.display = (!score.isGlobal && score.replay) ? '' : 'none';
+        }
+        if (this.replayNoteEl) {
+            // Storage ran out and the replay went to make room (see ScoreboardStorage._removeReplays)
+            const removed = !score.isGlobal && !score.replay && score.replayRemoved;
+            this.replayNoteEl.textContent = removed
+                ? this.getLabel('replayRemoved', 'Replay removed to free up storage space')
+                : '';
+        }
 
         // NEW: Update submission UI
         this.updateSubmissionUI(score);
@@ -214,24 +279,6 @@ export class ScoreDetailModal extends Modal {
             return;
         }
 
-        const weaponIconMap = {
-            'basic': 'basicMissile',
-            'rapid': 'rapidFire',
-            'spread': 'spreadShot',
-            'spread_shot': 'spreadShot',
-            'laser': 'laserBeam',
-            'plasma': 'plasmaBolt',
-            'shotgun': 'shotgun',
-            'lightning': 'lightning',
-            'flamethrower': 'flamethrower',
-            'railgun': 'railgun',
-            'missiles': 'homingMissiles',
-            'homing_laser': 'homingLaser',
-            'shockburst': 'shockburst',
-            'gatling_gun': 'gatlingGun',
-            'napalm_buckshot': 'napalmBuckshot'
-        };
-
         const damageHeading = t ? t('scoreboardStatsHeading') || t('totalDamage') : 'Damage';
         const totalLabel = this.getLabel('totalDamage', 'Total');
         const bossLabel = this.getLabel('vsBosses', 'Bosses');
@@ -241,16 +288,19 @@ export class ScoreDetailModal extends Modal {
             .map(weapon => ({ weapon, totalDamage: weapon.totalDamage ?? 0 }))
             .sort((a, b) => b.totalDamage - a.totalDamage)
             .map(({ weapon }) => {
-                const iconName = weaponIconMap[weapon.type] || 'basicMissile';
                 const name = this.getWeaponName ? this.getWeaponName(weapon.type) : weapon.type;
                 const mergeClass = weapon.isMergeWeapon ? 'weapon-merge' : '';
+                // Scores saved before upgrade branches have no path
+                const path = weapon.branches?.length && this.getBranchPathText ? this.getBranchPathText(weapon.branches) : '';
+                const pathLabel = t ? t('upgradePath') : 'Path';
                 return `
                         <div class="score-detail-weapon ${mergeClass}">
                             <div class="weapon-left">
-                                <img src="images/weapons/${iconName}.png" alt="${name}">
+                                <img src="${weaponRegistry.getIconPath(weapon.type)}" alt="${name}">
                                 <div class="weapon-info">
                                     <div class="weapon-name">${name}</div>
                                     <div class="weapon-meta">LV.${weapon.level} • ${damageHeading}</div>
+                                    ${path ? `<div class="weapon-path">${pathLabel}: ${path}</div>` : ''}
                                 </div>
                             </div>
                         <div class="weapon-damage">
@@ -365,6 +415,45 @@ export class ScoreDetailModal extends Modal {
         `).join('');
     }
 
+    renderKills(kills) {
+        if (!this.killsSection) return;
+
+        // Records from before kill tracking only carry an estimated total
+        if (!kills) {
+            const emptyText = this.getLabel('noKillBreakdown', 'Not recorded for this run');
+            this.killsSection.innerHTML = `<p class="scoreboard-empty-line">${emptyText}</p>`;
+            return;
+        }
+
+        const groups = [
+            { key: 'byEnemyType', title: this.getLabel('killsByEnemy', 'Enemies') },
+            { key: 'byBossVariant', title: this.getLabel('killsByBoss', 'Bosses') },
+            { key: 'byWeapon', title: this.getLabel('killingBlows', 'Final Blows') }
+        ];
+
+        this.killsSection.innerHTML = groups.map(({ key, title }) => {
+            const entries = Object.entries(kills[key] || {}).sort((a, b) => b[1] - a[1]);
+            if (!entries.length) return '';
+
+            const rows = entries.map(([entryKey, count]) => {
+                const label = this.getKillLabel ? this.getKillLabel(key, entryKey) : entryKey;
+                return `
+                    <div class="player-stat-row">
+                        <span>${label}</span>
+                        <span class="stat-value">${count}</span>
+                    </div>
+                `;
+            }).join('');
+
+            return `
+                <div class="player-stat-row">
+                    <span><strong>${title}</strong></span>
+                </div>
+                ${rows}
+            `;
+        }).join('');
+    }
+
     handleBack() {
         // Cleanup keyboard handlers
         this.cleanupKeyboardHandlers();
@@ -693,6 +782,14 @@ export class ScoreDetailModal extends Modal {
         }
     }
 
+    handleWatchReplay() {
+        if (!this.currentScore?.replay) return;
+        this.cleanupKeyboardHandlers();
+        if (this.onWatchReplayCallback) {
+            this.onWatchReplayCallback(this.currentScore);
+        }
+    }
+
     async updateSubmissionUI(score) {
         // If this is a global score (read-only), hide delete and submit buttons
         if (score.isGlobal) {
@@ -707,8 +804,13 @@ export class ScoreDetailModal extends Modal {
 
         const { scoreboardStorage } = await import('../../../utils/scoreboard-storage.js');
         const status = scoreboardStorage.getSubmissionStatus(score.id);
+        const mode = GAME_MODES[scoreboardStorage.getScoreMode(score)];
 
-        if (status && status.submitted) {
+        if (!mode.globalLeaderboard) {
+            // Modes without a global leaderboard can't be submitted
+            if (this.submitButton) this.submitButton.style.display = 'none';
+            if (this.submissionStatus) this.submissionStatus.style.display = 'none';
+        } else if (status && status.submitted) {
             // Hide submit button
             if (this.submitButton) this.submitButton.style.display = 'none';
 
@@ -1,7 +1,10 @@
 import { Modal } from './modal-base.js';
 import { GAME_INFO } from '../../../config/constants.js';
+import { GAME_MODES, DEFAULT_GAME_MODE } from '../../../config/game-modes.js';
 import { scoreboardStorage } from '../../../utils/scoreboard-storage.js';
 import { supabaseClient } from '../../../utils/supabase-client.js';
+import { isBoostedLoadout } from '../../gameplay/meta-progression.js';
+import { DEFAULT_CHARACTER } from '../../../config/characters.js';
 
 export class ScoreboardModal extends Modal {
     constructor(id = 'scoreboard-modal') {
@@ -9,6 +12,10 @@ export class ScoreboardModal extends Modal {
 
         // Existing properties
         this.versionFilter = null;
+        this.modeFilter = null;
+        this.modeFilterLabel = null;
+        this.getModeName = null;
+        this.getCharacterName = null;
         this.scoreList = null;
         this.listContainer = null; // kept for backward compatibility
         this.localListContainer = null;
@@ -43,6 +50,8 @@ export class ScoreboardModal extends Modal {
 
         // Existing element references
         this.versionFilter = this.element.querySelector('#scoreboard-version-filter');
+        this.modeFilter = this.element.querySelector('#scoreboard-mode-filter');
+        this.modeFilterLabel = this.element.querySelector('label[for="scoreboard-mode-filter"]');
         this.scoreList = this.element.querySelector('#scoreboard-list');
         this.localListContainer = this.element.querySelector('[data-tab-pane="local"] .scoreboard-list-container');
         this.globalListContainer = this.element.querySelector('[data-tab-pane="global"] .scoreboard-list-container');
@@ -65,6 +74,7 @@ export class ScoreboardModal extends Modal {
         this.attachScrollGuards(this.globalListContainer);
 
         this.attachEventHandlers();
+        this.populateModes();
         this.populateVersions();
         this.renderScores();
         this.updateLocalization();
@@ -92,6 +102,11 @@ export class ScoreboardModal extends Modal {
             this.versionFilter.addEventListener('input', handleChange);
         }
 
+        if (this.modeFilter) {
+            // The global leaderboard only holds survival runs, so the mode only filters local scores
+            this.modeFilter.addEventListener('change', () => this.renderScores());
+        }
+
         if (this.clearButton) {
             this.clearButton.addEventListener('click', () => this.handleClearScores());
         }
@@ -152,6 +167,7 @@ export class ScoreboardModal extends Modal {
                 if (this.clearButton) {
                     this.clearButton.style.display = '';
                 }
+                this.setModeFilterVisible(true);
             } else {
                 localPane.classList.remove('active');
                 globalPane.classList.add('active');
@@ -160,6 +176,7 @@ export class ScoreboardModal extends Modal {
                 if (this.clearButton) {
                     this.clearButton.style.display = 'none';
                 }
+                this.setModeFilterVisible(false);
             }
         }
 
@@ -260,9 +277,10 @@ export class ScoreboardModal extends Modal {
 
         card.innerHTML = `
             <div class="score-card__header">
-                <div class="score-rank">#${score.rank}</div>
+                <div class="score-rank">#${score.rank} ${this.getBoostedBadge(scoreData)}</div>
                 <div class="score-meta">
                     <span class="score-player">${this.escapeHtml(score.player_name)}</span>
+                    ${this.getCharacterLabel(scoreData)}
                     <span class="score-version">v${score.game_version || '1.1.0'}</span>
                     <span class="score-date">${dateText}</span>
                 </div>
@@ -270,7 +288,7 @@ export class ScoreboardModal extends Modal {
             <div class="score-card__body">
                 <div class="score-stat">${levelLabel}: <span>${scoreData.level || 0}</span></div>
                 <div class="score-stat">${timeLabel}: <span>${scoreData.timeText || this.formatTime(scoreData.time)}</span></div>
-                <div class="score-stat">${enemiesLabel}: <span>${scoreData.enemiesKilled ?? 0}</span></div>
+                <div class="score-stat">${enemiesLabel}: <span>${this.formatKills(scoreData)}</span></div>
                 <div class="score-stat">${bossesLabel}: <span>${scoreData.bossesKilled ?? 0}</span></div>
             </div>
         `;
@@ -342,6 +360,17 @@ export class ScoreboardModal extends Modal {
         this.updateLocalization();
     }
 
+    /**
+     * @param {Object} helpers
+     * @param {Function} helpers.getModeName - Localized name of a GAME_MODES key
+     * @param {Function} helpers.getCharacterName - Localized name of a CHARACTERS key
+     */
+    setHelpers({ getModeName, getCharacterName } = {}) {
+        this.getModeName = getModeName;
+        this.getCharacterName = getCharacterName;
+        this.populateModes();
+    }
+
     onScoreSelected(callback) {
         this.onScoreSelectedCallback = callback;
     }
@@ -403,9 +432,11 @@ export class ScoreboardModal extends Modal {
         const title = this.element?.querySelector('.scoreboard-title');
         if (title) title.textContent = t('scoreboardTitle');
 
-        const filterLabel = this.element?.querySelector('.scoreboard-filter label');
+        const filterLabel = this.element?.querySelector('label[for="scoreboard-version-filter"]');
         if (filterLabel) filterLabel.textContent = t('scoreboardVersionLabel');
 
+        if (this.modeFilterLabel) this.modeFilterLabel.textContent = t('scoreboardModeLabel');
+
         const clearText = t('scoreboardClear') || 'CLEAR ALL';
         if (this.clearButton) this.clearButton.textContent = clearText;
 
@@ -419,10 +450,38 @@ export class ScoreboardModal extends Modal {
         const globalEmptyCopy = t('globalScoreboardEmpty') || 'No global scores yet. Be the first!';
         if (this.globalEmptyState) this.globalEmptyState.textContent = globalEmptyCopy;
 
-        // Refresh dropdown to ensure placeholder text is translated
+        // Refresh dropdowns to ensure option text is translated
+        this.populateModes();
         this.populateVersions();
     }
 
+    getModeFilterValue() {
+        const value = this.modeFilter?.value;
+        return GAME_MODES[value] ? value : DEFAULT_GAME_MODE;
+    }
+
+    populateModes() {
+        if (!this.modeFilter) return;
+
+        const selected = this.getModeFilterValue();
+        this.modeFilter.innerHTML = '';
+
+        Object.entries(GAME_MODES).forEach(([modeId, mode]) => {
+            const option = document.createElement('option');
+            option.value = modeId;
+            option.textContent = this.getModeName ? this.getModeName(modeId) : mode.name;
+            this.modeFilter.appendChild(option);
+        });
+
+        this.modeFilter.value = selected;
+    }
+
+    setModeFilterVisible(visible) {
+        const display = visible ? '' : 'none';
+        if (this.modeFilter) this.modeFilter.style.display = display;
+        if (this.modeFilterLabel) this.modeFilterLabel.style.display = display;
+    }
+
     getVersionSuggestions() {
         // Include current game major version and known fallbacks so users can pick versions even without local runs
         const versions = new Set(scoreboardStorage.getUniqueMajorVersions());
@@ -485,9 +544,10 @@ export class ScoreboardModal extends Modal {
         if (!this.scoreList) return;
 
         const version = this.getVersionFilterValue();
+        const mode = this.getModeFilterValue();
         const scores = version === 'all'
-            ? scoreboardStorage.getAllScores()
-            : scoreboardStorage.getScoresByVersion(version);
+            ? scoreboardStorage.getAllScores(mode)
+            : scoreboardStorage.getScoresByVersion(version, mode);
 
         this.scoreList.innerHTML = '';
 
@@ -506,6 +566,28 @@ export class ScoreboardModal extends Modal {
         });
     }
 
+    /**
+     * Names the character a run was played as
+     * @param {Object} score - Score data (records from before character select were AI BOT runs)
+     * @returns {string} Label HTML
+     */
+    getCharacterLabel(score) {
+        const characterId = score.character || DEFAULT_CHARACTER;
+        const name = this.getCharacterName ? this.getCharacterName(characterId) : characterId;
+        return `<span class="score-character">${this.escapeHtml(name)}</span>`;
+    }
+
+    /**
+     * Marks runs that started with permanent shop upgrades
+     * @param {Object} score - Score data (loadout is missing on older records)
+     * @returns {string} Badge HTML, or '' for unboosted runs
+     */
+    getBoostedBadge(score) {
+        if (!isBoostedLoadout(score.loadout)) return '';
+        const text = this.getTranslation ? this.getTranslation('scoreboardBoosted') : 'Boosted';
+        return `<span class="boosted-badge">${text}</span>`;
+    }
+
     createScoreCard(score, rank) {
         const t = this.getTranslation;
         const formatter = new Intl.DateTimeFormat(undefined, {
@@ -521,6 +603,16 @@ export class ScoreboardModal extends Modal {
         const levelLabel = t ? t('level') : 'Level';
         const timeLabel = t ? t('time') : 'Time';
 
+        // Boss Rush runs rank by clear time and show how far the rush got instead of bosses
+        const isClearTimeRanked = GAME_MODES[scoreboardStorage.getScoreMode(score)].ranking === 'clearTime';
+        const cleared = isClearTimeRanked && score.clearTime != null;
+        const timeStat = cleared
+            ? `${t ? t('scoreboardClearTime') : 'Clear'}: <span>${this.formatTime(score.clearTime)}</span>`
+            : `${timeLabel}: <span>${score.timeText || this.formatTime(score.time)}</span>`;
+        const progressStat = isClearTimeRanked
+            ? `${t ? t('scoreboardEncounters') : 'Encounters'}: <span>${score.encountersCleared ?? 0}/${score.encounterCount ?? '?'}</span>`
+            : `${bossesLabel}: <span>${score.bossesKilled ?? 0}</span>`;
+
         const card = document.createElement('div');
         card.className = 'score-card';
         card.tabIndex = 0;
@@ -536,17 +628,18 @@ export class ScoreboardModal extends Modal {
 
         card.innerHTML = `
             <div class="score-card__header">
-                <div class="score-rank">#${rank} ${submittedBadge}</div>
+                <div class="score-rank">#${rank} ${submittedBadge}${this.getBoostedBadge(score)}</div>
                 <div class="score-meta">
+                    ${this.getCharacterLabel(score)}
                     <span class="score-version">v${score.majorVersion || score.version || '1.0'}</span>
                     <span class="score-date">${dateText}</span>
                 </div>
             </div>
             <div class="score-card__body">
                 <div class="score-stat">${levelLabel}: <span>${score.level}</span></div>
-                <div class="score-stat">${timeLabel}: <span>${score.timeText || this.formatTime(score.time)}</span></div>
-                <div class="score-stat">${enemiesLabel}: <span>${score.enemiesKilled ?? 0}</span></div>
-                <div class="score-stat">${bossesLabel}: <span>${score.bossesKilled ?? 0}</span></div>
+                <div class="score-stat">${timeStat}</div>
+                <div class="score-stat">${enemiesLabel}: <span>${this.formatKills(score)}</span></div>
+                <div class="score-stat">${progressStat}</div>
             </div>
         `;
 
@@ -583,6 +676,17 @@ export class ScoreboardModal extends Modal {
         return `${minutes}:${seconds.toString().padStart(2, '0')}`;
     }
 
+    /**
+     * Kill count for a card; runs recorded before kills were tracked have no
+     * breakdown and only a time-derived estimate, shown with a ~
+     * @param {Object} score - Score data
+     * @returns {string} Display text
+     */
+    formatKills(score) {
+        const kills = score.enemiesKilled ?? 0;
+        return score.kills ? `${kills}` : `~${kills}`;
+    }
+
     // Rest of the existing keyboard handling methods remain unchanged
     // (setupKeyboardHandlers, cleanupKeyboardHandlers, etc.)
     // I'll keep those methods as-is from the original file
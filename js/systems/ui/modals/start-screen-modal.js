@@ -9,20 +9,28 @@
 export class StartScreenModal {
     constructor() {
         // Button references
+        this.continueButton = null;
         this.startButton = null;
+        this.bossRushButton = null;
         this.optionsButton = null;
         this.aboutButton = null;
         this.restartButton = null;
         this.exitButton = null;
         this.scoreboardButton = null;
+        this.shopButton = null;
+        this.achievementsButton = null;
 
         // Callbacks
+        this.onContinueCallback = null;
         this.onStartCallback = null;
+        this.onBossRushCallback = null;
         this.onOptionsCallback = null;
         this.onAboutCallback = null;
         this.onRestartCallback = null;
         this.onExitCallback = null;
         this.onScoreboardCallback = null;
+        this.onShopCallback = null;
+        this.onAchievementsCallback = null;
 
         // Initialization flag
         this.initialized = false;
@@ -38,12 +46,16 @@ export class StartScreenModal {
         if (this.initialized) return true;
 
         // Get button references
+        this.continueButton = document.getElementById('continue-survivor');
         this.startButton = document.getElementById('start-survivor');
+        this.bossRushButton = document.getElementById('boss-rush-btn');
         this.optionsButton = document.getElementById('options-btn');
         this.aboutButton = document.getElementById('about-btn');
         this.restartButton = document.getElementById('restart-survivor');
         this.exitButton = document.getElementById('exit-survivor');
         this.scoreboardButton = document.getElementById('scoreboard-btn');
+        this.shopButton = document.getElementById('meta-shop-btn');
+        this.achievementsButton = document.getElementById('achievements-btn');
 
         // Set up button click handlers
         this.setupButtonHandlers();
@@ -80,13 +92,17 @@ export class StartScreenModal {
         const tagline = document.querySelector('.survivor-title .game-tagline');
         if (tagline) tagline.textContent = t('gameTagline');
 
+        if (this.continueButton) this.continueButton.textContent = t('continueRun');
         if (this.startButton) this.startButton.textContent = t('startGame');
+        if (this.bossRushButton) this.bossRushButton.textContent = t('bossRushButton');
         const guideBtn = document.getElementById('start-btn-guide');
         if (guideBtn) guideBtn.textContent = t('guide') || 'GUIDE';
         if (this.optionsButton) this.optionsButton.textContent = t('options');
         if (this.aboutButton) this.aboutButton.textContent = t('about');
         const scoreboardBtn = document.getElementById('scoreboard-btn');
         if (scoreboardBtn) scoreboardBtn.textContent = t('scoreboardButton') || 'SCOREBOARD';
+        if (this.shopButton) this.shopButton.textContent = t('metaShopButton');
+        if (this.achievementsButton) this.achievementsButton.textContent = t('achievementsButton');
 
         const playAgainBtn = document.getElementById('restart-survivor');
         if (playAgainBtn) playAgainBtn.textContent = t('playAgain');
@@ -105,6 +121,16 @@ export class StartScreenModal {
      * Set up button click handlers
      */
     setupButtonHandlers() {
+        if (this.continueButton) {
+            this.continueButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                if (this.onContinueCallback) {
+                    this.onContinueCallback();
+                }
+            });
+        }
+
         if (this.startButton) {
             this.startButton.addEventListener('click', (e) => {
                 e.preventDefault();
@@ -115,6 +141,16 @@ export class StartScreenModal {
             });
         }
 
+        if (this.bossRushButton) {
+            this.bossRushButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                if (this.onBossRushCallback) {
+                    this.onBossRushCallback();
+                }
+            });
+        }
+
         if (this.optionsButton) {
             this.optionsButton.addEventListener('click', (e) => {
                 e.preventDefault();
@@ -145,6 +181,26 @@ export class StartScreenModal {
             });
         }
 
+        if (this.shopButton) {
+            this.shopButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                if (this.onShopCallback) {
+                    this.onShopCallback();
+                }
+            });
+        }
+
+        if (this.achievementsButton) {
+            this.achievementsButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                if (this.onAchievementsCallback) {
+                    this.onAchievementsCallback();
+                }
+            });
+        }
+
         if (this.restartButton) {
             this.restartButton.addEventListener('click', (e) => {
                 e.preventDefault();
@@ -169,10 +225,18 @@ export class StartScreenModal {
     /**
      * Set callback functions
      */
+    onContinue(callback) {
+        this.onContinueCallback = callback;
+    }
+
     onStart(callback) {
         this.onStartCallback = callback;
     }
 
+    onBossRush(callback) {
+        this.onBossRushCallback = callback;
+    }
+
     onOptions(callback) {
         this.onOptionsCallback = callback;
     }
@@ -185,6 +249,14 @@ export class StartScreenModal {
         this.onScoreboardCallback = callback;
     }
 
+    onShop(callback) {
+        this.onShopCallback = callback;
+    }
+
+    onAchievements(callback) {
+        this.onAchievementsCallback = callback;
+    }
+
     onRestart(callback) {
         this.onRestartCallback = callback;
     }
@@ -198,9 +270,13 @@ export class StartScreenModal {
      */
     destroy() {
         // Button references will be cleaned up automatically
+        this.continueButton = null;
         this.startButton = null;
+        this.bossRushButton = null;
         this.optionsButton = null;
         this.aboutButton = null;
+        this.shopButton = null;
+        this.achievementsButton = null;
         this.restartButton = null;
         this.exitButton = null;
         this.initialized = false;
@@ -0,0 +1,144 @@
+/**
+ * Upgrade Action Bar
+ * Reroll / banish / skip buttons shared by the level-up and chest modals. The bar shows the
+ * charges the game reports and tracks banish mode (the next picked choice is banished instead
+ * of taken); what each action does is up to the game.
+ */
+
+// Shortcut keys - picked to stay clear of the WASD/arrow navigation the modals already use
+const ACTION_KEYS = {
+    r: 'reroll',
+    b: 'banish',
+    x: 'skip'
+};
+
+export class UpgradeActionBar {
+    /**
+     * @param {HTMLElement|null} container - Element the buttons are rendered into
+     * @param {Function} getTranslation - (key) => localized text
+     */
+    constructor(container, getTranslation = null) {
+        this.container = container;
+        this.getTranslation = getTranslation;
+        this.buttons = {};
+        this.onRerollCallback = null;
+        this.onSkipCallback = null;
+
+        this.rerolls = 0;
+        this.banishes = 0;
+        this.canBanish = false;
+        this.banishMode = false;
+
+        this.render();
+    }
+
+    /**
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onReroll - Reroll pressed with a charge left
+     * @param {Function} callbacks.onSkip - Skip pressed
+     */
+    setCallbacks({ onReroll, onSkip } = {}) {
+        this.onRerollCallback = onReroll || null;
+        this.onSkipCallback = onSkip || null;
+    }
+
+    /**
+     * @param {Object} [actions] - { rerolls, banishes, canBanish } from the game
+     */
+    update(actions = {}) {
+        this.rerolls = actions.rerolls || 0;
+        this.banishes = actions.banishes || 0;
+        this.canBanish = !!actions.canBanish && this.banishes > 0;
+        this.banishMode = this.banishMode && this.canBanish;
+        this.updateButtons();
+    }
+
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+        ['reroll', 'banish', 'skip'].forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `survivor-btn upgrade-action-btn upgrade-action-${action}`;
+            button.dataset.action = action;
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.trigger(action);
+            });
+            this.container.appendChild(button);
+            this.buttons[action] = button;
+        });
+
+        this.updateButtons();
+    }
+
+    /**
+     * Refreshes labels, charge counts and disabled states
+     */
+    updateButtons() {
+        const text = (key, fallback) => (this.getTranslation && this.getTranslation(key)) || fallback;
+        const { reroll, banish, skip } = this.buttons;
+
+        if (reroll) {
+            reroll.textContent = `${text('upgradeReroll', 'Reroll')} (${this.rerolls}) [R]`;
+            reroll.disabled = this.rerolls <= 0;
+        }
+        if (banish) {
+            banish.textContent = this.banishMode
+                ? `${text('upgradeBanishCancel', 'Cancel Banish')} [B]`
+                : `${text('upgradeBanish', 'Banish')} (${this.banishes}) [B]`;
+            banish.disabled = !this.canBanish;
+            banish.classList.toggle('active', this.banishMode);
+        }
+        if (skip) {
+            skip.textContent = `${text('upgradeSkip', 'Skip')} [X]`;
+        }
+
+        if (this.container) {
+            this.container.classList.toggle('banishing', this.banishMode);
+            // Lets the modal tint its choice cards while banish mode is on
+            this.container.parentElement?.classList.toggle('upgrade-banish-mode', this.banishMode);
+        }
+    }
+
+    /**
+     * Runs an action from a button or shortcut
+     * @param {string} action - 'reroll', 'banish' or 'skip'
+     */
+    trigger(action) {
+        if (action === 'reroll') {
+            if (this.rerolls <= 0) return;
+            this.reset();
+            if (this.onRerollCallback) this.onRerollCallback();
+        } else if (action === 'banish') {
+            if (!this.canBanish) return;
+            this.banishMode = !this.banishMode;
+            this.updateButtons();
+        } else if (action === 'skip') {
+            this.reset();
+            if (this.onSkipCallback) this.onSkipCallback();
+        }
+    }
+
+    /**
+     * @param {string} key - Lowercased KeyboardEvent.key
+     * @returns {boolean} True if the key is an action shortcut
+     */
+    handleKey(key) {
+        const action = ACTION_KEYS[key];
+        if (!action) return false;
+
+        this.trigger(action);
+        return true;
+    }
+
+    /**
+     * Leaves banish mode
+     */
+    reset() {
+        this.banishMode = false;
+        this.updateButtons();
+    }
+}
@@ -35,6 +35,7 @@ export class VictoryModal {
         this.generateWeaponsSection = null;
         this.generatePassivesSection = null;
         this.generatePlayerStatsSection = null;
+        this.generateKillsSection = null;
 
         // Touch scroll handler
         this.touchScrollHandler = null;
@@ -49,12 +50,13 @@ export class VictoryModal {
     /**
      * Set game state callbacks
      */
-    setGameStateCallbacks(getTranslations, getTranslation, generateWeaponsSection, generatePassivesSection, generatePlayerStatsSection) {
+    setGameStateCallbacks(getTranslations, getTranslation, generateWeaponsSection, generatePassivesSection, generatePlayerStatsSection, generateKillsSection) {
         this.getTranslations = getTranslations;
         this.getTranslation = getTranslation;
         this.generateWeaponsSection = generateWeaponsSection;
         this.generatePassivesSection = generatePassivesSection;
         this.generatePlayerStatsSection = generatePlayerStatsSection;
+        this.generateKillsSection = generateKillsSection;
     }
 
     /**
@@ -144,6 +146,7 @@ export class VictoryModal {
         const weaponsSection = this.generateWeaponsSection();
         const passivesSection = this.generatePassivesSection();
         const playerStatsSection = this.generatePlayerStatsSection();
+        const killsSection = this.generateKillsSection ? this.generateKillsSection() : '';
         const bossBanner = bossesKilled === 0
             ? this.getTranslation('bossDefeatedBanner')
             : this.getTranslation('bossLevelDefeated').replace('{level}', bossLevel);
@@ -252,6 +255,7 @@ export class VictoryModal {
                     ${weaponsSection}
                     ${passivesSection}
                     ${playerStatsSection}
+                    ${killsSection}
                 </div>
 
                 <div style="display: flex; gap: 15px; justify-content: center; flex-wrap: wrap; margin-top: auto;">
@@ -0,0 +1,199 @@
+/**
+ * Replay Controls UI
+ * Play/pause, seek bar, 2x speed and exit for the replay viewer
+ */
+
+/**
+ * ReplayControlsUI - Manages the replay playback bar over the game canvas
+ */
+export class ReplayControlsUI {
+    constructor() {
+        this.elements = {
+            container: null,
+            playButton: null,
+            seekBar: null,
+            timeLabel: null,
+            speedButton: null,
+            exitButton: null
+        };
+        this.initialized = false;
+        this.isSeeking = false;
+        this.getTranslation = null;
+
+        this.onTogglePlayCallback = null;
+        this.onSpeedChangeCallback = null;
+        this.onSeekCallback = null;
+        this.onExitCallback = null;
+        this.keyboardHandler = null;
+    }
+
+    /**
+     * Finds DOM elements and binds button handlers
+     * @returns {boolean} True if the controls exist in the DOM
+     */
+    init() {
+        if (this.initialized) return true;
+
+        this.elements.container = document.getElementById('replay-controls');
+        this.elements.playButton = document.getElementById('replay-play-btn');
+        this.elements.seekBar = document.getElementById('replay-seek');
+        this.elements.timeLabel = document.getElementById('replay-time');
+        this.elements.speedButton = document.getElementById('replay-speed-btn');
+        this.elements.exitButton = document.getElementById('replay-exit-btn');
+
+        if (!this.elements.container) {
+            console.warn('Replay control elements not found');
+            return false;
+        }
+
+        this.elements.playButton?.addEventListener('click', () => this.onTogglePlayCallback?.());
+        this.elements.speedButton?.addEventListener('click', () => this.onSpeedChangeCallback?.());
+        this.elements.exitButton?.addEventListener('click', () => this.onExitCallback?.());
+
+        if (this.elements.seekBar) {
+            // Only seek once the user lets go - each seek may re-simulate the run
+            this.elements.seekBar.addEventListener('input', () => {
+                this.isSeeking = true;
+            });
+            this.elements.seekBar.addEventListener('change', () => {
+                this.isSeeking = false;
+                this.onSeekCallback?.(Number(this.elements.seekBar.value));
+            });
+        }
+
+        this.initialized = true;
+        return true;
+    }
+
+    /**
+     * Sets translation function
+     * @param {Function} getTranslation - Translation lookup
+     */
+    setTranslationFunction(getTranslation) {
+        this.getTranslation = getTranslation;
+    }
+
+    onTogglePlay(callback) {
+        this.onTogglePlayCallback = callback;
+    }
+
+    onSpeedChange(callback) {
+        this.onSpeedChangeCallback = callback;
+    }
+
+    onSeek(callback) {
+        this.onSeekCallback = callback;
+    }
+
+    onExit(callback) {
+        this.onExitCallback = callback;
+    }
+
+    /**
+     * Shows the playback bar
+     * @param {number} totalFrames - Length of the replay in frames
+     */
+    show(totalFrames) {
+        if (!this.init()) return;
+
+        if (this.elements.seekBar) {
+            this.elements.seekBar.max = String(totalFrames);
+            this.elements.seekBar.value = '0';
+        }
+        if (this.elements.exitButton) {
+            this.elements.exitButton.textContent = this.getTranslation ? this.getTranslation('exit') : 'EXIT';
+        }
+        this.elements.container.style.display = 'flex';
+        this.setupKeyboardHandlers();
+    }
+
+    /**
+     * Hides the playback bar
+     */
+    hide() {
+        if (this.elements.container) {
+            this.elements.container.style.display = 'none';
+        }
+        this.isSeeking = false;
+        this.cleanupKeyboardHandlers();
+    }
+
+    /**
+     * Refreshes the bar from playback state
+     * @param {Object} state - Playback state
+     * @param {number} state.frame - Current frame
+     * @param {number} state.totalFrames - Total frames
+     * @param {boolean} state.paused - Whether playback is paused or ended
+     * @param {number} state.speed - Playback speed multiplier
+     */
+    update({ frame, totalFrames, paused, speed }) {
+        if (!this.initialized) return;
+
+        if (this.elements.seekBar && !this.isSeeking) {
+            this.elements.seekBar.value = String(frame);
+        }
+        if (this.elements.timeLabel) {
+            this.elements.timeLabel.textContent = `${this.formatFrames(frame)} / ${this.formatFrames(totalFrames)}`;
+        }
+        if (this.elements.playButton) {
+            this.elements.playButton.textContent = paused ? '▶' : '||';
+        }
+        if (this.elements.speedButton) {
+            this.elements.speedButton.textContent = `${speed}x`;
+        }
+    }
+
+    /**
+     * Formats a frame count (60 fps) as m:ss
+     * @param {number} frames - Frame count
+     * @returns {string} Formatted time
+     */
+    formatFrames(frames) {
+        const totalSeconds = Math.floor(frames / 60);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Keyboard shortcuts: Space/P play-pause, arrows seek 5s, F speed, ESC exit
+     */
+    setupKeyboardHandlers() {
+        this.cleanupKeyboardHandlers();
+
+        this.keyboardHandler = (e) => {
+            const key = e.key.toLowerCase();
+            const seekStep = 5 * 60;
+            const currentFrame = Number(this.elements.seekBar?.value || 0);
+
+            if (key === ' ' || key === 'p') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.onTogglePlayCallback?.();
+            } else if (key === 'arrowleft' || key === 'arrowright') {
+                e.preventDefault();
+                e.stopPropagation();
+                const direction = key === 'arrowleft' ? -1 : 1;
+                this.onSeekCallback?.(currentFrame + direction * seekStep);
+            } else if (key === 'f') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.onSpeedChangeCallback?.();
+            } else if (key === 'escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.onExitCallback?.();
+            }
+        };
+
+        // Capture so ESC doesn't reach the pause handler
+        document.addEventListener('keydown', this.keyboardHandler, { capture: true });
+    }
+
+    cleanupKeyboardHandlers() {
+        if (this.keyboardHandler) {
+            document.removeEventListener('keydown', this.keyboardHandler, { capture: true });
+            this.keyboardHandler = null;
+        }
+    }
+}
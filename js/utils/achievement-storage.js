@@ -0,0 +1,79 @@
+/**
+ * AchievementStorage - Local storage for unlocked achievements
+ * Stored next to the scoreboard and meta progress; the unlock rules are in
+ * systems/gameplay/achievements.js
+ */
+
+import { ACHIEVEMENTS } from '../config/achievements.js';
+
+const STORAGE_KEY = 'vibe-survivor-achievements';
+const SCHEMA_VERSION = 1;
+
+export class AchievementStorage {
+    /**
+     * Get the current storage structure
+     * @returns {Object} { schemaVersion, unlocked: { achievementId: ISO date } }
+     */
+    _getStorage() {
+        const empty = { schemaVersion: SCHEMA_VERSION, unlocked: {} };
+        try {
+            // No localStorage in headless (Node) runs - behave like a fresh profile
+            const data = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+            if (!data) return empty;
+
+            const storage = JSON.parse(data);
+            const unlocked = {};
+            Object.entries(storage.unlocked || {}).forEach(([achievementId, unlockedAt]) => {
+                if (ACHIEVEMENTS[achievementId]) {
+                    unlocked[achievementId] = unlockedAt;
+                }
+            });
+            return { ...empty, unlocked };
+        } catch (error) {
+            console.error('Error reading achievements from localStorage:', error);
+            return empty;
+        }
+    }
+
+    /**
+     * Save storage structure to localStorage
+     * @param {Object} storage - Storage object to save
+     */
+    _setStorage(storage) {
+        if (typeof localStorage === 'undefined') return;
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(storage));
+        } catch (error) {
+            console.error('Error saving achievements to localStorage:', error);
+        }
+    }
+
+    /**
+     * @returns {Object} Achievement id -> ISO date it was unlocked
+     */
+    getUnlocked() {
+        return this._getStorage().unlocked;
+    }
+
+    /**
+     * Records an achievement as unlocked
+     * @param {string} achievementId - Key in ACHIEVEMENTS
+     * @returns {boolean} True if it wasn't unlocked before
+     */
+    unlock(achievementId) {
+        if (!ACHIEVEMENTS[achievementId]) {
+            console.warn(`Achievements: unknown achievement "${achievementId}"`);
+            return false;
+        }
+
+        const storage = this._getStorage();
+        if (storage.unlocked[achievementId]) return false;
+
+        storage.unlocked[achievementId] = new Date().toISOString();
+        this._setStorage(storage);
+        return true;
+    }
+}
+
+// Create singleton instance
+export const achievementStorage = new AchievementStorage();
@@ -0,0 +1,155 @@
+/**
+ * MetaProgressStorage - Local storage for the shards, permanent upgrades and unlocked characters
+ * kept between runs
+ * Stored next to the scoreboard; the rules (rewards, costs, effects, unlock conditions) are in
+ * systems/gameplay/meta-progression.js and systems/gameplay/characters.js
+ */
+
+import { META_UPGRADES } from '../config/meta-upgrades.js';
+import { CHARACTERS } from '../config/characters.js';
+import { getUpgradeCost, getUpgradeSpent, normalizeLoadout } from '../systems/gameplay/meta-progression.js';
+
+const STORAGE_KEY = 'vibe-survivor-meta';
+const SCHEMA_VERSION = 1;
+
+export class MetaProgressStorage {
+    /**
+     * Get the current storage structure
+     * @returns {Object} { schemaVersion, shards, lifetimeShards, upgrades, characters }
+     */
+    _getStorage() {
+        const empty = { schemaVersion: SCHEMA_VERSION, shards: 0, lifetimeShards: 0, upgrades: {}, characters: [] };
+        try {
+            // No localStorage in headless (Node) runs - behave like a fresh profile
+            const data = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+            if (!data) return empty;
+
+            const storage = JSON.parse(data);
+            return {
+                ...empty,
+                shards: Math.max(0, Math.floor(storage.shards || 0)),
+                lifetimeShards: Math.max(0, Math.floor(storage.lifetimeShards || 0)),
+                upgrades: normalizeLoadout(storage.upgrades),
+                characters: Array.isArray(storage.characters)
+                    ? storage.characters.filter(characterId => CHARACTERS[characterId])
+                    : []
+            };
+        } catch (error) {
+            console.error('Error reading meta progress from localStorage:', error);
+            return empty;
+        }
+    }
+
+    /**
+     * Save storage structure to localStorage
+     * @param {Object} storage - Storage object to save
+     */
+    _setStorage(storage) {
+        if (typeof localStorage === 'undefined') return;
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(storage));
+        } catch (error) {
+            console.error('Error saving meta progress to localStorage:', error);
+        }
+    }
+
+    /**
+     * @returns {number} Shards available to spend
+     */
+    getShards() {
+        return this._getStorage().shards;
+    }
+
+    /**
+     * @returns {Object} Upgrade id -> level owned (the loadout the next run starts with)
+     */
+    getLoadout() {
+        return this._getStorage().upgrades;
+    }
+
+    /**
+     * @param {string} upgradeId - Key in META_UPGRADES
+     * @returns {number} Levels owned
+     */
+    getUpgradeLevel(upgradeId) {
+        return this.getLoadout()[upgradeId] || 0;
+    }
+
+    /**
+     * Banks the shards a run earned
+     * @param {number} amount - Shards to add
+     * @returns {number} New balance
+     */
+    addShards(amount) {
+        const storage = this._getStorage();
+        const earned = Math.max(0, Math.floor(amount || 0));
+        storage.shards += earned;
+        storage.lifetimeShards += earned;
+        this._setStorage(storage);
+        return storage.shards;
+    }
+
+    /**
+     * Buys the next level of an upgrade
+     * @param {string} upgradeId - Key in META_UPGRADES
+     * @returns {boolean} True if it was bought (known, not maxed and affordable)
+     */
+    purchase(upgradeId) {
+        if (!META_UPGRADES[upgradeId]) {
+            console.warn(`Meta shop: unknown upgrade "${upgradeId}"`);
+            return false;
+        }
+
+        const storage = this._getStorage();
+        const level = storage.upgrades[upgradeId] || 0;
+        const cost = getUpgradeCost(upgradeId, level);
+        if (cost === null || storage.shards < cost) return false;
+
+        storage.shards -= cost;
+        storage.upgrades[upgradeId] = level + 1;
+        this._setStorage(storage);
+        return true;
+    }
+
+    /**
+     * @returns {Array<string>} Characters whose unlock condition has been met
+     */
+    getUnlockedCharacters() {
+        return this._getStorage().characters;
+    }
+
+    /**
+     * Records characters as unlocked
+     * @param {Array<string>} characterIds - Keys in CHARACTERS
+     * @returns {Array<string>} The ids that weren't unlocked before
+     */
+    unlockCharacters(characterIds) {
+        const storage = this._getStorage();
+        const added = characterIds.filter(characterId =>
+            CHARACTERS[characterId] && !storage.characters.includes(characterId)
+        );
+        if (added.length === 0) return added;
+
+        storage.characters.push(...added);
+        this._setStorage(storage);
+        return added;
+    }
+
+    /**
+     * Sells every upgrade back for the full price paid
+     * @returns {number} Shards refunded
+     */
+    refundAll() {
+        const storage = this._getStorage();
+        const refunded = Object.entries(storage.upgrades)
+            .reduce((sum, [upgradeId, level]) => sum + getUpgradeSpent(upgradeId, level), 0);
+
+        storage.shards += refunded;
+        storage.upgrades = {};
+        this._setStorage(storage);
+        return refunded;
+    }
+}
+
+// Create singleton instance
+export const metaProgressStorage = new MetaProgressStorage();
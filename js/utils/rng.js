@@ -0,0 +1,151 @@
+// Seedable pseudo-random number generator for reproducible gameplay rolls
+
+/**
+ * Generate a fresh 32-bit seed for a new run
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function createSeed() {
+    return (Math.floor(Math.random() * 0x100000000) ^ Date.now()) >>> 0;
+}
+
+/**
+ * Format a seed for display (8 uppercase hex digits)
+ * @param {number} seed - Seed to format
+ * @returns {string} Formatted seed
+ */
+export function formatSeed(seed) {
+    return (seed >>> 0).toString(16).toUpperCase().padStart(8, '0');
+}
+
+/**
+ * Parse a seed from a number or a formatted hex string
+ * @param {number|string} value - Seed value
+ * @returns {number|null} Unsigned 32-bit seed, or null if invalid
+ */
+export function parseSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return value >>> 0;
+    }
+    if (typeof value === 'string' && /^[0-9a-f]{1,8}$/i.test(value.trim())) {
+        return parseInt(value.trim(), 16) >>> 0;
+    }
+    return null;
+}
+
+/**
+ * SeededRandom - Mulberry32 PRNG shared by all gameplay systems.
+ * Drop-in replacement for Math.random() wherever a roll affects the run;
+ * purely cosmetic randomness (particles, screen shake) should keep using Math.random()
+ * so it never advances the gameplay sequence.
+ */
+export class SeededRandom {
+    /**
+     * @param {number} [seed] - Initial seed (a fresh one is generated if omitted)
+     */
+    constructor(seed = createSeed()) {
+        this.seed = 0;
+        this.state = 0;
+        this.setSeed(seed);
+    }
+
+    /**
+     * Reseed the generator and restart its sequence
+     * @param {number} seed - Unsigned 32-bit seed
+     * @returns {number} The applied seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+        return this.seed;
+    }
+
+    /**
+     * Get the seed the current sequence started from
+     * @returns {number} Seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Next float in [0, 1) - same contract as Math.random()
+     * @returns {number} Random float
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random float in [min, max)
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random float
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Random integer in [min, max]
+     * @param {number} min - Minimum value (inclusive)
+     * @param {number} max - Maximum value (inclusive)
+     * @returns {number} Random integer
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Roll against a probability
+     * @param {number} probability - Chance of success (0-1)
+     * @returns {boolean} True if the roll succeeded
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} items - Items to pick from
+     * @returns {*} Picked item, or undefined if empty
+     */
+    pick(items) {
+        if (!items || items.length === 0) return undefined;
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @param {Array} items - Items to shuffle
+     * @returns {Array} The same array, shuffled
+     */
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+
+    /**
+     * Snapshot internal state (for save/resume)
+     * @returns {Object} Serializable state
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * Restore a snapshot taken with getState()
+     * @param {Object} snapshot - State from getState()
+     */
+    setState(snapshot) {
+        if (!snapshot) return;
+        this.seed = snapshot.seed >>> 0;
+        this.state = snapshot.state >>> 0;
+    }
+}
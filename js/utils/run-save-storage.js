@@ -0,0 +1,78 @@
+/**
+ * RunSaveStorage - Local storage for a suspended mid-run snapshot
+ * Holds at most one run; snapshots from incompatible builds are discarded on load
+ */
+
+import { GAME_INFO } from '../config/constants.js';
+import { isRunSnapshotCompatible } from '../systems/gameplay/run-snapshot.js';
+
+const STORAGE_KEY = 'vibe-survivor-run-save';
+
+export class RunSaveStorage {
+    /**
+     * Stores a snapshot, replacing any previous one
+     * @param {Object} snapshot - Snapshot from createRunSnapshot()
+     * @returns {boolean} True if it was written
+     */
+    save(snapshot) {
+        // No localStorage in headless (Node) runs
+        if (typeof localStorage === 'undefined' || !snapshot) return false;
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(snapshot));
+            return true;
+        } catch (error) {
+            console.error('Error saving run to localStorage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Loads the stored snapshot
+     * @returns {Object|null} Snapshot, or null if none or it can't be resumed by this build
+     */
+    load() {
+        if (typeof localStorage === 'undefined') return null;
+
+        let snapshot = null;
+        try {
+            const data = localStorage.getItem(STORAGE_KEY);
+            if (!data) return null;
+            snapshot = JSON.parse(data);
+        } catch (error) {
+            console.error('Error reading run save from localStorage:', error);
+            this.clear();
+            return null;
+        }
+
+        if (!isRunSnapshotCompatible(snapshot)) {
+            console.warn(`Discarding saved run from ${snapshot?.gameVersion || 'an unknown version'} ` +
+                `(save schema ${snapshot?.schemaVersion}, expected ${GAME_INFO.RUN_SAVE_SCHEMA_VERSION})`);
+            this.clear();
+            return null;
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * @returns {boolean} True if a resumable run is stored
+     */
+    hasSave() {
+        return this.load() !== null;
+    }
+
+    /**
+     * Removes the stored snapshot
+     */
+    clear() {
+        if (typeof localStorage === 'undefined') return;
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (error) {
+            console.error('Error clearing run save:', error);
+        }
+    }
+}
+
+// Create singleton instance
+export const runSaveStorage = new RunSaveStorage();
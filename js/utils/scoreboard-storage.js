@@ -4,8 +4,10 @@
  */
 
 import { GAME_INFO } from '../config/constants.js';
+import { GAME_MODES, DEFAULT_GAME_MODE } from '../config/game-modes.js';
 
 const STORAGE_KEY = 'vibe-survivor-scoreboard';
+// Per game mode - each mode is its own scoreboard category
 const MAX_SCORES = 50;
 
 export class ScoreboardStorage {
@@ -23,7 +25,8 @@ export class ScoreboardStorage {
      */
     _getStorage() {
         try {
-            const data = localStorage.getItem(STORAGE_KEY);
+            // No localStorage in headless (Node) runs - behave like an empty scoreboard
+            const data = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
             if (!data) {
                 return {
                     schemaVersion: GAME_INFO.SCOREBOARD_SCHEMA_VERSION,
@@ -45,12 +48,26 @@ export class ScoreboardStorage {
      * @param {Object} storage - Storage object to save
      */
     _setStorage(storage) {
+        if (typeof localStorage === 'undefined') return;
         try {
             localStorage.setItem(STORAGE_KEY, JSON.stringify(storage));
         } catch (error) {
             console.error('Error saving scoreboard to localStorage:', error);
             // Handle quota exceeded
             if (error.name === 'QuotaExceededError') {
+                // Replay logs are the bulk of the data - give up the lowest-ranked ones first
+                while (this._removeReplays(storage.scores) > 0) {
+                    try {
+                        localStorage.setItem(STORAGE_KEY, JSON.stringify(storage));
+                        return;
+                    } catch (replayError) {
+                        if (replayError.name !== 'QuotaExceededError') {
+                            console.error('Failed to save after removing replays:', replayError);
+                            return;
+                        }
+                    }
+                }
+
                 console.warn('localStorage quota exceeded, removing old scores');
                 // Remove bottom 20% of scores and try again
                 const trimCount = Math.floor(storage.scores.length * 0.2);
@@ -65,31 +82,149 @@ export class ScoreboardStorage {
     }
 
     /**
-     * Sort scores by rank:
+     * Removes the replay logs of the lowest-ranked quarter of scores that still have one.
+     * Those records are marked so the run details can say the replay is gone.
+     * @param {Array} scores - Score objects (modified in place)
+     * @returns {number} Replays removed
+     */
+    _removeReplays(scores) {
+        const ranks = new Map();
+        const modeCounts = {};
+        this._sortScores([...scores]).forEach(score => {
+            const mode = this.getScoreMode(score);
+            modeCounts[mode] = (modeCounts[mode] ?? 0) + 1;
+            ranks.set(score, modeCounts[mode]);
+        });
+
+        const withReplays = scores
+            .filter(score => score.replay)
+            .sort((a, b) => ranks.get(b) - ranks.get(a));
+        const removeCount = Math.ceil(withReplays.length / 4);
+
+        withReplays.slice(0, removeCount).forEach(score => {
+            delete score.replay;
+            score.replayRemoved = true;
+        });
+        if (removeCount > 0) {
+            console.warn(`localStorage quota exceeded, removed ${removeCount} replays from the lowest-ranked scores`);
+        }
+        return removeCount;
+    }
+
+    /**
+     * Kill count used for ranking. Records from before kills were tracked only
+     * have a time-derived estimate, so they rank on time alone (as they always
+     * effectively did) below tracked runs with the same bosses.
+     * @param {Object} score - Score object
+     * @returns {number} Ranked kill count
+     */
+    _getRankedKills(score) {
+        return score.killsEstimated ? 0 : (score.enemiesKilled ?? 0);
+    }
+
+    /**
+     * Game mode a score was played in. Records from before game modes are survival runs.
+     * @param {Object} score - Score object
+     * @returns {string} Key in GAME_MODES
+     */
+    getScoreMode(score) {
+        return GAME_MODES[score?.mode] ? score.mode : DEFAULT_GAME_MODE;
+    }
+
+    /**
+     * Survival ranking:
      * 1) Bosses defeated (desc)
-     * 2) Enemies killed (desc)
+     * 2) Enemies killed (desc, tracked kills only)
      * 3) Time survived (desc)
+     * @param {Object} a - Score object
+     * @param {Object} b - Score object
+     * @returns {number} Sort order
+     */
+    _compareByBosses(a, b) {
+        // Primary: bosses defeated
+        if ((b.bossesKilled ?? 0) !== (a.bossesKilled ?? 0)) {
+            return (b.bossesKilled ?? 0) - (a.bossesKilled ?? 0);
+        }
+        // Secondary: enemies killed
+        const killsA = this._getRankedKills(a);
+        const killsB = this._getRankedKills(b);
+        if (killsB !== killsA) {
+            return killsB - killsA;
+        }
+        // Tertiary: time survived
+        return (b.time ?? 0) - (a.time ?? 0);
+    }
+
+    /**
+     * Boss Rush ranking:
+     * 1) Cleared runs by total clear time (asc)
+     * 2) Uncleared runs by bosses defeated (desc), then time taken (asc)
+     * @param {Object} a - Score object
+     * @param {Object} b - Score object
+     * @returns {number} Sort order
+     */
+    _compareByClearTime(a, b) {
+        const clearA = a.clearTime ?? null;
+        const clearB = b.clearTime ?? null;
+        if (clearA !== null || clearB !== null) {
+            if (clearA === null) return 1;
+            if (clearB === null) return -1;
+            return clearA - clearB;
+        }
+        if ((b.bossesKilled ?? 0) !== (a.bossesKilled ?? 0)) {
+            return (b.bossesKilled ?? 0) - (a.bossesKilled ?? 0);
+        }
+        return (a.time ?? 0) - (b.time ?? 0);
+    }
+
+    /**
+     * Sort scores by rank. Scores are grouped by game mode (in GAME_MODES order) and
+     * ranked within it by the mode's `ranking`.
      * @param {Array} scores - Array of score objects
      * @returns {Array} Sorted scores
      */
     _sortScores(scores) {
+        const modeOrder = Object.keys(GAME_MODES);
         return scores.sort((a, b) => {
-            // Primary: bosses defeated
-            if ((b.bossesKilled ?? 0) !== (a.bossesKilled ?? 0)) {
-                return (b.bossesKilled ?? 0) - (a.bossesKilled ?? 0);
-            }
-            // Secondary: enemies killed
-            if ((b.enemiesKilled ?? 0) !== (a.enemiesKilled ?? 0)) {
-                return (b.enemiesKilled ?? 0) - (a.enemiesKilled ?? 0);
+            const modeA = this.getScoreMode(a);
+            const modeB = this.getScoreMode(b);
+            if (modeA !== modeB) {
+                return modeOrder.indexOf(modeA) - modeOrder.indexOf(modeB);
             }
-            // Tertiary: time survived
-            return (b.time ?? 0) - (a.time ?? 0);
+            return GAME_MODES[modeA].ranking === 'clearTime'
+                ? this._compareByClearTime(a, b)
+                : this._compareByBosses(a, b);
         });
     }
 
+    /**
+     * Trim each mode to the score limit
+     * @param {Array} scores - Sorted array of score objects
+     * @returns {Array} Trimmed array
+     */
+    _trimScores(scores) {
+        const ranks = {};
+        return scores.filter(score => {
+            const mode = this.getScoreMode(score);
+            const rank = ranks[mode] ?? 0;
+            ranks[mode] = rank + 1;
+            return rank < this.maxScores;
+        });
+    }
+
+    /**
+     * Keep only scores of one game mode
+     * @param {Array} scores - Array of score objects
+     * @param {string|null} mode - Key in GAME_MODES, or null for every mode
+     * @returns {Array} Filtered scores
+     */
+    _filterByMode(scores, mode) {
+        return mode ? scores.filter(score => this.getScoreMode(score) === mode) : scores;
+    }
+
     /**
      * Save a new score to localStorage
-     * @param {Object} scoreData - Complete score object
+     * @param {Object} scoreData - Complete score object (may include a `replay` log)
      * @returns {Object|null} Saved score object with ID, or null if failed
      */
     saveScore(scoreData) {
@@ -108,13 +243,8 @@ export class ScoreboardStorage {
             // Add to scores array
             storage.scores.push(score);
 
-            // Sort by rank
-            storage.scores = this._sortScores(storage.scores);
-
-            // Trim to max scores
-            if (storage.scores.length > this.maxScores) {
-                storage.scores = storage.scores.slice(0, this.maxScores);
-            }
+            // Sort by rank, then trim each mode to max scores
+            storage.scores = this._trimScores(this._sortScores(storage.scores));
 
             // Save back to storage
             this._setStorage(storage);
@@ -129,36 +259,39 @@ export class ScoreboardStorage {
 
     /**
      * Get all scores
+     * @param {string|null} mode - Optional game mode filter
      * @returns {Array} All scores sorted by rank
      */
-    getAllScores() {
+    getAllScores(mode = null) {
         const storage = this._getStorage();
-        return this._sortScores([...storage.scores]);
+        return this._sortScores(this._filterByMode([...storage.scores], mode));
     }
 
     /**
      * Get scores filtered by major version
      * @param {string} majorVersion - Major version to filter (e.g., "1.0")
+     * @param {string|null} mode - Optional game mode filter
      * @returns {Array} Filtered and sorted scores
      */
-    getScoresByVersion(majorVersion) {
+    getScoresByVersion(majorVersion, mode = null) {
         const storage = this._getStorage();
         const filtered = storage.scores.filter(score => score.majorVersion === majorVersion);
-        return this._sortScores(filtered);
+        return this._sortScores(this._filterByMode(filtered, mode));
     }
 
     /**
-     * Get top N scores, optionally filtered by version
+     * Get top N scores, optionally filtered by version and game mode
      * @param {number} limit - Maximum number of scores to return
      * @param {string|null} majorVersion - Optional major version filter
+     * @param {string|null} mode - Optional game mode filter
      * @returns {Array} Top scores
      */
-    getTopScores(limit = 10, majorVersion = null) {
+    getTopScores(limit = 10, majorVersion = null, mode = null) {
         let scores;
         if (majorVersion) {
-            scores = this.getScoresByVersion(majorVersion);
+            scores = this.getScoresByVersion(majorVersion, mode);
         } else {
-            scores = this.getAllScores();
+            scores = this.getAllScores(mode);
         }
         return scores.slice(0, limit);
     }
@@ -274,15 +407,14 @@ export class ScoreboardStorage {
             console.log(`Migrating scoreboard from schema v${storage.schemaVersion} to v${currentVersion}`);
 
             // Apply migrations based on schema version
-            // For now, just update the version number
-            // In future versions, add migration logic here:
-            // if (storage.schemaVersion < 2) {
-            //     // Migrate from v1 to v2
-            //     storage.scores = storage.scores.map(score => ({
-            //         ...score,
-            //         newField: defaultValue
-            //     }));
-            // }
+            if ((storage.schemaVersion ?? 1) < 2) {
+                // v1 -> v2: enemiesKilled used to be estimated from survival time
+                storage.scores = storage.scores.map(score => ({
+                    ...score,
+                    killsEstimated: true
+                }));
+                storage.scores = this._sortScores(storage.scores);
+            }
 
             storage.schemaVersion = currentVersion;
             this._setStorage(storage);
@@ -320,14 +452,15 @@ export class ScoreboardStorage {
             const currentStorage = this._getStorage();
             const existingIds = new Set(currentStorage.scores.map(s => s.id));
 
-            const newScores = importedStorage.scores.filter(s => !existingIds.has(s.id));
+            // Exports from schema v1 carry time-derived kill counts
+            const estimatedKills = (importedStorage.schemaVersion ?? 1) < 2;
+            const newScores = importedStorage.scores
+                .filter(s => !existingIds.has(s.id))
+                .map(s => (estimatedKills ? { ...s, killsEstimated: true } : s));
             currentStorage.scores.push(...newScores);
 
             // Sort and trim
-            currentStorage.scores = this._sortScores(currentStorage.scores);
-            if (currentStorage.scores.length > this.maxScores) {
-                currentStorage.scores = currentStorage.scores.slice(0, this.maxScores);
-            }
+            currentStorage.scores = this._trimScores(this._sortScores(currentStorage.scores));
 
             this._setStorage(currentStorage);
 
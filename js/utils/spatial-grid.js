@@ -0,0 +1,160 @@
+// Uniform-grid spatial index for proximity queries
+
+// Packs integer cell coordinates into one Map key (cells stay unique within ±32768 cells per axis)
+const CELL_KEY_STRIDE = 0x10000;
+
+/**
+ * Buckets points (anything with x/y) into square cells so "what is near here?" only looks at
+ * the cells around the query instead of every item. The grid holds no live link to the items:
+ * rebuild() it once the items have moved.
+ *
+ * query() returns items in the order they were passed to rebuild(), so code that used to walk
+ * the full array sees the same items in the same order - seeded runs stay deterministic.
+ */
+export class SpatialGrid {
+    /**
+     * @param {number} [cellSize=100] - Cell edge length in world units
+     */
+    constructor(cellSize = 100) {
+        this.cellSize = cellSize;
+        this.items = [];
+        this.cells = new Map();
+        this.indexByItem = new Map();
+
+        // Reused between rebuilds/queries to keep the per-frame work garbage-free
+        this.bucketPool = [];
+        this.scratch = new Int32Array(256);
+    }
+
+    /**
+     * Number of items in the grid
+     * @returns {number}
+     */
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * Replaces the grid contents with the given items at their current positions
+     * @param {Array<Object>} items - Items with x and y
+     */
+    rebuild(items) {
+        for (const bucket of this.cells.values()) {
+            bucket.length = 0;
+            this.bucketPool.push(bucket);
+        }
+        this.cells.clear();
+        this.indexByItem.clear();
+        this.items.length = 0;
+
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            const key = this.getCellKey(Math.floor(item.x / this.cellSize), Math.floor(item.y / this.cellSize));
+            let bucket = this.cells.get(key);
+            if (!bucket) {
+                bucket = this.bucketPool.pop() || [];
+                this.cells.set(key, bucket);
+            }
+            bucket.push(i);
+            this.items.push(item);
+            this.indexByItem.set(item, i);
+        }
+    }
+
+    /**
+     * Whether an item was in the grid at the last rebuild
+     * @param {Object} item - Item to look up
+     * @returns {boolean}
+     */
+    has(item) {
+        return this.indexByItem.has(item);
+    }
+
+    /**
+     * Items in the cells overlapping the square of half-size `radius` around a point.
+     * This is a broad phase: callers still run their exact distance check on the result.
+     * @param {number} x - Query center X
+     * @param {number} y - Query center Y
+     * @param {number} radius - Search radius (Infinity returns every item)
+     * @param {Array<Object>} [out=[]] - Array to fill (cleared first)
+     * @returns {Array<Object>} Candidates in rebuild order
+     */
+    query(x, y, radius, out = []) {
+        out.length = 0;
+
+        if (!Number.isFinite(radius)) {
+            for (let i = 0; i < this.items.length; i++) {
+                out.push(this.items[i]);
+            }
+            return out;
+        }
+
+        const count = this.collectIndices(x, y, radius);
+
+        // Back to rebuild order (typed-array sort is numeric)
+        const indices = this.scratch.subarray(0, count).sort();
+        for (let i = 0; i < count; i++) {
+            out.push(this.items[indices[i]]);
+        }
+        return out;
+    }
+
+    /**
+     * Like query(), but in cell order instead of rebuild order - still deterministic, and cheaper
+     * for callers whose result doesn't depend on the order (e.g. summing pushes)
+     * @param {number} x - Query center X
+     * @param {number} y - Query center Y
+     * @param {number} radius - Search radius (must be finite)
+     * @param {Array<Object>} [out=[]] - Array to fill (cleared first)
+     * @returns {Array<Object>} Candidates
+     */
+    queryUnordered(x, y, radius, out = []) {
+        out.length = 0;
+        const count = this.collectIndices(x, y, radius);
+        for (let i = 0; i < count; i++) {
+            out.push(this.items[this.scratch[i]]);
+        }
+        return out;
+    }
+
+    /**
+     * Copies the item indices of every cell overlapping the query square into this.scratch
+     * @param {number} x - Query center X
+     * @param {number} y - Query center Y
+     * @param {number} radius - Search radius
+     * @returns {number} Number of indices written
+     */
+    collectIndices(x, y, radius) {
+        const minCellX = Math.floor((x - radius) / this.cellSize);
+        const maxCellX = Math.floor((x + radius) / this.cellSize);
+        const minCellY = Math.floor((y - radius) / this.cellSize);
+        const maxCellY = Math.floor((y + radius) / this.cellSize);
+
+        let count = 0;
+        for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
+            for (let cellY = minCellY; cellY <= maxCellY; cellY++) {
+                const bucket = this.cells.get(this.getCellKey(cellX, cellY));
+                if (!bucket) continue;
+
+                if (count + bucket.length > this.scratch.length) {
+                    const grown = new Int32Array(Math.max(this.scratch.length * 2, count + bucket.length));
+                    grown.set(this.scratch.subarray(0, count));
+                    this.scratch = grown;
+                }
+                for (let i = 0; i < bucket.length; i++) {
+                    this.scratch[count++] = bucket[i];
+                }
+            }
+        }
+        return count;
+    }
+
+    /**
+     * @param {number} cellX - Cell column
+     * @param {number} cellY - Cell row
+     * @returns {number} Map key of the cell
+     */
+    getCellKey(cellX, cellY) {
+        return cellX * CELL_KEY_STRIDE + cellY;
+    }
+}
@@ -199,6 +199,9 @@ class SupabaseClient {
     sanitizeScoreData(scoreData) {
         const sanitized = { ...scoreData };
 
+        // Replay logs stay local
+        delete sanitized.replay;
+
         // Round numeric fields to integers
         if (sanitized.level !== undefined) {
             sanitized.level = Math.round(sanitized.level);
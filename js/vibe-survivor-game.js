@@ -5,24 +5,27 @@ import { Vector2 } from './utils/vector2.js';
 import { clamp, lerp, distance, distanceSquared, randomRange, randomInt, degToRad, radToDeg } from './utils/math.js';
 import { PerformanceMonitor } from './utils/performance.js';
 import { scoreboardStorage } from './utils/scoreboard-storage.js';
+import { runSaveStorage } from './utils/run-save-storage.js';
+import { metaProgressStorage } from './utils/meta-progress-storage.js';
 import { supabaseClient } from './utils/supabase-client.js';
+import { SeededRandom, createSeed, formatSeed } from './utils/rng.js';
 
 // Import configuration
 import {
-    PLAYER, ENEMIES, WEAPONS, WEAPON_UPGRADES, PASSIVES, XP_SYSTEM,
+    PLAYER, ENEMIES, WEAPON_UPGRADES, PASSIVES, XP_SYSTEM,
     SPAWN_CONFIG, PICKUP_SPAWNS, DIFFICULTY_SCALING, GAME_TIMING,
-    SCREEN_EFFECTS, PARTICLES, COLLISION, ENEMY_BEHAVIORS, MOBILE_CONFIG,
-    PERFORMANCE, COLORS, BOSS_VARIANTS, GAME_INFO
+    SCREEN_EFFECTS, PARTICLES, COLLISION, ENEMY_BEHAVIORS, ENEMY_SEPARATION, MOBILE_CONFIG,
+    PERFORMANCE, COLORS, BOSS_VARIANTS, GAME_INFO, UPGRADE_ACTIONS
 } from './config/constants.js';
 import { ASSET_PATHS, SPRITE_CONFIGS, LOADING_PHASES, preloadAssets, getWeaponIconPath, getPassiveIconPath } from './config/assets.js';
 
 // Import state management
 import {
     createPlayerState, createCameraState, createWeaponsState, createWeaponStatsState,
-    createEnemiesState, createProjectilesState, createPickupsState, createParticlesState,
+    createKillStatsState, createEnemiesState, createProjectilesState, createPickupsState, createParticlesState,
     createUIState, createGameCoreState, createBossState, createScreenEffectsState,
     resetPlayerState, resetCameraState, resetWeaponsState, resetWeaponStatsState,
-    resetEnemiesState, resetProjectilesState, resetPickupsState, resetParticlesState,
+    resetKillStatsState, resetEnemiesState, resetProjectilesState, resetPickupsState, resetParticlesState,
     resetUIState, resetGameCoreState, resetBossState, resetScreenEffectsState
 } from './core/state.js';
 
@@ -31,6 +34,7 @@ import { InputManager } from './core/input.js';
 
 // Import physics management
 import { PhysicsManager } from './core/physics.js';
+import { GameEventBus } from './core/events.js';
 
 // Import rendering systems
 import { initCanvas, resizeCanvas, Camera } from './systems/rendering/canvas.js';
@@ -38,14 +42,32 @@ import { SpriteManager } from './systems/rendering/sprites.js';
 import { AnimationController } from './systems/rendering/animation.js';
 import { ParticleSystem } from './systems/rendering/particles.js';
 import { EffectsManager } from './systems/rendering/effects.js';
+import { OffscreenIndicatorRenderer } from './systems/rendering/offscreen-indicators.js';
+import { drawProjectileBatches } from './systems/rendering/projectile-renderer.js';
 
 // Import gameplay systems
 import { PlayerSystem } from './systems/gameplay/player.js';
 import { PickupSystem } from './systems/gameplay/pickups.js';
 import { EnemySystem } from './systems/gameplay/enemies/enemy-system.js';
+import { ReplayRecorder, ReplayPlayer } from './systems/gameplay/replay.js';
+import { AutopilotBot } from './systems/gameplay/autopilot.js';
+import { createRunSnapshot, restoreRunSnapshot } from './systems/gameplay/run-snapshot.js';
+import { applyMetaLoadout, getLoadoutBonuses, normalizeLoadout, calculateRunReward } from './systems/gameplay/meta-progression.js';
+import { getCharacter, applyCharacterStats, getCharactersUnlockedBy } from './systems/gameplay/characters.js';
+import { AchievementSystem } from './systems/gameplay/achievements.js';
 
 // Import Phase 9 systems - Weapons & Progression
 import { WeaponSystem } from './systems/gameplay/weapons/weapon-base.js';
+import { weaponRegistry } from './systems/gameplay/weapons/weapon-registry.js';
+import { WEAPON_BRANCHES, getEligibleBranches, getDamageScale, formatBranchPath } from './systems/gameplay/weapons/weapon-branches.js';
+import { BOSS_STATUS_RESISTANCES } from './config/status-effects.js';
+import { ELITE_AFFIXES } from './config/elite-affixes.js';
+import { DEFAULT_BOSS_PATTERN, BOSS_TELEGRAPHS } from './config/boss-patterns.js';
+import { GAME_MODES, DEFAULT_GAME_MODE } from './config/game-modes.js';
+import { META_UPGRADES } from './config/meta-upgrades.js';
+import { CHARACTERS, DEFAULT_CHARACTER } from './config/characters.js';
+import { BOSS_RUSH } from './config/boss-rush.js';
+import { ACHIEVEMENTS } from './config/achievements.js';
 import { ProjectileSystem } from './systems/gameplay/weapons/projectiles.js';
 import { XPSystem } from './systems/gameplay/progression/xp-system.js';
 import { UpgradeSystem } from './systems/gameplay/progression/upgrades.js';
@@ -53,6 +75,7 @@ import { UpgradeSystem } from './systems/gameplay/progression/upgrades.js';
 // Import Phase 10 systems - UI Components
 import { HUDSystem } from './systems/ui/hud.js';
 import { TouchControlsUI } from './systems/ui/touch-controls.js';
+import { ReplayControlsUI } from './systems/ui/replay-controls.js';
 import { Modal, ModalManager } from './systems/ui/modals/modal-base.js';
 import { LoadingScreen } from './systems/ui/modals/loading-screen.js';
 import { StartScreen } from './systems/ui/modals/start-screen.js';
@@ -74,6 +97,9 @@ import { AboutModal } from './systems/ui/modals/about-modal.js';
 import { ChestModal } from './systems/ui/modals/chest-modal.js';
 import { ScoreboardModal } from './systems/ui/modals/scoreboard-modal.js';
 import { ScoreDetailModal } from './systems/ui/modals/score-detail-modal.js';
+import { MetaShopModal } from './systems/ui/modals/meta-shop-modal.js';
+import { CharacterSelectModal } from './systems/ui/modals/character-select-modal.js';
+import { AchievementsModal } from './systems/ui/modals/achievements-modal.js';
 import { PromptModal } from './systems/ui/modals/prompt-modal.js';
 import { NotificationModal } from './systems/ui/modals/notification-modal.js';
 
@@ -83,8 +109,38 @@ import { GameLoop, EngineTimer, FrameRateCounter } from './core/engine.js';
 
 const BOSS_HEALTH_MULTIPLIER = 1.5;
 
+// playerDamaged source -> hit feedback (explosive enemy projectiles use explosiveProjectile)
+const DAMAGE_FEEDBACK = {
+    contact: { particles: true, shake: 6, flash: 0.5 },
+    projectile: { particles: false, shake: 4, flash: 0.4 },
+    explosiveProjectile: { particles: false, shake: 8, flash: 0.7 },
+    explosion: { particles: true, shake: 8, flash: 0.6 }
+};
+
+// Passive key -> name key in the 'passives' translations
+const PASSIVE_TRANSLATION_KEYS = {
+    'health_boost': 'healthBoost',
+    'speed_boost': 'speedBoost',
+    'regeneration': 'regeneration',
+    'magnet': 'magnet',
+    'armor': 'armor',
+    'critical': 'criticalStrike',
+    'dash_boost': 'dashBoost',
+    'turbo_flux_cycler': 'turboFlux',
+    'aegis_impact_core': 'aegisCore',
+    'splitstream_matrix': 'splitstreamMatrix',
+    'macro_charge_amplifier': 'macroCharge',
+    'mod_bay_expander': 'modBay'
+};
+
 class VibeSurvivor {
-    constructor() {
+    /**
+     * @param {Object} [options] - Construction options
+     * @param {boolean} [options.headless=false] - Simulation only: skips DOM, canvas, network and
+     *   timers so update() can be stepped from Node (see js/core/headless.js)
+     */
+    constructor(options = {}) {
+        this.headless = options.headless === true;
         this.canvas = null;
         this.ctx = null;
         this.gameTime = 0;
@@ -94,6 +150,19 @@ class VibeSurvivor {
         this.gameOverShown = false;
         this.gameFullyInitialized = false; // Track if initGame() completed successfully
 
+        // Shared gameplay RNG - reseeded on every startGame() so runs are reproducible
+        this.rng = new SeededRandom();
+        this.runSeed = this.rng.getSeed();
+
+        // Key in GAME_MODES - picked on the start screen, applied on every reset
+        this.gameMode = DEFAULT_GAME_MODE;
+
+        // Permanent upgrade levels (META_UPGRADES id -> level) the run was started with
+        this.metaLoadout = {};
+
+        // Key in CHARACTERS - picked before every new run, applied on every reset
+        this.characterId = DEFAULT_CHARACTER;
+
         // Initialize input manager
         this.inputManager = new InputManager();
 
@@ -104,8 +173,11 @@ class VibeSurvivor {
         this.isMobile = this.inputManager.isMobile;
         this.settings = this.inputManager.settings;
 
+        // Gameplay events (kills, pickups, damage, ...) - see setupGameEventHandlers()
+        this.events = new GameEventBus();
+
         // Initialize physics manager
-        this.physicsManager = new PhysicsManager();
+        this.physicsManager = new PhysicsManager(this.rng);
 
         // Convenience methods (delegate to physicsManager)
         this.fastSin = this.physicsManager.fastSin.bind(this.physicsManager);
@@ -118,6 +190,7 @@ class VibeSurvivor {
         this.animationController = new AnimationController();
         this.particleSystem = new ParticleSystem();
         this.effectsManager = new EffectsManager();
+        this.offscreenIndicators = new OffscreenIndicatorRenderer();
         this.applyCameraZoom();
 
         // Track modal origins
@@ -125,23 +198,50 @@ class VibeSurvivor {
         this.scoreDetailReturnContext = null;
 
         // Initialize gameplay systems
-        this.playerSystem = new PlayerSystem();
-        this.pickupSystem = new PickupSystem();
+        this.playerSystem = new PlayerSystem(this.events);
+        this.pickupSystem = new PickupSystem(this.rng, this.events);
         this.enemySystem = new EnemySystem({
-            bossVariantCount: Array.isArray(BOSS_VARIANTS) ? BOSS_VARIANTS.length : 11
+            rng: this.rng,
+            events: this.events
         });
 
         // Initialize Phase 9 systems - Weapons & Progression
-        this.weaponSystem = new WeaponSystem();
+        this.weaponSystem = new WeaponSystem(this.rng);
         this.projectileSystem = new ProjectileSystem();
         this.xpSystem = new XPSystem();
-        this.upgradeSystem = new UpgradeSystem();
+        this.upgradeSystem = new UpgradeSystem(this.rng);
+
+        // Persistent achievements - tracking is switched per run in resetGame()
+        this.achievementSystem = new AchievementSystem();
+        this.achievementSystem.onUnlock((achievementId, achievement) => {
+            const { name } = this.getAchievementText(achievementId);
+            this.showToastNotification(`${this.t('achievementUnlocked')}: ${name}`, 'achievement', achievement.icon);
+        });
+
+        this.setupGameEventHandlers();
 
         // Initialize Phase 10 systems - UI Components
         this.hudSystem = new HUDSystem();
         this.touchControlsUI = new TouchControlsUI();
+        this.replayControlsUI = new ReplayControlsUI();
         this.modalManager = new ModalManager();
 
+        // Replay recording (every live run) and playback viewer state
+        this.replayRecorder = new ReplayRecorder();
+        this.replayPlayback = null;
+        this.replayLoopId = null;
+
+        // Scripted/AI input (headless runs, bots) - see getProviderInput()
+        this.inputProvider = null;
+        this.providerInput = null;
+
+        // Level-up/chest choices waiting on a replay event or input provider: { type, choices }
+        this.pendingChoices = null;
+
+        // Start-screen demo: a headless instance played by AutopilotBot, drawn on our canvas
+        this.attractGame = null;
+        this.attractMode = null;
+
         // Initialize individual modals (will be set up after DOM is ready)
         this.modals = {
             loading: new LoadingScreen(),
@@ -164,6 +264,9 @@ class VibeSurvivor {
             chest: new ChestModal(),
             scoreboard: new ScoreboardModal(),
             scoreDetail: new ScoreDetailModal(),
+            metaShop: new MetaShopModal(),
+            characterSelect: new CharacterSelectModal(),
+            achievements: new AchievementsModal(),
             prompt: new PromptModal(),
             notification: new NotificationModal()
         };
@@ -177,7 +280,9 @@ class VibeSurvivor {
         this.frameRateCounter = new FrameRateCounter();
 
         // Initialize Supabase client for global leaderboard
-        supabaseClient.init();
+        if (!this.headless) {
+            supabaseClient.init();
+        }
 
         // Convenience properties (delegate to spriteManager for backward compatibility)
         this.playerSprites = this.spriteManager.playerSprites;
@@ -240,6 +345,9 @@ class VibeSurvivor {
         // Track per-weapon cumulative damage
         this.weaponStats = createWeaponStatsState();
 
+        // Kills this run (including bosses) - see recordEnemyKill()
+        this.killStats = createKillStatsState();
+
         // Pause functionality
         this.isPaused = false;
         this.isHelpOpen = false;
@@ -296,8 +404,10 @@ class VibeSurvivor {
         // Note: This must be called after initializeProjectilePool()
         this.pickupSystem.setPools(this.xpOrbPool, this.hpOrbPool, this.magnetOrbPool, this.chestOrbPool);
 
-        // Initialize smart garbage collection system
-        this.initializeSmartGarbageCollection();
+        // Initialize smart garbage collection system (its timers would keep a headless process alive)
+        if (!this.headless) {
+            this.initializeSmartGarbageCollection();
+        }
 
         // Initialize square root cache for performance
         this.sqrtCache = new Map();
@@ -343,6 +453,7 @@ class VibeSurvivor {
         this.magnetOrbSpawnChance = 0.08; // 8% chance per check
         this.maxMagnetOrbs = 1; // Maximum magnet orbs on map
 
+
         // Boss progression system (starts after first boss defeat)
         this.bossesKilled = 0;
         this.bossLevel = 1;
@@ -377,6 +488,12 @@ class VibeSurvivor {
         // Translation system
         this.currentLanguage = 'en';
         this.translations = this.initTranslations();
+
+        // Headless runs are driven by js/core/headless.js instead of the DOM
+        if (this.headless) {
+            return;
+        }
+
         this.updateFooterVersion();
 
         this.initGame();
@@ -572,7 +689,8 @@ class VibeSurvivor {
                 () => this.audioManager.isSfxMuted(),
                 () => this.touchControls?.dashButton?.position || this.dashButtonPosition || 'right',
                 () => this.currentLanguage,
-                this.t.bind(this)
+                this.t.bind(this),
+                () => this.offscreenIndicators.getPreset()
             );
 
             // Set up overlay lock callbacks
@@ -606,6 +724,10 @@ class VibeSurvivor {
                 this.toggleDashButtonPosition();
             });
 
+            this.modals.options.onOffscreenIndicators(() => {
+                this.cycleOffscreenIndicators();
+            });
+
             this.modals.options.onClose(() => {
                 // Restore previous navigation state if it exists
                 const previousState = this.modals.options.getPreviousNavigationState();
@@ -649,6 +771,13 @@ class VibeSurvivor {
                 this.t.bind(this),
                 this.renderHelpStatusTab.bind(this)
             );
+            this.modals.helpMenu.setHelpers({
+                getWeaponName: this.getWeaponName.bind(this),
+                getWeaponDescription: this.getWeaponDescription.bind(this),
+                getWeaponIcon: this.getWeaponIcon.bind(this),
+                getMergeRecipeText: this.getMergeRecipeText.bind(this),
+                getMergeTargetsText: this.getMergeTargetsText.bind(this)
+            });
 
             // Set up overlay lock callbacks
             this.modals.helpMenu.setOverlayLockCallbacks(
@@ -695,8 +824,10 @@ class VibeSurvivor {
             this.modals.startScreenModal.init();
 
             // Set up button callbacks
-            this.modals.startScreenModal.onStart(() => {
+            // Both start buttons lead to the character select for a fresh run, each in its own mode
+            const startNewRun = (modeId) => {
                 console.log('Start button clicked', {
+                    mode: modeId,
                     gameFullyInitialized: this.gameFullyInitialized,
                     hasCanvas: !!this.canvas,
                     hasCtx: !!this.ctx,
@@ -717,7 +848,19 @@ class VibeSurvivor {
                 }
 
                 this.resetMenuNavigation();
-                this.startGame();
+                this.showCharacterSelect(modeId);
+            };
+
+            this.modals.startScreenModal.onStart(() => startNewRun(DEFAULT_GAME_MODE));
+            this.modals.startScreenModal.onBossRush(() => startNewRun('bossRush'));
+
+            this.modals.startScreenModal.onContinue(() => {
+                if (!this.gameFullyInitialized) {
+                    console.warn('Please wait for loading to complete.');
+                    return;
+                }
+                this.resetMenuNavigation();
+                this.continueRun();
             });
 
             this.modals.startScreenModal.onOptions(() => {
@@ -746,6 +889,22 @@ class VibeSurvivor {
                 this.showScoreboardModal({ origin: 'start' });
             });
 
+            this.modals.startScreenModal.onShop(() => {
+                if (!this.gameFullyInitialized) {
+                    console.warn('Please wait for loading to complete.');
+                    return;
+                }
+                this.showMetaShop();
+            });
+
+            this.modals.startScreenModal.onAchievements(() => {
+                if (!this.gameFullyInitialized) {
+                    console.warn('Please wait for loading to complete.');
+                    return;
+                }
+                this.showAchievements();
+            });
+
             this.modals.startScreenModal.onRestart(() => {
                 // Guard: Check if game is ready
                 if (!this.gameFullyInitialized) {
@@ -769,6 +928,10 @@ class VibeSurvivor {
 
         if (!this._scoreboardModalInitialized) {
             this.modals.scoreboard.init();
+            this.modals.scoreboard.setHelpers({
+                getModeName: this.getGameModeName.bind(this),
+                getCharacterName: (characterId) => this.getCharacterText(characterId).name
+            });
             this.modals.scoreboard.setTranslationFunction(this.t.bind(this));
             this.modals.scoreboard.onScoreSelected((scoreId) => {
                 // If the game over modal is visible, hide it before showing detail
@@ -792,11 +955,59 @@ class VibeSurvivor {
             this._scoreboardModalInitialized = true;
         }
 
+        if (!this._metaShopModalInitialized) {
+            this.modals.metaShop.init();
+            this.modals.metaShop.setHelpers({
+                getUpgradeText: this.getMetaUpgradeText.bind(this)
+            });
+            this.modals.metaShop.setTranslationFunction(this.t.bind(this));
+            this.modals.metaShop.onClose(() => {
+                if (!this.gameRunning) {
+                    this.showStartScreen();
+                }
+            });
+            this._metaShopModalInitialized = true;
+        }
+
+        if (!this._achievementsModalInitialized) {
+            this.modals.achievements.init();
+            this.modals.achievements.setHelpers({
+                getAchievementText: this.getAchievementText.bind(this)
+            });
+            this.modals.achievements.setTranslationFunction(this.t.bind(this));
+            this.modals.achievements.onClose(() => {
+                if (!this.gameRunning) {
+                    this.showStartScreen();
+                }
+            });
+            this._achievementsModalInitialized = true;
+        }
+
+        if (!this._characterSelectModalInitialized) {
+            this.modals.characterSelect.init();
+            this.modals.characterSelect.setHelpers({
+                getCharacterText: this.getCharacterText.bind(this),
+                getWeaponName: this.getWeaponName.bind(this),
+                getPassiveName: this.getPassiveName.bind(this)
+            });
+            this.modals.characterSelect.setTranslationFunction(this.t.bind(this));
+            this.modals.characterSelect.onSelect((characterId) => this.startNewRunAs(characterId));
+            this.modals.characterSelect.onBack(() => {
+                if (!this.gameRunning) {
+                    this.showStartScreen();
+                }
+            });
+            this._characterSelectModalInitialized = true;
+        }
+
         if (!this._scoreDetailModalInitialized) {
             this.modals.scoreDetail.init();
             this.modals.scoreDetail.setTranslationFunction(this.t.bind(this));
             this.modals.scoreDetail.setHelpers({
-                getWeaponName: this.getWeaponName.bind(this)
+                getWeaponName: this.getWeaponName.bind(this),
+                getKillLabel: this.getKillLabel.bind(this),
+                getBranchPathText: this.getBranchPathText.bind(this),
+                getUpgradeText: this.getMetaUpgradeText.bind(this)
             });
             this.modals.scoreDetail.setModals({
                 promptModal: this.modals.prompt,
@@ -832,6 +1043,10 @@ class VibeSurvivor {
                 }
             });
 
+            this.modals.scoreDetail.onWatchReplay((score) => {
+                this.startReplay(score);
+            });
+
             // Setup view global callback
             this.modals.scoreDetail.onViewGlobal(() => {
                 this.modals.scoreDetail.hide();
@@ -1031,9 +1246,13 @@ class VibeSurvivor {
                                 <img src="images/Title.png" alt="VIBE SURVIVOR" id="vibe-survivor-logo" class="title-logo" role="button" tabindex="0" aria-label="Play the Vibe Survivor theme">
                                 <p class="game-tagline">Survive the endless waves!</p>
                                 <div class="start-actions">
+                                    <button id="continue-survivor" class="survivor-btn primary" style="display: none;">CONTINUE</button>
                                     <button id="start-survivor" class="survivor-btn primary">START</button>
+                                    <button id="boss-rush-btn" class="survivor-btn">BOSS RUSH</button>
                                     <button id="start-btn-guide" class="survivor-btn">GUIDE</button>
                                     <button id="scoreboard-btn" class="survivor-btn">SCOREBOARD</button>
+                                    <button id="meta-shop-btn" class="survivor-btn">UPGRADES</button>
+                                    <button id="achievements-btn" class="survivor-btn">ACHIEVEMENTS</button>
                                     <button id="options-btn" class="survivor-btn">OPTIONS</button>
                                     <button id="about-btn" class="survivor-btn">ABOUT</button>
                                 </div>
@@ -1072,6 +1291,10 @@ class VibeSurvivor {
                                         <label>Dash Button Position</label>
                                         <button id="options-dash-position-btn" class="survivor-btn small">RIGHT</button>
                                     </div>
+                                    <div class="option-item">
+                                        <label>Off-screen Indicators</label>
+                                        <button id="options-indicators-btn" class="survivor-btn small">ALL</button>
+                                    </div>
                                 </div>
                                 <button id="close-options-btn" class="survivor-btn primary">CLOSE</button>
                                 <p class="options-hint">WASD/Arrows to navigate, Enter to select, ESC to close</p>
@@ -1158,6 +1381,9 @@ class VibeSurvivor {
 
                         <div id="game-screen" class="vibe-survivor-screen" style="position: relative;">
                             <canvas id="survivor-canvas"></canvas>
+
+                            <!-- Boss Bar (rows filled in by HUDSystem while bosses are on the field) -->
+                            <div id="boss-bar" class="boss-bar" style="display: none;"></div>
                             
                             <!-- Mobile Dash Button (inside canvas area) -->
                             <div id="mobile-dash-btn" class="mobile-dash-btn mobile-dash-right" style="display: none;">
@@ -1272,6 +1498,15 @@ class VibeSurvivor {
                                 </div>
                             </div>
 
+                            <!-- Replay Playback Controls -->
+                            <div id="replay-controls" class="replay-controls" style="display: none;">
+                                <button id="replay-play-btn" class="survivor-btn small">||</button>
+                                <input type="range" id="replay-seek" class="replay-seek" min="0" max="0" step="1" value="0">
+                                <span id="replay-time" class="replay-time">0:00 / 0:00</span>
+                                <button id="replay-speed-btn" class="survivor-btn small">1x</button>
+                                <button id="replay-exit-btn" class="survivor-btn small">EXIT</button>
+                            </div>
+
                             <!-- Mobile Touch Controls -->
                             <div id="mobile-controls" class="mobile-controls" style="display: none;">
                                 <!-- Virtual Joystick -->
@@ -1307,6 +1542,9 @@ class VibeSurvivor {
                                             <!-- Upgrade choices will be populated dynamically -->
                                         </div>
                                     </div>
+                                    <div class="upgrade-actions levelup-actions">
+                                        <!-- Reroll / banish / skip buttons populated by modal -->
+                                    </div>
                                 </div>
                                 <div id="levelup-pane-guide" class="levelup-pane">
                                     <div class="levelup-scroll levelup-guide-pane guide-pane">
@@ -1345,12 +1583,25 @@ class VibeSurvivor {
                                             <span class="stat-label" data-i18n="bosses">Bosses Defeated</span>
                                             <span class="stat-value bosses-defeated">0</span>
                                         </div>
+                                        <div class="gameover-stat-row">
+                                            <span class="stat-label" data-i18n="seed">Seed</span>
+                                            <span class="stat-value run-seed">--</span>
+                                        </div>
+                                        <div class="gameover-stat-row gameover-shards-row" style="display: none;">
+                                            <span class="stat-label" data-i18n="shardsEarned">Shards Earned</span>
+                                            <span class="stat-value shards-earned">+0</span>
+                                        </div>
+                                        <div class="gameover-stat-row gameover-unlock-row" style="display: none;">
+                                            <span class="stat-label" data-i18n="charactersUnlocked">New Character</span>
+                                            <span class="stat-value characters-unlocked"></span>
+                                        </div>
                                     </div>
 
                                     <!-- Detailed Stats Sections (will be populated dynamically) -->
                                     <div class="gameover-weapons-section"></div>
                                     <div class="gameover-passives-section"></div>
                                     <div class="gameover-player-stats-section"></div>
+                                    <div class="gameover-kills-section"></div>
                                 </div>
 
                                 <!-- Submit to Global Section -->
@@ -1383,6 +1634,9 @@ class VibeSurvivor {
                                             <!-- Upgrade choices populated dynamically -->
                                         </div>
                                     </div>
+                                    <div class="upgrade-actions chest-actions">
+                                        <!-- Reroll / banish / skip buttons populated by modal -->
+                                    </div>
                                     <p class="chest-hint">↑↓ Navigate • Enter Select</p>
                                 </div>
                                 <div id="chest-pane-guide" class="chest-pane">
@@ -1414,6 +1668,8 @@ class VibeSurvivor {
                                         <button class="scoreboard-tab" data-tab="global">GLOBAL</button>
                                     </div>
                                     <div class="scoreboard-filter">
+                                        <label for="scoreboard-mode-filter">Mode</label>
+                                        <select id="scoreboard-mode-filter"></select>
                                         <label for="scoreboard-version-filter">Version</label>
                                         <select id="scoreboard-version-filter">
                                             <option value="all">All Versions</option>
@@ -1456,6 +1712,57 @@ class VibeSurvivor {
                             </div>
                         </div>
 
+                        <!-- Upgrade Shop Modal -->
+                        <div id="meta-shop-modal" class="meta-shop-modal" style="display: none;">
+                            <div class="meta-shop-content">
+                                <div class="scoreboard-header">
+                                    <div class="meta-shop-title">UPGRADE SHOP</div>
+                                    <div class="meta-shop-balance">Shards: 0</div>
+                                    <p class="meta-shop-hint">Upgrades apply to every new run. Boosted runs are marked on the scoreboard.</p>
+                                </div>
+                                <div class="meta-shop-list-container" tabindex="0">
+                                    <div id="meta-shop-list" class="meta-shop-list"></div>
+                                </div>
+                                <div class="scoreboard-actions">
+                                    <button id="meta-shop-refund-btn" class="survivor-btn small destructive">REFUND ALL</button>
+                                    <button id="meta-shop-close-btn" class="survivor-btn small">CLOSE</button>
+                                </div>
+                            </div>
+                        </div>
+
+                        <!-- Achievements Modal -->
+                        <div id="achievements-modal" class="achievements-modal" style="display: none;">
+                            <div class="achievements-content">
+                                <div class="scoreboard-header">
+                                    <div class="achievements-title">ACHIEVEMENTS</div>
+                                    <div class="achievements-progress">0 / 0 unlocked</div>
+                                </div>
+                                <div class="achievements-list-container" tabindex="0">
+                                    <div id="achievements-list" class="achievements-list"></div>
+                                </div>
+                                <div class="scoreboard-actions">
+                                    <button id="achievements-close-btn" class="survivor-btn small">CLOSE</button>
+                                </div>
+                            </div>
+                        </div>
+
+                        <!-- Character Select Modal -->
+                        <div id="character-select-modal" class="character-select-modal" style="display: none;">
+                            <div class="character-select-content">
+                                <div class="scoreboard-header">
+                                    <div class="character-select-title">CHOOSE YOUR CHARACTER</div>
+                                    <div class="character-select-mode"></div>
+                                </div>
+                                <div class="character-select-list-container" tabindex="0">
+                                    <div id="character-select-list" class="character-select-list"></div>
+                                </div>
+                                <div class="scoreboard-actions">
+                                    <button id="character-select-start-btn" class="survivor-btn small primary">START</button>
+                                    <button id="character-select-back-btn" class="survivor-btn small">BACK</button>
+                                </div>
+                            </div>
+                        </div>
+
                         <!-- Score Detail Modal -->
                         <div id="score-detail-modal" class="score-detail-modal" style="display: none;">
                             <div class="score-detail-content">
@@ -1464,6 +1771,9 @@ class VibeSurvivor {
                                     <div class="score-detail-meta">
                                         <span class="score-detail-version">v1.1.0</span>
                                         <span class="score-detail-date">--</span>
+                                        <span class="score-detail-seed"></span>
+                                        <span class="score-detail-loadout"></span>
+                                        <span class="score-detail-replay-note"></span>
                                     </div>
                                 </div>
                                 <div class="score-detail-summary">
@@ -1486,6 +1796,10 @@ class VibeSurvivor {
                                         <h3 data-heading="player">Player Stats</h3>
                                         <div class="score-detail-player"></div>
                                     </div>
+                                    <div class="score-detail-section">
+                                        <h3 data-heading="kills">Kills</h3>
+                                        <div class="score-detail-kills"></div>
+                                    </div>
                                 </div>
                                 <!-- NEW: Submission Section -->
                                 <div class="score-submission-section">
@@ -1508,6 +1822,7 @@ class VibeSurvivor {
                                     </div>
                                 </div>
                                 <div class="score-detail-actions">
+                                    <button id="score-detail-replay-btn" class="survivor-btn primary" style="display: none;">WATCH REPLAY</button>
                                     <button id="score-detail-back-btn" class="survivor-btn">BACK TO LIST</button>
                                     <button id="score-detail-delete-btn" class="survivor-btn destructive">DELETE RECORD</button>
                                 </div>
@@ -3571,6 +3886,63 @@ class VibeSurvivor {
                 opacity: 0.9;
             }
 
+            .upgrade-choice-group {
+                background: rgba(0, 255, 255, 0.05);
+                border: 2px solid rgba(0, 255, 255, 0.5);
+                border-radius: 10px;
+                padding: 12px 16px;
+                width: 100%;
+                text-align: center;
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                gap: 10px;
+            }
+
+            .upgrade-choice-group > p {
+                color: white;
+                margin: 0;
+                font-size: 0.9rem;
+                opacity: 0.7;
+            }
+
+            .upgrade-branches {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 10px;
+                width: 100%;
+            }
+
+            .upgrade-choice.upgrade-branch {
+                flex: 1 1 140px;
+                width: auto;
+                padding: 8px 12px;
+                gap: 4px;
+            }
+
+            .upgrade-branch-name {
+                color: #00ffff;
+                font-size: 1rem;
+                font-weight: bold;
+            }
+
+            .upgrade-choice-group.upgrade-choice-merge {
+                background: rgba(255, 215, 0, 0.08) !important;
+                border: 2px solid rgba(255, 215, 0, 0.4) !important;
+            }
+
+            .upgrade-choice-merge .upgrade-branch-name {
+                color: #FFD700;
+            }
+
+            .upgrade-merge-preview {
+                display: block;
+                color: #ffdf70;
+                font-size: 0.85rem;
+                font-weight: bold;
+                margin-top: 6px;
+            }
+
             .upgrade-choice-merge {
                 background: rgba(255, 215, 0, 0.15) !important;
                 border: 2px solid rgba(255, 215, 0, 0.6) !important;
@@ -3932,6 +4304,12 @@ class VibeSurvivor {
                 font-style: italic;
             }
 
+            .chest-evolution-info {
+                color: #ffdf70;
+                font-size: 0.85rem;
+                font-weight: bold;
+            }
+
             .chest-hint {
                 color: rgba(255, 255, 255, 0.65);
                 font-size: 0.85rem;
@@ -3940,6 +4318,83 @@ class VibeSurvivor {
                 letter-spacing: 0.15em;
             }
 
+            /* Reroll / banish / skip row (level-up and chest modals) */
+            .upgrade-actions {
+                display: flex;
+                justify-content: center;
+                flex-wrap: wrap;
+                gap: 8px;
+                margin: 10px 0 0;
+            }
+
+            .upgrade-action-btn {
+                font-size: 0.75rem;
+                padding: 6px 12px;
+                min-width: 0;
+            }
+
+            .upgrade-action-btn:disabled {
+                opacity: 0.4;
+                cursor: not-allowed;
+            }
+
+            .upgrade-action-banish.active {
+                border-color: #ff5a5a;
+                color: #ff5a5a;
+                box-shadow: 0 0 12px rgba(255, 90, 90, 0.5);
+            }
+
+            .upgrade-banish-mode .upgrade-choice,
+            .upgrade-banish-mode .chest-choice {
+                border-color: rgba(255, 90, 90, 0.7);
+                background: rgba(255, 90, 90, 0.12);
+            }
+
+            .upgrade-actions-status {
+                margin: 15px 0;
+                padding: 12px;
+                border: 1px solid rgba(255, 90, 90, 0.3);
+                border-radius: 8px;
+                background: rgba(255, 90, 90, 0.05);
+                color: #ff9e9e;
+                font-size: 14px;
+            }
+
+            .upgrade-actions-status__title {
+                font-size: 16px;
+                font-weight: bold;
+                text-align: center;
+                margin-bottom: 8px;
+            }
+
+            .upgrade-actions-status__charges {
+                text-align: center;
+                margin-bottom: 8px;
+            }
+
+            .upgrade-actions-status__label {
+                opacity: 0.8;
+                margin-bottom: 4px;
+            }
+
+            .upgrade-banished-list {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+            }
+
+            .upgrade-banished-item {
+                padding: 2px 8px;
+                border: 1px solid rgba(255, 90, 90, 0.6);
+                border-radius: 999px;
+                text-decoration: line-through;
+            }
+
+            .upgrade-banished-empty {
+                opacity: 0.6;
+                font-style: italic;
+            }
+
             .chest-guide-title,
             .chest-status-title {
                 color: #ff8eff;
@@ -3990,6 +4445,11 @@ class VibeSurvivor {
                 font-size: 0.9rem;
             }
 
+            .chest-guide-text .chest-evolution-info {
+                display: block;
+                margin-top: 4px;
+            }
+
             .chest-guide-empty {
                 text-align: center;
                 color: rgba(255, 255, 255, 0.7);
@@ -4252,6 +4712,96 @@ class VibeSurvivor {
         document.head.appendChild(styles);
     }
 
+    /**
+     * Subscribes stats, audio, HUD toasts, particles/screen effects and achievements to the
+     * gameplay event bus (core/events.js)
+     */
+    setupGameEventHandlers() {
+        const events = this.events;
+
+        // Stats and run bookkeeping
+        events.on('enemyKilled', ({ enemy }) => this.recordEnemyKill(enemy));
+        events.on('chestOpened', ({ orb }) => this.onChestCollected(orb));
+        events.on('runEnded', () => {
+            // Replays and input-provider runs never touch the suspended save
+            if (!this.hasAutomatedChoices()) {
+                runSaveStorage.clear();
+            }
+        });
+
+        // Audio
+        events.on('enemyKilled', ({ enemy }) => {
+            if (enemy.behavior === 'boss') {
+                this.audioManager.playSound('bossDefeat');
+            }
+        });
+        events.on('orbCollected', ({ kind }) => {
+            if (kind === 'hp' || kind === 'magnet') {
+                this.audioManager.playSound('upgrade');
+            }
+        });
+        events.on('weaponMerged', () => this.audioManager.playSound('mergerWeapon'));
+        events.on('bossPhaseChanged', ({ transition }) => {
+            if (transition.roar) {
+                this.audioManager.playSound('bossAlert', 2.5);
+            }
+        });
+
+        // HUD notifications
+        events.on('orbCollected', ({ kind, healed }) => {
+            if (kind === 'hp' && healed > 0) {
+                this.showToastNotification(`+${healed} HP`, 'heal');
+            } else if (kind === 'magnet') {
+                this.showToastNotification(`MAGNET ACTIVATED!`, 'magnet');
+            }
+        });
+        events.on('weaponMerged', ({ type, evolution }) => {
+            setTimeout(() => {
+                this.showUpgradeNotification(
+                    `${this.getWeaponName(type)} - ${evolution ? 'WEAPON EVOLVED!' : 'WEAPONS MERGED!'}`,
+                    this.getWeaponIcon(type)
+                );
+            }, 100);
+        });
+        events.on('bossPhaseChanged', ({ transition }) => {
+            if (transition.announce) {
+                const message = (this.currentLanguage === 'ko' && transition.announceKo) ? transition.announceKo : transition.announce;
+                this.showToastNotification(message, 'boss');
+            }
+        });
+
+        // Particles and screen effects
+        events.on('enemyKilled', ({ enemy }) => {
+            // Bosses get the defeat animation instead
+            if (enemy.behavior !== 'boss') {
+                this.createDeathParticles(enemy.x, enemy.y, enemy.color);
+            }
+        });
+        events.on('playerDamaged', ({ source, explosive }) => {
+            const feedback = DAMAGE_FEEDBACK[explosive ? 'explosiveProjectile' : source];
+            if (!feedback) return;
+            if (feedback.particles) {
+                this.createHitParticles(this.player.x, this.player.y, '#ff0000');
+            }
+            this.createScreenShake(feedback.shake);
+            this.createRedFlash(feedback.flash);
+        });
+        events.on('bossPhaseChanged', ({ boss, transition, variant }) => {
+            this.effectsManager.addTelegraph({
+                kind: 'shockwave',
+                anchor: boss,
+                color: variant.color,
+                radius: BOSS_TELEGRAPHS.shockwaveRadius,
+                duration: BOSS_TELEGRAPHS.shockwaveFrames
+            });
+            if (transition.shake) {
+                this.createScreenShake(transition.shake.intensity, transition.shake.duration);
+            }
+        });
+
+        this.achievementSystem.subscribe(events);
+    }
+
     setupEventHandlers() {
         // Phase 12c.4b - Remove old keyboard handler before creating new one (prevent handler leaks)
         if (this.mainKeyboardHandler) {
@@ -4262,6 +4812,17 @@ class VibeSurvivor {
         // Phase 12c.8 - Start screen button event listeners removed (handled by StartScreenModal - Option B pattern)
         // The modal owns all start screen button behavior now (Start, Options, About, Restart, Exit)
 
+        // Suspend the run when the tab is hidden or closed (mobile browsers may never come back)
+        if (!this.suspendRunHandler) {
+            this.suspendRunHandler = (e) => {
+                if (e.type === 'pagehide' || document.visibilityState === 'hidden') {
+                    this.suspendRun();
+                }
+            };
+            document.addEventListener('visibilitychange', this.suspendRunHandler);
+            window.addEventListener('pagehide', this.suspendRunHandler);
+        }
+
         // Pause button event listener
         document.getElementById('pause-btn').addEventListener('click', () => {
             this.togglePause();
@@ -4477,6 +5038,9 @@ class VibeSurvivor {
 
                 // Initialize input manager after canvas is ready
                 this.inputManager.initialize(this);
+                if (this.inputManager.settings?.offscreenIndicators) {
+                    this.offscreenIndicators.setPreset(this.inputManager.settings.offscreenIndicators);
+                }
 
                 // Ensure canvas gets proper dimensions after CSS settles
                 await new Promise(resolve => {
@@ -4574,7 +5138,9 @@ class VibeSurvivor {
     }
 
     applyCameraZoom() {
-        const shouldZoomOut = this.isMobile || window.innerWidth <= MOBILE_CONFIG.BREAKPOINT_WIDTH;
+        // Headless runs simulate the desktop view
+        const shouldZoomOut = !this.headless &&
+            (this.isMobile || window.innerWidth <= MOBILE_CONFIG.BREAKPOINT_WIDTH);
         this.camera.zoom = shouldZoomOut ? MOBILE_CONFIG.CAMERA_ZOOM : 1;
     }
 
@@ -4795,6 +5361,10 @@ class VibeSurvivor {
 
         if (!this._scoreboardModalInitialized) {
             this.modals.scoreboard.init();
+            this.modals.scoreboard.setHelpers({
+                getModeName: this.getGameModeName.bind(this),
+                getCharacterName: (characterId) => this.getCharacterText(characterId).name
+            });
             this._scoreboardModalInitialized = true;
         }
 
@@ -4825,20 +5395,68 @@ class VibeSurvivor {
         this.modals.scoreboard.show();
     }
 
-    showScoreDetailModal(scoreIdOrData) {
-        if (!this.modals.scoreDetail) return;
+    showMetaShop() {
+        if (!this.modals.metaShop || !this._metaShopModalInitialized) return;
 
-        let score;
-        // Handle both local scores (ID string) and global scores (full object)
-        if (typeof scoreIdOrData === 'object' && scoreIdOrData.isGlobal) {
-            // Global score - use directly
-            score = scoreIdOrData;
-        } else {
-            // Local score - look up by ID
-            score = scoreboardStorage.getScoreById(scoreIdOrData);
-            if (!score) {
-                console.warn('Score not found for detail view:', scoreIdOrData);
-                return;
+        this.modals.metaShop.setTranslationFunction(this.t.bind(this));
+        this.modals.metaShop.show();
+    }
+
+    showAchievements() {
+        if (!this.modals.achievements || !this._achievementsModalInitialized) return;
+
+        this.modals.achievements.setTranslationFunction(this.t.bind(this));
+        this.modals.achievements.show();
+    }
+
+    /**
+     * Opens the character select for a new run in a mode
+     * @param {string} modeId - Key in GAME_MODES
+     */
+    showCharacterSelect(modeId) {
+        if (!this.modals.characterSelect || !this._characterSelectModalInitialized) return;
+
+        this.pendingGameMode = modeId;
+        this.modals.characterSelect.setTranslationFunction(this.t.bind(this));
+        this.modals.characterSelect.show({
+            characterId: this.inputManager.settings?.character || this.characterId,
+            unlockedIds: metaProgressStorage.getUnlockedCharacters(),
+            modeName: this.getGameModeName(modeId)
+        });
+    }
+
+    /**
+     * Starts a fresh run with the picked character in the mode chosen on the start screen
+     * @param {string} characterId - Key in CHARACTERS
+     */
+    startNewRunAs(characterId) {
+        this.setGameMode(this.pendingGameMode || DEFAULT_GAME_MODE);
+        this.setMetaLoadout(metaProgressStorage.getLoadout());
+        this.setCharacter(characterId);
+
+        // Preselect the same character next time
+        if (this.inputManager.settings) {
+            this.inputManager.settings.character = this.characterId;
+            this.inputManager.saveSettings();
+        }
+
+        this.startGame();
+    }
+
+    showScoreDetailModal(scoreIdOrData) {
+        if (!this.modals.scoreDetail) return;
+
+        let score;
+        // Handle both local scores (ID string) and global scores (full object)
+        if (typeof scoreIdOrData === 'object' && scoreIdOrData.isGlobal) {
+            // Global score - use directly
+            score = scoreIdOrData;
+        } else {
+            // Local score - look up by ID
+            score = scoreboardStorage.getScoreById(scoreIdOrData);
+            if (!score) {
+                console.warn('Score not found for detail view:', scoreIdOrData);
+                return;
             }
         }
 
@@ -4853,7 +5471,8 @@ class VibeSurvivor {
 
         this.modals.scoreDetail.setTranslationFunction(this.t.bind(this));
         this.modals.scoreDetail.setHelpers({
-            getWeaponName: this.getWeaponName.bind(this)
+            getWeaponName: this.getWeaponName.bind(this),
+            getKillLabel: this.getKillLabel.bind(this)
         });
         this.modals.scoreDetail.showScore(score);
     }
@@ -4869,6 +5488,336 @@ class VibeSurvivor {
         this.showScoreboardModal({ startTab: tab, origin });
     }
 
+    /**
+     * Starts the replay viewer for a local score record
+     * @param {Object} score - Score record with a replay log
+     */
+    startReplay(score) {
+        const replay = score?.replay;
+        if (!ReplayPlayer.isPlayable(replay)) {
+            console.warn('Score has no playable replay:', score?.id);
+            return;
+        }
+        if (replay.gameVersion !== GAME_INFO.VERSION) {
+            console.warn(`Replay recorded on v${replay.gameVersion}, playing on v${GAME_INFO.VERSION} - it may desync`);
+        }
+
+        if (this.modals.scoreDetail?.isVisible && this.modals.scoreDetail.isVisible()) {
+            this.modals.scoreDetail.hide();
+        }
+
+        this.replayPlayback = {
+            player: new ReplayPlayer(replay),
+            score,
+            paused: false,
+            speed: 1,
+            ended: false,
+            seekTarget: null,
+            accumulator: 0,
+            lastTimestamp: null
+        };
+        this.pendingChoices = null;
+
+        // Records from before game modes were survival runs
+        this.setGameMode(score.mode || DEFAULT_GAME_MODE);
+        this.setMetaLoadout(score.loadout);
+        this.setCharacter(score.character || DEFAULT_CHARACTER);
+        this.startGame(replay.seed);
+        if (!this.gameRunning) {
+            // startGame bailed out (not initialized yet)
+            this.replayPlayback = null;
+            return;
+        }
+
+        const pauseBtn = document.getElementById('pause-btn');
+        if (pauseBtn) {
+            pauseBtn.style.display = 'none';
+        }
+        if (this.touchControlsUI?.hideDashButton) {
+            this.touchControlsUI.hideDashButton();
+        }
+
+        this.replayControlsUI.setTranslationFunction(this.t.bind(this));
+        this.replayControlsUI.onTogglePlay(() => this.toggleReplayPause());
+        this.replayControlsUI.onSpeedChange(() => this.toggleReplaySpeed());
+        this.replayControlsUI.onSeek((frame) => this.seekReplay(frame));
+        this.replayControlsUI.onExit(() => this.exitReplay());
+        this.replayControlsUI.show(this.replayPlayback.player.totalFrames);
+
+        this.replayLoopId = requestAnimationFrame(timestamp => this.replayLoop(timestamp));
+    }
+
+    replayLoop(timestamp) {
+        const playback = this.replayPlayback;
+        if (!playback) {
+            this.replayLoopId = null;
+            return;
+        }
+
+        const previousTimestamp = playback.lastTimestamp === null ? timestamp : playback.lastTimestamp;
+        const delta = Math.max(0, timestamp - previousTimestamp);
+        playback.lastTimestamp = timestamp;
+
+        if (playback.seekTarget !== null) {
+            this.advanceReplaySeek();
+        } else if (!playback.paused && !playback.ended) {
+            playback.accumulator = Math.min(
+                playback.accumulator + delta * playback.speed,
+                this.maxAccumulatedTime * playback.speed
+            );
+            while (playback.accumulator >= this.frameInterval) {
+                if (!this.stepReplayFrame()) {
+                    playback.ended = true;
+                    playback.accumulator = 0;
+                    break;
+                }
+                playback.accumulator -= this.frameInterval;
+            }
+        } else if (this.playerDead) {
+            // Let death effects finish on the final frame
+            this.update();
+        }
+
+        this.draw();
+        this.updateUI();
+        this.replayControlsUI.update({
+            frame: playback.player.frame,
+            totalFrames: playback.player.totalFrames,
+            paused: playback.paused || playback.ended,
+            speed: playback.speed
+        });
+
+        this.replayLoopId = requestAnimationFrame(nextTimestamp => this.replayLoop(nextTimestamp));
+    }
+
+    /**
+     * Runs one recorded frame: applies choices made at this frame boundary, then simulates
+     * @returns {boolean} False once the log is exhausted or the run can't continue
+     */
+    stepReplayFrame() {
+        const { player } = this.replayPlayback;
+
+        let event;
+        while ((event = player.takeDueEvent())) {
+            this.applyReplayEvent(event);
+        }
+
+        if (player.isFinished() || !this.gameRunning || this.playerDead) {
+            return false;
+        }
+
+        this.update();
+        return true;
+    }
+
+    applyReplayEvent(event) {
+        switch (event.type) {
+            case 'levelUp':
+            case 'chest':
+                if (!this.resolvePendingChoice(event.type, event.index)) {
+                    console.warn(`Replay desync: no ${event.type} choice #${event.index} at frame ${this.replayPlayback.player.frame}`);
+                }
+                break;
+            case 'reroll':
+            case 'banish':
+            case 'skip':
+                if (!this.resolvePendingAction(event.type, event.index)) {
+                    console.warn(`Replay desync: can't ${event.type} at frame ${this.replayPlayback.player.frame}`);
+                }
+                break;
+            case 'victory':
+                this.continueFromVictory();
+                break;
+            default:
+                console.warn('Unknown replay event:', event.type);
+        }
+    }
+
+    toggleReplayPause() {
+        const playback = this.replayPlayback;
+        if (!playback) return;
+
+        if (playback.ended) {
+            // Play again from the start
+            this.seekReplay(0);
+            playback.paused = false;
+            return;
+        }
+        playback.paused = !playback.paused;
+        playback.accumulator = 0;
+    }
+
+    toggleReplaySpeed() {
+        if (!this.replayPlayback) return;
+        this.replayPlayback.speed = this.replayPlayback.speed === 1 ? 2 : 1;
+    }
+
+    /**
+     * Jumps playback to a frame (rewinds and re-simulates when seeking backwards)
+     * @param {number} frame - Target frame
+     */
+    seekReplay(frame) {
+        const playback = this.replayPlayback;
+        if (!playback) return;
+
+        const target = Math.max(0, Math.min(Math.floor(frame), playback.player.totalFrames));
+        if (target < playback.player.frame) {
+            this.restartReplaySimulation();
+        }
+        playback.seekTarget = target;
+        playback.accumulator = 0;
+    }
+
+    restartReplaySimulation() {
+        const playback = this.replayPlayback;
+
+        this.beginSimulation(playback.player.replay.seed);
+        playback.player.rewind();
+        playback.ended = false;
+    }
+
+    /**
+     * Resets and seeds a run without any of startGame()'s screen/audio setup
+     * (replay seeking, headless runs)
+     * @param {number} seed - Run seed
+     */
+    beginSimulation(seed) {
+        this.resetGame();
+        this.playerDead = false;
+        this.gameOverHandled = false;
+        this.gameOverShown = false;
+        this.pendingChoices = null;
+        this.runSeed = this.rng.setSeed(seed);
+        this.replayRecorder.stop();
+
+        this.gameRunning = true;
+        this.spawnStartingOrbs();
+    }
+
+    /**
+     * Starts the autopilot demo behind the start screen
+     */
+    startAttractMode() {
+        if (this.headless || this.attractMode || this.gameRunning || this.replayPlayback) return;
+        if (!this.canvas || !this.ctx) return;
+
+        if (!this.attractGame) {
+            this.attractGame = this.createAttractGame();
+        }
+        this.attractGame.canvas = this.canvas;
+        this.attractGame.ctx = this.ctx;
+        this.attractGame.beginSimulation(createSeed());
+
+        this.attractMode = {
+            loopId: null,
+            lastTimestamp: null,
+            accumulator: 0,
+            restartFrames: 0
+        };
+        this.attractMode.loopId = requestAnimationFrame(timestamp => this.attractLoop(timestamp));
+    }
+
+    /**
+     * Builds the demo instance: headless (no DOM, audio or scoreboard side effects) but sharing
+     * this game's loaded sprites so it renders like a real run
+     * @returns {VibeSurvivor} Demo game
+     */
+    createAttractGame() {
+        const demo = new VibeSurvivor({ headless: true });
+        demo.spriteManager = this.spriteManager;
+        demo.playerSprites = this.spriteManager.playerSprites;
+        demo.itemIcons = this.spriteManager.itemIcons;
+        demo.spriteConfig = this.spriteManager.spriteConfig;
+        demo.inputProvider = new AutopilotBot({ upgradePolicy: 'random' });
+        return demo;
+    }
+
+    attractLoop(timestamp) {
+        const attract = this.attractMode;
+        if (!attract) return;
+
+        const demo = this.attractGame;
+        const attractRunFrames = 180 * 60; // restart before late-game swarms get heavy
+        const restartDelayFrames = 90;     // linger on the death flash
+
+        const previousTimestamp = attract.lastTimestamp === null ? timestamp : attract.lastTimestamp;
+        attract.accumulator = Math.min(
+            attract.accumulator + Math.max(0, timestamp - previousTimestamp),
+            this.maxAccumulatedTime
+        );
+        attract.lastTimestamp = timestamp;
+        demo.camera.zoom = this.camera.zoom;
+
+        while (attract.accumulator >= this.frameInterval) {
+            attract.accumulator -= this.frameInterval;
+
+            demo.resolveProviderChoices();
+            if (demo.playerDead || !demo.gameRunning || demo.frameCount >= attractRunFrames) {
+                if (++attract.restartFrames >= restartDelayFrames) {
+                    attract.restartFrames = 0;
+                    demo.beginSimulation(createSeed());
+                }
+            }
+            demo.update();
+        }
+
+        demo.draw();
+
+        attract.loopId = requestAnimationFrame(nextTimestamp => this.attractLoop(nextTimestamp));
+    }
+
+    stopAttractMode() {
+        if (!this.attractMode) return;
+
+        cancelAnimationFrame(this.attractMode.loopId);
+        this.attractMode = null;
+    }
+
+    advanceReplaySeek() {
+        const playback = this.replayPlayback;
+        const framesPerTick = 600; // keep the page responsive while fast-forwarding
+        const sfxWasMuted = this.audioManager.isSfxMuted();
+        this.audioManager.setSfxMuted(true);
+
+        let budget = framesPerTick;
+        while (budget-- > 0 && playback.player.frame < playback.seekTarget) {
+            if (!this.stepReplayFrame()) {
+                playback.ended = true;
+                break;
+            }
+        }
+
+        this.audioManager.setSfxMuted(sfxWasMuted);
+
+        if (playback.ended || playback.player.frame >= playback.seekTarget) {
+            playback.seekTarget = null;
+        }
+    }
+
+    exitReplay() {
+        const playback = this.replayPlayback;
+        if (!playback) return;
+
+        if (this.replayLoopId) {
+            cancelAnimationFrame(this.replayLoopId);
+            this.replayLoopId = null;
+        }
+
+        // Stop first so exitToMenu() doesn't suspend the replayed run as a live one
+        this.gameRunning = false;
+        this.replayPlayback = null;
+        this.pendingChoices = null;
+        this.replayControlsUI.hide();
+        this.pauseLoopingWeaponSounds();
+        this.audioManager.stopMusic();
+
+        this.exitToMenu();
+
+        if (playback.score?.id) {
+            this.showScoreDetailModal(playback.score.id);
+        }
+    }
+
     showStartScreen() {
         // Remove game-active class to show start screen over landing page
         const modal = document.getElementById('vibe-survivor-modal');
@@ -4899,10 +5848,10 @@ class VibeSurvivor {
 
             requestAnimationFrame(() => this.updateStartOverlayLayout());
 
-            // Render canvas background now that game screen is visible
+            // Play the autopilot demo behind the menu now that the game screen is visible
             if (this.canvas && this.ctx) {
                 requestAnimationFrame(() => {
-                    this.renderStartScreenBackground();
+                    this.startAttractMode();
                 });
             }
 
@@ -4912,14 +5861,18 @@ class VibeSurvivor {
             // Initialize keyboard navigation for start screen buttons
             // Use setTimeout to ensure DOM is fully ready
             setTimeout(() => {
+                const continueBtn = this.refreshContinueButton() ? document.getElementById('continue-survivor') : null;
                 const startBtn = document.getElementById('start-survivor');
+                const bossRushBtn = document.getElementById('boss-rush-btn');
                 const guideBtn = document.getElementById('start-btn-guide');
                 const scoreboardBtn = document.getElementById('scoreboard-btn');
+                const shopBtn = document.getElementById('meta-shop-btn');
+                const achievementsBtn = document.getElementById('achievements-btn');
                 const optionsBtn = document.getElementById('options-btn');
                 const aboutBtn = document.getElementById('about-btn');
                 const restartBtn = document.getElementById('restart-survivor');
                 const exitBtn = document.getElementById('exit-survivor');
-                const startButtons = [startBtn, guideBtn, scoreboardBtn, optionsBtn, aboutBtn, restartBtn, exitBtn].filter(btn => btn);
+                const startButtons = [continueBtn, startBtn, bossRushBtn, guideBtn, scoreboardBtn, shopBtn, achievementsBtn, optionsBtn, aboutBtn, restartBtn, exitBtn].filter(btn => btn);
 
                 if (startButtons.length > 0) {
                     this.initializeMenuNavigation('start', startButtons);
@@ -4930,7 +5883,7 @@ class VibeSurvivor {
 
                 // Title content is hidden in HTML initially (display: none on .survivor-title)
                 // Show everything after background loads and mark game as ready
-                const allButtons = [startBtn, guideBtn, optionsBtn, aboutBtn, restartBtn, exitBtn];
+                const allButtons = [startBtn, bossRushBtn, guideBtn, shopBtn, optionsBtn, aboutBtn, restartBtn, exitBtn];
                 const titleContent = document.querySelector('.survivor-title');
                 const startScreenBot = window.startScreenBot;
                 const chromaHeader = document.querySelector('.chroma-awards-header');
@@ -5080,7 +6033,11 @@ class VibeSurvivor {
         this.audioManager.playSound('chromaAwardsTheme');
     }
 
-    startGame() {
+    /**
+     * Start a new run
+     * @param {number|null} seed - Gameplay RNG seed to replay a run (fresh seed if omitted)
+     */
+    startGame(seed = null) {
         // Starting game with complete reinitialization
 
         // Guard: Ensure game is fully initialized before starting
@@ -5089,6 +6046,8 @@ class VibeSurvivor {
             return;
         }
 
+        this.stopAttractMode();
+
         // Reset death flag
         this.playerDead = false;
         this.gameOverHandled = false;
@@ -5174,6 +6133,21 @@ class VibeSurvivor {
 
         this.resetGame();
 
+        // A new run replaces any suspended one (continueRun() restores its snapshot after this)
+        if (!this.replayPlayback) {
+            runSaveStorage.clear();
+        }
+
+        // Seed gameplay RNG after reset so every roll of the run comes from this sequence
+        this.runSeed = this.rng.setSeed(seed ?? createSeed());
+
+        // Record input for live runs; playback feeds recorded input instead
+        if (this.replayPlayback) {
+            this.replayRecorder.stop();
+        } else {
+            this.replayRecorder.start(this.runSeed);
+        }
+
         // Optimize memory before starting intensive gameplay
         if (window.PerformanceManager) {
             window.PerformanceManager.optimizeMemory();
@@ -5221,6 +6195,7 @@ class VibeSurvivor {
 
         // Phase 12c - Initialize HUD system
         this.hudSystem.init();
+        this.hudSystem.setTranslationFunction(this.t.bind(this));
 
         // Phase 12c - Initialize game-over modal (if not already initialized)
         if (!this._gameOverModalInitialized) {
@@ -5307,7 +6282,11 @@ class VibeSurvivor {
                 t: this.t.bind(this),
                 generateWeaponsSection: this.generateWeaponsSection.bind(this),
                 generatePassivesSection: this.generatePassivesSection.bind(this),
-                generatePlayerStatsSection: this.generatePlayerStatsSection.bind(this)
+                generatePlayerStatsSection: this.generatePlayerStatsSection.bind(this),
+                generateUpgradeActionsSection: this.generateUpgradeActionsSection.bind(this),
+                getWeaponName: this.getWeaponName.bind(this),
+                getWeaponDescription: this.getWeaponDescription.bind(this),
+                getMergeRecipeText: this.getMergeRecipeText.bind(this)
             });
 
             // Set up overlay lock callbacks for disabling pause/help buttons
@@ -5318,20 +6297,12 @@ class VibeSurvivor {
 
             // Set up upgrade selection callback
             this.modals.levelUp.onUpgradeSelected((choice, choiceIndex) => {
-                this.selectUpgrade(choice);
-
-                // Play upgrade sound
-                this.audioManager.playSound('upgrade');
-
-                // Process any remaining deferred level ups, or resume game
-                this.processPendingLevelUps();
+                this.applyLevelUpChoice(choice, choiceIndex);
+            });
 
-                // If no more pending level ups, resume game
-                if (this.pendingLevelUps === 0) {
-                    this.gameRunning = true;
-                    this.timePaused = false;
-                    this.startAnimationLoop();
-                }
+            // Reroll / banish / skip
+            this.modals.levelUp.onUpgradeAction((action, choiceIndex) => {
+                this.useUpgradeAction('levelUp', action, this.modals.levelUp.upgradeChoices, choiceIndex);
             });
 
             this._levelUpModalInitialized = true;
@@ -5354,23 +6325,19 @@ class VibeSurvivor {
             this.modals.chest.setRenderCallbacks({
                 generateWeaponsSection: this.generateWeaponsSection.bind(this),
                 generatePassivesSection: this.generatePassivesSection.bind(this),
-                generatePlayerStatsSection: this.generatePlayerStatsSection.bind(this)
+                generatePlayerStatsSection: this.generatePlayerStatsSection.bind(this),
+                generateUpgradeActionsSection: this.generateUpgradeActionsSection.bind(this),
+                getPassiveEvolutionsText: this.getPassiveEvolutionsText.bind(this)
             });
 
             // Set up upgrade selection callback
             this.modals.chest.onUpgradeSelected((choice, choiceIndex) => {
-                // Apply passive upgrade
-                this.selectUpgrade(choice);
-
-                // Play upgrade sound
-                this.audioManager.playSound('upgrade');
-
-                // Resume game
-                this.gameRunning = true;
-                this.timePaused = false;
+                this.applyChestChoice(choice, choiceIndex);
+            });
 
-                // Restart animation loop if needed
-                this.startAnimationLoop();
+            // Reroll / banish / skip
+            this.modals.chest.onUpgradeAction((action, choiceIndex) => {
+                this.useUpgradeAction('chest', action, this.modals.chest.upgradeChoices, choiceIndex);
             });
 
             this._chestModalInitialized = true;
@@ -5522,7 +6489,7 @@ class VibeSurvivor {
 
         // Phase 12c.12 - Ensure dash button is shown and positioned correctly when game starts
         setTimeout(() => {
-            if (this.touchControlsUI && this.touchControlsUI.showDashButton) {
+            if (this.touchControlsUI && this.touchControlsUI.showDashButton && !this.replayPlayback) {
                 const position = this.touchControls?.dashButton?.position || 'right';
                 this.touchControlsUI.showDashButton();
                 this.touchControlsUI.setDashButtonPosition(position);
@@ -5531,15 +6498,7 @@ class VibeSurvivor {
 
         this.gameRunning = true;
 
-        // Spawn starting XP orbs around player for easier early progression
-        const startingOrbCount = 14;
-        for (let i = 0; i < startingOrbCount; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 80 + Math.random() * 120; // Random distance between 80-200 pixels (doubled from 40-100)
-            const orbX = this.player.x + Math.cos(angle) * distance;
-            const orbY = this.player.y + Math.sin(angle) * distance;
-            this.createXPOrb(orbX, orbY);
-        }
+        this.spawnStartingOrbs();
 
         // Start background music when game actually begins (Phase 11 - AudioManager)
         try {
@@ -5554,6 +6513,230 @@ class VibeSurvivor {
         this.startAnimationLoop();
     }
 
+    /**
+     * Whether the current run can be snapshotted: live play only, not dying and not mid
+     * boss-defeat/victory. A run halted on a level-up/chest choice saves the offered choices.
+     * @returns {boolean}
+     */
+    canSuspendRun() {
+        if (this.headless || this.replayPlayback || this.playerDead ||
+            this.bossDefeating || this.bossVictoryInProgress) {
+            return false;
+        }
+        return this.gameRunning || !!this.getOpenUpgradeChoices();
+    }
+
+    /**
+     * Saves a snapshot of the live run so it can be continued later
+     * (pause, exit to menu, tab hidden or closed)
+     */
+    suspendRun() {
+        if (this.canSuspendRun()) {
+            runSaveStorage.save(createRunSnapshot(this));
+        } else if (!this.headless && !this.replayPlayback && !this.playerDead &&
+            (this.bossDefeating || this.bossVictoryInProgress)) {
+            // The last snapshot is from before the boss fell - don't let Continue go back to it
+            runSaveStorage.clear();
+        }
+    }
+
+    /**
+     * Level-up or chest choices the run is halted on
+     * @returns {Object|null} { type, choices } from the automation or the open modal
+     */
+    getOpenUpgradeChoices() {
+        if (this.pendingChoices) {
+            return this.pendingChoices;
+        }
+        if (this.modals.levelUp?.isVisible()) {
+            return { type: 'levelUp', choices: this.modals.levelUp.upgradeChoices };
+        }
+        if (this.modals.chest?.isVisible()) {
+            return { type: 'chest', choices: this.modals.chest.upgradeChoices };
+        }
+        return null;
+    }
+
+    /**
+     * Starts a fresh run on the saved seed, then loads the suspended snapshot into it
+     */
+    continueRun() {
+        const snapshot = runSaveStorage.load();
+        if (!snapshot) {
+            this.refreshContinueButton();
+            return;
+        }
+
+        this.setGameMode(snapshot.gameMode);
+        this.setMetaLoadout(snapshot.metaLoadout);
+        this.setCharacter(snapshot.characterId);
+        this.startGame(snapshot.seed);
+        if (!this.gameRunning) return;
+
+        // startGame() only queued the first frame, so nothing has simulated yet
+        restoreRunSnapshot(this, snapshot);
+        this.camera.follow(this.player, this.canvas.width, this.canvas.height, 1);
+
+        // Suspended on a level-up/chest choice - offer the same choices again (they were rolled before the save)
+        if (snapshot.upgradeChoices) {
+            this.draw();
+            this.reopenUpgradeChoices(snapshot.upgradeChoices.type, snapshot.upgradeChoices.choices);
+        }
+    }
+
+    /**
+     * Shows the start screen's continue button only while a resumable run is saved
+     * @returns {boolean} True if the button is shown
+     */
+    refreshContinueButton() {
+        const hasSave = runSaveStorage.hasSave();
+        const continueBtn = document.getElementById('continue-survivor');
+        if (continueBtn) {
+            continueBtn.style.display = hasSave ? '' : 'none';
+        }
+        return hasSave;
+    }
+
+    /**
+     * Switches the mode later runs are played in (the current run keeps its mode until reset)
+     * @param {string} modeId - Key in GAME_MODES
+     */
+    setGameMode(modeId) {
+        if (!GAME_MODES[modeId]) {
+            console.warn(`Unknown game mode: ${modeId}, using ${DEFAULT_GAME_MODE}`);
+            modeId = DEFAULT_GAME_MODE;
+        }
+        this.gameMode = modeId;
+    }
+
+    /**
+     * @returns {Object} Config of the current mode from GAME_MODES
+     */
+    getGameModeConfig() {
+        return GAME_MODES[this.gameMode] || GAME_MODES[DEFAULT_GAME_MODE];
+    }
+
+    /**
+     * @param {string} modeId - Key in GAME_MODES
+     * @returns {string} Localized mode name
+     */
+    getGameModeName(modeId) {
+        const mode = GAME_MODES[modeId] || GAME_MODES[DEFAULT_GAME_MODE];
+        return (this.currentLanguage === 'ko' && mode.nameKo) ? mode.nameKo : mode.name;
+    }
+
+    /**
+     * Sets the permanent upgrades later runs start with (the current run keeps its own until reset)
+     * @param {Object} [loadout] - META_UPGRADES id -> level; missing means an unboosted run
+     */
+    setMetaLoadout(loadout) {
+        this.metaLoadout = normalizeLoadout(loadout);
+    }
+
+    /**
+     * @param {string} upgradeId - Key in META_UPGRADES
+     * @returns {Object} Localized { name, description }
+     */
+    getMetaUpgradeText(upgradeId) {
+        const upgrade = META_UPGRADES[upgradeId];
+        if (!upgrade) return { name: upgradeId, description: '' };
+        const korean = this.currentLanguage === 'ko';
+        return {
+            name: (korean && upgrade.nameKo) || upgrade.name,
+            description: (korean && upgrade.descriptionKo) || upgrade.description
+        };
+    }
+
+    /**
+     * @param {string} achievementId - Key in ACHIEVEMENTS
+     * @returns {Object} Localized { name, description }
+     */
+    getAchievementText(achievementId) {
+        const achievement = ACHIEVEMENTS[achievementId];
+        if (!achievement) return { name: achievementId, description: '' };
+        const params = achievement.params || {};
+        const boss = (this.currentLanguage === 'ko' && params.bossKo) || params.boss || '';
+        const fill = (text) => text.replace('{boss}', boss);
+        return {
+            name: fill(this.t(`achievement_${achievement.textKey}`)),
+            description: fill(this.t(`achievement_${achievement.textKey}_desc`))
+        };
+    }
+
+    /**
+     * Sets the character later runs are played as (the current run keeps its own until reset)
+     * @param {string} characterId - Key in CHARACTERS
+     */
+    setCharacter(characterId) {
+        if (!CHARACTERS[characterId]) {
+            console.warn(`Unknown character: ${characterId}, using ${DEFAULT_CHARACTER}`);
+            characterId = DEFAULT_CHARACTER;
+        }
+        this.characterId = characterId;
+        this.spriteManager.setPlayerSprites(CHARACTERS[characterId].sprites);
+    }
+
+    /**
+     * @param {string} characterId - Key in CHARACTERS
+     * @returns {Object} Localized { name, description }
+     */
+    getCharacterText(characterId) {
+        const character = getCharacter(characterId);
+        const korean = this.currentLanguage === 'ko';
+        return {
+            name: (korean && character.nameKo) || character.name,
+            description: (korean && character.descriptionKo) || character.description
+        };
+    }
+
+    /**
+     * Hands out the current character's starting weapon and signature passive (part of reset)
+     */
+    equipCharacter() {
+        const character = getCharacter(this.characterId);
+
+        if (this.weapons[0]?.type !== character.startingWeapon) {
+            const weapon = this.weaponSystem.createWeapon(character.startingWeapon);
+            if (weapon) {
+                this.weapons.splice(0, this.weapons.length, weapon);
+            }
+        }
+        if (character.signaturePassive) {
+            this.addPassiveAbility(character.signaturePassive);
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether this run is a Boss Rush
+     */
+    isBossRush() {
+        return !!this.getGameModeConfig().bossRush;
+    }
+
+    /**
+     * Sets up the systems a mode changes (called from resetGame())
+     */
+    applyGameMode() {
+        const mode = this.getGameModeConfig();
+        this.enemySystem.waveDirector.setTimeline(mode.timeline);
+        if (mode.bossRush) {
+            this.enemySystem.bossRush.start();
+        }
+    }
+
+    // Spawn starting XP orbs around player for easier early progression
+    spawnStartingOrbs() {
+        const baseOrbCount = this.isBossRush() ? BOSS_RUSH.startingOrbs : 14;
+        const startingOrbCount = baseOrbCount + getLoadoutBonuses(this.metaLoadout).startingOrbs;
+        for (let i = 0; i < startingOrbCount; i++) {
+            const angle = this.rng.next() * Math.PI * 2;
+            const distance = 80 + this.rng.next() * 120; // Random distance between 80-200 pixels (doubled from 40-100)
+            const orbX = this.player.x + Math.cos(angle) * distance;
+            const orbY = this.player.y + Math.sin(angle) * distance;
+            this.createXPOrb(orbX, orbY);
+        }
+    }
+
     resetGame() {
         // Reset game core state
         this.gameTime = 0;
@@ -5592,10 +6775,13 @@ class VibeSurvivor {
 
         // Reset player - start at world center
         resetPlayerState(this.player);
+        applyCharacterStats(this.player, this.characterId);
+        applyMetaLoadout(this.player, this.metaLoadout);
 
-        // Reset weapons to single basic weapon
+        // Reset weapons to single basic weapon (swapped for the character's below)
         resetWeaponsState(this.weapons);
         resetWeaponStatsState(this.weaponStats);
+        resetKillStatsState(this.killStats);
         this.updateOverlayLockState();
 
         // Clear game entity arrays
@@ -5615,16 +6801,20 @@ class VibeSurvivor {
         this.animationController.reset();
         this.particleSystem.reset();
         this.effectsManager.reset();
+        this.offscreenIndicators.reset();
 
         // Reset gameplay systems
         this.playerSystem.reset();
         this.pickupSystem.reset();
         this.enemySystem.reset();
+        this.applyGameMode();
 
         this.xpOrbs.length = 0;
         this.hpOrbs.length = 0;
         this.magnetOrbs.length = 0;
+        this.chestOrbs.length = 0;
         this.maxWeaponSlots = WEAPON_UPGRADES.MAX_WEAPONS;
+        this.equipCharacter();
 
         // Reset object pools - mark all as inactive
         if (this.projectilePool) {
@@ -5644,6 +6834,9 @@ class VibeSurvivor {
         if (this.magnetOrbPool) {
             this.magnetOrbPool.forEach(orb => orb.active = false);
         }
+        if (this.chestOrbPool) {
+            this.chestOrbPool.forEach(orb => orb.active = false);
+        }
 
         // Reset frame rate monitoring using PerformanceMonitor
         this.performanceMonitor.reset();
@@ -5677,6 +6870,9 @@ class VibeSurvivor {
 
         // Reset camera
         resetCameraState(this.camera);
+
+        // Replays and the start-screen demo don't count towards achievements
+        this.achievementSystem.startRun({ enabled: !this.headless && !this.replayPlayback });
     }
 
     // Start or resume the main animation loop with normalized timing
@@ -5685,6 +6881,11 @@ class VibeSurvivor {
             return;
         }
 
+        // Replay viewer drives its own loop (replayLoop); headless runs step update() directly
+        if (this.replayPlayback || this.headless) {
+            return;
+        }
+
         if (this.gameLoopId) {
             cancelAnimationFrame(this.gameLoopId);
             this.gameLoopId = null;
@@ -5720,7 +6921,8 @@ class VibeSurvivor {
         if (!this.isPaused) {
             this.accumulator = Math.min(this.accumulator + delta, this.maxAccumulatedTime);
             const epsilon = 0.0001;
-            while (this.accumulator + epsilon >= this.frameInterval) {
+            // Stop stepping as soon as a modal halts the run so no frames run behind it
+            while (this.gameRunning && this.accumulator + epsilon >= this.frameInterval) {
                 this.update();
                 this.accumulator -= this.frameInterval;
             }
@@ -5738,6 +6940,7 @@ class VibeSurvivor {
         // Always update effects even if player is dead
         this.effectsManager.updateScreenShake();
         this.effectsManager.updateRedFlash();
+        this.effectsManager.updateTelegraphs();
         this.particleSystem.updateExplosions();
         this.particleSystem.updateParticles();
         this.updateNotifications();
@@ -5767,9 +6970,13 @@ class VibeSurvivor {
             this.player.magnetBoost = 0;
         }
         this.updatePassives();
+
+        // Enemy proximity queries share one spatial grid, rebuilt on first use after enemies move
+        this.physicsManager.invalidateEnemyGrid();
         this.updateWeapons();
         this.spawnEnemies();
         this.updateEnemies();
+        this.physicsManager.invalidateEnemyGrid();
         this.updateProjectiles();
         this.updateXPOrbs();
         this.spawnHPOrbs();
@@ -5780,10 +6987,12 @@ class VibeSurvivor {
         this.updateChestOrbs();
 
         this.checkScheduledBossSpawn();
+        this.updateBossRush();
         this.processPendingBossSpawn();
 
         this.checkCollisions();
         this.checkLevelUp();
+        this.achievementSystem.update(this.gameTime);
         this.updateCamera();
 
         // Update adaptive quality scaling
@@ -5791,10 +7000,16 @@ class VibeSurvivor {
     }
 
     updatePlayer() {
+        // Live runs record the input they consume (keyboard/touch or the input provider);
+        // playback feeds the recorded input
+        const input = this.replayPlayback
+            ? this.replayPlayback.player.nextInput()
+            : this.replayRecorder.captureFrame(this.inputProvider ? this.getProviderInput() : this.inputManager);
+
         // Delegate to PlayerSystem
         this.playerSystem.updatePlayer(
             this.player,
-            this.inputManager,
+            input,
             this.animationController,
             this.spriteConfig,
             this.cachedSqrt,
@@ -5802,6 +7017,38 @@ class VibeSurvivor {
             this.qualitySettings,
             this.audioManager
         );
+
+        // Dash button presses are one-shot - mirror consumption back to the live controls
+        if (!this.replayPlayback && !this.inputProvider) {
+            this.touchControls.dashButton.pressed = input.touchControls.dashButton.pressed;
+        }
+    }
+
+    /**
+     * Converts the input provider's movement/dash into the input shape PlayerSystem reads.
+     * Movement goes through the joystick path (radius 50, same as InputManager.getMovementInput()).
+     * @returns {Object} Input source
+     */
+    getProviderInput() {
+        if (!this.providerInput) {
+            this.providerInput = {
+                keys: {},
+                touchControls: {
+                    joystick: { active: false, moveX: 0, moveY: 0 },
+                    dashButton: { pressed: false }
+                },
+                isMobile: true
+            };
+        }
+
+        const movement = this.inputProvider.getMovementInput(this) || { x: 0, y: 0 };
+        const { joystick, dashButton } = this.providerInput.touchControls;
+        joystick.active = movement.x !== 0 || movement.y !== 0;
+        joystick.moveX = movement.x * 50;
+        joystick.moveY = movement.y * 50;
+        dashButton.pressed = !!this.inputProvider.isDashRequested(this);
+
+        return this.providerInput;
     }
 
     updatePassives() {
@@ -5813,16 +7060,18 @@ class VibeSurvivor {
         this.weapons.forEach(weapon => {
             let canFire = true;
 
-            if (weapon.type === 'gatling_gun') {
+            const definition = weaponRegistry.get(weapon.type);
+            if (definition?.burst) {
+                const { burst, sound } = definition;
                 const triggerBurstSound = () => {
-                    if (this.audioManager) {
-                        this.audioManager.playSound('weaponGatlingGun', 0.7);
+                    if (this.audioManager && sound?.onBurst) {
+                        this.audioManager.playSound(sound.name, sound.volume || 1.0);
                     }
                 };
 
                 if (!weapon.burstState) {
                     weapon.burstState = 'firing';
-                    weapon.burstTimer = weapon.gatlingFireDuration || 60;
+                    weapon.burstTimer = weapon.gatlingFireDuration || burst.fireFrames;
                     triggerBurstSound();
                 }
 
@@ -5831,8 +7080,8 @@ class VibeSurvivor {
                     const nextState = weapon.burstState === 'firing' ? 'break' : 'firing';
                     weapon.burstState = nextState;
                     weapon.burstTimer = nextState === 'firing'
-                        ? (weapon.gatlingFireDuration || 60)
-                        : (weapon.gatlingBreakDuration || 30);
+                        ? (weapon.gatlingFireDuration || burst.fireFrames)
+                        : (weapon.gatlingBreakDuration || burst.pauseFrames);
 
                     if (nextState === 'firing') {
                         triggerBurstSound();
@@ -5850,7 +7099,13 @@ class VibeSurvivor {
         });
     }
 
-    togglePause() {
+    togglePause() {
+        // Replay viewer has its own play/pause control
+        if (this.replayPlayback) {
+            this.toggleReplayPause();
+            return;
+        }
+
         // Phase 12c.4 - Use PauseMenu modal (Option B: Proper Encapsulation)
         this.isPaused = !this.isPaused;
         const pauseBtn = document.getElementById('pause-btn');
@@ -5859,6 +7114,8 @@ class VibeSurvivor {
             // Update pause button to show play symbol
             if (pauseBtn) pauseBtn.textContent = '▶';
 
+            this.suspendRun();
+
             // Show pause modal (modal handles all keyboard interaction internally)
             this.modals.pause.show();
 
@@ -6035,6 +7292,19 @@ class VibeSurvivor {
         }
     }
 
+    cycleOffscreenIndicators() {
+        const preset = this.offscreenIndicators.getNextPreset();
+        this.offscreenIndicators.setPreset(preset);
+
+        if (this.inputManager.settings) {
+            this.inputManager.settings.offscreenIndicators = preset;
+            this.inputManager.saveSettings();
+        }
+        if (this.modals.options) {
+            this.modals.options.updateButtonLabels();
+        }
+    }
+
     loadSettings() {
         const defaults = { dashButtonPosition: 'right' };
 
@@ -6109,6 +7379,7 @@ class VibeSurvivor {
     }
 
     updateOverlayLockState() {
+        if (this.headless) return;
         const content = document.querySelector('.vibe-survivor-content');
         if (!content) return;
 
@@ -6240,6 +7511,7 @@ class VibeSurvivor {
     // Phase 12c.7 - scrollVictoryContent removed, handled by VictoryModal class
 
     checkHelpButtonVisibility() {
+        if (this.headless) return;
         const helpBtn = document.getElementById('help-btn');
         if (!helpBtn) return;
 
@@ -6405,6 +7677,9 @@ class VibeSurvivor {
     }
 
     exitToMenu() {
+        // Keep the run so it can be continued from the start screen
+        this.suspendRun();
+
         this.isPaused = false;
         this.gameRunning = false;
 
@@ -6593,8 +7868,10 @@ class VibeSurvivor {
             cachedSqrt: this.cachedSqrt,
             fastCos: this.fastCos,
             fastSin: this.fastSin,
+            enemyGrid: this.physicsManager.getEnemyGrid(this.enemies),
             recordDamage: (weaponType, damage, enemy) => this.recordWeaponDamage(weaponType, damage, enemy),
             createHitParticles: (x, y, color) => this.createHitParticles(x, y, color),
+            statusEffects: this.enemySystem.statusEffects,
             audioManager: this.audioManager
         });
     }
@@ -6606,596 +7883,70 @@ class VibeSurvivor {
     createBossMissile(boss, healthPercent = 1.0) {
         const bossLevel = boss.bossLevel || 1;
         const variant = this.getBossVariantById(boss.variantId) || this.getBossVariantForLevel(bossLevel);
-        const attackPattern = variant?.attackPattern || 'pulse';
+        // A phase transition may have switched the boss to another pattern set
+        const attackPattern = boss.attackPattern || variant?.attackPattern || DEFAULT_BOSS_PATTERN;
         const cycleLevel = this.getBossCycle(bossLevel);
 
-        switch (attackPattern) {
-            case 'shock':
-                this.fireShockSentinelPattern(boss);
-                break;
-            case 'rift':
-                this.fireRiftReaverPattern(boss);
-                break;
-            case 'carrier':
-                this.fireNightfallCarrierPattern(boss);
-                break;
-            case 'titan':
-                this.fireSingularityTitanPattern(boss);
-                break;
-            case 'solar':
-                this.fireSolarWardenPattern(boss);
-                break;
-            case 'prism':
-                this.firePrismSeraphPattern(boss);
-                break;
-            case 'vortex':
-                this.fireVortexSpectrePattern(boss);
-                break;
-            case 'reaper':
-                this.fireCrimsonReaperPattern(boss);
-                break;
-            case 'colossus':
-                this.fireFrostColossusPattern(boss);
-                break;
-            default:
-                this.firePulseHunterPattern(boss, healthPercent);
-        }
+        // Volleys come from the pattern in config/boss-patterns.js
+        this.enemySystem.bossPatterns.fire(boss, attackPattern, this.getBossPatternContext(healthPercent));
 
         this.applyBossCycleMissileBonus(boss, attackPattern, cycleLevel);
     }
 
-    firePulseHunterPattern(boss, healthPercent) {
-        const angleToPlayer = Math.atan2(this.player.y - boss.y, this.player.x - boss.x);
-        const bossLevel = boss.bossLevel || 1;
-        const speedMultiplier = this.fastPow(1.05, bossLevel - 1);
-        const damageMultiplier = this.fastPow(1.15, bossLevel - 1);
-
-        let spreadAngles;
-        let damage;
-        let speed;
-        let homingStrength;
-        let color;
-
-        if (healthPercent > 0.7) {
-            spreadAngles = [-0.3, 0, 0.3];
-            damage = Math.floor(25 * damageMultiplier);
-            speed = 2.5 * speedMultiplier;
-            homingStrength = 0.05;
-            color = '#FF0066';
-        } else if (healthPercent > 0.3) {
-            spreadAngles = [-0.6, -0.3, 0, 0.3, 0.6];
-            damage = Math.floor(30 * damageMultiplier);
-            speed = 2.75 * speedMultiplier;
-            homingStrength = 0.07;
-            color = '#FF3366';
-        } else {
-            spreadAngles = [-0.9, -0.6, -0.3, 0, 0.3, 0.6, 0.9];
-            damage = Math.floor(35 * damageMultiplier);
-            speed = 3 * speedMultiplier;
-            homingStrength = 0.1;
-            color = '#FF0033';
-        }
-
-        spreadAngles.forEach(angleOffset => {
-            this.projectiles.push({
-                x: boss.x,
-                y: boss.y,
-                vx: this.fastCos(angleToPlayer + angleOffset) * speed,
-                vy: this.fastSin(angleToPlayer + angleOffset) * speed,
-                damage,
-                life: this.getBossProjectileLife(300, boss),
-                type: 'boss-missile',
-                color,
-                size: 4,
-                homing: true,
-                homingStrength,
-                explosionRadius: 40,
-                speed,
-                owner: 'enemy'
-            });
-        });
-    }
-
-    fireShockSentinelPattern(boss) {
-        boss.variantState = boss.variantState || {};
-        const state = boss.variantState;
-        state.attackToggle = !state.attackToggle;
-        const angleToPlayer = Math.atan2(this.player.y - boss.y, this.player.x - boss.x);
-
-        if (state.attackToggle) {
-            for (let i = -2; i <= 2; i++) {
-                const offset = angleToPlayer + i * 0.08;
-                const speed = 5;
-                this.projectiles.push({
-                    x: boss.x,
-                    y: boss.y,
-                    vx: Math.cos(offset) * speed,
-                    vy: Math.sin(offset) * speed,
-                    damage: 32,
-                    life: this.getBossProjectileLife(90, boss),
-                    type: 'boss-missile',
-                    color: '#00E5FF',
-                    size: 5,
-                    homing: false,
-                    explosionRadius: 30,
-                    speed,
-                    owner: 'enemy'
-                });
-            }
-        } else {
-            const ringCount = 8;
-            const offset = (state.ringOffset = ((state.ringOffset || 0) + 0.4) % (Math.PI * 2));
-            for (let i = 0; i < ringCount; i++) {
-                const angle = offset + (Math.PI * 2 * i) / ringCount;
-                const speed = 1.2;
-                this.projectiles.push({
-                    x: boss.x,
-                    y: boss.y,
-                    vx: Math.cos(angle) * speed,
-                    vy: Math.sin(angle) * speed,
-                    damage: 26,
-                    life: this.getBossProjectileLife(240, boss),
-                    type: 'boss-missile',
-                    color: '#00B4D8',
-                    size: 6,
-                    homing: false,
-                    explosionRadius: 55,
-                    speed,
-                    owner: 'enemy'
-                });
-            }
-        }
-    }
-
-    fireRiftReaverPattern(boss) {
-        boss.variantState = boss.variantState || {};
-        const state = boss.variantState;
-        state.orbAngle = (state.orbAngle || 0) + 0.35;
-        const angleToPlayer = Math.atan2(this.player.y - boss.y, this.player.x - boss.x);
-
-        const shardOffsets = [-0.4, -0.2, 0, 0.2, 0.4];
-        shardOffsets.forEach(offset => {
-            const speed = 4.5;
-            this.projectiles.push({
-                x: boss.x,
-                y: boss.y,
-                vx: Math.cos(angleToPlayer + offset) * speed,
-                vy: Math.sin(angleToPlayer + offset) * speed,
-                damage: 36,
-                life: this.getBossProjectileLife(220, boss),
-                type: 'boss-missile',
-                color: '#FF8A00',
-                size: 5,
-                homing: true,
-                homingStrength: 0.12,
-                explosionRadius: 45,
-                speed,
-                owner: 'enemy'
-            });
-        });
-
-        const orbs = 6;
-        for (let i = 0; i < orbs; i++) {
-            const angle = state.orbAngle + (Math.PI * 2 * i) / orbs;
-            const speed = 2.2;
-            this.projectiles.push({
-                x: boss.x,
-                y: boss.y,
-                vx: Math.cos(angle) * speed,
-                vy: Math.sin(angle) * speed,
-                damage: 18,
-                life: this.getBossProjectileLife(260, boss),
-                type: 'boss-missile',
-                color: '#FFC078',
-                size: 4,
-                homing: false,
-                explosionRadius: 25,
-                speed,
-                owner: 'enemy'
-            });
-        }
-
-        // Dash challenge shots: very fast but deal graceful damage so players can dash through
-        const dashShots = 2;
-        for (let i = 0; i < dashShots; i++) {
-            const offset = i === 0 ? -0.08 : 0.08;
-            const speed = 6.5;
-            this.projectiles.push({
-                x: boss.x,
-                y: boss.y,
-                vx: Math.cos(angleToPlayer + offset) * speed,
-                vy: Math.sin(angleToPlayer + offset) * speed,
-                damage: 18,
-                life: this.getBossProjectileLife(140, boss),
-                type: 'boss-missile',
-                color: '#FFDF91',
-                size: 4,
-                homing: false,
-                explosionRadius: 20,
-                speed,
-                owner: 'enemy'
-            });
-        }
-    }
-
-    fireNightfallCarrierPattern(boss) {
-        const angleToPlayer = Math.atan2(this.player.y - boss.y, this.player.x - boss.x);
-        const volleyCount = 4;
-        for (let i = 0; i < volleyCount; i++) {
-            const offset = angleToPlayer + (i - (volleyCount - 1) / 2) * 0.15;
-            const speed = 3;
-            this.projectiles.push({
-                x: boss.x,
-                y: boss.y,
-                vx: Math.cos(offset) * speed,
-                vy: Math.sin(offset) * speed,
-                damage: 28,
-                life: this.getBossProjectileLife(200, boss),
-                type: 'boss-missile',
-                color: '#8F7CFF',
-                size: 5,
-                homing: false,
-                explosionRadius: 60,
-                speed,
-                owner: 'enemy'
-            });
-        }
-
-        const slowBombs = 3;
-        for (let i = 0; i < slowBombs; i++) {
-            const angle = (Math.PI * 2 * i) / slowBombs;
-            const speed = 1.2;
-            this.projectiles.push({
-                x: boss.x,
-                y: boss.y,
-                vx: Math.cos(angle) * speed,
-                vy: Math.sin(angle) * speed,
-                damage: 32,
-                life: this.getBossProjectileLife(260, boss),
-                type: 'boss-missile',
-                color: '#B19CFF',
-                size: 6,
-                homing: false,
-                explosionRadius: 70,
-                speed,
-                owner: 'enemy'
-            });
-        }
-    }
-
-    fireSingularityTitanPattern(boss) {
-        boss.variantState = boss.variantState || {};
-        const state = boss.variantState;
-        state.radialPhase = (state.radialPhase || 0) + 0.2;
-
-        const bolts = 12;
-        for (let i = 0; i < bolts; i++) {
-            const angle = state.radialPhase + (Math.PI * 2 * i) / bolts;
-            const speed = 3.2;
-            this.projectiles.push({
-                x: boss.x,
-                y: boss.y,
-                vx: Math.cos(angle) * speed,
-                vy: Math.sin(angle) * speed,
-                damage: 38,
-                life: this.getBossProjectileLife(220, boss),
-                type: 'boss-missile',
-                color: '#FFE34D',
-                size: 6,
-                homing: false,
-                explosionRadius: 50,
-                speed,
-                owner: 'enemy'
-            });
-        }
-
-        const gravityWells = 2;
-        for (let i = 0; i < gravityWells; i++) {
-            const baseAngle = Math.atan2(this.player.y - boss.y, this.player.x - boss.x);
-            const offset = i === 0 ? -0.2 : 0.2;
-            const speed = 1.5;
-            this.projectiles.push({
-                x: boss.x,
-                y: boss.y,
-                vx: Math.cos(baseAngle + offset) * speed,
-                vy: Math.sin(baseAngle + offset) * speed,
-                damage: 42,
-                life: this.getBossProjectileLife(260, boss),
-                type: 'boss-missile',
-                color: '#FFC107',
-                size: 7,
-                homing: true,
-                homingStrength: 0.04,
-                explosionRadius: 80,
-                speed,
-                owner: 'enemy'
-            });
-        }
-    }
-
-    fireSolarWardenPattern(boss) {
-        const bolts = 12;
-        const baseSpeed = 3.2;
-        for (let i = 0; i < bolts; i++) {
-            const angle = (Math.PI * 2 * i) / bolts;
-            this.projectiles.push({
-                x: boss.x,
-                y: boss.y,
-                vx: this.fastCos(angle) * baseSpeed,
-                vy: this.fastSin(angle) * baseSpeed,
-                damage: 30,
-                life: this.getBossProjectileLife(220, boss),
-                type: 'boss-missile',
-                color: '#FFB347',
-                size: 5,
-                homing: false,
-                explosionRadius: 45,
-                speed: baseSpeed,
-                owner: 'enemy'
-            });
-        }
-
-        const beamOffset = 0.12;
-        const angleToPlayer = Math.atan2(this.player.y - boss.y, this.player.x - boss.x);
-        for (let i = -1; i <= 1; i += 2) {
-            const beamAngle = angleToPlayer + beamOffset * i;
-            const speed = 5.5;
-            this.projectiles.push({
-                x: boss.x,
-                y: boss.y,
-                vx: Math.cos(beamAngle) * speed,
-                vy: Math.sin(beamAngle) * speed,
-                damage: 16,
-                life: this.getBossProjectileLife(160, boss),
-                type: 'boss-missile',
-                color: '#FFD27F',
-                size: 4,
-                homing: false,
-                explosionRadius: 25,
-                speed,
-                owner: 'enemy'
-            });
-        }
-    }
-
-    firePrismSeraphPattern(boss) {
-        const angleToPlayer = Math.atan2(this.player.y - boss.y, this.player.x - boss.x);
-        const shardCount = 6;
-        for (let i = 0; i < shardCount; i++) {
-            const offset = (Math.PI * 2 * i) / shardCount;
-            const speed = 4;
-            this.projectiles.push({
-                x: boss.x,
-                y: boss.y,
-                vx: Math.cos(angleToPlayer + offset) * speed,
-                vy: Math.sin(angleToPlayer + offset) * speed,
-                damage: 24,
-                life: this.getBossProjectileLife(200, boss),
-                type: 'boss-missile',
-                color: '#7CFFE8',
-                size: 4,
-                homing: true,
-                homingStrength: 0.08,
-                explosionRadius: 30,
-                speed,
-                owner: 'enemy'
-            });
-        }
-
-        const prismBeams = 3;
-        for (let i = 0; i < prismBeams; i++) {
-            const beamAngle = angleToPlayer + (-0.3 + 0.3 * i);
-            const speed = 6;
-            this.projectiles.push({
-                x: boss.x,
-                y: boss.y,
-                vx: Math.cos(beamAngle) * speed,
-                vy: Math.sin(beamAngle) * speed,
-                damage: 20,
-                life: this.getBossProjectileLife(140, boss),
-                type: 'boss-missile',
-                color: '#C5FFF5',
-                size: 3,
-                homing: false,
-                explosionRadius: 20,
-                speed,
-                owner: 'enemy'
-            });
-        }
-    }
-
-    fireVortexSpectrePattern(boss) {
-        boss.variantState = boss.variantState || {};
-        const state = boss.variantState;
-        state.spiralPhase = (state.spiralPhase || 0) + 0.25;
-
-        // Counter-rotating spiral waves (8 projectiles each direction)
-        const spiralCount = 8;
-        for (let i = 0; i < spiralCount; i++) {
-            const angle = (Math.PI * 2 * i) / spiralCount;
-
-            // Clockwise spiral
-            const angleClockwise = angle + state.spiralPhase;
-            const speedCW = 2.8;
-            this.projectiles.push({
-                x: boss.x,
-                y: boss.y,
-                vx: Math.cos(angleClockwise) * speedCW,
-                vy: Math.sin(angleClockwise) * speedCW,
-                damage: 28,
-                life: this.getBossProjectileLife(240, boss),
-                type: 'boss-missile',
-                color: '#9D00FF',
-                size: 4,
-                homing: false,
-                explosionRadius: 35,
-                speed: speedCW,
-                owner: 'enemy'
-            });
-
-            // Counter-clockwise spiral
-            const angleCounterCW = angle - state.spiralPhase;
-            const speedCCW = 2.8;
-            this.projectiles.push({
-                x: boss.x,
-                y: boss.y,
-                vx: Math.cos(angleCounterCW) * speedCCW,
-                vy: Math.sin(angleCounterCW) * speedCCW,
-                damage: 28,
-                life: this.getBossProjectileLife(240, boss),
-                type: 'boss-missile',
-                color: '#C77DFF',
-                size: 4,
-                homing: false,
-                explosionRadius: 35,
-                speed: speedCCW,
-                owner: 'enemy'
-            });
-        }
-
-        // Stationary mines in cardinal directions
-        const mineDirections = [0, Math.PI / 2, Math.PI, Math.PI * 1.5];
-        mineDirections.forEach(angle => {
-            const distance = 120;
-            this.projectiles.push({
-                x: boss.x + Math.cos(angle) * distance,
-                y: boss.y + Math.sin(angle) * distance,
-                vx: 0,
-                vy: 0,
-                damage: 35,
-                life: this.getBossProjectileLife(800, boss),
-                type: 'boss-missile',
-                color: '#7B2CBF',
-                size: 6,
-                homing: false,
-                explosionRadius: 55,
-                speed: 0,
-                owner: 'enemy',
-                isMine: true,
-                pulseOffset: Math.random() * Math.PI * 2
+    /**
+     * Shows the warnings for a boss's next attack on the effects layer
+     * @param {Object} boss - Boss enemy
+     * @param {string|Object} attackPattern - Pattern the attack comes from
+     * @param {number} healthPercent - Boss health fraction
+     * @param {number} framesUntilAttack - How long the warnings stay up
+     */
+    telegraphBossAttack(boss, attackPattern, healthPercent, framesUntilAttack) {
+        const telegraphs = this.enemySystem.bossPatterns.getTelegraphs(boss, attackPattern, healthPercent, this.player);
+        telegraphs.forEach(telegraph => {
+            this.effectsManager.addTelegraph({
+                ...telegraph,
+                anchor: telegraph.anchor === 'player' ? this.player : boss,
+                target: telegraph.target === 'player' ? this.player : null,
+                duration: framesUntilAttack
             });
         });
     }
 
-    fireCrimsonReaperPattern(boss) {
-        boss.variantState = boss.variantState || {};
-        const state = boss.variantState;
-        state.attackToggle = !state.attackToggle;
-        const angleToPlayer = Math.atan2(this.player.y - boss.y, this.player.x - boss.x);
+    /**
+     * Plays a boss phase transition: the BossPatternSystem applies invulnerability, the new
+     * pattern set and arena hazards; the roar (shockwave, shake, alert, announcement) hangs off
+     * the bossPhaseChanged event
+     * @param {Object} boss - Boss enemy
+     * @param {Object} transition - Entry of the variant's phaseTransitions
+     * @param {Object} variant - Boss variant config
+     * @param {number} healthPercent - Boss health fraction
+     */
+    startBossPhaseTransition(boss, transition, variant, healthPercent) {
+        this.enemySystem.bossPatterns.startPhaseTransition(boss, transition, this.getBossPatternContext(healthPercent));
 
-        if (state.attackToggle) {
-            // Cardinal directions (+ pattern)
-            const cardinalAngles = [0, Math.PI / 2, Math.PI, Math.PI * 1.5];
-            cardinalAngles.forEach(angle => {
-                const speed = 5.5;
-                this.projectiles.push({
-                    x: boss.x,
-                    y: boss.y,
-                    vx: Math.cos(angle) * speed,
-                    vy: Math.sin(angle) * speed,
-                    damage: 32,
-                    life: this.getBossProjectileLife(160, boss),
-                    type: 'boss-missile',
-                    color: '#FF1744',
-                    size: 5,
-                    homing: false,
-                    explosionRadius: 30,
-                    speed,
-                    owner: 'enemy'
-                });
-            });
-        } else {
-            // Diagonal directions (X pattern)
-            const diagonalAngles = [Math.PI / 4, Math.PI * 3 / 4, Math.PI * 5 / 4, Math.PI * 7 / 4];
-            diagonalAngles.forEach(angle => {
-                const speed = 5.5;
-                this.projectiles.push({
-                    x: boss.x,
-                    y: boss.y,
-                    vx: Math.cos(angle) * speed,
-                    vy: Math.sin(angle) * speed,
-                    damage: 32,
-                    life: this.getBossProjectileLife(160, boss),
-                    type: 'boss-missile',
-                    color: '#FF4569',
-                    size: 5,
-                    homing: false,
-                    explosionRadius: 30,
-                    speed,
-                    owner: 'enemy'
-                });
-            });
+        // The new pattern opens a full interval after the roar, with fresh telegraphs
+        boss.lastMissileFrame = this.frameCount + (boss.invulnerableFrames || 0);
+        boss.attackTelegraphed = false;
+        if (boss.dashState) {
+            boss.dashState.active = false;
+            boss.dashState.windup = 0;
         }
 
-        // Homing missiles toward player (always fire)
-        const homingCount = 3;
-        for (let i = 0; i < homingCount; i++) {
-            const offset = (i - 1) * 0.15;
-            const speed = 3.5;
-            this.projectiles.push({
-                x: boss.x,
-                y: boss.y,
-                vx: Math.cos(angleToPlayer + offset) * speed,
-                vy: Math.sin(angleToPlayer + offset) * speed,
-                damage: 26,
-                life: this.getBossProjectileLife(200, boss),
-                type: 'boss-missile',
-                color: '#FF6B88',
-                size: 4,
-                homing: true,
-                homingStrength: 0.09,
-                explosionRadius: 35,
-                speed,
-                owner: 'enemy'
-            });
-        }
+        this.events.emit('bossPhaseChanged', { boss, transition, variant, healthPercent });
     }
 
-    fireFrostColossusPattern(boss) {
-        // Massive 16-projectile ice nova covering all directions
-        const novaCount = 16;
-        for (let i = 0; i < novaCount; i++) {
-            const angle = (Math.PI * 2 * i) / novaCount;
-            const speed = 2.2;
-            this.projectiles.push({
-                x: boss.x,
-                y: boss.y,
-                vx: Math.cos(angle) * speed,
-                vy: Math.sin(angle) * speed,
-                damage: 30,
-                life: this.getBossProjectileLife(260, boss),
-                type: 'boss-missile',
-                color: '#00D4FF',
-                size: 8,
-                homing: false,
-                explosionRadius: 55,
-                speed,
-                owner: 'enemy'
-            });
-        }
-
-        // Fast ice spears directly at player
-        const angleToPlayer = Math.atan2(this.player.y - boss.y, this.player.x - boss.x);
-        const spearCount = 3;
-        for (let i = 0; i < spearCount; i++) {
-            const offset = (i - 1) * 0.12;
-            const speed = 6;
-            this.projectiles.push({
-                x: boss.x,
-                y: boss.y,
-                vx: Math.cos(angleToPlayer + offset) * speed,
-                vy: Math.sin(angleToPlayer + offset) * speed,
-                damage: 38,
-                life: this.getBossProjectileLife(180, boss),
-                type: 'boss-missile',
-                color: '#5CE1FF',
-                size: 6,
-                homing: false,
-                explosionRadius: 45,
-                speed,
-                owner: 'enemy'
-            });
-        }
+    /**
+     * Context the BossPatternSystem fires with
+     * @param {number} healthPercent - Boss health fraction (picks the pattern phase)
+     * @returns {Object}
+     */
+    getBossPatternContext(healthPercent) {
+        return {
+            player: this.player,
+            healthPercent,
+            addProjectile: (projectile) => this.projectiles.push(projectile),
+            getProjectileLife: (baseLife, boss) => this.getBossProjectileLife(baseLife, boss)
+        };
     }
 
     spawnEnemies() {
@@ -7204,40 +7955,76 @@ class VibeSurvivor {
             enemies: this.enemies,
             player: this.player,
             gameTime: this.gameTime,
-            bossesKilled: this.bossesKilled,
             bossDefeating: this.bossDefeating,
-            spawnEnemy: () => this.spawnEnemy(),
-            spawnBoss: () => this.spawnBoss()
+            bossActive: !!this.pendingBossSpawn || this.enemies.some(enemy => enemy.behavior === 'boss'),
+            nextBossTime: this.nextBossSpawnTime,
+            spawnEnemy: (options) => this.spawnEnemy(options),
+            spawnBoss: (event) => this.spawnTimelineBoss(event),
+            announceWave: (event) => this.announceWaveEvent(event)
+        });
+    }
+
+    /**
+     * Queues a boss for a wave timeline 'boss' event. It takes the place of any scheduled
+     * respawn; the next one is scheduled again when this boss falls.
+     * @param {Object} event - Timeline event (optional variantId)
+     */
+    spawnTimelineBoss(event) {
+        this.nextBossSpawnTime = null;
+        const type = this.bossesKilled === 0 ? 'first' : 'scaled';
+        this.queueBossSpawn(type, {
+            delaySeconds: this.bossSpawnDelaySeconds,
+            distance: this.bossSpawnDistance,
+            bossLevel: this.bossLevel,
+            variantId: event.variantId
         });
     }
 
-    spawnEnemy() {
-        const side = Math.floor(Math.random() * 4);
+    /**
+     * Shows a wave timeline event's message on the HUD
+     * @param {Object} event - Timeline event with announce/announceKo
+     */
+    announceWaveEvent(event) {
+        const message = (this.currentLanguage === 'ko' && event.announceKo) ? event.announceKo : event.announce;
+        this.showToastNotification(message, 'wave');
+    }
+
+    /**
+     * Spawns a regular enemy
+     * @param {Object} [options] - Overrides (the wave director's swarms and lines)
+     * @param {string} [options.type] - Enemy type instead of the time-unlocked mix
+     * @param {number} [options.x] - Spawn X instead of a random point around the player
+     * @param {number} [options.y] - Spawn Y
+     * @returns {Object} The new enemy
+     */
+    spawnEnemy(options = {}) {
         const spawnDistance = 500; // Distance from player to spawn enemies
-        let x, y;
+        let x = options.x, y = options.y;
 
         // Spawn enemies around the player's position instead of canvas bounds
-        switch (side) {
-            case 0: // Top
-                x = this.player.x + (Math.random() - 0.5) * 500;
-                y = this.player.y - spawnDistance;
-                break;
-            case 1: // Right
-                x = this.player.x + spawnDistance;
-                y = this.player.y + (Math.random() - 0.5) * 500;
-                break;
-            case 2: // Bottom
-                x = this.player.x + (Math.random() - 0.5) * 500;
-                y = this.player.y + spawnDistance;
-                break;
-            case 3: // Left
-                x = this.player.x - spawnDistance;
-                y = this.player.y + (Math.random() - 0.5) * 500;
-                break;
+        if (x === undefined || y === undefined) {
+            const side = Math.floor(this.rng.next() * 4);
+            switch (side) {
+                case 0: // Top
+                    x = this.player.x + (this.rng.next() - 0.5) * 500;
+                    y = this.player.y - spawnDistance;
+                    break;
+                case 1: // Right
+                    x = this.player.x + spawnDistance;
+                    y = this.player.y + (this.rng.next() - 0.5) * 500;
+                    break;
+                case 2: // Bottom
+                    x = this.player.x + (this.rng.next() - 0.5) * 500;
+                    y = this.player.y + spawnDistance;
+                    break;
+                case 3: // Left
+                    x = this.player.x - spawnDistance;
+                    y = this.player.y + (this.rng.next() - 0.5) * 500;
+                    break;
+            }
         }
 
-        const enemyTypes = this.getAvailableEnemyTypes();
-        const type = this.selectEnemyType(enemyTypes);
+        const type = options.type || this.selectEnemyType(this.getAvailableEnemyTypes());
         const config = this.getEnemyConfig(type);
         const variant = this.selectEnemyVariant(type);
 
@@ -7273,6 +8060,7 @@ class VibeSurvivor {
             x: x,
             y: y,
             radius: radius,
+            mass: (ENEMIES[type.toUpperCase()]?.mass ?? 1) * sizeMult,
             speed: enemySpeed,
             baseSpeed: enemySpeed, // Store base speed for future scaling updates
             maxHealth: enemyHealth,
@@ -7281,14 +8069,14 @@ class VibeSurvivor {
             color: variant?.color || config.color,
             behavior: config.behavior,
             specialCooldown: 0,
-            burning: null,
+            statusEffects: null,
             spawnedMinions: false,
             variantId: variant?.id || 'standard',
             variantShape: variant?.shape || 'circle',
             variantColor: variant?.color || null,
             variantState: {},
             orbitStrength: variant?.orbitStrength || 0,
-            orbitDirection: Math.random() < 0.5 ? -1 : 1,
+            orbitDirection: this.rng.next() < 0.5 ? -1 : 1,
             zigzagStrength: variant?.zigzagStrength || 0,
             zigzagPeriod: variant?.zigzagPeriod || 0,
             burstDuration: variant?.burstDuration || 0,
@@ -7301,8 +8089,14 @@ class VibeSurvivor {
 
         // Give every enemy a small spin for visual motion
         const rotSpeed = (variant?.rotSpeed ?? config.rotSpeed) ?? 0.02;
-        enemy.angle = Math.random() * Math.PI * 2;
-        enemy.rotSpeed = rotSpeed * (Math.random() < 0.5 ? -1 : 1);
+        enemy.angle = this.rng.next() * Math.PI * 2;
+        enemy.rotSpeed = rotSpeed * (this.rng.next() < 0.5 ? -1 : 1);
+
+        this.enemySystem.elites.rollAffixes(enemy, {
+            gameTime: this.gameTime,
+            bossesKilled: this.bossesKilled,
+            chanceBonus: this.enemySystem.waveDirector.getModifiers().eliteChanceBonus
+        });
 
         this.enemies.push(enemy);
 
@@ -7310,6 +8104,7 @@ class VibeSurvivor {
         if (config.behavior === 'boss') {
             this.showBossNotification();
         }
+        return enemy;
     }
 
     getBossVariantForLevel(level) {
@@ -7460,7 +8255,7 @@ class VibeSurvivor {
     }
 
     spawnBossImmediate(spawnDistance, variantConfig, suppressNotification = true, bossLevel = this.bossLevel) {
-        const angle = Math.random() * Math.PI * 2;
+        const angle = this.rng.next() * Math.PI * 2;
         const x = this.player.x + this.fastCos(angle) * spawnDistance;
         const y = this.player.y + this.fastSin(angle) * spawnDistance;
 
@@ -7471,7 +8266,7 @@ class VibeSurvivor {
         const baseHealth = config.health * (1 + Math.floor(this.gameTime / 30) * 0.3);
         const scaledHealth = Math.floor(baseHealth * BOSS_HEALTH_MULTIPLIER);
 
-        this.enemies.push({
+        const boss = {
             x: x,
             y: y,
             radius: config.radius * sizeMultiplier,
@@ -7487,7 +8282,9 @@ class VibeSurvivor {
             angle: 0,
             rotSpeed: 0.05,
             specialCooldown: 0,
-            burning: null,
+            statusEffects: null,
+            mass: ENEMIES.BOSS.mass,
+            statusResistances: this.getBossStatusResistances(variantConfig),
             spawnedMinions: false,
             lastMissileFrame: 0, // Initialize missile timing for boss attacks
             // Dash state for Phase 3 movement
@@ -7515,37 +8312,61 @@ class VibeSurvivor {
             variantState: {},
             missileInterval: variantConfig?.missileInterval || 200,
             bossLevel: bossLevel
-        });
+        };
+        this.enemies.push(boss);
 
         this.bossSpawned = true;
+        this.events.emit('bossSpawned', { boss, variant: variantConfig });
 
         if (!suppressNotification) {
             this.showBossNotification(variantConfig);
         }
     }
 
-    spawnScaledBossImmediate(spawnDistance, variantConfig, bossLevel = this.bossLevel, suppressNotification = true) {
-        const angle = Math.random() * Math.PI * 2;
+    /**
+     * Status resistances of a boss: the ones every boss has plus its variant's own
+     * @param {Object} variantConfig - Boss variant from BOSS_VARIANTS
+     * @returns {Object} { effectId: 0-1 }
+     */
+    getBossStatusResistances(variantConfig) {
+        return { ...BOSS_STATUS_RESISTANCES, ...(variantConfig?.statusResistances || {}) };
+    }
+
+    /**
+     * Spawns a boss scaled by progression
+     * @param {number} spawnDistance - Distance from the player
+     * @param {Object} variantConfig - Boss variant from BOSS_VARIANTS
+     * @param {number} [bossLevel] - Boss level (rendering effects)
+     * @param {boolean} [suppressNotification=true] - Skip the arrival alert
+     * @param {Object} [options] - Boss Rush overrides
+     * @param {number} [options.scalingSteps] - Scaling steps instead of bosses killed
+     * @param {number} [options.healthScale=1] - Multiplies the scaled health
+     * @param {number} [options.angle] - Spawn direction from the player instead of a random one
+     * @returns {Object} The new boss
+     */
+    spawnScaledBossImmediate(spawnDistance, variantConfig, bossLevel = this.bossLevel, suppressNotification = true, options = {}) {
+        const angle = options.angle ?? this.rng.next() * Math.PI * 2;
         const x = this.player.x + this.fastCos(angle) * spawnDistance;
         const y = this.player.y + this.fastSin(angle) * spawnDistance;
 
         const baseConfig = this.getEnemyConfig('boss');
 
         // Calculate scaled stats based on bosses killed
-        const healthMultiplier = this.fastPow(1.4, this.bossesKilled);
-        const speedMultiplier = this.fastPow(1.05, this.bossesKilled);
-        const damageMultiplier = this.fastPow(1.15, this.bossesKilled);
-        const sizeMultiplier = this.fastPow(1.05, this.bossesKilled);
+        const scalingSteps = options.scalingSteps ?? this.bossesKilled;
+        const healthMultiplier = this.fastPow(1.4, scalingSteps);
+        const speedMultiplier = this.fastPow(1.05, scalingSteps);
+        const damageMultiplier = this.fastPow(1.15, scalingSteps);
+        const sizeMultiplier = this.fastPow(1.05, scalingSteps);
         const variantSize = variantConfig?.sizeMultiplier || 1;
 
         // Use effective first boss HP baseline and boost it
         const effectiveBaseHP = 4000 * BOSS_HEALTH_MULTIPLIER;
-        const scaledHealth = Math.floor(effectiveBaseHP * healthMultiplier);
+        const scaledHealth = Math.floor(effectiveBaseHP * healthMultiplier * (options.healthScale ?? 1));
         const scaledSpeed = baseConfig.speed * speedMultiplier;
         const scaledDamage = Math.floor(baseConfig.contactDamage * damageMultiplier);
         const scaledRadius = Math.floor(baseConfig.radius * sizeMultiplier * variantSize);
 
-        this.enemies.push({
+        const boss = {
             x: x,
             y: y,
             radius: scaledRadius,
@@ -7559,7 +8380,9 @@ class VibeSurvivor {
             color: variantConfig?.color || baseConfig.color,
             behavior: baseConfig.behavior,
             specialCooldown: 0,
-            burning: null,
+            statusEffects: null,
+            mass: ENEMIES.BOSS.mass,
+            statusResistances: this.getBossStatusResistances(variantConfig),
             angle: 0,
             rotSpeed: 0.02,
             lastMissileFrame: 0,
@@ -7590,13 +8413,16 @@ class VibeSurvivor {
             variantShape: variantConfig?.shape || 'octagon',
             variantState: {},
             missileInterval: variantConfig?.missileInterval || 200
-        });
+        };
+        this.enemies.push(boss);
 
         this.bossSpawned = true;
+        this.events.emit('bossSpawned', { boss, variant: variantConfig });
 
         if (!suppressNotification) {
             this.showBossNotification(variantConfig);
         }
+        return boss;
     }
 
     getAvailableEnemyTypes() {
@@ -7623,7 +8449,7 @@ class VibeSurvivor {
         };
 
         // Weighted random selection
-        const random = Math.random();
+        const random = this.rng.next();
         let cumulative = 0;
 
         for (const type of types) {
@@ -7742,7 +8568,7 @@ class VibeSurvivor {
             return weight;
         });
 
-        const roll = Math.random() * totalWeight;
+        const roll = this.rng.next() * totalWeight;
         let cumulative = 0;
         for (let i = 0; i < unlocked.length; i++) {
             cumulative += weights[i];
@@ -7761,8 +8587,9 @@ class VibeSurvivor {
             this.enemiesByBehavior[behavior].length = 0;
         }
 
-        // Re-group enemies by behavior
+        // Re-group enemies by behavior (wave lines move on their own until they've crossed)
         for (const enemy of this.enemies) {
+            if (enemy.crossing) continue;
             if (this.enemiesByBehavior[enemy.behavior]) {
                 this.enemiesByBehavior[enemy.behavior].push(enemy);
             }
@@ -7771,6 +8598,18 @@ class VibeSurvivor {
 
     // Batch process enemies by behavior type for optimal performance
     processBatchedEnemies() {
+        // Slowed/frozen enemies: remember where they started so their movement can be scaled
+        // Wave modifiers (e.g. a frenzy) speed up everything but bosses the same way
+        const statusEffects = this.enemySystem.statusEffects;
+        const waveSpeed = this.enemySystem.waveDirector.getModifiers().enemySpeedMultiplier;
+        const slowed = [];
+        for (const enemy of this.enemies) {
+            const moveMultiplier = statusEffects.getMoveMultiplier(enemy) * (enemy.behavior === 'boss' ? 1 : waveSpeed);
+            if (moveMultiplier !== 1) {
+                slowed.push({ enemy, x: enemy.x, y: enemy.y, moveMultiplier });
+            }
+        }
+
         // Process each behavior type in batches
         this.processBatchChase();
         this.processBatchDodge();
@@ -7778,6 +8617,101 @@ class VibeSurvivor {
         this.processBatchFly();
         this.processBatchTeleport();
         this.processBatchBoss();
+        this.processBatchCrossing();
+
+        // Every behavior moves at enemy.speed, so status slows scale the step it just took
+        for (const { enemy, x, y, moveMultiplier } of slowed) {
+            enemy.x = x + (enemy.x - x) * moveMultiplier;
+            enemy.y = y + (enemy.y - y) * moveMultiplier;
+        }
+
+        this.applyCrowdSeparation();
+    }
+
+    /**
+     * Pushes overlapping enemies apart, weighted by mass (see ENEMY_SEPARATION).
+     * Pushes are summed from the post-movement positions before any is applied, so the result
+     * doesn't depend on enemy order. Bosses shove others but are never moved, and frozen or
+     * slowed enemies are pushed as far as they could move.
+     */
+    applyCrowdSeparation() {
+        const enemies = this.enemies;
+        if (enemies.length < 2) return;
+
+        // Enemies just moved - rebuild the grid from their new positions
+        this.physicsManager.invalidateEnemyGrid();
+        const enemyGrid = this.physicsManager.getEnemyGrid(enemies);
+        const statusEffects = this.enemySystem.statusEffects;
+
+        let maxRadius = 0;
+        for (const enemy of enemies) {
+            maxRadius = Math.max(maxRadius, enemy.radius);
+        }
+
+        const neighbors = [];
+        const pushes = [];
+        for (let i = 0; i < enemies.length; i++) {
+            const enemy = enemies[i];
+            if (enemy.behavior === 'boss' || enemy.health <= 0) continue;
+
+            const mass = enemy.mass || 1;
+            let pushX = 0;
+            let pushY = 0;
+
+            for (const other of enemyGrid.queryUnordered(enemy.x, enemy.y, enemy.radius + maxRadius, neighbors)) {
+                if (other === enemy || other.health <= 0) continue;
+
+                const minDistance = enemy.radius + other.radius;
+                let dx = enemy.x - other.x;
+                let dy = enemy.y - other.y;
+                const distanceSq = dx * dx + dy * dy;
+                if (distanceSq >= minDistance * minDistance) continue;
+
+                let distance = Math.sqrt(distanceSq);
+                if (distance === 0) {
+                    // Exactly stacked: fan out by array index so the split stays deterministic
+                    dx = this.fastCos(i * 2.39996);
+                    dy = this.fastSin(i * 2.39996);
+                    distance = 1;
+                }
+
+                const otherMass = other.mass || 1;
+                const share = (minDistance - distance) * otherMass / (mass + otherMass);
+                pushX += (dx / distance) * share;
+                pushY += (dy / distance) * share;
+            }
+
+            if (pushX === 0 && pushY === 0) continue;
+
+            pushX *= ENEMY_SEPARATION.STRENGTH;
+            pushY *= ENEMY_SEPARATION.STRENGTH;
+            const pushLength = Math.sqrt(pushX * pushX + pushY * pushY);
+            const maxPush = ENEMY_SEPARATION.MAX_PUSH * statusEffects.getMoveMultiplier(enemy);
+            if (pushLength > maxPush) {
+                pushX *= maxPush / pushLength;
+                pushY *= maxPush / pushLength;
+            }
+            pushes.push({ enemy, x: pushX, y: pushY });
+        }
+
+        for (const push of pushes) {
+            push.enemy.x += push.x;
+            push.enemy.y += push.y;
+        }
+    }
+
+    processBatchCrossing() {
+        for (const enemy of this.enemies) {
+            const crossing = enemy.crossing;
+            if (!crossing) continue;
+
+            enemy.x += crossing.vx;
+            enemy.y += crossing.vy;
+            crossing.framesLeft--;
+            if (crossing.framesLeft <= 0) {
+                enemy.crossing = null;
+            }
+        }
     }
 
     processBatchChase() {
@@ -7804,11 +8738,16 @@ class VibeSurvivor {
         const dodgeRadius = 50;
         const dodgeRadiusSq = dodgeRadius * dodgeRadius;
 
+        // Projectiles don't move during the batch, so one grid serves every dodger
+        const projectileGrid = this.physicsManager.projectileGrid;
+        const nearbyProjectiles = [];
+        projectileGrid.rebuild(this.projectiles);
+
         for (const enemy of dodgeEnemies) {
             let dodgeX = 0, dodgeY = 0;
 
             // Check nearby projectiles for dodge behavior
-            for (const projectile of this.projectiles) {
+            for (const projectile of projectileGrid.query(enemy.x, enemy.y, dodgeRadius, nearbyProjectiles)) {
                 const pDistSq = Vector2.distanceSquared(enemy.x, enemy.y, projectile.x, projectile.y);
                 if (pDistSq < dodgeRadiusSq && pDistSq > 0) {
                     const [dodgeDirX, dodgeDirY] = Vector2.direction(projectile.x, projectile.y, enemy.x, enemy.y);
@@ -7897,7 +8836,7 @@ class VibeSurvivor {
             if (enemy.specialCooldown <= 0 && distanceSquared > teleportRangeSq) {
                 this.createTeleportParticles(enemy.x, enemy.y);
                 const teleportDistance = 80;
-                const angle = Math.random() * Math.PI * 2;
+                const angle = this.rng.next() * Math.PI * 2;
                 const [teleportX, teleportY] = Vector2.rotate(teleportDistance, 0, angle);
                 enemy.x = playerX + teleportX;
                 enemy.y = playerY + teleportY;
@@ -7932,15 +8871,42 @@ class VibeSurvivor {
             enemy.specialCooldown = Math.max(0, (enemy.specialCooldown || 0) - 1);
             enemy.catchUpLockFrames = Math.max(0, (enemy.catchUpLockFrames || 0) - 1);
 
+            const transition = this.enemySystem.bossPatterns.getNextPhaseTransition(
+                enemy, variantConfig.phaseTransitions, bossHealthPercent
+            );
+            if (transition) {
+                this.startBossPhaseTransition(enemy, transition, variantConfig, bossHealthPercent);
+            }
+
+            // Invulnerable while roaring: no movement or attacks until it ends
+            if (enemy.invulnerableFrames > 0) {
+                enemy.invulnerableFrames--;
+                continue;
+            }
+
             const isCatchingUp = this.handleBossCatchUpDash(enemy, distance, playerX, playerY);
             if (isCatchingUp) {
                 continue;
             }
 
-            const missileInterval = enemy.missileInterval || variantConfig.missileInterval || 200;
-            if (this.frameCount - (enemy.lastMissileFrame || 0) >= missileInterval) {
+            const attackPattern = enemy.attackPattern || variantConfig.attackPattern || DEFAULT_BOSS_PATTERN;
+            if (enemy.patternState?.queue?.length) {
+                this.enemySystem.bossPatterns.update(enemy, attackPattern, this.getBossPatternContext(bossHealthPercent));
+            }
+
+            const missileInterval = this.enemySystem.bossPatterns.getAttackInterval(attackPattern, bossHealthPercent) ||
+                enemy.missileInterval || variantConfig.missileInterval || 200;
+            const framesUntilAttack = this.getBossFramesUntilAttack(enemy, missileInterval);
+            if (framesUntilAttack <= 0) {
                 this.createBossMissile(enemy, bossHealthPercent);
                 enemy.lastMissileFrame = this.frameCount;
+                enemy.attackTelegraphed = false;
+                if (enemy.duo) {
+                    this.syncBossDuo(enemy, missileInterval);
+                }
+            } else if (framesUntilAttack <= BOSS_TELEGRAPHS.leadFrames && !enemy.attackTelegraphed) {
+                this.telegraphBossAttack(enemy, attackPattern, bossHealthPercent, framesUntilAttack);
+                enemy.attackTelegraphed = true;
             }
 
             switch (variantConfig.behavior) {
@@ -7978,6 +8944,68 @@ class VibeSurvivor {
         }
     }
 
+    /**
+     * Frames until a boss's next volley. A duo partner waits for its lead's cue while the lead
+     * lives, so the pair's patterns interleave (or land together) instead of drifting apart.
+     * @param {Object} enemy - Boss enemy
+     * @param {number} missileInterval - Its attack interval in frames
+     * @returns {number}
+     */
+    getBossFramesUntilAttack(enemy, missileInterval) {
+        if (enemy.duo?.role === 'partner' &&
+            this.enemiesByBehavior.boss.some(boss => boss.duo?.role === 'lead' && boss.health > 0)) {
+            return enemy.duo.cueFrame === null ? Infinity : enemy.duo.cueFrame - this.frameCount;
+        }
+        return missileInterval - (this.frameCount - (enemy.lastMissileFrame || 0));
+    }
+
+    /**
+     * After a duo boss fires: the lead cues its partner, the partner waits for the next cue
+     * @param {Object} enemy - Boss that just fired
+     * @param {number} missileInterval - Its attack interval in frames
+     */
+    syncBossDuo(enemy, missileInterval) {
+        if (enemy.duo.role !== 'lead') {
+            enemy.duo.cueFrame = null;
+            return;
+        }
+
+        for (const boss of this.enemiesByBehavior.boss) {
+            if (boss.duo?.role === 'partner' && boss.health > 0) {
+                boss.duo.cueFrame = this.frameCount + Math.round(missileInterval * boss.duo.partnerDelay);
+            }
+        }
+    }
+
+    /**
+     * A boss fell while another boss of the encounter fights on. The survivors go back to
+     * their own attack timers, and duos set to enrage run their next phase transition.
+     * @param {Object} fallen - Defeated boss
+     */
+    handleBossPartnerDefeated(fallen) {
+        this.createExplosion(fallen.x, fallen.y, fallen.radius * 3, 0);
+        this.createDeathParticles(fallen.x, fallen.y, fallen.color);
+        this.createScreenShake(16, 24);
+
+        const fallenVariant = this.getBossVariantById(fallen.variantId);
+        const fallenName = (this.currentLanguage === 'ko' && fallenVariant?.nameKo) ? fallenVariant.nameKo : (fallenVariant?.name || 'BOSS');
+        this.showToastNotification(this.t('bossPartnerFallen').replace('{name}', fallenName.toUpperCase()), 'victory');
+
+        for (const boss of this.enemies) {
+            if (boss.behavior !== 'boss' || boss.health <= 0 || !boss.duo) continue;
+
+            const { enrage } = boss.duo;
+            boss.duo = null;
+            if (!enrage) continue;
+
+            const variant = this.getBossVariantById(boss.variantId);
+            const transition = variant?.phaseTransitions?.[boss.phaseTransitionsDone || 0];
+            if (transition) {
+                this.startBossPhaseTransition(boss, transition, variant, boss.health / boss.maxHealth);
+            }
+        }
+    }
+
     handleBossCatchUpDash(enemy, distance, playerX, playerY) {
         const state = enemy.catchUpDashState || (enemy.catchUpDashState = {
             active: false,
@@ -7990,7 +9018,7 @@ class VibeSurvivor {
             lastParticleFrame: 0
         });
         const wasActive = state.active;
-        const maxBossDistance = 400;
+        const maxBossDistance = ENEMIES.BOSS.catchUpDistance;
         const particleColor = '#FF0066';
         const dashSpeedMultiplier = 8;
         const arrivalThresholdSq = 2500; // 50 units squared
@@ -8003,7 +9031,7 @@ class VibeSurvivor {
             }
 
             const [teleportDirX, teleportDirY] = Vector2.direction(playerX, playerY, enemy.x, enemy.y);
-            const targetDistance = minTargetDistance + Math.random() * (maxTargetDistance - minTargetDistance);
+            const targetDistance = minTargetDistance + this.rng.next() * (maxTargetDistance - minTargetDistance);
             state.active = true;
             state.startX = enemy.x;
             state.startY = enemy.y;
@@ -8063,6 +9091,7 @@ class VibeSurvivor {
                     enemy.dashState.targetY = playerY;
                     enemy.dashState.duration = 0;
                     enemy.dashState.originalSpeed = enemy.speed;
+                    this.startBossDashWindup(enemy);
                     // Decrease dash cooldown by 3 per boss stage (first cycle only), capped at boss 6, minimum 90 frames
                     const baseCooldown = 108; // Increased from 90 for more breathing room
                     const maxBossScaling = 5; // Cap reduction at boss 6 (after 5 bosses defeated)
@@ -8075,6 +9104,8 @@ class VibeSurvivor {
                     enemy.x += dirX * enemy.speed * 2.0;
                     enemy.y += dirY * enemy.speed * 2.0;
                 }
+            } else if (enemy.dashState.windup > 0) {
+                enemy.dashState.windup--;
             } else {
                 const [dashDirX, dashDirY] = Vector2.direction(enemy.x, enemy.y, enemy.dashState.targetX, enemy.dashState.targetY);
                 const dashSpeed = enemy.speed * 6 * dashMultiplier; // Later cycles dash harder
@@ -8090,6 +9121,25 @@ class VibeSurvivor {
         }
     }
 
+    /**
+     * Holds a boss still before its dash and draws the path it is about to take
+     * @param {Object} enemy - Boss whose dashState target was just picked
+     */
+    startBossDashWindup(enemy) {
+        const { targetX, targetY } = enemy.dashState;
+        enemy.dashState.windup = BOSS_TELEGRAPHS.dashWindupFrames;
+        this.effectsManager.addTelegraph({
+            kind: 'line',
+            x: enemy.x,
+            y: enemy.y,
+            angle: Math.atan2(targetY - enemy.y, targetX - enemy.x),
+            length: this.cachedSqrt(Vector2.distanceSquared(enemy.x, enemy.y, targetX, targetY)),
+            width: enemy.radius || BOSS_TELEGRAPHS.lineWidth,
+            color: enemy.color,
+            duration: BOSS_TELEGRAPHS.dashWindupFrames
+        });
+    }
+
     updateShockSentinelMovement(enemy, dirX, dirY, distance, playerX, playerY) {
         enemy.variantState = enemy.variantState || {};
         const state = enemy.variantState;
@@ -8137,14 +9187,17 @@ class VibeSurvivor {
         if (!dashState.active) {
             if (enemy.specialCooldown <= 0 && (enemy.catchUpLockFrames || 0) <= 0) {
                 dashState.active = true;
-                dashState.targetX = playerX + (Math.random() - 0.5) * 140;
-                dashState.targetY = playerY + (Math.random() - 0.5) * 140;
+                dashState.targetX = playerX + (this.rng.next() - 0.5) * 140;
+                dashState.targetY = playerY + (this.rng.next() - 0.5) * 140;
                 dashState.duration = 0;
                 enemy.specialCooldown = cooldown;
+                this.startBossDashWindup(enemy);
             } else {
                 enemy.x += dirX * enemy.speed * 1.3;
                 enemy.y += dirY * enemy.speed * 1.3;
             }
+        } else if (dashState.windup > 0) {
+            dashState.windup--;
         } else {
             const [dashDirX, dashDirY] = Vector2.direction(enemy.x, enemy.y, dashState.targetX, dashState.targetY);
             const dashSpeed = enemy.speed * 6.5 * dashMultiplier; // Later cycles slam much faster
@@ -8240,8 +9293,8 @@ class VibeSurvivor {
         state.targetTimer = (state.targetTimer || 0) - 1;
 
         if (!state.target || state.targetTimer <= 0) {
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 220 + Math.random() * 120;
+            const angle = this.rng.next() * Math.PI * 2;
+            const distance = 220 + this.rng.next() * 120;
             state.target = {
                 x: playerX + this.fastCos(angle) * distance,
                 y: playerY + this.fastSin(angle) * distance
@@ -8269,7 +9322,7 @@ class VibeSurvivor {
 
         // Initialize orbit direction if not set
         if (state.orbitDir === undefined) {
-            state.orbitDir = Math.random() < 0.5 ? 1 : -1;
+            state.orbitDir = this.rng.next() < 0.5 ? 1 : -1;
         }
 
         // Target distance oscillates between 250-350 units
@@ -8337,15 +9390,22 @@ class VibeSurvivor {
             updateEnemyGroupings: () => this.updateEnemyGroupings(),
             processBatchedEnemies: () => this.processBatchedEnemies(),
             createXPOrb: (x, y) => this.createXPOrb(x, y),
-            createDeathParticles: (x, y, color) => this.createDeathParticles(x, y, color),
             createHitParticles: (x, y, color) => this.createHitParticles(x, y, color),
             recordWeaponDamage: (type, damage, enemy) => this.recordWeaponDamage(type, damage, enemy),
             createBossDefeatAnimation: (x, y, radius) => this.createBossDefeatAnimation(x, y, radius),
             setBossDefeating: (value) => { this.bossDefeating = value; },
             clearProjectiles: () => { this.projectiles.length = 0; },
             bossDefeated: () => this.bossDefeated(),
-            audioManager: this.audioManager,
-            cachedSqrt: this.cachedSqrt
+            onBossPartnerDefeated: (boss) => this.handleBossPartnerDefeated(boss),
+            cachedSqrt: this.cachedSqrt,
+            spawnMinions: (x, y, count) => this.spawnMinions(x, y, count),
+            dropChestOrb: (x, y) => {
+                if (this.chestOrbs.length < this.pickupSystem.maxChestOrbs) {
+                    this.createChestOrb({ x, y });
+                }
+            },
+            damagePlayer: (damage) => this.damagePlayer(damage),
+            createExplosion: (x, y, radius, damage) => this.createExplosion(x, y, radius, damage)
         });
     }
 
@@ -8363,10 +9423,10 @@ class VibeSurvivor {
                 color: '#7F8C8D',
                 behavior: 'chase',
                 specialCooldown: 0,
-                burning: null,
+                statusEffects: null,
                 spawnedMinions: false,
-                angle: Math.random() * Math.PI * 2,
-                rotSpeed: (Math.random() < 0.5 ? -1 : 1) * 0.04
+                angle: this.rng.next() * Math.PI * 2,
+                rotSpeed: (this.rng.next() < 0.5 ? -1 : 1) * 0.04
             });
         }
     }
@@ -8376,6 +9436,7 @@ class VibeSurvivor {
         this.projectileSystem.updateProjectiles(this.projectiles, {
             player: this.player,
             enemies: this.enemies,
+            enemyGrid: this.physicsManager.getEnemyGrid(this.enemies),
             cachedSqrt: this.cachedSqrt,
             findNearestEnemy: (x, y, range) => this.findNearestEnemy(x, y, range),
             createExplosion: (x, y, radius, damage, sourceType) => this.createExplosion(x, y, radius, damage, sourceType)
@@ -8394,26 +9455,12 @@ class VibeSurvivor {
 
     updateHPOrbs() {
         // Delegate to PickupSystem
-        this.pickupSystem.updateHPOrbs(
-            this.hpOrbs,
-            this.player,
-            this.cachedSqrt,
-            (message, type) => this.showToastNotification(message, type),
-            this.bossDefeating,
-            this.audioManager
-        );
+        this.pickupSystem.updateHPOrbs(this.hpOrbs, this.player, this.cachedSqrt, this.bossDefeating);
     }
 
     updateMagnetOrbs() {
         // Delegate to PickupSystem
-        this.pickupSystem.updateMagnetOrbs(
-            this.magnetOrbs,
-            this.player,
-            this.cachedSqrt,
-            (message, type) => this.showToastNotification(message, type),
-            this.bossDefeating,
-            this.audioManager
-        );
+        this.pickupSystem.updateMagnetOrbs(this.magnetOrbs, this.player, this.cachedSqrt, this.bossDefeating);
     }
 
     createXPOrb(x, y) {
@@ -8444,10 +9491,10 @@ class VibeSurvivor {
         const orb = this.getPooledHPOrb();
         if (orb) {
             // Spawn at random location within reasonable distance from player
-            const angle = Math.random() * Math.PI * 2;
+            const angle = this.rng.next() * Math.PI * 2;
             const minDistance = 300;
             const maxDistance = 800;
-            const distance = minDistance + Math.random() * (maxDistance - minDistance);
+            const distance = minDistance + this.rng.next() * (maxDistance - minDistance);
 
             orb.x = this.player.x + Math.cos(angle) * distance;
             orb.y = this.player.y + Math.sin(angle) * distance;
@@ -8475,10 +9522,10 @@ class VibeSurvivor {
 
         if (orb) {
             // Spawn at random location within reasonable distance from player (same as HP orbs)
-            const angle = Math.random() * Math.PI * 2;
+            const angle = this.rng.next() * Math.PI * 2;
             const minDistance = 300;
             const maxDistance = 800;
-            const distance = minDistance + Math.random() * (maxDistance - minDistance);
+            const distance = minDistance + this.rng.next() * (maxDistance - minDistance);
 
             orb.x = this.player.x + Math.cos(angle) * distance;
             orb.y = this.player.y + Math.sin(angle) * distance;
@@ -8502,14 +9549,15 @@ class VibeSurvivor {
         }
     }
 
-    createChestOrb() {
+    createChestOrb(position = null) {
         // Delegate to PickupSystem to create chest orb
         const orb = this.pickupSystem.createChestOrb(
             this.chestOrbs,
             this.player,
             () => this.getPooledChestOrb(),
             (angle) => Math.cos(angle),
-            (angle) => Math.sin(angle)
+            (angle) => Math.sin(angle),
+            position
         );
 
         if (orb) {
@@ -8525,27 +9573,18 @@ class VibeSurvivor {
 
     updateChestOrbs() {
         // Delegate to PickupSystem
-        this.pickupSystem.updateChestOrbs(
-            this.chestOrbs,
-            this.player,
-            this.cachedSqrt,
-            (orb) => this.onChestCollected(orb),
-            this.bossDefeating
-        );
+        this.pickupSystem.updateChestOrbs(this.chestOrbs, this.player, this.cachedSqrt, this.bossDefeating);
     }
 
+    /**
+     * chestOpened handler (PickupSystem has already counted the chest)
+     * @param {Object} orb - Collected chest orb
+     */
     onChestCollected(orb) {
         // Play collection sound and effects
         this.audioManager.playSound('upgradeBox');
         this.createChestCollectionParticles(orb.x, orb.y);
 
-        // Increment chest stats
-        if (this.player.chestsCollected !== undefined) {
-            this.player.chestsCollected++;
-        } else {
-            this.player.chestsCollected = 1;
-        }
-
         console.log(`Chest #${this.player.chestsCollected} collected. Total passives: ${Object.keys(this.player.passives).length}`);
 
         // Show chest modal with passive upgrades
@@ -8559,14 +9598,7 @@ class VibeSurvivor {
         this.gameRunning = false;
         this.timePaused = true;
 
-        // Generate up to 3 passive upgrade choices using UpgradeSystem
-        // Will return 1-3 choices based on what's available
-        const passiveChoices = this.upgradeSystem.getUpgradeChoices(
-            this.weapons,
-            this.player.passives,
-            3,
-            'passives'
-        );
+        const passiveChoices = this.generateChestChoices();
 
         // Safeguard: If no upgrades available, resume game and skip modal
         if (!passiveChoices || passiveChoices.length === 0) {
@@ -8576,10 +9608,48 @@ class VibeSurvivor {
             return;
         }
 
+        // Playback / input providers make the pick instead of the modal
+        if (this.hasAutomatedChoices()) {
+            this.pendingChoices = { type: 'chest', choices: passiveChoices };
+            return;
+        }
+
         console.log(`Showing chest modal with ${passiveChoices.length} upgrade choices:`, passiveChoices.map(c => c.passiveName));
 
         // Show modal with choices (1-3 options)
-        this.modals.chest.show(passiveChoices);
+        this.modals.chest.show(passiveChoices, this.getUpgradeActionState('chest', passiveChoices));
+    }
+
+    /**
+     * Generates up to 3 passive upgrade choices using UpgradeSystem
+     * Will return 1-3 choices based on what's available (banished passives are left out)
+     * @returns {Array<Object>} Chest choices
+     */
+    generateChestChoices() {
+        return this.upgradeSystem.getUpgradeChoices(
+            this.weapons,
+            this.player.passives,
+            3,
+            'passives',
+            { passives: this.player.banishedPassives }
+        );
+    }
+
+    /**
+     * Applies a chest pick and resumes the run
+     * @param {Object} choice - Selected passive upgrade
+     * @param {number} choiceIndex - Index of the choice in the offered list
+     */
+    applyChestChoice(choice, choiceIndex) {
+        this.replayRecorder.recordEvent('chest', choiceIndex);
+
+        // Apply passive upgrade
+        this.selectUpgrade(choice);
+
+        // Play upgrade sound
+        this.audioManager.playSound('upgrade');
+
+        this.resumeAfterUpgradeChoice('chest');
     }
 
     updateNotifications() {
@@ -8621,17 +9691,316 @@ class VibeSurvivor {
         this.gameRunning = false;
         this.timePaused = true;  // Pause time during weapon upgrade menu
 
-        // Generate upgrade choices
-        const choices = this.generateUpgradeChoices();
+        // Generate upgrade choices
+        const choices = this.generateUpgradeChoices();
+
+        // Playback / input providers make the pick instead of the modal
+        if (this.hasAutomatedChoices()) {
+            this.pendingChoices = { type: 'levelUp', choices };
+            return;
+        }
+
+        // Update modal with choices
+        this.modals.levelUp.update({
+            choices: choices,
+            playerLevel: this.player.level,
+            actions: this.getUpgradeActionState('levelUp', choices)
+        });
+
+        // Show the modal (modal handles all keyboard interaction, tab switching, and scrolling internally)
+        this.modals.levelUp.show();
+    }
+
+    /**
+     * Applies a level-up pick, then shows the next deferred level up or resumes the run
+     * @param {Object} choice - Selected upgrade
+     * @param {number} choiceIndex - Index of the choice in the offered list
+     */
+    applyLevelUpChoice(choice, choiceIndex) {
+        this.replayRecorder.recordEvent('levelUp', choiceIndex);
+
+        this.selectUpgrade(choice);
+
+        // Play upgrade sound
+        this.audioManager.playSound('upgrade');
+
+        this.resumeAfterUpgradeChoice('levelUp');
+    }
+
+    /**
+     * Resumes the run once a level-up or chest pick has been made (or skipped)
+     * @param {string} type - 'levelUp' or 'chest'
+     */
+    resumeAfterUpgradeChoice(type) {
+        if (type === 'levelUp') {
+            // Process any remaining deferred level ups, or resume game
+            this.processPendingLevelUps();
+
+            // If no more pending level ups, resume game
+            if (this.pendingLevelUps === 0) {
+                this.gameRunning = true;
+                this.timePaused = false;
+                this.startAnimationLoop();
+            }
+            return;
+        }
+
+        // Resume game
+        this.gameRunning = true;
+        this.timePaused = false;
+
+        // Restart animation loop if needed
+        this.startAnimationLoop();
+    }
+
+    /**
+     * Charges and banish availability for the modal action row
+     * @param {string} type - 'levelUp' or 'chest'
+     * @param {Array<Object>} choices - Choices on offer
+     * @returns {Object} { rerolls, banishes, canBanish }
+     */
+    getUpgradeActionState(type, choices) {
+        // Banishing the last option would leave nothing to pick
+        const targets = new Set(choices.map(choice => this.getBanishTarget(type, choice)).filter(Boolean));
+        return {
+            rerolls: this.player.rerollCharges,
+            banishes: this.player.banishCharges,
+            canBanish: this.player.banishCharges > 0 && targets.size > 1
+        };
+    }
+
+    /**
+     * What banishing a choice removes from the pool
+     * @param {string} type - 'levelUp' or 'chest'
+     * @param {Object} choice - Offered choice
+     * @returns {string|null} Weapon type (level up) or passive key (chest)
+     */
+    getBanishTarget(type, choice) {
+        if (!choice) return null;
+        if (type === 'chest') {
+            return choice.passiveKey || null;
+        }
+        // Upgrades of an owned weapon banish that weapon, whatever it evolves into
+        if (choice.type === 'weapon_upgrade') {
+            const weapon = this.weapons[choice.weaponIndex];
+            return weapon ? weapon.type : null;
+        }
+        return choice.weaponType || null;
+    }
+
+    /**
+     * Runs a reroll / banish / skip on the choices the run is halted on
+     * @param {string} type - 'levelUp' or 'chest'
+     * @param {string} action - 'reroll', 'banish' or 'skip'
+     * @param {Array<Object>} choices - Choices on offer
+     * @param {number} [choiceIndex] - Choice to banish
+     * @returns {boolean} False if the action wasn't available
+     */
+    useUpgradeAction(type, action, choices, choiceIndex = 0) {
+        switch (action) {
+            case 'reroll':
+                return this.rerollUpgradeChoices(type);
+            case 'banish':
+                return this.banishUpgradeChoice(type, choices, choiceIndex);
+            case 'skip':
+                return this.skipUpgradeChoice(type);
+            default:
+                console.warn('Unknown upgrade action:', action);
+                return false;
+        }
+    }
+
+    /**
+     * Spends a reroll charge to redraw every choice
+     * @param {string} type - 'levelUp' or 'chest'
+     * @returns {boolean} False without a charge
+     */
+    rerollUpgradeChoices(type) {
+        if (this.player.rerollCharges <= 0) return false;
+
+        this.replayRecorder.recordEvent('reroll');
+        this.player.rerollCharges--;
+        this.audioManager.playSound('upgradeBox');
+
+        const choices = type === 'levelUp' ? this.generateUpgradeChoices() : this.generateChestChoices();
+        this.offerUpgradeChoices(type, choices);
+        return true;
+    }
+
+    /**
+     * Spends a banish charge to drop a choice's weapon/passive from the pool for the rest of the run
+     * @param {string} type - 'levelUp' or 'chest'
+     * @param {Array<Object>} choices - Choices on offer
+     * @param {number} choiceIndex - Choice to banish
+     * @returns {boolean} False without a charge or when nothing else would be left to pick
+     */
+    banishUpgradeChoice(type, choices, choiceIndex) {
+        const target = this.getBanishTarget(type, choices[choiceIndex]);
+        if (!target || !this.getUpgradeActionState(type, choices).canBanish) return false;
+
+        this.replayRecorder.recordEvent('banish', choiceIndex);
+        this.player.banishCharges--;
+        const banished = type === 'levelUp' ? this.player.banishedWeapons : this.player.banishedPassives;
+        if (!banished.includes(target)) {
+            banished.push(target);
+        }
+
+        const name = type === 'levelUp' ? this.getWeaponName(target) : this.getPassiveName(target);
+        this.showToastNotification(this.t('upgradeBanished').replace('{name}', name), 'upgrade');
+
+        // Branch picks of a banished weapon go with it
+        this.offerUpgradeChoices(type, choices.filter(choice => this.getBanishTarget(type, choice) !== target));
+        return true;
+    }
+
+    /**
+     * Passes on the pick for a small heal and some XP
+     * @param {string} type - 'levelUp' or 'chest'
+     * @returns {boolean} Always true - skipping is free
+     */
+    skipUpgradeChoice(type) {
+        this.replayRecorder.recordEvent('skip');
+
+        const healed = Math.min(UPGRADE_ACTIONS.SKIP_HEAL, this.player.maxHealth - this.player.health);
+        const xp = Math.ceil(XP_SYSTEM.getXPForLevel(this.player.level) * UPGRADE_ACTIONS.SKIP_XP_FRACTION);
+        this.player.health += healed;
+        this.player.xp += xp;
+
+        this.showToastNotification(
+            this.t('upgradeSkipped').replace('{health}', Math.round(healed)).replace('{xp}', xp),
+            'heal'
+        );
+        this.resumeAfterUpgradeChoice(type);
+        return true;
+    }
+
+    /**
+     * Puts a rerolled or trimmed set of choices in front of the player (or the automation)
+     * @param {string} type - 'levelUp' or 'chest'
+     * @param {Array<Object>} choices - Choices to offer
+     */
+    offerUpgradeChoices(type, choices) {
+        if (this.hasAutomatedChoices()) {
+            this.pendingChoices = { type, choices };
+            return;
+        }
+
+        const actions = this.getUpgradeActionState(type, choices);
+        if (type === 'levelUp') {
+            this.modals.levelUp.update({ choices, playerLevel: this.player.level, actions });
+        } else {
+            this.modals.chest.update({ choices, actions });
+        }
+    }
+
+    /**
+     * Halts the run on choices restored from a suspended run
+     * @param {string} type - 'levelUp' or 'chest'
+     * @param {Array<Object>} choices - Choices that were on offer
+     */
+    reopenUpgradeChoices(type, choices) {
+        this.gameRunning = false;
+        this.timePaused = true;
+
+        if (this.hasAutomatedChoices()) {
+            this.pendingChoices = { type, choices };
+            return;
+        }
+
+        const actions = this.getUpgradeActionState(type, choices);
+        if (type === 'levelUp') {
+            this.modals.levelUp.update({ choices, playerLevel: this.player.level, actions });
+            this.modals.levelUp.show();
+        } else {
+            this.modals.chest.show(choices, actions);
+        }
+    }
+
+    /**
+     * Grants the reroll / banish charges a cleared boss encounter is worth
+     */
+    grantBossUpgradeCharges() {
+        this.player.rerollCharges += UPGRADE_ACTIONS.BOSS_REROLLS;
+        this.player.banishCharges += UPGRADE_ACTIONS.BOSS_BANISHES;
+        this.showToastNotification(
+            this.t('upgradeChargesEarned')
+                .replace('{rerolls}', UPGRADE_ACTIONS.BOSS_REROLLS)
+                .replace('{banishes}', UPGRADE_ACTIONS.BOSS_BANISHES),
+            'upgrade'
+        );
+    }
+
+    /**
+     * Whether level-up/chest/victory decisions are made in code (replay log, input provider)
+     * instead of through the modals
+     * @returns {boolean}
+     */
+    hasAutomatedChoices() {
+        return !!(this.replayPlayback || this.inputProvider);
+    }
+
+    /**
+     * Applies a pick for the choices the run is currently halted on
+     * @param {string} type - 'levelUp' or 'chest'
+     * @param {number} choiceIndex - Index of the choice in the offered list
+     * @returns {boolean} False if no matching choice is pending
+     */
+    resolvePendingChoice(type, choiceIndex) {
+        const pending = this.pendingChoices;
+        const choice = pending && pending.type === type ? pending.choices[choiceIndex] : null;
+        if (!choice) return false;
+
+        this.pendingChoices = null;
+        if (type === 'levelUp') {
+            this.applyLevelUpChoice(choice, choiceIndex);
+        } else {
+            this.applyChestChoice(choice, choiceIndex);
+        }
+        return true;
+    }
+
+    /**
+     * Applies a reroll / banish / skip to the choices the run is currently halted on
+     * @param {string} action - 'reroll', 'banish' or 'skip'
+     * @param {number} [choiceIndex] - Choice to banish
+     * @returns {boolean} False if nothing is pending or the action wasn't available
+     */
+    resolvePendingAction(action, choiceIndex = 0) {
+        const pending = this.pendingChoices;
+        if (!pending) return false;
+
+        // Reroll and banish put a new set of choices in pendingChoices
+        this.pendingChoices = null;
+        if (!this.useUpgradeAction(pending.type, action, pending.choices, choiceIndex)) {
+            this.pendingChoices = pending;
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Lets the input provider answer whatever halted the run (victory screen, level ups, chests)
+     */
+    resolveProviderChoices() {
+        if (!this.inputProvider) return;
 
-        // Update modal with choices
-        this.modals.levelUp.update({
-            choices: choices,
-            playerLevel: this.player.level
-        });
+        if (this.bossVictoryInProgress) {
+            this.continueFromVictory();
+        }
 
-        // Show the modal (modal handles all keyboard interaction, tab switching, and scrolling internally)
-        this.modals.levelUp.show();
+        while (this.pendingChoices) {
+            const { type, choices } = this.pendingChoices;
+            // Everything left was banished or maxed out
+            if (choices.length === 0) {
+                this.resolvePendingAction('skip');
+                continue;
+            }
+            const picked = this.inputProvider.chooseUpgrade
+                ? this.inputProvider.chooseUpgrade(choices, type, this)
+                : 0;
+            const choiceIndex = Number.isInteger(picked) && picked >= 0 && picked < choices.length ? picked : 0;
+            this.resolvePendingChoice(type, choiceIndex);
+        }
     }
 
     getMaxWeapons() {
@@ -8640,52 +10009,50 @@ class VibeSurvivor {
 
     generateUpgradeChoices() {
         const choices = [];
+        const banished = this.player.banishedWeapons;
 
-        // Weapon upgrades for existing weapons
+        // Weapon upgrades for existing weapons (split into branch picks below)
         this.weapons.forEach((weapon, index) => {
-            if (weapon.level < 10) {
-                let description = `+${Math.floor(weapon.damage * 0.3)} ${this.t('damageFireRate')}`;
-
-                // Add projectile count info for level 2+ upgrades
-                if (weapon.level === 1) {
-                    description += `, ${this.t('addProjectile')}`;
-                } else if (weapon.level >= 2 && weapon.level < 5) {
-                    description += `, ${this.t('addProjectile')}`;
+            if (weapon.level < 10 && !banished.includes(weapon.type)) {
+                // What every branch gets on top of its own effect
+                const levelEffects = [];
+                if (!weapon.isMergeWeapon) {
+                    levelEffects.push(this.t('fasterFireRate'));
+                }
+                if (weapon.level < 5) {
+                    levelEffects.push(this.t('addProjectile'));
                 }
 
                 // Determine what type the weapon will be after upgrade
-                let upgradeType = weapon.type;
-                if (weapon.level + 1 === 5 && weapon.type === 'basic') {
-                    upgradeType = 'rapid';
-                } else if (weapon.level + 1 === 8 && weapon.type === 'spread_shot') {
-                    upgradeType = 'spread';
-                }
+                const upgradeType = this.getWeaponTypeAfterUpgrade(weapon);
 
                 choices.push({
                     type: 'weapon_upgrade',
                     weaponIndex: index,
                     weaponType: upgradeType,
                     name: `${this.getWeaponNameAfterUpgrade(weapon)} LV.${weapon.level + 1}`,
-                    description: description,
+                    description: levelEffects.join(', '),
                     icon: this.getWeaponIcon(upgradeType),
-                    isMergeWeapon: weapon.isMergeWeapon || false
+                    isMergeWeapon: weapon.isMergeWeapon || false,
+                    mergePreview: this.getMergePreviewText(this.getMergeAfterChoice(index, upgradeType))
                 });
             }
         });
 
         // New weapons (if not at max weapons)
         if (this.weapons.length < this.getMaxWeapons()) {
-            const availableWeapons = ['spread', 'laser', 'plasma', 'shotgun', 'lightning', 'flamethrower', 'railgun', 'missiles'];
+            const availableWeapons = weaponRegistry.getOfferedTypes();
             const currentTypes = this.weapons.map(w => w.type);
 
             availableWeapons.forEach(weaponType => {
-                if (!currentTypes.includes(weaponType)) {
+                if (!currentTypes.includes(weaponType) && !banished.includes(weaponType)) {
                     choices.push({
                         type: 'new_weapon',
                         weaponType: weaponType,
                         name: this.getWeaponName(weaponType),
                         description: this.getWeaponDescription(weaponType),
-                        icon: this.getWeaponIcon(weaponType)
+                        icon: this.getWeaponIcon(weaponType),
+                        mergePreview: this.getMergePreviewText(this.getMergeAfterChoice(null, weaponType))
                     });
                 }
             });
@@ -8695,73 +10062,165 @@ class VibeSurvivor {
         // Chest system provides passive upgrades separately from level-up
 
         // Return 3-4 random choices (weapons only)
-        const shuffled = choices.sort(() => Math.random() - 0.5);
-        return shuffled.slice(0, Math.min(3, shuffled.length));
+        const shuffled = this.rng.shuffle(choices);
+        const picked = shuffled.slice(0, Math.min(3, shuffled.length));
+
+        // Each weapon upgrade becomes a pick between two of its branches. Choices stay a flat list
+        // (branches of one weapon share a group) so replays and input providers index them as before.
+        return picked.flatMap(choice => choice.type === 'weapon_upgrade' ? this.getBranchChoices(choice) : [choice]);
+    }
+
+    /**
+     * Rolls the upgrade branches offered for a weapon upgrade choice
+     * @param {Object} choice - 'weapon_upgrade' choice
+     * @returns {Array<Object>} One choice per branch, grouped by the weapon they upgrade
+     */
+    getBranchChoices(choice) {
+        const weapon = this.weapons[choice.weaponIndex];
+        const definition = weaponRegistry.get(weapon.type);
+        const branchIds = this.rng.shuffle(getEligibleBranches(definition)).slice(0, 2);
+
+        return branchIds.map(branchId => {
+            const branch = WEAPON_BRANCHES[branchId];
+            const lang = this.currentLanguage;
+            const gain = Math.floor(weapon.damage * (1 + getDamageScale(definition))) - weapon.damage;
+            const branchDescription = (branch.descriptions[lang] || branch.descriptions.en).replace('{damage}', gain);
+
+            return {
+                ...choice,
+                group: `weapon_${choice.weaponIndex}`,
+                branch: branchId,
+                branchName: branch.names[lang] || branch.names.en,
+                branchDescription,
+                levelDescription: choice.description,
+                description: choice.description ? `${branchDescription}, ${choice.description}` : branchDescription
+            };
+        });
+    }
+
+    /**
+     * @param {Array<string>} branches - Branch ids in pick order (weapon.branches)
+     * @returns {string} Localized upgrade path, e.g. "Power ×2 · Pierce"
+     */
+    getBranchPathText(branches) {
+        return formatBranchPath(branches, this.currentLanguage);
     }
 
     getWeaponName(type) {
-        const weaponNameMap = {
-            'basic': 'basicMissile',
-            'rapid': 'rapidFire',
-            'spread': 'spreadShot',
-            'spread_shot': 'spreadShot',
-            'laser': 'laserBeam',
-            'plasma': 'plasmaBolt',
-            'shotgun': 'shotgun',
-            'lightning': 'lightning',
-            'flamethrower': 'flamethrower',
-            'railgun': 'railgun',
-            'missiles': 'homingMissiles',
-            'homing_laser': 'homingLaser',
-            'shockburst': 'shockburst',
-            'gatling_gun': 'gatlingGun',
-            'napalm_buckshot': 'napalmBuckshot'
-        };
+        return weaponRegistry.has(type)
+            ? weaponRegistry.getName(type, this.currentLanguage)
+            : 'Unknown Weapon';
+    }
+
+    /**
+     * Type a weapon will have after its next upgrade (evolutions change it at set levels)
+     * @param {Object} weapon - Weapon about to be upgraded
+     * @returns {string} Weapon type
+     */
+    getWeaponTypeAfterUpgrade(weapon) {
+        const evolution = weaponRegistry.getEvolution(weapon.type);
+        return evolution && weapon.level + 1 === evolution.level ? evolution.into : weapon.type;
+    }
 
-        const nameKey = weaponNameMap[type];
-        return nameKey ? this.t(nameKey, 'weapons') : 'Unknown Weapon';
+    /**
+     * @param {string|null} mergeType - Merge weapon type from getMergeAfterChoice()
+     * @returns {string} e.g. "Merges into Prism Lance!", or '' for no merge
+     */
+    getMergePreviewText(mergeType) {
+        return mergeType ? this.t('mergePreview', 'help').replace('{weapon}', this.getWeaponName(mergeType)) : '';
     }
 
     getWeaponNameAfterUpgrade(weapon) {
-        let type = weapon.type;
-        let level = weapon.level + 1;
+        return this.getWeaponName(this.getWeaponTypeAfterUpgrade(weapon));
+    }
+
+    getWeaponDescription(type) {
+        return weaponRegistry.getDescription(type, this.currentLanguage) || 'Unknown weapon type';
+    }
+
+    /**
+     * @param {string} passiveKey - Passive key (e.g. 'turbo_flux_cycler')
+     * @returns {string} Localized passive name
+     */
+    getPassiveName(passiveKey) {
+        return this.t(PASSIVE_TRANSLATION_KEYS[passiveKey] || passiveKey, 'passives');
+    }
+
+    /**
+     * Readable recipe for a merge weapon, built from the merge table
+     * @param {string} mergeType - Merge weapon type
+     * @returns {string} e.g. "Laser Beam lvl 3 + Railgun lvl 3", or '' if no recipe creates it
+     */
+    getMergeRecipeText(mergeType) {
+        const recipe = weaponRegistry.getMergeRecipe(mergeType);
+        if (!recipe) return '';
 
-        // Check if weapon type will change after upgrade
-        if (level === 5 && type === 'basic') {
-            type = 'rapid';
-        } else if (level === 8 && type === 'spread_shot') {
-            type = 'spread';
+        const parts = [this.getRecipeInputsText(recipe)];
+        if (recipe.passive) {
+            parts.push(this.getPassiveName(recipe.passive));
         }
+        return parts.join(' + ');
+    }
 
-        return this.getWeaponName(type);
+    /**
+     * @param {Object} recipe - Merge recipe
+     * @returns {string} Weapon inputs only, e.g. "Homing Missiles lvl 10"
+     */
+    getRecipeInputsText(recipe) {
+        return recipe.inputs.map(input => this.t('recipeInput', 'help')
+            .replace('{weapon}', this.getWeaponName(input.type))
+            .replace('{level}', input.minLevel)).join(' + ');
     }
 
-    getWeaponDescription(type) {
-        const descKey = type + 'Desc';
-        return this.t(descKey, 'weapons') || 'Unknown weapon type';
+    /**
+     * Evolutions a passive unlocks, for the chest screen
+     * @param {string} passiveKey - Passive key
+     * @returns {string} e.g. "Unlocks Cluster Bomb (Homing Missiles lvl 10)", or '' if it gates none
+     */
+    getPassiveEvolutionsText(passiveKey) {
+        const passives = { ...this.player?.passives, [passiveKey]: true };
+
+        return weaponRegistry.getMergeRecipesForPassive(passiveKey).map(recipe => {
+            const name = this.getWeaponName(recipe.result);
+            // The player already has the weapons, so picking the passive evolves right away
+            if (this.weaponSystem.matchMergeRecipe(recipe, this.weapons || [], passives)) {
+                return this.t('evolvesNow', 'help').replace('{weapon}', name);
+            }
+            return this.t('unlocksEvolution', 'help')
+                .replace('{weapon}', name)
+                .replace('{recipe}', this.getRecipeInputsText(recipe));
+        }).join(' / ');
     }
 
-    getWeaponIcon(type) {
-        const weaponIconMap = {
-            'basic': 'basicMissile',
-            'rapid': 'rapidFire',
-            'spread': 'spreadShot',
-            'spread_shot': 'spreadShot',
-            'laser': 'laserBeam',
-            'plasma': 'plasmaBolt',
-            'shotgun': 'shotgun',
-            'lightning': 'lightning',
-            'flamethrower': 'flamethrower',
-            'railgun': 'railgun',
-            'missiles': 'homingMissiles',
-            'homing_laser': 'homingLaser',
-            'shockburst': 'shockburst',
-            'gatling_gun': 'gatlingGun',
-            'napalm_buckshot': 'napalmBuckshot'
-        };
+    /**
+     * @param {string} type - Weapon type
+     * @returns {string} e.g. "Merges into: Prism Lance, Coilgun", or '' if no recipe uses the weapon
+     */
+    getMergeTargetsText(type) {
+        const results = weaponRegistry.getMergeRecipesUsing(type).map(recipe => this.getWeaponName(recipe.result));
+        return results.length ? this.t('mergesInto', 'help').replace('{weapons}', results.join(', ')) : '';
+    }
 
-        const iconName = weaponIconMap[type] || 'basicMissile';
-        return `<img src="images/weapons/${iconName}.png" alt="${type}" style="width: 48px; height: 48px; image-rendering: pixelated; vertical-align: middle; margin-right: 8px;">`;
+    /**
+     * Merge an upgrade choice would trigger right away, for the level-up preview
+     * @param {number|null} weaponIndex - Weapon being upgraded, or null when adding a new weapon
+     * @param {string} weaponType - Type of that weapon after the choice
+     * @returns {string|null} Merge weapon type
+     */
+    getMergeAfterChoice(weaponIndex, weaponType) {
+        const weapons = this.weapons.map((weapon, index) => (
+            index === weaponIndex ? { ...weapon, type: weaponType, level: weapon.level + 1 } : weapon
+        ));
+        if (weaponIndex === null) {
+            weapons.push({ type: weaponType, level: 1 });
+        }
+
+        const merge = this.weaponSystem.findMerge(weapons, this.player.passives);
+        return merge ? merge.recipe.result : null;
+    }
+
+    getWeaponIcon(type) {
+        return `<img src="${weaponRegistry.getIconPath(type)}" alt="${type}" style="width: 48px; height: 48px; image-rendering: pixelated; vertical-align: middle; margin-right: 8px;">`;
     }
 
     ensureWeaponStats(type) {
@@ -8777,6 +10236,10 @@ class VibeSurvivor {
         if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) return;
         const stats = this.ensureWeaponStats(sourceType);
         if (!stats) return;
+        if (enemy) {
+            // Every damage path records here, so the last source is the killing blow
+            enemy.lastDamageSource = sourceType;
+        }
         stats.total += amount;
         if (enemy && enemy.behavior === 'boss') {
             stats.bosses += amount;
@@ -8785,6 +10248,28 @@ class VibeSurvivor {
         }
     }
 
+    /**
+     * Counts a kill by enemy behavior, boss variant and the weapon that landed the killing blow
+     * @param {Object} enemy - Enemy that just died
+     */
+    recordEnemyKill(enemy) {
+        const stats = this.killStats;
+        stats.total++;
+
+        if (enemy.behavior === 'boss') {
+            const variantId = enemy.variantId || 'standard';
+            stats.byBossVariant[variantId] = (stats.byBossVariant[variantId] || 0) + 1;
+        } else {
+            const type = enemy.behavior || 'unknown';
+            stats.byEnemyType[type] = (stats.byEnemyType[type] || 0) + 1;
+        }
+
+        if (enemy.lastDamageSource) {
+            const weapon = enemy.lastDamageSource;
+            stats.byWeapon[weapon] = (stats.byWeapon[weapon] || 0) + 1;
+        }
+    }
+
     getWeaponDamageStats(type) {
         const stats = this.weaponStats[type];
         if (!stats) {
@@ -8794,26 +10279,7 @@ class VibeSurvivor {
     }
 
     getWeaponIconForHeader(type) {
-        const weaponIconMap = {
-            'basic': 'basicMissile',
-            'rapid': 'rapidFire',
-            'spread': 'spreadShot',
-            'spread_shot': 'spreadShot',
-            'laser': 'laserBeam',
-            'plasma': 'plasmaBolt',
-            'shotgun': 'shotgun',
-            'lightning': 'lightning',
-            'flamethrower': 'flamethrower',
-            'railgun': 'railgun',
-            'missiles': 'homingMissiles',
-            'homing_laser': 'homingLaser',
-            'shockburst': 'shockburst',
-            'gatling_gun': 'gatlingGun',
-            'napalm_buckshot': 'napalmBuckshot'
-        };
-
-        const iconName = weaponIconMap[type] || 'basicMissile';
-        return `images/weapons/${iconName}.png`;
+        return weaponRegistry.getIconPath(type);
     }
 
     getPassiveIconForHeader(passiveId) {
@@ -8904,6 +10370,7 @@ class VibeSurvivor {
                 transform: scale(1.05) !important;
             }
             
+            #continue-survivor.menu-selected,
             #start-survivor.menu-selected,
             #restart-survivor.menu-selected,
             #exit-survivor.menu-selected {
@@ -9202,6 +10669,7 @@ class VibeSurvivor {
     }
 
     createToast(message, type = 'upgrade', duration = 2500, customIcon = null) {
+        if (this.headless) return;
         const toastContainer = document.getElementById('toast-container');
         if (!toastContainer) {
             console.error('Toast container not found');
@@ -9231,9 +10699,11 @@ class VibeSurvivor {
                 // Static images for other types
                 const staticIcons = {
                     'boss': '⚠️',
+                    'wave': '⚔️',
                     'upgrade': '<img src="images/passives/upgrade.png" alt="upgrade" style="width: 48px; height: 48px;">',
                     'heal': '<img src="images/passives/healthBoost.png" alt="heal" style="width: 48px; height: 48px;">',
-                    'magnet': '<img src="images/passives/magnet.png" alt="magnet" style="width: 48px; height: 48px;">'
+                    'magnet': '<img src="images/passives/magnet.png" alt="magnet" style="width: 48px; height: 48px;">',
+                    'achievement': '🏆'
                 };
                 const iconHtml = staticIcons[type] || '📢';
                 const div = document.createElement('div');
@@ -9308,7 +10778,9 @@ class VibeSurvivor {
             'victory': 3000,   // 3 seconds for victory
             'upgrade': 2500,   // 2.5 seconds for upgrades
             'heal': 2000,      // 2 seconds for healing notifications
-            'magnet': 2500     // 2.5 seconds for magnet notifications
+            'magnet': 2500,    // 2.5 seconds for magnet notifications
+            'wave': 2500,      // 2.5 seconds for wave timeline events
+            'achievement': 4000 // 4 seconds for achievement unlocks
         };
 
         this.createToast(message, type, durations[type], customIcon);
@@ -9323,13 +10795,15 @@ class VibeSurvivor {
     selectUpgrade(choice) {
         switch (choice.type) {
             case 'weapon_upgrade':
-                this.upgradeExistingWeapon(choice.weaponIndex);
+                this.upgradeExistingWeapon(choice.weaponIndex, choice.branch);
                 break;
             case 'new_weapon':
                 this.addNewWeapon(choice.weaponType);
                 break;
             case 'passive':
                 this.addPassiveAbility(choice.passiveKey || choice.passiveId);
+                // Some evolutions are gated on a passive
+                this.checkForWeaponMerges();
                 break;
         }
 
@@ -9368,12 +10842,12 @@ class VibeSurvivor {
         return `<img src="${iconPath}" alt="${passiveKey}" style="width: 48px; height: 48px; image-rendering: pixelated; vertical-align: middle; margin-right: 8px;">`;
     }
 
-    upgradeExistingWeapon(weaponIndex) {
+    upgradeExistingWeapon(weaponIndex, branchId) {
         const weapon = this.weapons[weaponIndex];
 
         // Phase 9 integration - Use WeaponSystem for core upgrade logic
-        // This handles: level++, damage increase, projectile count increase
-        this.weaponSystem.upgradeWeapon(weapon);
+        // This handles: level++, the picked branch (power by default), projectile count increase
+        this.weaponSystem.upgradeWeapon(weapon, branchId);
 
         // Game-specific enhancements - Fire rate adjustment
         if (!weapon.isMergeWeapon) {
@@ -9382,11 +10856,10 @@ class VibeSurvivor {
         }
         // Note: Merge weapons keep their original fire rate for consistent timing
 
-        // Special upgrades at certain levels (legacy transformations)
-        if (weapon.level === 5 && weapon.type === 'basic') {
-            weapon.type = 'rapid';
-        } else if (weapon.level === 8 && weapon.type === 'spread_shot') {
-            weapon.type = 'spread';
+        // Evolutions turn the weapon into another type at a set level (e.g. basic -> rapid)
+        const evolution = weaponRegistry.getEvolution(weapon.type);
+        if (evolution && weapon.level === evolution.level) {
+            weapon.type = evolution.into;
         }
 
         // Check for weapon merges after upgrade
@@ -9406,56 +10879,43 @@ class VibeSurvivor {
 
     checkForWeaponMerges() {
         // Phase 9 integration - Use WeaponSystem for merge detection and execution
-        // Check all weapon pairs for possible merges
-        for (let i = 0; i < this.weapons.length; i++) {
-            for (let j = i + 1; j < this.weapons.length; j++) {
-                const mergedType = this.weaponSystem.canMerge(this.weapons[i], this.weapons[j]);
-                if (mergedType) {
-                    // Perform merge using WeaponSystem
-                    if (this.weaponSystem.mergeWeapons(this.weapons, i, j)) {
-                        const mergedWeapon = this.weapons[this.weapons.length - 1];
-                        this.applyPassiveModifiersToWeapon(mergedWeapon);
-
-                        // Play merger sound
-                        this.audioManager.playSound('mergerWeapon');
-
-                        // Show merge notification
-                        setTimeout(() => {
-                            this.showUpgradeNotification(
-                                `${this.getWeaponName(mergedType)} - WEAPONS MERGED!`,
-                                this.getWeaponIcon(mergedType)
-                            );
-                        }, 100);
-                        return; // Only merge one pair at a time
-                    }
-                }
-            }
+        // Recipes come from the merge table; only one merge happens per check
+        const merge = this.weaponSystem.findMerge(this.weapons, this.player.passives);
+        if (!merge) return;
+
+        if (this.weaponSystem.mergeWeapons(this.weapons, merge)) {
+            this.onWeaponMerged(merge.recipe.result);
         }
     }
 
     performWeaponMerge(mergeWeaponType, sourceWeapons) {
         // Legacy method - kept for backward compatibility but now uses WeaponSystem
-        const index1 = this.weapons.indexOf(sourceWeapons[0]);
-        const index2 = this.weapons.indexOf(sourceWeapons[1]);
+        const recipe = weaponRegistry.getMergeRecipe(mergeWeaponType);
+        const indices = sourceWeapons.map(weapon => this.weapons.indexOf(weapon));
 
-        if (index1 !== -1 && index2 !== -1) {
-            if (this.weaponSystem.mergeWeapons(this.weapons, index1, index2)) {
-                const mergedWeapon = this.weapons[this.weapons.length - 1];
-                this.applyPassiveModifiersToWeapon(mergedWeapon);
-
-                // Play merger sound
-                this.audioManager.playSound('mergerWeapon');
-
-                setTimeout(() => {
-                    this.showUpgradeNotification(
-                        `${this.getWeaponName(mergeWeaponType)} - WEAPONS MERGED!`,
-                        this.getWeaponIcon(mergeWeaponType)
-                    );
-                }, 100);
+        if (recipe && !indices.includes(-1)) {
+            if (this.weaponSystem.mergeWeapons(this.weapons, { recipe, indices })) {
+                this.onWeaponMerged(mergeWeaponType);
             }
         }
     }
 
+    /**
+     * Applies passives to a freshly merged weapon (the last one in the list) and emits weaponMerged
+     * @param {string} mergedType - Merge or evolution weapon type
+     */
+    onWeaponMerged(mergedType) {
+        const mergedWeapon = this.weapons[this.weapons.length - 1];
+        const isEvolution = weaponRegistry.get(mergedType)?.category === 'evolution';
+        if (isEvolution) {
+            // Evolutions keep their level, so give back the fire rate gained per upgrade
+            mergedWeapon.fireRate = Math.max(10, mergedWeapon.fireRate - 3 * (mergedWeapon.level - 1));
+        }
+        this.applyPassiveModifiersToWeapon(mergedWeapon);
+
+        this.events.emit('weaponMerged', { type: mergedType, weapon: mergedWeapon, evolution: isEvolution });
+    }
+
     applyPassiveModifiersToWeapon(weapon) {
         if (!weapon) return;
 
@@ -9579,6 +11039,22 @@ class VibeSurvivor {
         this.physicsManager.checkCollisions(this);
     }
 
+    /**
+     * Damages the player outside of collisions (e.g. exploding elites), honoring
+     * invulnerability frames and armor
+     * @param {number} damage - Raw damage
+     */
+    damagePlayer(damage) {
+        if (this.playerDead || damage <= 0) return;
+
+        const dealt = this.playerSystem.applyDamage(this.player, damage, 'explosion');
+        if (dealt <= 0) return;
+
+        if (this.player.health <= 0) {
+            this.handlePlayerDeath();
+        }
+    }
+
     /**
      * Handle player death - called by PhysicsManager
      */
@@ -9589,6 +11065,14 @@ class VibeSurvivor {
         this.playerDead = true; // Mark player as dead to stop game logic
         this.gameOverHandled = true;
 
+        this.events.emit('runEnded', { reason: 'death' });
+
+        // Replay viewer stays on the final frame instead of opening game over;
+        // input-provider runs are ended by whoever drives them
+        if (this.hasAutomatedChoices()) {
+            return;
+        }
+
         // Delay stopping the game to let red flash complete
         setTimeout(() => {
             this.gameRunning = false;
@@ -9601,7 +11085,7 @@ class VibeSurvivor {
         let nearestEnemy = null;
         let nearestDistance = maxRange;
 
-        this.enemies.forEach(enemy => {
+        this.physicsManager.getEnemyGrid(this.enemies).query(x, y, maxRange).forEach(enemy => {
             const dx = enemy.x - x;
             const dy = enemy.y - y;
             const distance = this.cachedSqrt(dx * dx + dy * dy);
@@ -9618,13 +11102,13 @@ class VibeSurvivor {
     createExplosion(x, y, radius, damage, sourceType = null) {
         // Delegate to ParticleSystem with damage callback
         const applyDamageCallback = (x, y, radius, damage, sourceType) => {
-            this.enemies.forEach(enemy => {
+            this.physicsManager.getEnemyGrid(this.enemies).query(x, y, radius).forEach(enemy => {
                 const dx = enemy.x - x;
                 const dy = enemy.y - y;
                 const distance = this.cachedSqrt(dx * dx + dy * dy);
                 if (distance <= radius) {
                     const falloff = 1 - (distance / radius);
-                    const appliedDamage = damage * Math.max(0, falloff);
+                    const appliedDamage = damage * Math.max(0, falloff) * this.enemySystem.statusEffects.getDamageTakenMultiplier(enemy);
                     if (appliedDamage > 0) {
                         enemy.health -= appliedDamage;
                         if (sourceType) {
@@ -9721,14 +11205,24 @@ class VibeSurvivor {
 
     showBossNotification(bossNameOrVariant = null) {
         let bossName = null;
+        // Use Korean name if language is Korean, otherwise use English name
+        const getName = (variant) => (this.currentLanguage === 'ko' && variant.nameKo) ? variant.nameKo : variant.name;
+
+        // Boss Rush passes every variant of the encounter; duos arrive together
+        if (Array.isArray(bossNameOrVariant)) {
+            const variants = bossNameOrVariant.filter(Boolean);
+            if (variants.length > 1) {
+                const names = variants.map(getName).join(' & ');
+                this.showToastNotification(`${names.toUpperCase()} EMERGE!`, 'boss');
+                this.playBossAlerts();
+                return;
+            }
+            bossNameOrVariant = variants[0] || null;
+        }
 
         // If passed a variant config object, extract the appropriate name
         if (bossNameOrVariant && typeof bossNameOrVariant === 'object') {
-            const variant = bossNameOrVariant;
-            // Use Korean name if language is Korean, otherwise use English name
-            bossName = (this.currentLanguage === 'ko' && variant.nameKo)
-                ? variant.nameKo
-                : variant.name;
+            bossName = getName(bossNameOrVariant);
         } else if (typeof bossNameOrVariant === 'string') {
             // If passed a string, use it directly (backward compatibility)
             bossName = bossNameOrVariant;
@@ -9738,6 +11232,11 @@ class VibeSurvivor {
             ? `${bossName.toUpperCase()} EMERGES!`
             : "BOSS APPEARED!";
         this.showToastNotification(message, 'boss');
+        this.playBossAlerts();
+    }
+
+    // Boss arrival alarm
+    playBossAlerts() {
         if (!this.audioManager) return;
 
         // bossAlert is ~2.0 seconds long; play 3 times at 2.0s intervals
@@ -11359,6 +12858,7 @@ class VibeSurvivor {
             const originalCtx = this.ctx;
             this.ctx = ctx;
 
+            this.effectsManager.drawTelegraphs(ctx);
             this.drawExplosionsWithBatching();
             this.drawParticlesWithBatching();
 
@@ -11411,6 +12911,7 @@ class VibeSurvivor {
         this.camera.applyTransform(this.ctx);
 
         this.drawGrid();
+        this.effectsManager.drawTelegraphs(this.ctx);
         this.drawPlayerWithBatching();
         this.drawEnemiesWithBatching();
         this.drawProjectilesWithBatching();
@@ -11426,6 +12927,7 @@ class VibeSurvivor {
 
         this.ctx.restore();
 
+        this.drawOffscreenIndicators();
         this.drawRedFlash();
 
         this.dirtyRectangles = [];
@@ -11436,9 +12938,28 @@ class VibeSurvivor {
         this.effectsManager.drawRedFlash(this.ctx, this.canvas.width, this.canvas.height);
     }
 
+    drawOffscreenIndicators() {
+        // Screen space - call after the camera transform is restored
+        this.offscreenIndicators.draw(this.ctx, {
+            camera: this.camera,
+            canvasWidth: this.canvas.width,
+            canvasHeight: this.canvas.height,
+            player: this.player
+        }, {
+            boss: this.enemies.filter(enemy => enemy.behavior === 'boss' && enemy.health > 0),
+            chest: this.chestOrbs,
+            hpOrb: this.hpOrbs,
+            magnetOrb: this.magnetOrbs,
+            enemies: this.enemies
+        });
+    }
+
     renderStartScreenBackground() {
         if (!this.canvas || !this.ctx) return;
 
+        // The attract demo owns the canvas while it runs
+        if (this.attractMode) return;
+
         // Only render if canvas has valid dimensions (don't call resizeCanvas to avoid infinite loop)
         if (this.canvas.width > 0 && this.canvas.height > 0) {
             // Clear canvas with dark background
@@ -11569,14 +13090,18 @@ class VibeSurvivor {
         // Select the appropriate sprite sheet based on direction
         let spriteSheet = this.playerSprites[this.player.spriteDirection];
 
-        // Draw sprite using native asset colours (no tinting filters)
+        // Draw sprite using native asset colours, hue-shifted for characters sharing a sprite set
         const spriteSize = this.player.radius * 3; // Bot sprite at 1/4 scale (radius * 2 = 30px)
+        const { hue } = getCharacter(this.characterId);
 
         // Temporarily disable smoothing to keep pixel art crisp
         const previousSmoothing = this.ctx.imageSmoothingEnabled;
         this.ctx.imageSmoothingEnabled = false;
 
         this.ctx.save();
+        if (hue) {
+            this.ctx.filter = `hue-rotate(${hue}deg)`;
+        }
         this.ctx.drawImage(
             spriteSheet,
             sx, sy,
@@ -11598,13 +13123,14 @@ class VibeSurvivor {
 
         // Sprite direction and animation timing are now handled in updatePlayer() for consistent behavior
 
-        // Draw trail with neon cyan segments (ALWAYS VISIBLE)
+        // Draw trail in the character's neon color (ALWAYS VISIBLE)
+        const character = getCharacter(this.characterId);
         if (this.player.trail.length > 1) {
-            this.ctx.strokeStyle = '#00ffff';
+            this.ctx.strokeStyle = character.trailColor;
             this.ctx.lineWidth = 3;
             this.ctx.globalAlpha = 0.7;
             this.ctx.shadowBlur = 10;
-            this.ctx.shadowColor = '#00ffff';
+            this.ctx.shadowColor = character.trailColor;
 
             this.ctx.beginPath();
             this.ctx.moveTo(this.player.trail[0].x, this.player.trail[0].y);
@@ -11807,9 +13333,8 @@ class VibeSurvivor {
                 }
 
                 // Napalm burn aura effects
-                if (enemy.napalmStacks && enemy.napalmStacks.length > 0) {
-                    const stackCount = enemy.napalmStacks.length;
-
+                const stackCount = this.enemySystem.statusEffects.getStackCount(enemy, 'napalm');
+                if (stackCount > 0) {
                     // Pulsing flame aura (more intense with more stacks)
                     const pulsePhase = Math.sin(this.frameCount * 0.15);
                     const baseSize = 6 + stackCount * 2;
@@ -11847,6 +13372,10 @@ class VibeSurvivor {
                     }
                 }
 
+                this.drawEnemyStatusTint(enemy, r);
+                this.drawEliteMarkers(enemy, r);
+                this.drawInvulnerableAura(enemy, r);
+
                 this.ctx.restore();
             }
         }
@@ -11957,432 +13486,68 @@ class VibeSurvivor {
                 }
 
                 // Napalm burn aura effects (for bosses and tanks)
-                if (enemy.napalmStacks && enemy.napalmStacks.length > 0) {
-                    const stackCount = enemy.napalmStacks.length;
+                const stackCount = this.enemySystem.statusEffects.getStackCount(enemy, 'napalm');
+                if (stackCount > 0) {
                     const r = enemy.renderRadius || enemy.radius || 20;
 
-                    // Pulsing flame aura (more intense with more stacks)
-                    const pulsePhase = Math.sin(this.frameCount * 0.15);
-                    const baseSize = 8 + stackCount * 3; // Larger for bosses
-                    const pulseSize = baseSize + pulsePhase * 4;
-
-                    this.ctx.save();
-
-                    // Outer flame ring (orange-red) - reduced opacity to keep enemies visible
-                    this.ctx.globalAlpha = 0.15 + (stackCount / 40);
-                    this.ctx.beginPath();
-                    this.ctx.arc(0, 0, r + pulseSize, 0, Math.PI * 2);
-                    this.ctx.fillStyle = stackCount >= 4 ? '#FF4500' : '#FF6347';
-                    this.ctx.fill();
-
-                    // Inner flame ring (yellow-orange) - reduced opacity to keep enemies visible
-                    this.ctx.globalAlpha = 0.12 + (stackCount / 50);
-                    this.ctx.beginPath();
-                    this.ctx.arc(0, 0, r + pulseSize * 0.6, 0, Math.PI * 2);
-                    this.ctx.fillStyle = '#FFA500';
-                    this.ctx.fill();
-
-                    this.ctx.restore();
-
-                    // Spawn flame particles for high burn stacks
-                    if (this.frameCount % 6 === 0 && stackCount >= 3) {
-                        for (let p = 0; p < Math.floor(stackCount / 2); p++) {
-                            const angle = Math.random() * Math.PI * 2;
-                            const dist = r + Math.random() * 15;
-                            this.createHitParticles(
-                                enemy.x + Math.cos(angle) * dist,
-                                enemy.y + Math.sin(angle) * dist,
-                                stackCount >= 5 ? '#FF4500' : '#FF6347'
-                            );
-                        }
-                    }
-                }
-
-                this.ctx.restore();
-            }
-        }
-
-        this.ctx.restore();
-    }
-
-    drawProjectiles() {
-        if (this.projectiles.length === 0) return;
-
-        // Batch projectiles by type to reduce state changes
-        const projectilesByType = {};
-
-        for (const projectile of this.projectiles) {
-            // Enhanced frustum culling: Skip projectiles that shouldn't be rendered
-            if (!this.shouldRender(projectile, 'projectile')) {
-                continue;
-            }
-
-            if (!projectilesByType[projectile.type]) {
-                projectilesByType[projectile.type] = [];
-            }
-            projectilesByType[projectile.type].push(projectile);
-        }
-
-        // Render batched projectiles
-        this.ctx.save();
-
-        // Render basic/spread/shotgun/gatling_gun projectiles together (simple circles)
-        const basicTypes = ['basic', 'spread', 'shotgun', 'gatling_gun'];
-        for (const type of basicTypes) {
-            const projectiles = projectilesByType[type];
-            if (!projectiles) continue;
-
-            this.ctx.beginPath();
-            for (const projectile of projectiles) {
-                this.ctx.fillStyle = projectile.color;
-                this.ctx.arc(projectile.x, projectile.y, projectile.size, 0, Math.PI * 2);
-                this.ctx.fill();
-                this.ctx.beginPath();
-            }
-        }
-
-        // Render laser/railgun projectiles (lines)
-        const laserTypes = ['laser', 'railgun'];
-        for (const type of laserTypes) {
-            const projectiles = projectilesByType[type];
-            if (!projectiles) continue;
-
-            this.ctx.globalAlpha = 0.8;
-            this.ctx.beginPath();
-            for (const projectile of projectiles) {
-                this.ctx.strokeStyle = projectile.color;
-                this.ctx.lineWidth = projectile.size;
-                this.ctx.moveTo(projectile.x - projectile.vx * 3, projectile.y - projectile.vy * 3);
-                this.ctx.lineTo(projectile.x, projectile.y);
-                this.ctx.stroke();
-            }
-            this.ctx.globalAlpha = 1;
-        }
-
-        // Render homing laser projectiles (special curved beams)
-        const homingLasers = projectilesByType['homing_laser'];
-        if (homingLasers) {
-            for (const projectile of homingLasers) {
-                this.ctx.globalAlpha = 0.9;
-
-                // Draw outer glow
-                this.ctx.strokeStyle = projectile.color;
-                this.ctx.lineWidth = projectile.size + 2;
-                this.ctx.shadowColor = projectile.color;
-                this.ctx.shadowBlur = 10;
-                this.ctx.beginPath();
-                this.ctx.moveTo(projectile.x - projectile.vx * 4, projectile.y - projectile.vy * 4);
-                this.ctx.lineTo(projectile.x, projectile.y);
-                this.ctx.stroke();
-
-                // Draw inner core
-                this.ctx.shadowBlur = 0;
-                this.ctx.strokeStyle = '#FFFFFF';
-                this.ctx.lineWidth = Math.max(1, projectile.size - 2);
-                this.ctx.beginPath();
-                this.ctx.moveTo(projectile.x - projectile.vx * 4, projectile.y - projectile.vy * 4);
-                this.ctx.lineTo(projectile.x, projectile.y);
-                this.ctx.stroke();
-
-                // Draw trail particles for homing effect
-                if (Math.random() < 0.3) {
-                    this.ctx.fillStyle = projectile.color;
-                    this.ctx.globalAlpha = 0.6;
-                    this.ctx.beginPath();
-                    this.ctx.arc(
-                        projectile.x - projectile.vx * (2 + Math.random() * 6),
-                        projectile.y - projectile.vy * (2 + Math.random() * 6),
-                        1 + Math.random() * 2,
-                        0,
-                        2 * Math.PI
-                    );
-                    this.ctx.fill();
-                }
-
-                this.ctx.globalAlpha = 1;
-            }
-        }
-
-        // Render complex projectiles individually (plasma, flame, lightning, missiles, napalm)
-        const complexTypes = ['plasma', 'flame', 'lightning', 'missile', 'boss-missile', 'shockburst', 'napalm'];
-        for (const type of complexTypes) {
-            const projectiles = projectilesByType[type];
-            if (!projectiles || projectiles.length === 0) continue;
-
-            // Extra safety: Ensure consistent rendering context for each weapon type
-            this.ctx.save();
-
-            for (const projectile of projectiles) {
-                // Individual projectile context save/restore for isolation
-                this.ctx.save();
-
-                switch (type) {
-                    case 'plasma':
-                        // Simplified plasma effect for performance
-                        this.ctx.fillStyle = projectile.color;
-                        this.ctx.globalAlpha = 0.7;
-                        this.ctx.beginPath();
-                        this.ctx.arc(projectile.x, projectile.y, projectile.size * 1.5, 0, Math.PI * 2);
-                        this.ctx.fill();
-
-                        this.ctx.globalAlpha = 1;
-                        this.ctx.beginPath();
-                        this.ctx.arc(projectile.x, projectile.y, projectile.size, 0, Math.PI * 2);
-                        this.ctx.fill();
-                        break;
-
-                    case 'flame':
-                        this.ctx.fillStyle = projectile.color;
-                        this.ctx.globalAlpha = 0.7;
-                        // Simplified flame - reduce from 3 to 1 circle for performance
-                        const x = projectile.x + (Math.random() - 0.5) * 3;
-                        const y = projectile.y + (Math.random() - 0.5) * 3;
-                        this.ctx.beginPath();
-                        this.ctx.arc(x, y, projectile.size + Math.random(), 0, Math.PI * 2);
-                        this.ctx.fill();
-                        break;
-
-                    case 'lightning':
-                        this.ctx.strokeStyle = projectile.color;
-                        this.ctx.lineWidth = 2;
-                        this.ctx.globalAlpha = Math.max(0.1, projectile.life / 30);
-
-                        // Render lightning chains to all targets
-                        if (projectile.chainTargets && projectile.chainTargets.length > 0) {
-                            let prevX = projectile.x;
-                            let prevY = projectile.y;
-
-                            // Draw line to each chained enemy
-                            projectile.chainTargets.forEach(target => {
-                                this.ctx.beginPath();
-                                this.ctx.moveTo(prevX, prevY);
-
-                                // Simplified lightning with fewer steps for performance
-                                const steps = 3;
-                                for (let i = 1; i <= steps; i++) {
-                                    const progress = i / steps;
-                                    const x = prevX + (target.x - prevX) * progress + (Math.random() - 0.5) * 10;
-                                    const y = prevY + (target.y - prevY) * progress + (Math.random() - 0.5) * 10;
-                                    this.ctx.lineTo(x, y);
-                                }
-                                this.ctx.stroke();
-
-                                // Update previous position for next chain segment
-                                prevX = target.x;
-                                prevY = target.y;
-                            });
-                        } else {
-                            // Fallback to original single-target rendering
-                            this.ctx.beginPath();
-                            this.ctx.moveTo(projectile.x, projectile.y);
-                            const steps = 3;
-                            for (let i = 1; i <= steps; i++) {
-                                const progress = i / steps;
-                                const x = projectile.x + (projectile.targetX - projectile.x) * progress + (Math.random() - 0.5) * 10;
-                                const y = projectile.y + (projectile.targetY - projectile.y) * progress + (Math.random() - 0.5) * 10;
-                                this.ctx.lineTo(x, y);
-                            }
-                            this.ctx.stroke();
-                        }
-                        break;
-
-                    case 'shockburst':
-                        // Simple rendering like lightning but cyan color
-
-                        this.ctx.strokeStyle = '#00FFFF'; // Cyan color
-                        this.ctx.lineWidth = 2;
-                        this.ctx.globalAlpha = Math.max(0.1, projectile.life / 30);
-
-                        // Render shockburst chains to all targets (same as lightning)
-                        if (projectile.chainTargets && projectile.chainTargets.length > 0) {
-                            let prevX = projectile.x;
-                            let prevY = projectile.y;
-
-                            // Draw line to each chained enemy
-                            projectile.chainTargets.forEach((target, targetIndex) => {
-                                this.ctx.beginPath();
-                                this.ctx.moveTo(prevX, prevY);
-
-                                // Simplified lightning with fewer steps for performance
-                                const steps = 3;
-                                for (let i = 1; i <= steps; i++) {
-                                    const progress = i / steps;
-                                    const x = prevX + (target.x - prevX) * progress + (Math.random() - 0.5) * 10;
-                                    const y = prevY + (target.y - prevY) * progress + (Math.random() - 0.5) * 10;
-                                    this.ctx.lineTo(x, y);
-                                }
-                                this.ctx.stroke();
-
-                                // Add explosion visual effect at each chain target
-                                const explosionRadius = 100; // Explosion radius for visuals
-                                const explosionAlpha = Math.max(0.1, projectile.life / 30) * 0.6; // Slightly transparent
-
-                                // Draw explosion ring
-                                this.ctx.globalAlpha = explosionAlpha;
-                                this.ctx.strokeStyle = '#00FFFF'; // Cyan explosion
-                                this.ctx.lineWidth = 1;
-                                this.ctx.beginPath();
-                                this.ctx.arc(target.x, target.y, explosionRadius * (1 - projectile.life / 30), 0, Math.PI * 2);
-                                this.ctx.stroke();
-
-                                // Draw inner explosion pulse
-                                this.ctx.globalAlpha = explosionAlpha * 1.5;
-                                this.ctx.lineWidth = 0.5;
-                                this.ctx.beginPath();
-                                this.ctx.arc(target.x, target.y, (explosionRadius * 0.6) * (1 - projectile.life / 30), 0, Math.PI * 2);
-                                this.ctx.stroke();
-
-                                // Reset for next chain
-                                this.ctx.strokeStyle = '#00FFFF';
-                                this.ctx.lineWidth = 2;
-                                this.ctx.globalAlpha = Math.max(0.1, projectile.life / 30);
-
-                                // Update previous position for next chain segment
-                                prevX = target.x;
-                                prevY = target.y;
-                            });
-                        } else {
-                            // Fallback to original single-target rendering
-                            this.ctx.beginPath();
-                            this.ctx.moveTo(projectile.x, projectile.y);
-                            const steps = 3;
-                            for (let i = 1; i <= steps; i++) {
-                                const progress = i / steps;
-                                const x = projectile.x + (projectile.targetX - projectile.x) * progress + (Math.random() - 0.5) * 10;
-                                const y = projectile.y + (projectile.targetY - projectile.y) * progress + (Math.random() - 0.5) * 10;
-                                this.ctx.lineTo(x, y);
-                            }
-                            this.ctx.stroke();
-                        }
-                        break;
-
-                    case 'missile':
-                        this.ctx.translate(projectile.x, projectile.y);
-                        this.ctx.rotate(Math.atan2(projectile.vy, projectile.vx));
-
-                        // Missile body
-                        this.ctx.fillStyle = projectile.color;
-                        this.ctx.fillRect(-6, -2, 12, 4);
-
-                        // Missile tip
-                        this.ctx.fillStyle = '#FF6B35';
-                        this.ctx.beginPath();
-                        this.ctx.moveTo(6, 0);
-                        this.ctx.lineTo(3, -2);
-                        this.ctx.lineTo(3, 2);
-                        this.ctx.closePath();
-                        this.ctx.fill();
-
-                        // Simplified exhaust trail
-                        this.ctx.fillStyle = '#FF4444';
-                        this.ctx.globalAlpha = 0.6;
-                        this.ctx.fillRect(-9, -1, 3, 2);
-                        break;
-
-                    case 'boss-missile':
-                        if (projectile.isMine) {
-                            const pulsePhase = (projectile.pulseOffset || 0) + (this.frameCount * 0.08);
-                            const pulseScale = 1.2 + Math.sin(pulsePhase) * 0.2;
-                            const baseSize = projectile.size || 6;
-                            const radius = baseSize * pulseScale;
-
-                            // Outer glow
-                            this.ctx.globalAlpha = 0.6;
-                            this.ctx.fillStyle = projectile.color || '#7B2CBF';
-                            this.ctx.shadowColor = projectile.color || '#7B2CBF';
-                            this.ctx.shadowBlur = 15;
-                            this.ctx.beginPath();
-                            this.ctx.arc(projectile.x, projectile.y, radius, 0, Math.PI * 2);
-                            this.ctx.fill();
-
-                            // Inner core
-                            this.ctx.shadowBlur = 0;
-                            this.ctx.globalAlpha = 0.9;
-                            this.ctx.fillStyle = '#FFFFFF';
-                            this.ctx.beginPath();
-                            this.ctx.arc(projectile.x, projectile.y, baseSize * 0.5, 0, Math.PI * 2);
-                            this.ctx.fill();
-
-                            // Warning ring showing detonation radius
-                            if (projectile.explosionRadius) {
-                                this.ctx.globalAlpha = 0.35;
-                                this.ctx.strokeStyle = projectile.color || '#7B2CBF';
-                                this.ctx.lineWidth = 2;
-                                this.ctx.setLineDash([4, 6]);
-                                this.ctx.beginPath();
-                                this.ctx.arc(projectile.x, projectile.y, projectile.explosionRadius * 0.6, 0, Math.PI * 2);
-                                this.ctx.stroke();
-                                this.ctx.setLineDash([]);
-                            }
-
-                            this.ctx.globalAlpha = 1;
-                        } else {
-                            this.ctx.translate(projectile.x, projectile.y);
-                            this.ctx.rotate(Math.atan2(projectile.vy, projectile.vx));
-
-                            // Boss missile body
-                            this.ctx.fillStyle = projectile.color;
-                            this.ctx.fillRect(-8, -3, 16, 6);
-
-                            // Boss missile tip
-                            this.ctx.fillStyle = '#FF0000';
-                            this.ctx.beginPath();
-                            this.ctx.moveTo(8, 0);
-                            this.ctx.lineTo(4, -3);
-                            this.ctx.lineTo(4, 3);
-                            this.ctx.closePath();
-                            this.ctx.fill();
-
-                            // Simplified exhaust trail
-                            this.ctx.fillStyle = '#FF0066';
-                            this.ctx.globalAlpha = 0.8;
-                            this.ctx.fillRect(-12, -2, 4, 4);
-                        }
-                        break;
-
-                    case 'napalm':
-                        // Napalm pellet with fire trail
-                        this.ctx.save();
+                    // Pulsing flame aura (more intense with more stacks)
+                    const pulsePhase = Math.sin(this.frameCount * 0.15);
+                    const baseSize = 8 + stackCount * 3; // Larger for bosses
+                    const pulseSize = baseSize + pulsePhase * 4;
 
-                        // Fire trail from previous position
-                        this.ctx.globalAlpha = 0.6;
-                        const trailLength = 3;
-                        const trailX = projectile.x - projectile.vx * trailLength;
-                        const trailY = projectile.y - projectile.vy * trailLength;
+                    this.ctx.save();
 
-                        const gradient = this.ctx.createLinearGradient(trailX, trailY, projectile.x, projectile.y);
-                        gradient.addColorStop(0, 'rgba(255, 69, 0, 0)');
-                        gradient.addColorStop(1, 'rgba(255, 69, 0, 0.8)');
+                    // Outer flame ring (orange-red) - reduced opacity to keep enemies visible
+                    this.ctx.globalAlpha = 0.15 + (stackCount / 40);
+                    this.ctx.beginPath();
+                    this.ctx.arc(0, 0, r + pulseSize, 0, Math.PI * 2);
+                    this.ctx.fillStyle = stackCount >= 4 ? '#FF4500' : '#FF6347';
+                    this.ctx.fill();
 
-                        this.ctx.beginPath();
-                        this.ctx.moveTo(trailX, trailY);
-                        this.ctx.lineTo(projectile.x, projectile.y);
-                        this.ctx.strokeStyle = gradient;
-                        this.ctx.lineWidth = projectile.size * 1.5;
-                        this.ctx.stroke();
+                    // Inner flame ring (yellow-orange) - reduced opacity to keep enemies visible
+                    this.ctx.globalAlpha = 0.12 + (stackCount / 50);
+                    this.ctx.beginPath();
+                    this.ctx.arc(0, 0, r + pulseSize * 0.6, 0, Math.PI * 2);
+                    this.ctx.fillStyle = '#FFA500';
+                    this.ctx.fill();
 
-                        // Draw the napalm pellet itself
-                        this.ctx.globalAlpha = 1;
-                        this.ctx.fillStyle = projectile.color;
-                        this.ctx.beginPath();
-                        this.ctx.arc(projectile.x, projectile.y, projectile.size, 0, Math.PI * 2);
-                        this.ctx.fill();
+                    this.ctx.restore();
 
-                        this.ctx.restore();
-                        break;
+                    // Spawn flame particles for high burn stacks
+                    if (this.frameCount % 6 === 0 && stackCount >= 3) {
+                        for (let p = 0; p < Math.floor(stackCount / 2); p++) {
+                            const angle = Math.random() * Math.PI * 2;
+                            const dist = r + Math.random() * 15;
+                            this.createHitParticles(
+                                enemy.x + Math.cos(angle) * dist,
+                                enemy.y + Math.sin(angle) * dist,
+                                stackCount >= 5 ? '#FF4500' : '#FF6347'
+                            );
+                        }
+                    }
                 }
 
-                // Force context restore for each projectile
+                this.drawEnemyStatusTint(enemy, enemy.renderRadius || enemy.radius || 20);
+                this.drawEliteMarkers(enemy, enemy.renderRadius || enemy.radius || 20);
+                this.drawInvulnerableAura(enemy, enemy.renderRadius || enemy.radius || 20);
+
                 this.ctx.restore();
             }
-
-            // Type-level context restore for safety
-            this.ctx.restore();
         }
 
         this.ctx.restore();
     }
 
+    drawProjectiles() {
+        if (this.projectiles.length === 0) return;
+
+        // Enhanced frustum culling: Skip projectiles that shouldn't be rendered
+        const visible = this.projectiles.filter(projectile => this.shouldRender(projectile, 'projectile'));
+
+        // Batched by render style to reduce state changes
+        drawProjectileBatches(this.ctx, visible, this.frameCount);
+    }
+
     drawXPOrbs() {
         this.xpOrbs.forEach(orb => {
             // Enhanced frustum culling: Skip XP orbs that shouldn't be rendered
@@ -12699,6 +13864,89 @@ class VibeSurvivor {
         this.drawPlayer();
     }
 
+    /**
+     * Tints an enemy with the color of its status effects (slow, freeze, poison, ...)
+     * Expects the context to be translated to the enemy's position
+     * @param {Object} enemy - Enemy being drawn
+     * @param {number} radius - Drawn radius
+     */
+    drawEnemyStatusTint(enemy, radius) {
+        const tint = this.enemySystem.statusEffects.getTint(enemy);
+        if (!tint) return;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.35;
+        this.ctx.fillStyle = tint;
+        this.ctx.beginPath();
+        this.ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.globalAlpha = 0.8;
+        this.ctx.strokeStyle = tint;
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    /**
+     * Flickering white shell around an enemy that can't be damaged (boss phase transitions)
+     * Expects the context to be translated to the enemy's position
+     * @param {Object} enemy - Enemy being drawn
+     * @param {number} radius - Drawn radius
+     */
+    drawInvulnerableAura(enemy, radius) {
+        if (!(enemy.invulnerableFrames > 0)) return;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.35 + 0.35 * Math.abs(Math.sin(this.frameCount * 0.3));
+        this.ctx.strokeStyle = '#FFFFFF';
+        this.ctx.lineWidth = 4;
+        this.ctx.beginPath();
+        this.ctx.arc(0, 0, radius + 10, 0, Math.PI * 2);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    /**
+     * Marks an elite: a ring in its first affix's color, one pip per affix below it and,
+     * for shielded elites, an arc showing the remaining shield
+     * Expects the context to be translated to the enemy's position
+     * @param {Object} enemy - Enemy being drawn
+     * @param {number} radius - Drawn radius
+     */
+    drawEliteMarkers(enemy, radius) {
+        const affixes = enemy.eliteAffixes;
+        if (!affixes) return;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.5 + 0.3 * Math.sin(this.frameCount * 0.1);
+        this.ctx.strokeStyle = ELITE_AFFIXES[affixes[0]].color;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(0, 0, radius + 5, 0, Math.PI * 2);
+        this.ctx.stroke();
+
+        const shield = enemy.eliteShield;
+        if (shield && shield.value > 0) {
+            this.ctx.globalAlpha = 0.9;
+            this.ctx.strokeStyle = ELITE_AFFIXES.shielded.color;
+            this.ctx.lineWidth = 3;
+            this.ctx.beginPath();
+            this.ctx.arc(0, 0, radius + 9, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * (shield.value / shield.max));
+            this.ctx.stroke();
+        }
+
+        this.ctx.globalAlpha = 1;
+        const pipSpacing = 7;
+        const startX = -((affixes.length - 1) * pipSpacing) / 2;
+        affixes.forEach((affixId, index) => {
+            this.ctx.fillStyle = ELITE_AFFIXES[affixId].color;
+            this.ctx.beginPath();
+            this.ctx.arc(startX + index * pipSpacing, radius + 14, 2.5, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+        this.ctx.restore();
+    }
+
     drawEnemiesWithBatching() {
         if (!this.enemies || this.enemies.length === 0) return;
 
@@ -12819,6 +14067,44 @@ class VibeSurvivor {
         this.ctx.restore();
     }
 
+    /**
+     * What the HUD boss bar shows for each living boss (see HUDSystem.updateBossBars())
+     * @returns {Array<Object>}
+     */
+    getBossHudStates() {
+        const states = [];
+        for (const boss of this.enemies) {
+            if (boss.behavior !== 'boss' || boss.health <= 0 || boss.isDefeated) continue;
+
+            const variant = this.getBossVariantById(boss.variantId);
+            const name = (this.currentLanguage === 'ko' && variant?.nameKo) ? variant.nameKo : (variant?.name || boss.variantName || 'BOSS');
+            const dx = boss.x - this.player.x;
+            const dy = boss.y - this.player.y;
+            const distance = this.cachedSqrt(dx * dx + dy * dy);
+
+            let catchUp = null;
+            if (boss.catchUpDashState?.active) {
+                catchUp = 'dashing';
+            } else if (distance > ENEMIES.BOSS.catchUpWarningDistance) {
+                catchUp = 'warning';
+            }
+
+            states.push({
+                boss,
+                name,
+                healthPercent: boss.health / boss.maxHealth,
+                // Markers go where this variant's phase transitions fire (HUD falls back to ENEMIES.BOSS)
+                phaseThresholds: variant?.phaseTransitions?.map(transition => transition.healthBelow) || null,
+                invulnerable: boss.invulnerableFrames > 0,
+                onScreen: this.camera.isInViewport(boss.x, boss.y, this.canvas.width, this.canvas.height, 0),
+                angle: Math.atan2(dy, dx),
+                distance,
+                catchUp
+            });
+        }
+        return states;
+    }
+
     updateUI() {
         // Phase 12c integration - Delegate to HUDSystem
         this.hudSystem.updateAll(
@@ -12835,6 +14121,7 @@ class VibeSurvivor {
             this.getWeaponName.bind(this),
             this.getPassiveIconForHeader.bind(this)
         );
+        this.hudSystem.updateBossBars(this.getBossHudStates());
 
         // Phase 12c.12 - Update touch controls visual position
         if (this.touchControls && this.touchControls.joystick.active) {
@@ -12879,25 +14166,7 @@ class VibeSurvivor {
 
         const t = this.translations[this.currentLanguage].ui;
 
-        const weaponIconMap = {
-            'basic': 'basicMissile',
-            'rapid': 'rapidFire',
-            'spread': 'spreadShot',
-            'spread_shot': 'spreadShot',
-            'laser': 'laserBeam',
-            'plasma': 'plasmaBolt',
-            'shotgun': 'shotgun',
-            'lightning': 'lightning',
-            'flamethrower': 'flamethrower',
-            'railgun': 'railgun',
-            'missiles': 'homingMissiles',
-            'homing_laser': 'homingLaser',
-            'shockburst': 'shockburst',
-            'gatling_gun': 'gatlingGun',
-            'napalm_buckshot': 'napalmBuckshot'
-        };
-
-        const weaponsHtml = this.weapons
+const weaponsHtml = this.weapons
             .map(weapon => {
                 const damageStats = this.getWeaponDamageStats(weapon.type);
                 const totalDamage = Math.round(damageStats.total);
@@ -12905,15 +14174,14 @@ class VibeSurvivor {
                 const enemyDamage = Math.round(damageStats.enemies);
                 const isMergeWeapon = weapon.isMergeWeapon || false;
                 const mergeClass = isMergeWeapon ? 'style="color: #ffaa00 !important;"' : '';
-                const iconName = weaponIconMap[weapon.type] || 'basicMissile';
-
                 return {
                     totalDamage,
                     html: {
-                        iconName,
+                        iconPath: weaponRegistry.getIconPath(weapon.type),
                         mergeClass,
                         weaponLevel: weapon.level,
                         name: this.getWeaponName(weapon.type),
+                        path: this.getBranchPathText(weapon.branches),
                         weaponDamage: this.formatDamageValue(weapon.damage),
                         bossDamage: this.formatDamageValue(bossDamage),
                         enemyDamage: this.formatDamageValue(enemyDamage),
@@ -12937,8 +14205,11 @@ class VibeSurvivor {
                         border-bottom: ${isLast ? 'none' : '1px solid rgba(0, 255, 255, 0.15)'};
                     ">
                         <div style="display: flex; align-items: center; gap: 8px;">
-                            <img src="images/weapons/${weaponInfo.iconName}.png" alt="${weaponInfo.name}" style="width: 32px; height: 32px;">
-                            <span ${weaponInfo.mergeClass}>${weaponInfo.name} LV.${weaponInfo.weaponLevel}</span>
+                            <img src="${weaponInfo.iconPath}" alt="${weaponInfo.name}" style="width: 32px; height: 32px;">
+                            <div style="display: flex; flex-direction: column; gap: 2px;">
+                                <span ${weaponInfo.mergeClass}>${weaponInfo.name} LV.${weaponInfo.weaponLevel}</span>
+                                ${weaponInfo.path ? `<span style="color: #aaaaaa; font-size: 11px;">${t.upgradePath}: ${weaponInfo.path}</span>` : ''}
+                            </div>
                         </div>
                         <div style="display: flex; flex-direction: column; align-items: flex-end; gap: 3px; font-size: 12px;">
                             <span style="color: #00ffff;">${t.currentDamage}: ${weaponInfo.weaponDamage}</span>
@@ -12978,20 +14249,9 @@ class VibeSurvivor {
         const uiTranslations = this.translations[this.currentLanguage].ui;
         const uniqueLabel = uiTranslations.uniqueBadgeLabel || 'Unique';
         const p = this.translations[this.currentLanguage].passives;
-        const passiveNames = {
-            'health_boost': p.healthBoost,
-            'speed_boost': p.speedBoost,
-            'regeneration': p.regeneration,
-            'magnet': p.magnet,
-            'armor': p.armor,
-            'critical': p.criticalStrike,
-            'dash_boost': p.dashBoost,
-            'turbo_flux_cycler': p.turboFlux,
-            'aegis_impact_core': p.aegisCore,
-            'splitstream_matrix': p.splitstreamMatrix,
-            'macro_charge_amplifier': p.macroCharge,
-            'mod_bay_expander': p.modBay
-        };
+        const passiveNames = Object.fromEntries(
+            Object.entries(PASSIVE_TRANSLATION_KEYS).map(([key, translationKey]) => [key, p[translationKey]])
+        );
 
 
 
@@ -13186,6 +14446,113 @@ class VibeSurvivor {
         `;
     }
 
+    /**
+     * Status-tab section with the reroll / banish charges left and everything banished this run
+     * @returns {string} HTML
+     */
+    generateUpgradeActionsSection() {
+        const banishedNames = [
+            ...this.player.banishedWeapons.map(type => this.getWeaponName(type)),
+            ...this.player.banishedPassives.map(key => this.getPassiveName(key))
+        ];
+        const banishedList = banishedNames.length > 0
+            ? banishedNames.map(name => `<span class="upgrade-banished-item">${name}</span>`).join('')
+            : `<span class="upgrade-banished-empty">${this.t('upgradeBanishedNone')}</span>`;
+        const charges = this.t('upgradeActionsCharges')
+            .replace('{rerolls}', this.player.rerollCharges)
+            .replace('{banishes}', this.player.banishCharges);
+
+        return `
+            <div class="upgrade-actions-status">
+                <div class="upgrade-actions-status__title">${this.t('upgradeActionsTitle')}</div>
+                <div class="upgrade-actions-status__charges">${charges}</div>
+                <div class="upgrade-actions-status__label">${this.t('upgradeBanishedList')}</div>
+                <div class="upgrade-banished-list">${banishedList}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Display name for a kill-breakdown key
+     * @param {string} group - 'byEnemyType', 'byBossVariant' or 'byWeapon'
+     * @param {string} key - Enemy behavior, boss variant id or weapon type
+     * @returns {string} Localized label
+     */
+    getKillLabel(group, key) {
+        if (group === 'byWeapon') {
+            return this.getWeaponName(key);
+        }
+        if (group === 'byBossVariant') {
+            const variant = this.getBossVariantById(key);
+            if (!variant) return this.translations[this.currentLanguage].ui.bosses;
+            return this.currentLanguage === 'ko' ? (variant.nameKo || variant.name) : variant.name;
+        }
+        const translationKey = `enemy${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+        return this.translations[this.currentLanguage].ui[translationKey] || key;
+    }
+
+    generateKillsSection() {
+        const t = this.translations[this.currentLanguage].ui;
+        const groups = [
+            { key: 'byEnemyType', title: t.killsByEnemy },
+            { key: 'byBossVariant', title: t.killsByBoss },
+            { key: 'byWeapon', title: t.killingBlows }
+        ];
+
+        const groupsContent = groups.map(({ key, title }) => {
+            const entries = Object.entries(this.killStats[key]).sort((a, b) => b[1] - a[1]);
+            if (entries.length === 0) return '';
+
+            const rows = entries.map(([entryKey, count]) => `
+                <div style="
+                    display: flex;
+                    justify-content: space-between;
+                    margin: 4px 0;
+                    font-size: 14px;
+                    color: #ff6b9d;
+                ">
+                    <span>${this.getKillLabel(key, entryKey)}</span>
+                    <span>${count}</span>
+                </div>
+            `).join('');
+
+            return `
+                <div style="
+                    color: #ff6b9d;
+                    font-size: 13px;
+                    font-weight: bold;
+                    margin: 8px 0 4px;
+                    opacity: 0.8;
+                ">${title}</div>
+                ${rows}
+            `;
+        }).join('');
+
+        return `
+            <div style="
+                margin: 15px 0;
+                padding: 12px;
+                border: 1px solid #ff6b9d33;
+                border-radius: 8px;
+                background: rgba(255, 107, 157, 0.05);
+            ">
+                <div style="
+                    color: #ff6b9d;
+                    font-size: 16px;
+                    font-weight: bold;
+                    margin-bottom: 8px;
+                    text-align: center;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    gap: 10px;
+                    width: 100%;
+                "><img src="images/passives/criticalStrike.png" alt="Kills" style="width: 48px; height: 48px; image-rendering: pixelated;"> ${t.killsResult} (${this.killStats.total})</div>
+                ${groupsContent}
+            </div>
+        `;
+    }
+
     /**
      * Collect all game stats for scoreboard storage
      * Returns a normalized object used by both game over display and scoreboard saving
@@ -13204,6 +14571,7 @@ class VibeSurvivor {
                 level: weapon.level,
                 damage: weapon.damage,
                 isMergeWeapon: weapon.isMergeWeapon || false,
+                branches: [...(weapon.branches || [])],
                 totalDamage: Math.round(damageStats.total),
                 bossDamage: Math.round(damageStats.bosses),
                 enemyDamage: Math.round(damageStats.enemies)
@@ -13230,13 +14598,31 @@ class VibeSurvivor {
             chestsCollected: this.player.chestsCollected || 0
         };
 
+        // Boss Rush records rank by clear time (null unless every encounter fell)
+        const rush = this.enemySystem.bossRush;
+        const bossRushStats = this.isBossRush() ? {
+            clearTime: rush.clearTime,
+            encountersCleared: rush.encounterIndex,
+            encounterCount: rush.getEncounterCount()
+        } : {};
+
         return {
+            mode: this.gameMode,
+            ...bossRushStats,
+            character: this.characterId,
+            loadout: { ...this.metaLoadout },
             level: this.player.level,
             time: this.gameTime,
             timeText: timeText,
-            enemiesKilled: Math.max(1, Math.floor(this.gameTime * 1.8)),
+            enemiesKilled: this.killStats.total,
+            kills: {
+                byEnemyType: { ...this.killStats.byEnemyType },
+                byBossVariant: { ...this.killStats.byBossVariant },
+                byWeapon: { ...this.killStats.byWeapon }
+            },
             bossesKilled: this.bossesKilled,
             chestsCollected: this.player.chestsCollected || 0,
+            seed: this.runSeed,
             weapons: weapons,
             passives: passives,
             playerStats: playerStats
@@ -13259,14 +14645,23 @@ class VibeSurvivor {
         const weaponsHTML = this.generateWeaponsSection();
         const passivesHTML = this.generatePassivesSection();
         const playerStatsHTML = this.generatePlayerStatsSection();
+        const killsHTML = this.generateKillsSection();
 
         // Collect complete score data
         const scoreData = this.collectGameStats();
 
+        // Bank the run's shards for the upgrade shop
+        const shardsEarned = calculateRunReward(scoreData);
+        metaProgressStorage.addShards(shardsEarned);
+        const newCharacters = metaProgressStorage.unlockCharacters(getCharactersUnlockedBy(scoreData));
+
         // Save score to local storage for scoreboard first to get ID
         let savedScore = null;
         try {
-            savedScore = scoreboardStorage.saveScore(scoreData);
+            savedScore = scoreboardStorage.saveScore({
+                ...scoreData,
+                replay: this.replayRecorder.finish()
+            });
             console.log('Game score saved to scoreboard');
 
             if (this.modals.scoreboard?.isVisible && this.modals.scoreboard.isVisible()) {
@@ -13278,13 +14673,20 @@ class VibeSurvivor {
         }
 
         // Update modal with all data (include savedScore.id if available)
+        const cleared = scoreData.clearTime !== undefined && scoreData.clearTime !== null;
         this.modals.gameOver.update({
             ...scoreData,
             id: savedScore?.id, // Include the local storage ID
+            title: cleared ? this.t('bossRushClear') : null,
+            allowGlobalSubmit: this.getGameModeConfig().globalLeaderboard,
+            shardsEarned: shardsEarned,
+            unlockedText: newCharacters.map(characterId => this.getCharacterText(characterId).name).join(', '),
             timeText: timeText,
+            seedText: formatSeed(this.runSeed),
             weaponsHTML: weaponsHTML,
             passivesHTML: passivesHTML,
-            playerStatsHTML: playerStatsHTML
+            playerStatsHTML: playerStatsHTML,
+            killsHTML: killsHTML
         });
 
         // Set up event handlers (if not already set)
@@ -13319,6 +14721,14 @@ class VibeSurvivor {
             this.touchControls.joystick.touchId = null;
         }
 
+        this.achievementSystem.handleEvent('victory', { weaponCount: this.weapons.length });
+
+        // Boss Rush ends on its last encounter instead of offering the next boss
+        if (this.isBossRush() && this.enemySystem.bossRush.isFinalEncounter()) {
+            this.completeBossRush();
+            return;
+        }
+
         // Set victory sequence state and pause game time
         this.bossVictoryInProgress = true;  // Mark victory screen active
         this.timePaused = true;             // Pause game time during victory
@@ -13340,7 +14750,7 @@ class VibeSurvivor {
         const finalStats = {
             level: this.player.level,
             timeText: timeText,
-            enemiesKilled: Math.max(1, Math.floor(this.gameTime * 1.8))
+            enemiesKilled: this.killStats.total
         };
 
         this.lastVictoryPayload = {
@@ -13350,13 +14760,19 @@ class VibeSurvivor {
         };
         this.victoryHiddenForExitConfirmation = false;
 
+        // Playback continues on the recorded frame, input providers via resolveProviderChoices()
+        if (this.hasAutomatedChoices()) {
+            return;
+        }
+
         // Set up VictoryModal callbacks
         this.modals.victory.setGameStateCallbacks(
             () => this.translations[this.currentLanguage].ui,
             this.t.bind(this),
             this.generateWeaponsSection.bind(this),
             this.generatePassivesSection.bind(this),
-            this.generatePlayerStatsSection.bind(this)
+            this.generatePlayerStatsSection.bind(this),
+            this.generateKillsSection.bind(this)
         );
 
         this.modals.victory.setOverlayLockCallbacks(
@@ -13365,24 +14781,7 @@ class VibeSurvivor {
         );
 
         this.modals.victory.onContinue(() => {
-            // Play next stage sound
-            this.audioManager.playSound('nextStage');
-
-            // Reset menu navigation
-            this.resetMenuNavigation();
-
-            // Clear victory screen state
-            this.bossVictoryInProgress = false;
-            this.lastVictoryPayload = null;
-            this.victoryHiddenForExitConfirmation = false;
-
-            // Process any deferred level ups before continuing
-            this.processPendingLevelUps();
-
-            // If no pending level ups, continue immediately
-            if (this.pendingLevelUps === 0) {
-                this.continueAfterBoss();
-            }
+            this.continueFromVictory();
         });
 
         this.modals.victory.onExit(() => {
@@ -13405,6 +14804,34 @@ class VibeSurvivor {
         this.modals.victory.show(finalStats, this.bossesKilled, this.bossLevel);
     }
 
+    continueFromVictory() {
+        this.replayRecorder.recordEvent('victory');
+
+        // Play next stage sound
+        this.audioManager.playSound('nextStage');
+
+        // Reset menu navigation
+        this.resetMenuNavigation();
+
+        // Clear victory screen state
+        this.bossVictoryInProgress = false;
+        this.lastVictoryPayload = null;
+        this.victoryHiddenForExitConfirmation = false;
+
+        // Boss Rush interlude upgrades queue up with any deferred level ups
+        if (this.isBossRush()) {
+            this.pendingLevelUps += BOSS_RUSH.interlude.levelUps;
+        }
+
+        // Process any deferred level ups before continuing
+        this.processPendingLevelUps();
+
+        // If no pending level ups, continue immediately
+        if (this.pendingLevelUps === 0) {
+            this.continueAfterBoss();
+        }
+    }
+
     continueAfterBoss() {
         // Resume the game with increased difficulty after beating the boss
         this.gameRunning = true;
@@ -13425,14 +14852,19 @@ class VibeSurvivor {
         this.projectiles = [];
 
         // Increment boss progression counters
-        this.bossesKilled++;
+        this.bossesKilled += this.isBossRush() ? this.enemySystem.bossRush.getCurrentEncounter().bosses.length : 1;
         this.bossLevel++;
+        this.grantBossUpgradeCharges();
 
         // Reset boss tracking and schedule the next encounter using game time
         this.bossSpawned = false;
         // Reset EnemySystem's boss tracking (it won't spawn bosses after the first one)
         this.enemySystem.bossSpawned = false;
-        this.scheduleNextBossSpawn(this.bossRespawnDelay);
+        if (this.isBossRush()) {
+            this.startBossRushInterlude();
+        } else {
+            this.scheduleNextBossSpawn(this.enemySystem.waveDirector.getBossRespawnDelay(this.bossRespawnDelay));
+        }
 
         // Increase general game difficulty
         this.waveNumber = Math.max(1, this.waveNumber + 1);
@@ -13500,7 +14932,9 @@ class VibeSurvivor {
         const { type, distance, variantId, bossLevel } = this.pendingBossSpawn;
         const variantConfig = variantId ? this.getBossVariantById(variantId) : this.getBossVariantForLevel(bossLevel || this.bossLevel);
 
-        if (type === 'scaled') {
+        if (type === 'rush') {
+            this.spawnBossRushEncounter(this.enemySystem.bossRush.getCurrentEncounter(), distance);
+        } else if (type === 'scaled') {
             this.spawnScaledBossImmediate(distance, variantConfig, bossLevel || this.bossLevel, true);
         } else {
             this.spawnBossImmediate(distance, variantConfig, true, bossLevel || this.bossLevel);
@@ -13509,6 +14943,128 @@ class VibeSurvivor {
         this.pendingBossSpawn = null;
     }
 
+    /**
+     * Boss Rush: queues the next encounter once the warmup or interlude is over
+     */
+    updateBossRush() {
+        if (!this.isBossRush()) {
+            return;
+        }
+
+        if (this.timePaused || this.playerDead || this.bossDefeating || this.bossVictoryInProgress) {
+            return;
+        }
+
+        if (this.pendingBossSpawn || this.enemies.some(enemy => enemy.behavior === 'boss')) {
+            return;
+        }
+
+        const encounter = this.enemySystem.bossRush.takeDueEncounter(this.gameTime);
+        if (encounter) {
+            this.queueBossRushEncounter(encounter);
+        }
+    }
+
+    /**
+     * Alerts the player to a Boss Rush encounter; processPendingBossSpawn() brings it in
+     * after the alert like any other boss
+     * @param {Object} encounter - Encounter from the BossRushDirector
+     */
+    queueBossRushEncounter(encounter) {
+        const delaySeconds = Math.max(this.bossAlertLeadSeconds || 0, this.bossSpawnDelaySeconds);
+        this.pendingBossSpawn = {
+            type: 'rush',
+            spawnTime: this.gameTime + delaySeconds,
+            distance: this.bossSpawnDistance,
+            variantId: encounter.bosses[0],
+            bossLevel: this.enemySystem.bossRush.encounterIndex + 1
+        };
+
+        this.showBossNotification(encounter.bosses.map(id => this.getBossVariantById(id)));
+    }
+
+    /**
+     * Spawns every boss of a Boss Rush encounter. Duos come in from opposite sides; the first
+     * boss leads and its partner fires on the lead's cue (see getBossFramesUntilAttack()).
+     * @param {Object} encounter - Encounter from the BossRushDirector
+     * @param {number} [distance] - Spawn distance from the player
+     */
+    spawnBossRushEncounter(encounter, distance = this.bossSpawnDistance) {
+        const rush = this.enemySystem.bossRush;
+        const baseAngle = this.rng.next() * Math.PI * 2;
+        const isDuo = encounter.bosses.length > 1;
+
+        encounter.bosses.forEach((variantId, index) => {
+            const boss = this.spawnScaledBossImmediate(distance, this.getBossVariantById(variantId), rush.encounterIndex + 1, true, {
+                scalingSteps: rush.getScalingSteps(),
+                healthScale: BOSS_RUSH.healthScale * encounter.healthScale,
+                angle: baseAngle + (Math.PI * 2 * index) / encounter.bosses.length
+            });
+            if (isDuo) {
+                boss.duo = {
+                    role: index === 0 ? 'lead' : 'partner',
+                    partnerDelay: encounter.partnerDelay,
+                    enrage: encounter.enrage,
+                    cueFrame: null
+                };
+            }
+        });
+    }
+
+    /**
+     * Boss Rush: hands out the interlude rewards after an encounter and schedules the next one
+     */
+    startBossRushInterlude() {
+        const rush = this.enemySystem.bossRush;
+        const { chests, healFraction } = BOSS_RUSH.interlude;
+
+        rush.completeEncounter(this.gameTime);
+
+        this.player.health = Math.min(this.player.maxHealth, this.player.health + this.player.maxHealth * healFraction);
+        for (let i = 0; i < chests && this.chestOrbs.length < this.pickupSystem.maxChestOrbs; i++) {
+            this.createChestOrb();
+        }
+
+        const message = this.t('bossRushInterlude')
+            .replace('{cleared}', rush.encounterIndex)
+            .replace('{total}', rush.getEncounterCount())
+            .replace('{seconds}', BOSS_RUSH.interludeSeconds);
+        this.showToastNotification(message, 'wave');
+    }
+
+    /**
+     * Boss Rush: the last encounter fell - records the clear time and ends the run
+     */
+    completeBossRush() {
+        if (this.gameOverHandled) {
+            return;
+        }
+        this.gameOverHandled = true;
+
+        const rush = this.enemySystem.bossRush;
+        this.bossesKilled += rush.getCurrentEncounter().bosses.length;
+        rush.completeEncounter(this.gameTime);
+        this.bossDefeating = false;
+        this.gameRunning = false;
+        this.timePaused = true;
+        this.pauseLoopingWeaponSounds();
+
+        if (this.gameLoopId) {
+            cancelAnimationFrame(this.gameLoopId);
+            this.gameLoopId = null;
+        }
+
+        this.events.emit('runEnded', { reason: 'bossRushCleared' });
+
+        // Replay viewer stays on the final frame; input-provider runs are ended by whoever drives them
+        if (this.hasAutomatedChoices()) {
+            return;
+        }
+
+        this.gameOver();
+        this.showGameOverModal();
+    }
+
     restartGame() {
         this.startGame();
     }
@@ -13519,6 +15075,7 @@ class VibeSurvivor {
 
         // Stop game immediately to prevent any lingering processes
         this.gameRunning = false;
+        this.stopAttractMode();
         this.isPaused = false;
         this.disablePauseScrolling();
         this.overlayLocks = 0;
@@ -13681,14 +15238,18 @@ class VibeSurvivor {
             // Phase 12c.4b - Initialize keyboard navigation for start screen after quit
             // Use setTimeout to ensure DOM is fully ready
             setTimeout(() => {
+                const continueBtn = this.refreshContinueButton() ? document.getElementById('continue-survivor') : null;
                 const startBtn = document.getElementById('start-survivor');
+                const bossRushBtn = document.getElementById('boss-rush-btn');
                 const guideBtn = document.getElementById('start-btn-guide');
                 const scoreboardBtn = document.getElementById('scoreboard-btn');
+                const shopBtn = document.getElementById('meta-shop-btn');
+                const achievementsBtn = document.getElementById('achievements-btn');
                 const optionsBtn = document.getElementById('options-btn');
                 const aboutBtn = document.getElementById('about-btn');
                 const restartBtn = document.getElementById('restart-survivor');
                 const exitBtn = document.getElementById('exit-survivor');
-                const startButtons = [startBtn, guideBtn, scoreboardBtn, optionsBtn, aboutBtn, restartBtn, exitBtn].filter(btn => btn);
+                const startButtons = [continueBtn, startBtn, bossRushBtn, guideBtn, scoreboardBtn, shopBtn, achievementsBtn, optionsBtn, aboutBtn, restartBtn, exitBtn].filter(btn => btn);
 
                 if (startButtons.length > 0) {
                     this.initializeMenuNavigation('start', startButtons);
@@ -13798,7 +15359,9 @@ class VibeSurvivor {
                     // Landing page
                     gameTitle: "VIBE SURVIVOR",
                     gameTagline: "Survive the endless waves!",
+                    continueRun: "CONTINUE",
                     startGame: "START",
+                    bossRushButton: "BOSS RUSH",
                     guide: "GUIDE",
                     options: "OPTIONS",
                     about: "ABOUT",
@@ -13825,6 +15388,63 @@ class VibeSurvivor {
                     scoreboardDetailTitle: "RUN DETAILS",
                     scoreboardVersionLabel: "Version",
                     scoreboardAllVersions: "All Versions",
+                    scoreboardModeLabel: "Mode",
+                    scoreboardClearTime: "Clear",
+                    scoreboardEncounters: "Encounters",
+                    scoreboardBoosted: "Boosted",
+                    scoreboardLoadout: "Upgrades:",
+                    metaShopButton: "UPGRADES",
+                    metaShopTitle: "UPGRADE SHOP",
+                    metaShopHint: "Upgrades apply to every new run. Boosted runs are marked on the scoreboard.",
+                    metaShards: "Shards",
+                    metaShardsEarned: "Shards Earned",
+                    metaShopBuy: "BUY",
+                    metaShopMaxed: "MAX",
+                    metaShopRefund: "REFUND ALL",
+                    metaShopRefundConfirm: "Sell every upgrade back for {shards} shards?",
+                    characterSelectTitle: "CHOOSE YOUR CHARACTER",
+                    characterSelectStart: "START",
+                    characterSelectBack: "BACK",
+                    characterWeapon: "Weapon",
+                    characterHealth: "Health",
+                    characterSpeed: "Speed",
+                    characterMagnet: "Pickup Range",
+                    characterPassive: "Signature",
+                    characterNoPassive: "None",
+                    characterUnlock_level: "Reach level {value} in a run",
+                    characterUnlock_bossesKilled: "Defeat {value} boss in a run",
+                    characterUnlock_time: "Survive {value} in a run",
+                    characterUnlock_chestsCollected: "Collect {value} chests in a run",
+                    charactersUnlocked: "New Character",
+                    scoreboardCharacter: "Character",
+                    upgradeReroll: "Reroll",
+                    upgradeBanish: "Banish",
+                    upgradeBanishCancel: "Cancel Banish",
+                    upgradeSkip: "Skip",
+                    upgradeBanished: "{name} banished for this run",
+                    upgradeSkipped: "Skipped: +{health} HP, +{xp} XP",
+                    upgradeChargesEarned: "+{rerolls} Reroll, +{banishes} Banish",
+                    upgradeActionsTitle: "Reroll & Banish",
+                    upgradeActionsCharges: "Rerolls: {rerolls} • Banishes: {banishes}",
+                    upgradeBanishedList: "Banished",
+                    upgradeBanishedNone: "Nothing banished yet",
+                    achievementsButton: "ACHIEVEMENTS",
+                    achievementsTitle: "ACHIEVEMENTS",
+                    achievementsProgress: "{unlocked} / {total} unlocked",
+                    achievementLocked: "Locked",
+                    achievementUnlocked: "Achievement Unlocked",
+                    achievement_firstMerge: "Fusion",
+                    achievement_firstMerge_desc: "Merge or evolve a weapon",
+                    achievement_defeatBoss: "{boss} Down",
+                    achievement_defeatBoss_desc: "Defeat {boss}",
+                    achievement_untouchable: "Untouchable",
+                    achievement_untouchable_desc: "Go 3 minutes in a run without taking damage",
+                    achievement_level50: "Veteran",
+                    achievement_level50_desc: "Reach level 50",
+                    achievement_loneWolf: "Lone Wolf",
+                    achievement_loneWolf_desc: "Defeat a boss while holding only one weapon",
+                    achievement_treasureHunter: "Treasure Hunter",
+                    achievement_treasureHunter_desc: "Open 10 chests in one run",
                     scoreboardClear: "CLEAR ALL",
                     scoreboardClearConfirm: "Clear all saved scores?",
                     scoreboardEmpty: "No scores yet. Play a run to add your first record!",
@@ -13832,10 +15452,14 @@ class VibeSurvivor {
                     scoreboardNoPassives: "No passives recorded",
                     scoreboardBackToList: "BACK TO LIST",
                     scoreboardDelete: "DELETE RECORD",
+                    watchReplay: "WATCH REPLAY",
+                    replayRemoved: "Replay removed to free up storage space",
                     scoreboardDeleteConfirm: "Delete this record?",
                     scoreboardWeaponsHeading: "Weapons",
                     scoreboardPassivesHeading: "Passives",
                     scoreboardPlayerHeading: "Player Stats",
+                    scoreboardKillsHeading: "Kills",
+                    noKillBreakdown: "Not recorded for this run",
                     scoreboardStatsHeading: "Damage",
                     enterPlayerName: "Enter your display name (3-20 characters):",
                     scoreDetailTitle: "RUN DETAILS",
@@ -13848,6 +15472,10 @@ class VibeSurvivor {
                     sfx: "SFX",
                     soundEffects: "Sound Effects",
                     dashPosition: "Dash Button Position",
+                    offscreenIndicators: "Off-screen Indicators",
+                    indicatorPresetAll: "All",
+                    indicatorPresetEssential: "Bosses & Chests",
+                    indicatorPresetOff: "Off",
                     close: "CLOSE",
                     optionsHint: "Press ESC to close",
 
@@ -13860,6 +15488,8 @@ class VibeSurvivor {
                     quitGame: "QUIT GAME",
                     playAgain: "PLAY AGAIN",
                     exit: "EXIT",
+                    yes: "YES",
+                    no: "NO",
                     left: "LEFT",
                     right: "RIGHT",
                     button: "BUTTON",
@@ -13903,7 +15533,8 @@ class VibeSurvivor {
                     acquiredSuffix: "ACQUIRED!",
 
                     // Upgrade descriptions
-                    damageFireRate: "damage, faster fire rate",
+                    fasterFireRate: "faster fire rate",
+                    upgradePath: "Path",
                     addProjectile: "+1 projectile",
 
                     // Game over stats
@@ -13912,10 +15543,20 @@ class VibeSurvivor {
                     enemies: "Enemies:",
                     bosses: "Bosses",
                     bossesDefeated: "Bosses Defeated:",
+                    seed: "Seed:",
                     retry: "RETRY",
                     weaponsResult: "Weapons Result",
                     passiveResult: "Passive Result",
                     finalResult: "Stats Result",
+                    killsResult: "Kills Result",
+                    killsByEnemy: "Enemies",
+                    killsByBoss: "Bosses",
+                    killingBlows: "Final Blows",
+                    enemyChase: "Chaser",
+                    enemyDodge: "Dodger",
+                    enemyTank: "Tank",
+                    enemyFly: "Flyer",
+                    enemyTeleport: "Phantom",
                     currentDamage: "Single Dmg",
                     totalDamage: "Total",
                     vsBosses: "Boss",
@@ -13924,40 +15565,15 @@ class VibeSurvivor {
                     bossDefeatedBanner: "Boss Defeated",
                     bossLevelDefeated: "Boss Level {level} Defeated",
                     nextBoss: "Next: Boss Level {level}",
+                    bossRushInterlude: "ENCOUNTER {cleared}/{total} CLEARED! NEXT IN {seconds}s",
+                    bossRushClear: "BOSS RUSH CLEAR!",
+                    bossPartnerFallen: "{name} HAS FALLEN!",
+                    bossPhase: "PHASE {phase}",
+                    bossCatchUpWarning: "TOO FAR - BOSS WILL DASH IN",
+                    bossCatchUpDashing: "INCOMING DASH!",
                     noWeapons: "No weapons acquired",
                     noPassives: "No passives acquired"
                 },
-                weapons: {
-                    // Base weapons
-                    basicMissile: "Basic Missile",
-                    rapidFire: "Rapid Fire",
-                    spreadShot: "Spread Shot",
-                    laserBeam: "Laser Beam",
-                    plasmaBolt: "Plasma Bolt",
-                    homingMissiles: "Homing Missiles",
-                    shotgun: "Shotgun",
-                    lightning: "Lightning",
-                    flamethrower: "Flamethrower",
-                    railgun: "Railgun",
-
-                    // Merged weapons
-                    homingLaser: "Homing Laser",
-                    shockburst: "Shockburst",
-                    gatlingGun: "Gatling Gun",
-                    napalmBuckshot: "Napalm Buckshot",
-
-                    // Weapon descriptions
-                    basicDesc: "Fires a basic missile at the nearest enemy",
-                    spreadDesc: "Fires multiple projectiles in a spread pattern",
-                    laserDesc: "High-damage piercing beam",
-                    plasmaDesc: "Explosive projectiles with area damage",
-                    shotgunDesc: "Close-range high damage spread",
-                    lightningDesc: "Chain lightning that jumps between enemies",
-                    flamethrowerDesc: "Continuous flame stream with burning damage",
-                    railgunDesc: "Ultra high damage piercing shot",
-                    missilesDesc: "Homing missiles with explosive damage",
-                    napalmBuckshotDesc: "Sticky fire pellets with devastating stacking burn damage"
-                },
                 passives: {
                     healthBoost: "Health Boost",
                     speedBoost: "Speed Boost",
@@ -14017,19 +15633,15 @@ class VibeSurvivor {
 
                     // Weapon mergers
                     weaponMergers: "<img src='images/passives/upgrade.png' alt='upgrade' class='section-icon'> WEAPON MERGERS",
-                    homingLaserRecipe: "Laser lvl 3 + Homing Missiles lvl 3",
-                    homingLaserDesc: "Heat-seeking laser beams",
-                    shockburstRecipe: "Lightning lvl 3 + Plasma lvl 3",
-                    shockburstDesc: "Explosive energy bursts",
-                    gatlingGunRecipe: "Rapid Fire lvl 5 + Spread Shot lvl 3",
-                    gatlingGunDesc: "Multi-barrel rapid fire",
-                    napalmBuckshotRecipe: "Shotgun lvl 3 + Flamethrower lvl 3",
-                    napalmBuckshotDesc: "Sticky fire pellets with stacking burn damage",
+                    recipeInput: "{weapon} lvl {level}",
+                    mergesInto: "Merges into: {weapons}",
+                    mergePreview: "Merges into {weapon}!",
+                    unlocksEvolution: "Unlocks {weapon} ({recipe})",
+                    evolvesNow: "Evolves into {weapon} now!",
 
                     // Additional help content
                     weaponEvolution: "WEAPON EVOLUTION",
                     rapidFireEvolution: "Basic Missile evolves into Rapid Fire at level 5 - this creates a powerful automatic weapon with increased fire rate.",
-                    rapidFireEvolutionDesc: "Basic Missile evolves at level 5 into Rapid Fire with blazing speed.",
 
                     // Modal UI
                     closeButton: "CLOSE",
@@ -14041,7 +15653,9 @@ class VibeSurvivor {
                     // Landing page
                     gameTitle: "바이브 서바이벌",
                     gameTagline: "끝없는 도형들의 공격에서 살아남아라!",
+                    continueRun: "이어하기",
                     startGame: "시작",
+                    bossRushButton: "보스 러시",
                     guide: "가이드",
                     options: "설정",
                     about: "정보",
@@ -14068,6 +15682,63 @@ class VibeSurvivor {
                     scoreboardDetailTitle: "기록 상세",
                     scoreboardVersionLabel: "버전",
                     scoreboardAllVersions: "모든 버전",
+                    scoreboardModeLabel: "모드",
+                    scoreboardClearTime: "클리어",
+                    scoreboardEncounters: "전투",
+                    scoreboardBoosted: "강화됨",
+                    scoreboardLoadout: "강화:",
+                    metaShopButton: "강화",
+                    metaShopTitle: "강화 상점",
+                    metaShopHint: "강화는 모든 새 게임에 적용됩니다. 강화된 기록은 점수판에 표시됩니다.",
+                    metaShards: "파편",
+                    metaShardsEarned: "획득한 파편",
+                    metaShopBuy: "구매",
+                    metaShopMaxed: "최대",
+                    metaShopRefund: "전체 환불",
+                    metaShopRefundConfirm: "모든 강화를 파편 {shards}개로 환불할까요?",
+                    characterSelectTitle: "캐릭터 선택",
+                    characterSelectStart: "시작",
+                    characterSelectBack: "뒤로",
+                    characterWeapon: "무기",
+                    characterHealth: "체력",
+                    characterSpeed: "속도",
+                    characterMagnet: "획득 범위",
+                    characterPassive: "고유 패시브",
+                    characterNoPassive: "없음",
+                    characterUnlock_level: "한 게임에서 레벨 {value} 달성",
+                    characterUnlock_bossesKilled: "한 게임에서 보스 {value}마리 처치",
+                    characterUnlock_time: "한 게임에서 {value} 생존",
+                    characterUnlock_chestsCollected: "한 게임에서 상자 {value}개 획득",
+                    charactersUnlocked: "새 캐릭터",
+                    scoreboardCharacter: "캐릭터",
+                    upgradeReroll: "새로고침",
+                    upgradeBanish: "추방",
+                    upgradeBanishCancel: "추방 취소",
+                    upgradeSkip: "건너뛰기",
+                    upgradeBanished: "{name} 이번 게임에서 추방됨",
+                    upgradeSkipped: "건너뜀: 체력 +{health}, 경험치 +{xp}",
+                    upgradeChargesEarned: "새로고침 +{rerolls}, 추방 +{banishes}",
+                    upgradeActionsTitle: "새로고침 & 추방",
+                    upgradeActionsCharges: "새로고침: {rerolls} • 추방: {banishes}",
+                    upgradeBanishedList: "추방됨",
+                    upgradeBanishedNone: "추방한 항목 없음",
+                    achievementsButton: "업적",
+                    achievementsTitle: "업적",
+                    achievementsProgress: "{unlocked} / {total} 달성",
+                    achievementLocked: "잠김",
+                    achievementUnlocked: "업적 달성",
+                    achievement_firstMerge: "융합",
+                    achievement_firstMerge_desc: "무기를 합성하거나 진화시키기",
+                    achievement_defeatBoss: "{boss} 격파",
+                    achievement_defeatBoss_desc: "{boss} 처치하기",
+                    achievement_untouchable: "무적",
+                    achievement_untouchable_desc: "한 게임에서 3분 동안 피해 없이 버티기",
+                    achievement_level50: "베테랑",
+                    achievement_level50_desc: "레벨 50 달성하기",
+                    achievement_loneWolf: "외로운 늑대",
+                    achievement_loneWolf_desc: "무기 하나만 가진 채 보스 처치하기",
+                    achievement_treasureHunter: "보물 사냥꾼",
+                    achievement_treasureHunter_desc: "한 게임에서 상자 10개 열기",
                     scoreboardClear: "전체 삭제",
                     scoreboardClearConfirm: "저장된 모든 기록을 삭제할까요?",
                     scoreboardEmpty: "아직 저장된 점수가 없습니다. 게임을 플레이해 기록을 추가하세요!",
@@ -14075,10 +15746,14 @@ class VibeSurvivor {
                     scoreboardNoPassives: "기록된 패시브가 없습니다",
                     scoreboardBackToList: "목록으로",
                     scoreboardDelete: "기록 삭제",
+                    watchReplay: "리플레이 보기",
+                    replayRemoved: "저장 공간 확보를 위해 리플레이가 삭제되었습니다",
                     scoreboardDeleteConfirm: "이 기록을 삭제할까요?",
                     scoreboardWeaponsHeading: "무기",
                     scoreboardPassivesHeading: "패시브",
                     scoreboardPlayerHeading: "플레이어 스탯",
+                    scoreboardKillsHeading: "처치",
+                    noKillBreakdown: "이 기록에는 저장되지 않았습니다",
                     scoreboardStatsHeading: "피해",
                     enterPlayerName: "표시 이름을 입력하세요 (3-20자):",
                     scoreDetailTitle: "기록 상세",
@@ -14091,6 +15766,10 @@ class VibeSurvivor {
                     sfx: "효과음",
                     soundEffects: "효과음",
                     dashPosition: "대시 버튼 위치",
+                    offscreenIndicators: "화면 밖 표시",
+                    indicatorPresetAll: "전체",
+                    indicatorPresetEssential: "보스 & 상자",
+                    indicatorPresetOff: "끄기",
                     close: "닫기",
                     optionsHint: "ESC를 눌러 닫기",
 
@@ -14103,6 +15782,8 @@ class VibeSurvivor {
                     quitGame: "게임 종료",
                     playAgain: "다시하기",
                     exit: "나가기",
+                    yes: "예",
+                    no: "아니요",
                     left: "왼쪽",
                     right: "오른쪽",
                     button: "버튼",
@@ -14146,7 +15827,8 @@ class VibeSurvivor {
                     acquiredSuffix: "획득!",
 
                     // Upgrade descriptions
-                    damageFireRate: "데미지, 더 빠른 발사 속도",
+                    fasterFireRate: "더 빠른 발사 속도",
+                    upgradePath: "경로",
                     addProjectile: "+1 발사체",
 
                     // Game over stats
@@ -14155,10 +15837,20 @@ class VibeSurvivor {
                     enemies: "처치한 적:",
                     bosses: "보스",
                     bossesDefeated: "처치한 보스:",
+                    seed: "시드:",
                     retry: "다시하기",
                     weaponsResult: "무기 결과",
                     passiveResult: "패시브 결과",
                     finalResult: "통계 결과",
+                    killsResult: "처치 기록",
+                    killsByEnemy: "적",
+                    killsByBoss: "보스",
+                    killingBlows: "결정타",
+                    enemyChase: "추격자",
+                    enemyDodge: "회피자",
+                    enemyTank: "탱크",
+                    enemyFly: "비행체",
+                    enemyTeleport: "팬텀",
                     currentDamage: "단일 피해",
                     totalDamage: "총합",
                     vsBosses: "보스",
@@ -14167,40 +15859,15 @@ class VibeSurvivor {
                     bossDefeatedBanner: "보스를 처치했습니다",
                     bossLevelDefeated: "보스 레벨 {level} 처치",
                     nextBoss: "다음: 보스 레벨 {level}",
+                    bossRushInterlude: "전투 {cleared}/{total} 클리어! {seconds}초 후 다음 전투",
+                    bossRushClear: "보스 러시 클리어!",
+                    bossPartnerFallen: "{name} 쓰러짐!",
+                    bossPhase: "페이즈 {phase}",
+                    bossCatchUpWarning: "너무 멀어요 - 보스가 돌진합니다",
+                    bossCatchUpDashing: "돌진 접근 중!",
                     noWeapons: "획득한 무기가 없습니다",
                     noPassives: "획득한 패시브가 없습니다"
                 },
-                weapons: {
-                    // Base weapons
-                    basicMissile: "기본 미사일",
-                    rapidFire: "속사",
-                    spreadShot: "산탄 총",
-                    laserBeam: "레이저 빔",
-                    plasmaBolt: "플라즈마 볼트",
-                    homingMissiles: "유도 미사일",
-                    shotgun: "샷건",
-                    lightning: "번개",
-                    flamethrower: "화염방사기",
-                    railgun: "레일건",
-
-                    // Merged weapons
-                    homingLaser: "유도 레이저",
-                    shockburst: "충격파",
-                    gatlingGun: "개틀링 건",
-                    napalmBuckshot: "네이팜 산탄",
-
-                    // Weapon descriptions
-                    basicDesc: "가장 가까운 적에게 기본 미사일을 발사",
-                    spreadDesc: "산탄 형태로 다중 발사체를 발사",
-                    laserDesc: "고데미지 관통 빔",
-                    plasmaDesc: "광역 피해를 주는 폭발 발사체",
-                    shotgunDesc: "근거리 고데미지 산탄",
-                    lightningDesc: "적들 사이를 점프하는 연쇄 번개",
-                    flamethrowerDesc: "지속적인 화염 공격과 화상 데미지",
-                    railgunDesc: "초고데미지 관통 사격",
-                    missilesDesc: "폭발 피해를 주는 유도 미사일",
-                    napalmBuckshotDesc: "치명적인 누적 화상 피해를 주는 점착성 화염 펠릿"
-                },
                 passives: {
                     healthBoost: "체력 강화",
                     speedBoost: "속도 강화",
@@ -14260,19 +15927,15 @@ class VibeSurvivor {
 
                     // Weapon mergers
                     weaponMergers: "<img src='images/passives/upgrade.png' alt='upgrade' class='section-icon'> 무기 합성",
-                    homingLaserRecipe: "레이저 레벨 3 + 유도 미사일 레벨 3",
-                    homingLaserDesc: "열추적 레이저 빔",
-                    shockburstRecipe: "번개 레벨 3 + 플라즈마 레벨 3",
-                    shockburstDesc: "폭발적 에너지 파동",
-                    gatlingGunRecipe: "속사 레벨 5 + 산탄 총 레벨 3",
-                    gatlingGunDesc: "다총신 속사",
-                    napalmBuckshotRecipe: "샷건 레벨 3 + 화염방사기 레벨 3",
-                    napalmBuckshotDesc: "누적 화상 피해를 주는 점착성 화염 펠릿",
+                    recipeInput: "{weapon} 레벨 {level}",
+                    mergesInto: "합성 결과: {weapons}",
+                    mergePreview: "{weapon} 합성!",
+                    unlocksEvolution: "{weapon} 해금 ({recipe})",
+                    evolvesNow: "{weapon} 즉시 진화!",
 
                     // Additional help content
                     weaponEvolution: "무기 진화",
                     rapidFireEvolution: "기본 미사일이 레벨 5에서 속사로 진화합니다 - 발사 속도가 크게 향상된 강력한 자동 무기가 됩니다.",
-                    rapidFireEvolutionDesc: "기본 미사일이 레벨 5에서 엄청난 속도의 연사로 진화합니다.",
 
                     // Modal UI
                     closeButton: "닫기",
@@ -14371,6 +16034,18 @@ class VibeSurvivor {
             this.modals.scoreboard.updateLocalization();
         }
 
+        if (this.modals.metaShop) {
+            this.modals.metaShop.setTranslationFunction(t);
+        }
+
+        if (this.modals.achievements) {
+            this.modals.achievements.setTranslationFunction(t);
+        }
+
+        if (this.modals.characterSelect) {
+            this.modals.characterSelect.setTranslationFunction(t);
+        }
+
         if (this.modals.scoreDetail) {
             this.modals.scoreDetail.setTranslationFunction(t);
         }
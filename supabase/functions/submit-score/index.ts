@@ -1,5 +1,6 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { maxKillableEnemies } from './kill-limit.js'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -176,9 +177,10 @@ serve(async (req) => {
 
     // Light validation - just prevent obviously impossible scores
     // (Since it's just for bragging, no prizes, we don't need to be paranoid)
-    const enemiesPerMinute = enemiesKilled / (time / 60);
-    if (enemiesPerMinute > 200) {
-      throw new Error('Unrealistic enemy kill rate')
+    // Kills are counted for real, so they can't exceed what the standard timeline could have
+    // spawned by then (see kill-limit.js; tools/check-kill-limit.mjs keeps it in step with the game)
+    if (enemiesKilled > maxKillableEnemies(time, bossesKilled || 0)) {
+      throw new Error('Unrealistic enemy kill count')
     }
 
     if (weapons && weapons.length > 10) {
@@ -0,0 +1,108 @@
+/**
+ * Kill limit for submitted scores
+ * An upper bound on the enemies a survival run can have killed after a given time, worked out
+ * from the standard wave timeline (js/config/wave-timeline.js) the way the WaveDirector plays it.
+ * Plain JS so the Edge Function and tools/check-kill-limit.mjs share it; that tool fails when
+ * STANDARD_SPAWNS drifts from the timeline or a simulated run kills more than the limit.
+ */
+
+/**
+ * The parts of WAVE_TIMELINES.standard that decide how many enemies spawn, times in seconds.
+ * Modifiers that can't add enemies (lulls, speed, elite chance) are left out.
+ */
+export const STANDARD_SPAWNS = {
+    maxEnemies: 120,
+    bossRespawnDelay: 30,
+    phase: {
+        maxEnemies: 30,
+        spawnInterval: { base: 120, step: -5, every: 10, min: 30 },
+        spawnCount: { base: 1, step: 1, every: 60 }
+    },
+    // Swarms and lines: { time, every, until, count }
+    groups: [
+        { time: 45, every: null, until: null, count: 10 },
+        { time: 90, every: null, until: null, count: 7 },
+        { time: 240, every: 120, until: 1800, count: 16 },
+        { time: 300, every: 90, until: 1800, count: 9 },
+        { time: 900, every: 300, until: 1800, count: 24 }
+    ],
+    // HOLD OUT before every boss
+    bossSurge: { duration: 25, spawnRateMultiplier: 2.5 }
+};
+
+// Minions are spawned on top of the waves: 3 from every tank at a quarter health, 3 from every
+// splitting elite, and 3-6 every 5 seconds from the summoning boss. In the long runs of
+// tools/check-kill-limit.mjs they come to about half of what the waves actually spawned, which
+// stays far below the wave counts worked out here.
+const MINION_HEADROOM = 1.5;
+
+/**
+ * Same as WaveDirector's ramps: a number or { base, step, every, min, max }
+ * @param {number|Object} value - Value or ramp
+ * @param {number} elapsed - Seconds into the phase
+ * @returns {number}
+ */
+function evaluateRamp(value, elapsed) {
+    if (typeof value === 'number') return value;
+
+    const steps = value.every > 0 ? Math.floor(elapsed / value.every) : 0;
+    const result = value.base + steps * (value.step || 0);
+    return Math.min(value.max ?? Infinity, Math.max(value.min ?? -Infinity, result));
+}
+
+/**
+ * Most ambient spawns up to `seconds`. Each wave is counted in full (as if the player killed
+ * everything before the next one), lulls are ignored, and the HOLD OUT surges are placed as late
+ * as possible: one per boss arrival, the arrivals at least bossRespawnDelay apart.
+ * @param {Object} spawns - STANDARD_SPAWNS
+ * @param {number} seconds - Run time
+ * @param {number} bossArrivals - Bosses that can have arrived
+ * @returns {number}
+ */
+function maxAmbientSpawns(spawns, seconds, bossArrivals) {
+    const { phase, bossSurge, bossRespawnDelay } = spawns;
+    const inSurge = (t) => {
+        const fromEnd = seconds - t;
+        const arrival = Math.floor(fromEnd / bossRespawnDelay);
+        return arrival < bossArrivals && fromEnd - arrival * bossRespawnDelay < bossSurge.duration;
+    };
+
+    let total = 0;
+    let frame = 0;
+    while (frame / 60 <= seconds) {
+        const t = frame / 60;
+        total += Math.min(phase.maxEnemies, Math.floor(evaluateRamp(phase.spawnCount, t)));
+
+        const interval = evaluateRamp(phase.spawnInterval, t);
+        frame += inSurge(t) ? Math.max(1, Math.round(interval / bossSurge.spawnRateMultiplier)) : interval;
+    }
+    return total;
+}
+
+/**
+ * Most enemies swarms and lines bring up to `seconds` (held-back events only fire later)
+ * @param {Object} spawns - STANDARD_SPAWNS
+ * @param {number} seconds - Run time
+ * @returns {number}
+ */
+function maxEventSpawns(spawns, seconds) {
+    return spawns.groups.reduce((total, group) => {
+        if (group.time > seconds) return total;
+
+        const last = group.every ? Math.min(seconds, group.until) : group.time;
+        const times = group.every ? Math.floor((last - group.time) / group.every) + 1 : 1;
+        return total + times * Math.min(group.count, spawns.maxEnemies);
+    }, 0);
+}
+
+/**
+ * Most enemies (bosses included) a survival run can have killed
+ * @param {number} seconds - Run time
+ * @param {number} bossesKilled - Bosses defeated
+ * @param {Object} [spawns] - Timeline numbers, STANDARD_SPAWNS by default
+ * @returns {number}
+ */
+export function maxKillableEnemies(seconds, bossesKilled, spawns = STANDARD_SPAWNS) {
+    const waves = maxAmbientSpawns(spawns, seconds, bossesKilled + 1) + maxEventSpawns(spawns, seconds);
+    return Math.ceil(waves * MINION_HEADROOM) + bossesKilled;
+}
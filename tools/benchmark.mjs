@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Headless frame-time benchmark
+ *
+ * Usage:
+ *   node tools/benchmark.mjs [--enemies 250,1000,2000] [--frames 600] [--seed 1A2B3C4D] [--pretty]
+ *
+ * For each enemy count, holds the crowd at that size around an idle, unkillable player carrying a
+ * late-game loadout (level 8 gatling, shockburst, homing lasers and missiles plus Splitstream Matrix)
+ * and times every update(). Prints a JSON report to stdout; progress goes to stderr.
+ */
+
+import { parseArgs } from 'node:util';
+import { performance } from 'node:perf_hooks';
+import { createHeadlessGame, ScriptedInputProvider } from '../js/core/headless.js';
+import { SeededRandom, formatSeed, parseSeed } from '../js/utils/rng.js';
+
+const LOADOUT = ['gatling_gun', 'shockburst', 'homing_laser', 'missiles'];
+const WEAPON_LEVEL = 8;
+const WARMUP_FRAMES = 60;
+
+const { values } = parseArgs({
+    options: {
+        enemies: { type: 'string', default: '250,1000,2000' },
+        frames: { type: 'string', default: '600' },
+        seed: { type: 'string', default: '1A2B3C4D' },
+        pretty: { type: 'boolean', default: false }
+    }
+});
+
+const enemyCounts = values.enemies.split(',').map(count => parseInt(count, 10)).filter(count => count > 0);
+const frames = Math.max(1, parseInt(values.frames, 10) || 600);
+const seed = parseSeed(values.seed);
+
+if (seed === null) {
+    console.error(`Invalid seed "${values.seed}" (expected up to 8 hex digits)`);
+    process.exit(1);
+}
+if (enemyCounts.length === 0) {
+    console.error(`Invalid enemy counts "${values.enemies}" (expected e.g. 250,1000,2000)`);
+    process.exit(1);
+}
+
+/**
+ * Starts a run with the benchmark loadout
+ * @returns {VibeSurvivor} Game ready to step
+ */
+function setUpGame() {
+    const game = createHeadlessGame();
+    game.inputProvider = new ScriptedInputProvider({ script: ScriptedInputProvider.IDLE_SCRIPT, seed, upgradePolicy: 'first' });
+    game.beginSimulation(seed);
+
+    game.player.maxHealth = Infinity;
+    game.player.health = Infinity;
+    game.player.passives.splitstream_matrix = true;
+    game.weapons = LOADOUT.map(type => {
+        const weapon = game.weaponSystem.createWeapon(type);
+        while (weapon.level < WEAPON_LEVEL) {
+            game.weaponSystem.upgradeWeapon(weapon);
+        }
+        return weapon;
+    });
+    game.applyPassiveModifiersToAllWeapons();
+    return game;
+}
+
+/**
+ * Tops the crowd back up to the target size, scattered 100-700px around the player
+ * @param {VibeSurvivor} game - Game instance
+ * @param {number} target - Enemy count to hold
+ * @param {SeededRandom} placement - Placement RNG (kept off the game RNG)
+ */
+function refillEnemies(game, target, placement) {
+    while (game.enemies.length < target) {
+        game.spawnEnemy();
+        const enemy = game.enemies[game.enemies.length - 1];
+        const angle = placement.next() * Math.PI * 2;
+        const distance = 100 + placement.next() * 600;
+        enemy.x = game.player.x + Math.cos(angle) * distance;
+        enemy.y = game.player.y + Math.sin(angle) * distance;
+    }
+}
+
+/**
+ * @param {Array<number>} sorted - Ascending samples
+ * @param {number} p - Percentile (0-100)
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p / 100))];
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
+const { log, info } = console;
+console.log = () => {};
+console.info = () => {};
+
+const results = [];
+try {
+    for (const enemyCount of enemyCounts) {
+        const game = setUpGame();
+        const placement = new SeededRandom(seed);
+        const samples = [];
+        let projectileTotal = 0;
+
+        for (let frame = 0; frame < WARMUP_FRAMES + frames; frame++) {
+            game.resolveProviderChoices();
+            refillEnemies(game, enemyCount, placement);
+
+            const start = performance.now();
+            game.update();
+            const elapsed = performance.now() - start;
+
+            if (frame >= WARMUP_FRAMES) {
+                samples.push(elapsed);
+                projectileTotal += game.projectiles.length;
+            }
+        }
+        game.gameRunning = false;
+
+        samples.sort((a, b) => a - b);
+        const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+        const result = {
+            enemies: enemyCount,
+            frames,
+            avgProjectiles: Math.round(projectileTotal / frames),
+            meanMs: round(mean),
+            p50Ms: round(percentile(samples, 50)),
+            p95Ms: round(percentile(samples, 95)),
+            p99Ms: round(percentile(samples, 99)),
+            maxMs: round(samples[samples.length - 1])
+        };
+        results.push(result);
+        process.stderr.write(`${enemyCount} enemies: mean ${result.meanMs}ms p95 ${result.p95Ms}ms ` +
+            `(${result.avgProjectiles} projectiles)\n`);
+    }
+} finally {
+    console.log = log;
+    console.info = info;
+}
+
+const report = {
+    seed: formatSeed(seed),
+    loadout: LOADOUT,
+    node: process.version,
+    results
+};
+
+process.stdout.write(JSON.stringify(report, null, values.pretty ? 2 : 0) + '\n');
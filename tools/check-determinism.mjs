@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * Headless determinism check
+ *
+ * Usage:
+ *   node tools/check-determinism.mjs [--runs 3] [--seed 1A2B3C4D] [--minutes 3]
+ *                                    [--mode survival|bossRush] [--character aiBot|scout|...]
+ *
+ * Plays --runs consecutive seeds back to back on one game (as tools/simulate.mjs does), then
+ * replays every seed alone on a fresh game and compares the two summaries. Anything resetGame()
+ * leaves behind between runs shows up as a mismatch.
+ *
+ * Then checks replays the same way: records the second run of a session, plays the log back on a
+ * fresh game, and seeks back to the middle of the playback. Every frame has to match the recording.
+ * Exits with status 1 if anything differs.
+ */
+
+import { parseArgs } from 'node:util';
+import { createHeadlessGame, runHeadlessBatch, runHeadlessSimulation } from '../js/core/headless.js';
+import { AutopilotBot } from '../js/systems/gameplay/autopilot.js';
+import { ReplayPlayer } from '../js/systems/gameplay/replay.js';
+import { formatSeed, parseSeed } from '../js/utils/rng.js';
+import { GAME_MODES, DEFAULT_GAME_MODE } from '../js/config/game-modes.js';
+import { CHARACTERS, DEFAULT_CHARACTER } from '../js/config/characters.js';
+
+const { values } = parseArgs({
+    options: {
+        runs: { type: 'string', default: '3' },
+        seed: { type: 'string', default: '1A2B3C4D' },
+        minutes: { type: 'string', default: '3' },
+        mode: { type: 'string', default: DEFAULT_GAME_MODE },
+        character: { type: 'string', default: DEFAULT_CHARACTER }
+    }
+});
+
+const runs = Math.max(2, parseInt(values.runs, 10) || 2);
+const maxSeconds = Math.max(1, Number(values.minutes) || 3) * 60;
+const seed = parseSeed(values.seed);
+
+if (seed === null) {
+    console.error(`Invalid seed "${values.seed}" (expected up to 8 hex digits)`);
+    process.exit(1);
+}
+if (!GAME_MODES[values.mode]) {
+    console.error(`Unknown mode "${values.mode}" (expected ${Object.keys(GAME_MODES).join(', ')})`);
+    process.exit(1);
+}
+if (!CHARACTERS[values.character]) {
+    console.error(`Unknown character "${values.character}" (expected ${Object.keys(CHARACTERS).join(', ')})`);
+    process.exit(1);
+}
+
+const runOptions = { mode: values.mode, character: values.character, maxSeconds };
+const { runs: batchSummaries } = runHeadlessBatch({ ...runOptions, runs, seed });
+
+let mismatches = 0;
+batchSummaries.forEach((batchSummary, index) => {
+    const runSeed = (seed + index) >>> 0;
+    const alone = runHeadlessSimulation({
+        ...runOptions,
+        seed: runSeed,
+        inputProvider: new AutopilotBot({ seed: runSeed })
+    });
+
+    const same = JSON.stringify(alone) === JSON.stringify(batchSummary);
+    if (!same) mismatches++;
+    process.stderr.write(`[${index + 1}/${runs}] ${formatSeed(runSeed)} ${same ? 'ok' : 'MISMATCH'} ` +
+        `batch LV${batchSummary.level} kills:${batchSummary.kills} / ` +
+        `alone LV${alone.level} kills:${alone.kills}\n`);
+});
+
+/**
+ * Per-frame state that drifts as soon as a run stops following its seed
+ * @param {VibeSurvivor} game - Game instance
+ * @returns {string} Comparable fingerprint
+ */
+function fingerprint(game) {
+    const { player } = game;
+    return JSON.stringify([
+        game.frameCount, player.x, player.y, player.health, player.level, player.xp,
+        game.enemies.length, game.projectiles.length, game.xpOrbs.length, game.hpOrbs.length,
+        game.magnetOrbs.length, game.chestOrbs.length, game.rng.getState()
+    ]);
+}
+
+/**
+ * Starts a seeded run on a game without the start screen
+ * @param {VibeSurvivor} game - Game instance
+ * @param {number} runSeed - Run seed
+ */
+function beginRun(game, runSeed) {
+    game.setGameMode(values.mode);
+    game.setCharacter(values.character);
+    game.beginSimulation(runSeed);
+}
+
+/**
+ * Steps a replay to its end
+ * @param {VibeSurvivor} game - Game with replayPlayback set
+ * @returns {Array<string>} Fingerprint after every frame
+ */
+function playToEnd(game) {
+    const frames = [];
+    while (game.stepReplayFrame()) {
+        frames.push(fingerprint(game));
+    }
+    return frames;
+}
+
+/**
+ * Records the run after a full --minutes run on the same game, then plays it back fresh and
+ * after seeking back to the middle
+ * @returns {Array<string>} Problems found (empty when every frame matched)
+ */
+function checkReplays() {
+    const replaySeed = (seed + 1) >>> 0;
+    const recorder = createHeadlessGame();
+    runHeadlessSimulation({ ...runOptions, seed, game: recorder, inputProvider: new AutopilotBot({ seed }) });
+
+    const { log, info } = console;
+    console.log = () => {};
+    console.info = () => {};
+    try {
+        recorder.inputProvider = new AutopilotBot({ seed: replaySeed });
+        beginRun(recorder, replaySeed);
+        recorder.replayRecorder.start(replaySeed);
+        const recorded = [];
+        while (recorder.frameCount < maxSeconds * 60) {
+            recorder.resolveProviderChoices();
+            if (recorder.playerDead || !recorder.gameRunning) break;
+            recorder.update();
+            recorded.push(fingerprint(recorder));
+        }
+
+        const game = createHeadlessGame();
+        beginRun(game, replaySeed);
+        game.replayPlayback = {
+            player: new ReplayPlayer(recorder.replayRecorder.finish()),
+            paused: false,
+            speed: 1,
+            ended: false,
+            seekTarget: null,
+            accumulator: 0
+        };
+
+        const problems = [];
+        const compare = (label, frames, offset = 0) => {
+            const diverged = frames.findIndex((frame, index) => frame !== recorded[offset + index]);
+            if (diverged !== -1) {
+                problems.push(`${label} diverged at frame ${offset + diverged + 1}`);
+            } else if (offset + frames.length !== recorded.length) {
+                problems.push(`${label} ended at frame ${offset + frames.length} of ${recorded.length}`);
+            }
+        };
+
+        compare('fresh playback', playToEnd(game));
+
+        // Seek back the way the replay controls do: restart, then fast-forward to the target
+        const target = Math.floor(recorded.length / 2);
+        game.seekReplay(target);
+        while (game.replayPlayback.seekTarget !== null) {
+            game.advanceReplaySeek();
+        }
+        compare('seek back', [fingerprint(game), ...playToEnd(game)], target - 1);
+
+        return problems;
+    } finally {
+        console.log = log;
+        console.info = info;
+    }
+}
+
+const replayProblems = checkReplays();
+replayProblems.forEach(problem => process.stderr.write(`replay ${formatSeed((seed + 1) >>> 0)}: ${problem}\n`));
+
+if (mismatches > 0) {
+    console.error(`${mismatches} of ${runs} seeds played differently inside the batch`);
+}
+if (replayProblems.length > 0) {
+    console.error('Replay playback did not match the recorded run');
+}
+if (mismatches > 0 || replayProblems.length > 0) {
+    process.exit(1);
+}
+console.log(`All ${runs} seeds matched their standalone runs and the replay matched its recording`);
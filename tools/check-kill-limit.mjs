@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * Leaderboard kill limit check
+ *
+ * Usage:
+ *   node tools/check-kill-limit.mjs [--runs 2] [--seed 1A2B3C4D] [--minutes 30]
+ *
+ * The submit-score Edge Function rejects runs with more kills than maxKillableEnemies()
+ * (supabase/functions/submit-score/kill-limit.js) allows. First checks that the numbers it keeps
+ * still match WAVE_TIMELINES.standard, then plays --runs long survival runs with an unkillable
+ * player carrying a late-game loadout (the most kills the autopilot can get) and compares the
+ * kills to the limit every 5 minutes. Exits with status 1 if the numbers drifted or a run went over.
+ */
+
+import { parseArgs } from 'node:util';
+import { createHeadlessGame } from '../js/core/headless.js';
+import { AutopilotBot } from '../js/systems/gameplay/autopilot.js';
+import { WaveDirector } from '../js/systems/gameplay/enemies/wave-director.js';
+import { formatSeed, parseSeed } from '../js/utils/rng.js';
+import { STANDARD_SPAWNS, maxKillableEnemies } from '../supabase/functions/submit-score/kill-limit.js';
+
+const LOADOUT = ['gatling_gun', 'shockburst', 'homing_laser', 'missiles'];
+const WEAPON_LEVEL = 8;
+const CHECK_EVERY = 5 * 60 * 60;
+
+const { values } = parseArgs({
+    options: {
+        runs: { type: 'string', default: '2' },
+        seed: { type: 'string', default: '1A2B3C4D' },
+        minutes: { type: 'string', default: '30' }
+    }
+});
+
+const runs = Math.max(1, parseInt(values.runs, 10) || 1);
+const maxFrames = Math.max(1, Number(values.minutes) || 30) * 60 * 60;
+const seed = parseSeed(values.seed);
+
+if (seed === null) {
+    console.error(`Invalid seed "${values.seed}" (expected up to 8 hex digits)`);
+    process.exit(1);
+}
+
+/**
+ * Reads the spawn numbers kill-limit.js keeps out of the standard timeline
+ * @returns {{spawns: Object, problems: Array<string>}} Same shape as STANDARD_SPAWNS, plus anything
+ *          in the timeline the limit doesn't account for
+ */
+function readStandardSpawns() {
+    const { timeline } = new WaveDirector({ timeline: 'standard' });
+    const problems = [];
+
+    if (timeline.phases.length !== 1) {
+        problems.push(`expected one phase, found ${timeline.phases.length}`);
+    }
+    const [{ maxEnemies, spawnInterval, spawnCount }] = timeline.phases;
+
+    const groups = [];
+    let bossSurge = null;
+    for (const event of timeline.events) {
+        const modifiers = event.modifiers || {};
+        if (event.type === 'swarm' || event.type === 'line') {
+            if (event.time === undefined) {
+                problems.push(`${event.type} before bosses`);
+                continue;
+            }
+            groups.push({
+                time: event.time,
+                every: event.repeat ? event.repeat.every : null,
+                until: event.repeat ? event.repeat.until : null,
+                count: event.count
+            });
+        } else if (event.type === 'modifier' && event.time === undefined) {
+            if (bossSurge || modifiers.spawnCountBonus || modifiers.maxEnemiesBonus) {
+                problems.push('unsupported modifier before bosses');
+            }
+            bossSurge = { duration: event.duration, spawnRateMultiplier: modifiers.spawnRateMultiplier ?? 1 };
+        } else if (event.type === 'modifier' &&
+                   ((modifiers.spawnRateMultiplier ?? 1) > 1 || modifiers.spawnCountBonus || modifiers.maxEnemiesBonus)) {
+            problems.push(`modifier at ${event.time}s adds enemies`);
+        }
+    }
+
+    return {
+        spawns: {
+            maxEnemies: timeline.maxEnemies,
+            bossRespawnDelay: timeline.bossRespawnDelay,
+            phase: { maxEnemies, spawnInterval, spawnCount },
+            groups,
+            bossSurge
+        },
+        problems
+    };
+}
+
+/**
+ * Plays one run and compares its kills to the limit every CHECK_EVERY frames
+ * @param {number} runSeed - Run seed
+ * @returns {number} Checkpoints that went over the limit
+ */
+function checkRun(runSeed) {
+    const game = createHeadlessGame();
+    game.inputProvider = new AutopilotBot({ seed: runSeed, upgradePolicy: 'upgradeFirst' });
+    game.beginSimulation(runSeed);
+
+    game.player.maxHealth = Infinity;
+    game.player.health = Infinity;
+    game.player.passives.splitstream_matrix = true;
+    game.weapons = LOADOUT.map(type => {
+        const weapon = game.weaponSystem.createWeapon(type);
+        while (weapon.level < WEAPON_LEVEL) {
+            game.weaponSystem.upgradeWeapon(weapon);
+        }
+        return weapon;
+    });
+    game.applyPassiveModifiersToAllWeapons();
+
+    let overLimit = 0;
+    while (game.frameCount < maxFrames) {
+        game.resolveProviderChoices();
+        if (game.playerDead || !game.gameRunning) break;
+        game.update();
+
+        if (game.frameCount % CHECK_EVERY === 0) {
+            const { time, enemiesKilled, bossesKilled } = game.collectGameStats();
+            const limit = maxKillableEnemies(time, bossesKilled);
+            if (enemiesKilled > limit) overLimit++;
+            process.stderr.write(`${formatSeed(runSeed)} ${Math.round(time / 60)}min kills:${enemiesKilled} ` +
+                `bosses:${bossesKilled} limit:${limit} (${Math.round(enemiesKilled / limit * 100)}%)` +
+                `${enemiesKilled > limit ? ' OVER' : ''}\n`);
+        }
+    }
+    game.gameRunning = false;
+    return overLimit;
+}
+
+const { spawns, problems } = readStandardSpawns();
+if (JSON.stringify(spawns) !== JSON.stringify(STANDARD_SPAWNS)) {
+    problems.push('STANDARD_SPAWNS no longer matches the timeline');
+}
+problems.forEach(problem => console.error(`kill-limit.js: ${problem}`));
+
+const { log, info, warn } = console;
+console.log = () => {};
+console.info = () => {};
+console.warn = () => {};
+
+let overLimit = 0;
+try {
+    for (let index = 0; index < runs; index++) {
+        overLimit += checkRun((seed + index) >>> 0);
+    }
+} finally {
+    console.log = log;
+    console.info = info;
+    console.warn = warn;
+}
+
+if (overLimit > 0) {
+    console.error(`${overLimit} checkpoints had more kills than the leaderboard allows`);
+}
+if (problems.length > 0 || overLimit > 0) {
+    process.exit(1);
+}
+console.log(`Kill limit matches the standard timeline and held in all ${runs} runs`);
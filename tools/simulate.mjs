@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ * Headless balance runner
+ *
+ * Usage:
+ *   node tools/simulate.mjs [--runs 100] [--seed 1A2B3C4D] [--minutes 15]
+ *                           [--input autopilot|box|idle] [--policy first|random|upgradeFirst|newWeaponFirst]
+ *                           [--mode survival|bossRush] [--character aiBot|scout|...]
+ *                           [--summaries] [--pretty]
+ *
+ * Prints a JSON report to stdout: aggregate stats plus (with --summaries) every run summary.
+ * Progress goes to stderr so the output can be piped straight into a file or jq.
+ */
+
+import { parseArgs } from 'node:util';
+import { runHeadlessBatch, ScriptedInputProvider } from '../js/core/headless.js';
+import { AutopilotBot } from '../js/systems/gameplay/autopilot.js';
+import { createSeed, formatSeed, parseSeed } from '../js/utils/rng.js';
+import { GAME_MODES, DEFAULT_GAME_MODE } from '../js/config/game-modes.js';
+import { CHARACTERS, DEFAULT_CHARACTER } from '../js/config/characters.js';
+
+// Input provider factories: (seed, upgradePolicy) => provider
+const INPUTS = {
+    autopilot: (seed, upgradePolicy) => new AutopilotBot({ seed, upgradePolicy }),
+    box: (seed, upgradePolicy) => new ScriptedInputProvider({
+        script: ScriptedInputProvider.BOX_SCRIPT, seed, upgradePolicy
+    }),
+    idle: (seed, upgradePolicy) => new ScriptedInputProvider({
+        script: ScriptedInputProvider.IDLE_SCRIPT, seed, upgradePolicy
+    })
+};
+
+const { values } = parseArgs({
+    options: {
+        runs: { type: 'string', default: '10' },
+        seed: { type: 'string' },
+        minutes: { type: 'string', default: '15' },
+        input: { type: 'string', default: 'autopilot' },
+        policy: { type: 'string', default: 'random' },
+        mode: { type: 'string', default: DEFAULT_GAME_MODE },
+        character: { type: 'string', default: DEFAULT_CHARACTER },
+        summaries: { type: 'boolean', default: false },
+        pretty: { type: 'boolean', default: false }
+    }
+});
+
+const runs = Math.max(1, parseInt(values.runs, 10) || 1);
+const maxSeconds = Math.max(1, Number(values.minutes) || 15) * 60;
+const seed = values.seed !== undefined ? parseSeed(values.seed) : createSeed();
+const createInputProvider = INPUTS[values.input];
+
+if (seed === null) {
+    console.error(`Invalid seed "${values.seed}" (expected up to 8 hex digits)`);
+    process.exit(1);
+}
+if (!GAME_MODES[values.mode]) {
+    console.error(`Unknown mode "${values.mode}" (expected ${Object.keys(GAME_MODES).join(', ')})`);
+    process.exit(1);
+}
+if (!CHARACTERS[values.character]) {
+    console.error(`Unknown character "${values.character}" (expected ${Object.keys(CHARACTERS).join(', ')})`);
+    process.exit(1);
+}
+if (!createInputProvider) {
+    console.error(`Unknown input "${values.input}" (expected ${Object.keys(INPUTS).join(', ')})`);
+    process.exit(1);
+}
+
+const startedAt = Date.now();
+const { runs: summaries, aggregate } = runHeadlessBatch({
+    runs,
+    seed,
+    mode: values.mode,
+    character: values.character,
+    maxSeconds,
+    createInputProvider: (runSeed) => createInputProvider(runSeed, values.policy),
+    onRun: (summary, index) => {
+        process.stderr.write(`[${index + 1}/${runs}] ${summary.seed} ${summary.outcome} ` +
+            `${summary.timeText} LV${summary.level} kills:${summary.kills}\n`);
+    }
+});
+
+const report = {
+    firstSeed: formatSeed(seed),
+    input: values.input,
+    policy: values.policy,
+    mode: values.mode,
+    character: values.character,
+    maxSeconds,
+    elapsedMs: Date.now() - startedAt,
+    aggregate
+};
+if (values.summaries) {
+    report.runs = summaries;
+}
+
+process.stdout.write(JSON.stringify(report, null, values.pretty ? 2 : 0) + '\n');